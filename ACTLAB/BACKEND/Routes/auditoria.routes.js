@@ -0,0 +1,13 @@
+import express from "express";
+import { getAuditoria, exportarAuditoriaCSV } from "../controllers/auditoria.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Auditoría: solo administradores (solo lectura)
+router.use("/auditoria", verificarToken, autorizar("admin"));
+
+router.get("/auditoria", getAuditoria);
+router.get("/auditoria/export.csv", exportarAuditoriaCSV);
+
+export default router;
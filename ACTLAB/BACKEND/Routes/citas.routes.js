@@ -9,21 +9,39 @@ import {
   reprogramarCita,
   cancelarCita,
   marcarAtendida,
+  marcarNoAsistio,
 } from "../controllers/cita.controller.js"
+import { createSerie, getSerie, updateSerie, cancelarSerie } from "../controllers/serie.controller.js"
+import { previsualizarReprogramacion, aplicarReprogramacion } from "../controllers/reprogramacion.controller.js"
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js"
 
 const router = express.Router()
 
+// Todas las rutas de citas requieren sesión (los pacientes usan /mis-citas)
+router.use("/citas", verificarToken)
+
 // Rutas CRUD básicas
-router.get("/citas", getCitas)
-router.get("/citas/:id", getCitaById)
-router.post("/citas", createCita)
-router.put("/citas/:id", updateCita)
-router.delete("/citas/:id", deleteCita)
+router.get("/citas", autorizar("staff"), getCitas)
+router.get("/citas/:id", autorizar("staff"), getCitaById)
+router.post("/citas", autorizar("staff"), createCita)
+router.put("/citas/:id", autorizar("staff"), updateCita)
+router.delete("/citas/:id", autorizar("admin"), deleteCita)
 
 // Rutas específicas para acciones
-router.patch("/citas/:id/confirmar", confirmarCita)
-router.patch("/citas/:id/reprogramar", reprogramarCita)
-router.patch("/citas/:id/cancelar", cancelarCita)
-router.patch("/citas/:id/atendida", marcarAtendida)
+router.patch("/citas/:id/confirmar", autorizar("staff"), confirmarCita)
+router.patch("/citas/:id/reprogramar", autorizar("staff"), reprogramarCita)
+router.patch("/citas/:id/cancelar", autorizar("staff"), cancelarCita)
+router.patch("/citas/:id/atendida", autorizar("staff"), marcarAtendida)
+router.patch("/citas/:id/no-asistio", autorizar("staff"), marcarNoAsistio)
+
+// Series recurrentes
+router.post("/citas/series", autorizar("staff"), createSerie)
+router.get("/citas/series/:id", autorizar("staff"), getSerie)
+router.put("/citas/:id/serie", autorizar("staff"), updateSerie)
+router.patch("/citas/:id/serie/cancelar", autorizar("staff"), cancelarSerie)
+
+// Reprogramación masiva por ausencia de un médico
+router.post("/citas/reprogramacion-masiva/vista-previa", autorizar("staff"), previsualizarReprogramacion)
+router.post("/citas/reprogramacion-masiva", autorizar("staff"), aplicarReprogramacion)
 
 export default router
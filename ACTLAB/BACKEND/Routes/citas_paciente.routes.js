@@ -1,62 +1,34 @@
 // BACKEND/Routes/citas_paciente.routes.js
 import express from "express";
-import Cita from "../models/Cita.js";
+import {
+  getMisCitas,
+  getMiCita,
+  solicitarCita,
+  cancelarMiCita,
+  reprogramarMiCita,
+} from "../controllers/cita.paciente.controller.js";
+import { getMiListaEspera, unirmeListaEspera, salirListaEspera } from "../controllers/listaEspera.controller.js";
+import { generarMiCalendario, descargarMiCitaIcs } from "../controllers/icalendar.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
+// Portal del paciente: sus citas y las de sus dependientes
+router.use("/mis-citas", verificarToken, autorizar("paciente"));
 
-// Obtener citas por email
-router.get("/", async (req, res) => {
-  try {
-    const { email } = req.query;
+// Lista de espera (antes de /mis-citas/:id para que no se tome como id)
+router.get("/mis-citas/lista-espera", getMiListaEspera);
+router.post("/mis-citas/lista-espera", unirmeListaEspera);
+router.patch("/mis-citas/lista-espera/:id/cancelar", salirListaEspera);
 
-    if (!email) {
-      return res.status(400).json({ error: "El parámetro 'email' es obligatorio" });
-    }
+// Calendario: enlace de suscripción y descarga de una cita
+router.post("/mis-citas/ical", generarMiCalendario);
+router.get("/mis-citas/:id/ics", descargarMiCitaIcs);
 
-    const citas = await Cita.find({ email });
-    console.log("Citas encontradas:", citas);
-
-    res.status(200).json(citas);
-  } catch (error) {
-    console.error("Error al obtener citas:", error.message);
-    res.status(500).json({ error: "Error al obtener citas", detalle: error.message });
-  }
-});
-
-
-
-// Crear una cita
-router.post("/", async (req, res) => {
-  try {
-    console.log("📥 Datos recibidos del frontend:", req.body); // 🔍 Ver qué llega realmente
-
-    const { email, especialidad, fechaCita, horario, motivoCita } = req.body;
-
-    if (!email || !especialidad || !fechaCita || !horario || !motivoCita) {
-      console.warn("Faltan datos:", { email, especialidad, fechaCita, horario, motivoCita });
-      return res.status(400).json({ error: "Todos los campos son obligatorios" });
-    }
-
-    const nuevaCita = new Cita({
-      email,
-      especialidad,
-      fechaCita,
-      horario,
-      motivoCita,
-    });
-
-    await nuevaCita.save();
-
-    console.log("✅ Cita guardada:", nuevaCita);
-    res.status(201).json({
-      message: "Cita guardada correctamente",
-      cita: nuevaCita,
-    });
-  } catch (error) {
-    console.error("💥 Error al guardar la cita:", error.message);
-    res.status(500).json({ error: "Error al guardar la cita", detalle: error.message });
-  }
-});
+router.get("/mis-citas", getMisCitas);
+router.get("/mis-citas/:id", getMiCita);
+router.post("/mis-citas", solicitarCita);
+router.patch("/mis-citas/:id/cancelar", cancelarMiCita);
+router.patch("/mis-citas/:id/reprogramar", reprogramarMiCita);
 
 export default router;
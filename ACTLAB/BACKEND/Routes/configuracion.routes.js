@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  getZonaHoraria,
+  getSeguridad,
+  updateSeguridad,
+  getCalendario,
+  updateCalendario,
+  getPoliticaCitas,
+  updatePoliticaCitas,
+  getRecursosPorTipo,
+  updateRecursosPorTipo
+} from "../controllers/configuracion.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Zona horaria de la clínica: todas las páginas la usan para mostrar y leer fechas
+router.get("/configuracion/zona-horaria", getZonaHoraria);
+// Calendario de atención: lo consultan los formularios de citas de personal y pacientes
+router.get("/configuracion/calendario", verificarToken, getCalendario);
+// Política de cancelación/reprogramación: el portal del paciente la muestra antes de actuar
+router.get("/configuracion/politica-citas", verificarToken, getPoliticaCitas);
+// Recursos por tipo de examen: el formulario de citas los propone al elegir el tipo
+router.get("/configuracion/recursos-por-tipo", verificarToken, getRecursosPorTipo);
+
+// Configuración de la clínica: solo administradores
+router.use("/configuracion", verificarToken, autorizar("admin"));
+
+router.get("/configuracion/seguridad", getSeguridad);
+router.put("/configuracion/seguridad", updateSeguridad);
+router.put("/configuracion/calendario", updateCalendario);
+router.put("/configuracion/politica-citas", updatePoliticaCitas);
+router.put("/configuracion/recursos-por-tipo", updateRecursosPorTipo);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import { getDependientes, createDependiente, deleteDependiente } from "../controllers/dependiente.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Tutores: pacientes que gestionan las fichas de sus dependientes
+router.use("/dependientes", verificarToken, autorizar("paciente"));
+
+router.get("/dependientes", getDependientes);
+router.post("/dependientes", createDependiente);
+router.delete("/dependientes/:pacienteId", deleteDependiente);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import { getDisponibilidad } from "../controllers/disponibilidad.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Horarios libres para reservar: personal y pacientes
+router.get("/disponibilidad", verificarToken, autorizar("staff", "paciente"), getDisponibilidad);
+
+export default router;
@@ -0,0 +1,15 @@
+// BACKEND/Routes/icalendar.routes.js
+import express from "express";
+import { feedMedico, feedPaciente, generarCalendarioMedico } from "../controllers/icalendar.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Feeds de suscripción: sin sesión, el token del enlace es la credencial
+router.get("/ical/medicos/:token.ics", feedMedico);
+router.get("/ical/pacientes/:token.ics", feedPaciente);
+
+// El enlace de cada médico lo genera un administrador (los pacientes usan /mis-citas/ical)
+router.post("/medicos/:id/ical", verificarToken, autorizar("admin"), generarCalendarioMedico);
+
+export default router;
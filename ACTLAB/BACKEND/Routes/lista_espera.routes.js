@@ -0,0 +1,25 @@
+// BACKEND/Routes/lista_espera.routes.js
+import express from "express";
+import {
+  getListaEspera,
+  createEntradaEspera,
+  cancelarEntradaEspera,
+  verOferta,
+  aceptarOferta,
+  rechazarOferta,
+} from "../controllers/listaEspera.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Enlace enviado al paciente: sin sesión, el token de la oferta es la credencial
+router.get("/lista-espera/ofertas/:token", verOferta);
+router.post("/lista-espera/ofertas/:token/aceptar", aceptarOferta);
+router.post("/lista-espera/ofertas/:token/rechazar", rechazarOferta);
+
+// Gestión desde recepción (los pacientes usan /mis-citas/lista-espera)
+router.get("/lista-espera", verificarToken, autorizar("staff"), getListaEspera);
+router.post("/lista-espera", verificarToken, autorizar("staff"), createEntradaEspera);
+router.patch("/lista-espera/:id/cancelar", verificarToken, autorizar("staff"), cancelarEntradaEspera);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  getMedicos,
+  getTodosMedicos,
+  getMedicoById,
+  createMedico,
+  updateMedico,
+  deleteMedico
+} from "../controllers/medico.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+const soloAdmin = [verificarToken, autorizar("admin")];
+
+// Consulta pública: landing y portal del paciente
+router.get("/medicos", getMedicos);
+
+// Gestión: solo administradores
+router.get("/medicos/todos", soloAdmin, getTodosMedicos);
+router.post("/medicos", soloAdmin, createMedico);
+router.put("/medicos/:id", soloAdmin, updateMedico);
+router.delete("/medicos/:id", soloAdmin, deleteMedico);
+
+router.get("/medicos/:id", getMedicoById);
+
+export default router;
@@ -4,15 +4,26 @@ import {
   getPacienteById,
   createPaciente,
   updatePaciente,
-  deletePaciente
+  deletePaciente,
+  confirmarCuenta,
+  rechazarCuenta,
+  addTutor
 } from "../controllers/paciente.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
-router.get("/pacientes", getPacientes);
-router.get("/pacientes/:id", getPacienteById);
-router.post("/pacientes", createPaciente);
-router.put("/pacientes/:id", updatePaciente);
-router.delete("/pacientes/:id", deletePaciente);
+// Todas las rutas de pacientes requieren sesión
+router.use("/pacientes", verificarToken);
+
+router.get("/pacientes", autorizar("staff"), getPacientes);
+router.get("/pacientes/:id", autorizar("staff", "paciente"), getPacienteById);
+router.post("/pacientes", autorizar("staff"), createPaciente);
+router.put("/pacientes/:id", autorizar("staff"), updatePaciente);
+router.delete("/pacientes/:id", autorizar("admin"), deletePaciente);
+router.post("/pacientes/:id/tutores", autorizar("staff"), addTutor);
+// Cuenta registrada con el documento de una ficha existente: recepción la confirma o la rechaza
+router.patch("/pacientes/:id/cuenta", autorizar("staff"), confirmarCuenta);
+router.delete("/pacientes/:id/cuenta", autorizar("staff"), rechazarCuenta);
 
 export default router;
@@ -0,0 +1,28 @@
+// BACKEND/Routes/recepcion.routes.js
+import express from "express";
+import {
+  getColaHoy,
+  registrarLlegadaCita,
+  llamarCita,
+  iniciarAtencionCita,
+  finalizarAtencionCita,
+  getSalaEspera,
+  eventosSalaEspera
+} from "../controllers/recepcion.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+const staff = [verificarToken, autorizar("staff")];
+
+// Recepción: citas de hoy y pasos de la atención
+router.get("/recepcion/hoy", staff, getColaHoy);
+router.patch("/recepcion/citas/:id/llegada", staff, registrarLlegadaCita);
+router.patch("/recepcion/citas/:id/llamar", staff, llamarCita);
+router.patch("/recepcion/citas/:id/iniciar", staff, iniciarAtencionCita);
+router.patch("/recepcion/citas/:id/finalizar", staff, finalizarAtencionCita);
+
+// Pantalla de la sala de espera: sin sesión, solo muestra tickets y consultorios
+router.get("/sala-espera", getSalaEspera);
+router.get("/sala-espera/eventos", eventosSalaEspera);
+
+export default router;
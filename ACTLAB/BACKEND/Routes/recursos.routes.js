@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  getRecursos,
+  getAgendaRecursos,
+  createRecurso,
+  updateRecurso,
+  deleteRecurso
+} from "../controllers/recurso.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+const soloAdmin = [verificarToken, autorizar("admin")];
+
+// Consulta: formularios de citas y vista por recurso del calendario
+router.get("/recursos", verificarToken, autorizar("staff"), getRecursos);
+router.get("/recursos/agenda", verificarToken, autorizar("staff"), getAgendaRecursos);
+
+// Gestión: solo administradores
+router.post("/recursos", soloAdmin, createRecurso);
+router.put("/recursos/:id", soloAdmin, updateRecurso);
+router.delete("/recursos/:id", soloAdmin, deleteRecurso);
+
+export default router;
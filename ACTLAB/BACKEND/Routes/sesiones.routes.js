@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  refrescarToken,
+  logout,
+  logoutTodas,
+  getSesiones,
+  deleteSesion
+} from "../controllers/sesion.controller.js";
+import { verificarToken } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// El refresh token se canjea sin access token (este ya pudo expirar)
+router.post("/refresh", refrescarToken);
+
+router.post("/logout", verificarToken, logout);
+router.post("/logout/todas", verificarToken, logoutTodas);
+router.get("/sesiones", verificarToken, getSesiones);
+router.delete("/sesiones/:id", verificarToken, deleteSesion);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  getEstado2FA,
+  enrolar,
+  activar,
+  regenerarCodigos,
+  desactivar
+} from "../controllers/totp.controller.js";
+import { verificarToken, verificarTokenODesafio } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/2fa", verificarToken, getEstado2FA);
+// Enrolar/activar también se permiten con el desafío del login (2FA obligatorio aún sin configurar)
+router.post("/2fa/enrolar", verificarTokenODesafio, enrolar);
+router.post("/2fa/activar", verificarTokenODesafio, activar);
+router.post("/2fa/codigos", verificarToken, regenerarCodigos);
+router.post("/2fa/desactivar", verificarToken, desactivar);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  getMe,
+  getUsuarios,
+  createUsuario,
+  cambiarRol,
+  cambiarEstadoUsuario,
+  resetPassword,
+  desbloquearUsuario,
+  resetSegundoFactor
+} from "../controllers/usuario.controller.js";
+import { verificarToken, autorizar } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Perfil propio: cualquier usuario autenticado
+router.get("/me", verificarToken, getMe);
+
+// Gestión de usuarios: solo administradores
+router.use("/usuarios", verificarToken, autorizar("admin"));
+
+router.get("/usuarios", getUsuarios);
+router.post("/usuarios", createUsuario);
+router.patch("/usuarios/:id/rol", cambiarRol);
+router.patch("/usuarios/:id/activo", cambiarEstadoUsuario);
+router.post("/usuarios/:id/reset-password", resetPassword);
+router.patch("/usuarios/:id/desbloquear", desbloquearUsuario);
+router.post("/usuarios/:id/reset-2fa", resetSegundoFactor);
+
+export default router;
@@ -0,0 +1,132 @@
+// controllers/auditoria.controller.js
+import mongoose from "mongoose";
+import Auditoria from "../models/Auditoria.js";
+import { rangoDia } from "../models/horario.js";
+
+const LIMITE_POR_PAGINA = 50;
+const DIA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Límite del rango: un día suelto (AAAA-MM-DD) se toma completo en la zona de la clínica
+function leerLimite(valor, campo) {
+  const fecha = !DIA.test(valor)
+    ? new Date(valor)
+    : campo === "desde"
+      ? rangoDia(valor).inicio
+      : new Date(rangoDia(valor).fin - 1);
+  if (isNaN(fecha)) throw new Error(`${campo} inválido`);
+  return fecha;
+}
+
+// Filtros comunes a la consulta y a la exportación
+function construirFiltro(query) {
+  const { pacienteId, actorId, entidad, entidadId, accion, desde, hasta } = query;
+
+  const filtro = {};
+  for (const [campo, valor] of Object.entries({ pacienteId, actorId, entidadId })) {
+    if (!valor) continue;
+    if (!mongoose.Types.ObjectId.isValid(valor)) throw new Error(`${campo} inválido`);
+    filtro[campo] = valor;
+  }
+  if (entidad) filtro.entidad = entidad;
+  if (accion) filtro.accion = accion;
+
+  if (desde || hasta) {
+    filtro.createdAt = {};
+    if (desde) filtro.createdAt.$gte = leerLimite(desde, "desde");
+    if (hasta) filtro.createdAt.$lte = leerLimite(hasta, "hasta");
+  }
+
+  return filtro;
+}
+
+// --- Consultar la auditoría (paginada, lo más reciente primero) ---
+export const getAuditoria = async (req, res) => {
+  let filtro;
+  try {
+    filtro = construirFiltro(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const pagina = Math.max(parseInt(req.query.pagina, 10) || 1, 1);
+
+    const [registros, total] = await Promise.all([
+      Auditoria.find(filtro)
+        .populate("actorId", "email nombres apellidos")
+        .populate("pacienteId", "nombres apellidos")
+        .sort({ createdAt: -1 })
+        .skip((pagina - 1) * LIMITE_POR_PAGINA)
+        .limit(LIMITE_POR_PAGINA),
+      Auditoria.countDocuments(filtro),
+    ]);
+
+    res.json({
+      success: true,
+      data: registros,
+      total,
+      pagina,
+      paginas: Math.ceil(total / LIMITE_POR_PAGINA),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener auditoría", error: error.message });
+  }
+};
+
+// Celda CSV: entre comillas y con las comillas internas duplicadas. Un valor que empieza como
+// fórmula (=, +, -, @, tabulador o retorno) lleva un apóstrofo delante para que la hoja de cálculo
+// lo muestre como texto y no lo ejecute
+const celdaCSV = (valor) => {
+  const texto = String(valor ?? "");
+  const seguro = /^[=+\-@\t\r]/.test(texto) ? `'${texto}` : texto;
+  return `"${seguro.replace(/"/g, '""')}"`;
+};
+
+// --- Exportar la auditoría filtrada a CSV ---
+export const exportarAuditoriaCSV = async (req, res) => {
+  let filtro;
+  try {
+    filtro = construirFiltro(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const encabezado = ["fecha", "actor", "rol", "accion", "entidad", "entidadId", "paciente", "ip", "cambios"];
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="auditoria-${new Date().toISOString().slice(0, 10)}.csv"`);
+    // BOM para que Excel reconozca UTF-8 (tildes)
+    res.write("\uFEFF" + encabezado.join(",") + "\r\n");
+
+    const cursor = Auditoria.find(filtro)
+      .populate("actorId", "email")
+      .populate("pacienteId", "nombres apellidos")
+      .sort({ createdAt: -1 })
+      .cursor();
+
+    for await (const r of cursor) {
+      const paciente = r.pacienteId ? `${r.pacienteId.nombres} ${r.pacienteId.apellidos}` : "";
+      const fila = [
+        r.createdAt.toISOString(),
+        r.actorId?.email ?? "",
+        r.actorRol,
+        r.accion,
+        r.entidad,
+        r.entidadId,
+        paciente,
+        r.ip,
+        r.cambios.map((c) => `${c.campo}: ${JSON.stringify(c.antes)} → ${JSON.stringify(c.despues)}`).join("; "),
+      ];
+      res.write(fila.map(celdaCSV).join(",") + "\r\n");
+    }
+
+    res.end();
+  } catch (error) {
+    console.error("Error exportando auditoría:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, message: "Error al exportar auditoría", error: error.message });
+    }
+    res.end();
+  }
+};
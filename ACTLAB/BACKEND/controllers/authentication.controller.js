@@ -1,11 +1,78 @@
 // controllers/authentication.controller.js
+import crypto from "crypto";
 import bcryptjs from "bcryptjs";
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
-import Usuario from "../models/Usuario.js"; // 👈 importa el modelo
+import Usuario, { ROLES } from "../models/Usuario.js"; // 👈 importa el modelo
+import { enviarCorreo } from "../services/mailer.js";
+import { crearSesion, revocarSesiones, firmarDesafio, verificarDesafio } from "../services/sesiones.js";
+import { verificarCodigo, usarCodigoRecuperacion, es2FAObligatorio } from "../services/totp.js";
+import { vincularPaciente } from "../services/pacientes.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+import { bloqueoRestante, registrarFalloCuenta, limpiarFallosCuenta } from "../services/intentos.js";
 
 dotenv.config();
 
+const APP_URL = process.env.APP_URL || "http://localhost:5000";
+const RESET_TOKEN_MINUTOS = 30;
+const VERIFICACION_EXPIRA_HORAS = 24;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Mismo mensaje para documento inexistente y contraseña errónea (evita enumerar usuarios)
+const CREDENCIALES_INVALIDAS = "Documento o contraseña incorrectos.";
+
+// Hash de relleno para que un documento inexistente tarde lo mismo que uno válido
+const HASH_RELLENO = bcryptjs.hashSync("relleno-sin-usuario", 5);
+
+/**
+ * Abre la sesión y arma la respuesta de un login completado
+ * (también la usa la activación de 2FA hecha durante el login)
+ */
+export async function datosLogin(user, req) {
+  // Cuentas de pacientes registradas antes del vínculo con la ficha clínica
+  if (user.role === ROLES.PACIENTE && !user.pacienteId) await vincularPaciente(user);
+
+  const { token, refreshToken } = await crearSesion(user, req);
+  return {
+    token,
+    refreshToken,
+    role: user.role,
+    redirect: user.role === ROLES.PACIENTE ? "/user" : "/admin",
+    email: user.email,
+  };
+}
+
+/**
+ * Envía el enlace firmado de verificación de correo. El token incluye el email,
+ * así que deja de servir si la dirección cambia.
+ */
+async function enviarVerificacion(user) {
+  const token = jwt.sign(
+    { id: user._id, email: user.email, tipo: "verificacion" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${VERIFICACION_EXPIRA_HORAS}h` }
+  );
+
+  const enlace = `${APP_URL}/api/email/verificar?token=${token}`;
+  await enviarCorreo({
+    para: user.email,
+    asunto: "Confirma tu correo – ACT Clínica",
+    texto:
+      `Gracias por registrarte en ACT Clínica.\n\n` +
+      `Confirma tu correo en este enlace (válido por ${VERIFICACION_EXPIRA_HORAS} horas):\n${enlace}\n\n` +
+      `Si no creaste esta cuenta, ignora este correo.`,
+  });
+}
+
+const respuestaBloqueo = (res, segundos) => {
+  res.set("Retry-After", String(segundos));
+  return res.status(429).json({
+    ok: false,
+    message: `Cuenta bloqueada temporalmente por intentos fallidos. Intente en ${Math.ceil(segundos / 60)} minutos.`,
+  });
+};
+
 /** REGISTER **/
 export async function register(req, res) {
   try {
@@ -15,6 +82,8 @@ export async function register(req, res) {
       fecha_emision,
       email,
       password,
+      nombres,
+      apellidos,
       //password_create,
       mayor,
       menor,
@@ -22,7 +91,7 @@ export async function register(req, res) {
     console.log(" Datos recibidos en req.body:", req.body);
 
 
-    if (!rawTipo || !num_documento || !fecha_emision || !email || !password) {
+    if (!rawTipo || !num_documento || !fecha_emision || !email || !password || !nombres || !apellidos) {
       return res.status(400).json({ ok: false, message: "Faltan campos obligatorios." });
     }
 
@@ -51,6 +120,14 @@ export async function register(req, res) {
       return res.status(400).json({ ok: false, message: "Marca mayor o menor (solo una)." });
     }
 
+    // Los menores no tienen cuenta propia: su tutor los gestiona como dependientes
+    if (menor) {
+      return res.status(400).json({
+        ok: false,
+        message: "Los menores de edad deben ser registrados por su padre, madre o tutor desde su cuenta.",
+      });
+    }
+
     // 🔍 Verificar si ya existe en BD
     const existe = await Usuario.findOne({ tipo_documento: tipo, num_documento });
     if (existe) {
@@ -61,21 +138,37 @@ export async function register(req, res) {
     const hash = await bcryptjs.hash(password, salt);
 
     // Guardar en MongoDB
-    await Usuario.create({
+    const user = await Usuario.create({
       tipo_documento: tipo,
       num_documento,
       fecha_emision: fecha,
       email, // ✅ lo agregamos aquí
       password: hash,
+      nombres,
+      apellidos,
       mayor,
       menor,
+      role: ROLES.PACIENTE,
+      emailVerificado: false,
     });
 
+    // Crea su ficha clínica; si ya había una con ese documento, recepción confirma el vínculo
+    const paciente = await vincularPaciente(user, { nombres, apellidos });
+    await registrarAuditoria(req, {
+      accion: "registrar",
+      entidad: "Usuario",
+      despues: user,
+      actor: { id: user._id, role: user.role },
+    });
+
+    await enviarVerificacion(user);
 
     return res.status(201).json({
       ok: true,
-      message: "Usuario registrado con éxito.",
-      redirect: "/login",
+      message: paciente
+        ? "Usuario registrado. Revise su correo para confirmar la cuenta."
+        : "Usuario registrado. Revise su correo para confirmar la cuenta. Su historia clínica se vinculará cuando recepción verifique su identidad.",
+      redirect: "/login?registrado=1",
     });
   } catch (err) {
     console.error("Error en register:", err);
@@ -93,47 +186,54 @@ export async function login(req, res) {
 
     const tipo = tipo_documento.toLowerCase();
 
-    // Admin hardcodeado
-    if (tipo === "dni" && num_documento === "73066688" && password === "admin123") {
-      const token = jwt.sign(
-        { tipo_documento: tipo, num_documento, role: "admin" },
-        process.env.JWT_SECRET,
-        { expiresIn: "1h" }
-      );
-
-      return res.status(200).json({
-        ok: true,
-        message: "Login exitoso como ADMIN.",
-        token,
-        role: "admin",
-        redirect: "/admin",
-      });
-    }
-
     // 🔍 Buscar usuario en MongoDB
     const user = await Usuario.findOne({ tipo_documento: tipo, num_documento });
     if (!user) {
-      return res.status(404).json({ ok: false, message: "Usuario no encontrado." });
+      await bcryptjs.compare(password, HASH_RELLENO);
+      return res.status(401).json({ ok: false, message: CREDENCIALES_INVALIDAS });
     }
 
+    const bloqueo = bloqueoRestante(user);
+    if (bloqueo) return respuestaBloqueo(res, bloqueo);
+
     const match = await bcryptjs.compare(password, user.password);
     if (!match) {
-      return res.status(401).json({ ok: false, message: "Contraseña incorrecta." });
+      await registrarFalloCuenta(user);
+      return res.status(401).json({ ok: false, message: CREDENCIALES_INVALIDAS });
+    }
+
+    if (!user.activo) {
+      return res.status(403).json({ ok: false, message: "Cuenta desactivada." });
+    }
+
+    if (!user.emailVerificado) {
+      return res.status(403).json({
+        ok: false,
+        message: "Debe confirmar su correo antes de iniciar sesión.",
+        verificacionPendiente: true,
+      });
+    }
+
+    // Con 2FA activo (u obligatorio para su rol) el token se emite tras el segundo paso;
+    // los fallos se reinician recién entonces para no regalar intentos contra el código
+    if (user.totpActivo || (await es2FAObligatorio(user.role))) {
+      return res.status(200).json({
+        ok: true,
+        message: user.totpActivo
+          ? "Ingrese el código de su aplicación autenticadora."
+          : "Su rol requiere verificación en dos pasos. Configúrela para continuar.",
+        requiere2FA: true,
+        enrolar: !user.totpActivo,
+        desafio: firmarDesafio(user),
+      });
     }
 
-    const token = jwt.sign(
-      { tipo_documento: tipo, num_documento, role: "user" },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    await limpiarFallosCuenta(user);
 
     return res.status(200).json({
       ok: true,
       message: "Login exitoso.",
-      token,
-      role: "user",
-      redirect: "/user",
-      email: user.email,
+      ...(await datosLogin(user, req)),
     });
   } catch (err) {
     console.error("Error en login:", err);
@@ -141,6 +241,52 @@ export async function login(req, res) {
   }
 }
 
+/** LOGIN – SEGUNDO FACTOR **/
+export async function login2FA(req, res) {
+  try {
+    const { desafio, codigo } = req.body;
+    if (!desafio || !codigo) {
+      return res.status(400).json({ ok: false, message: "Faltan campos." });
+    }
+
+    const payload = verificarDesafio(desafio);
+    if (!payload) {
+      return res.status(401).json({ ok: false, message: "Verificación expirada. Inicie sesión nuevamente." });
+    }
+
+    const user = await Usuario.findById(payload.id);
+    if (!user || !user.activo || !user.totpActivo) {
+      return res.status(401).json({ ok: false, message: "Verificación expirada. Inicie sesión nuevamente." });
+    }
+
+    const bloqueo = bloqueoRestante(user);
+    if (bloqueo) return respuestaBloqueo(res, bloqueo);
+
+    // Se acepta el código TOTP o, en su defecto, un código de recuperación
+    const paso = verificarCodigo(user.totpSecreto, codigo, user.totpUltimoPaso);
+    if (paso !== null) {
+      user.totpUltimoPaso = paso;
+    } else if (!usarCodigoRecuperacion(user, codigo)) {
+      await registrarFalloCuenta(user);
+      return res.status(401).json({ ok: false, message: "Código incorrecto." });
+    }
+
+    user.intentosFallidos = 0;
+    user.bloqueadoHasta = null;
+    await user.save();
+
+    return res.status(200).json({
+      ok: true,
+      message: "Login exitoso.",
+      codigosRestantes: user.codigosRecuperacion.length,
+      ...(await datosLogin(user, req)),
+    });
+  } catch (err) {
+    console.error("Error en login2FA:", err);
+    return res.status(500).json({ ok: false, message: "Error interno." });
+  }
+}
+
 /** CHANGE PASSWORD **/
 export async function password(req, res) {
   try {
@@ -158,17 +304,8 @@ export async function password(req, res) {
       return res.status(400).json({ ok: false, message: "Las contraseñas no coinciden." });
     }
 
-    const authHeader = req.headers.authorization || "";
-    if (!authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ ok: false, message: "Token faltante." });
-    }
-
-    let payload;
-    try {
-      payload = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET);
-    } catch (err) {
-      return res.status(401).json({ ok: false, message: "Token inválido o expirado." });
-    }
+    // El token ya fue verificado por el middleware de autenticación
+    const payload = req.usuario;
 
     // 🔍 Buscar usuario en BD
     const user = await Usuario.findOne({
@@ -180,27 +317,36 @@ export async function password(req, res) {
       return res.status(404).json({ ok: false, message: "Usuario no encontrado." });
     }
 
+    const bloqueo = bloqueoRestante(user);
+    if (bloqueo) return respuestaBloqueo(res, bloqueo);
+
     const match = await bcryptjs.compare(current_password, user.password);
     if (!match) {
+      await registrarFalloCuenta(user);
       return res.status(401).json({ ok: false, message: "Contraseña actual incorrecta." });
     }
 
+    await limpiarFallosCuenta(user);
+
     const salt = await bcryptjs.genSalt(5);
     user.password = await bcryptjs.hash(new_password, salt);
 
     // Guardar cambios
     await user.save();
 
-    const newToken = jwt.sign(
-      { tipo_documento: user.tipo_documento, num_documento: user.num_documento },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    await revocarSesiones(user._id);
+    await registrarAuditoria(req, {
+      accion: "cambiar_password",
+      entidad: "Usuario",
+      antes: { password: "anterior" },
+      despues: { _id: user._id, password: "nueva" },
+      pacienteId: user.pacienteId,
+    });
 
     return res.status(200).json({
       ok: true,
-      message: "Contraseña actualizada con éxito.",
-      token: newToken,
+      message: "Contraseña actualizada con éxito. Inicie sesión nuevamente.",
       redirect: "/login",
     });
   } catch (err) {
@@ -209,4 +355,174 @@ export async function password(req, res) {
   }
 }
 
-export const methods = { register, login, password };
+/** FORGOT PASSWORD **/
+export async function olvidoPassword(req, res) {
+  try {
+    const identificador = (req.body.identificador || "").trim();
+    if (!identificador) {
+      return res.status(400).json({ ok: false, message: "Ingrese su documento o correo." });
+    }
+
+    // Misma respuesta exista o no la cuenta, para no revelar usuarios
+    const respuesta = {
+      ok: true,
+      message: "Si la cuenta existe, enviamos un enlace de recuperación a su correo.",
+    };
+
+    const filtro = identificador.includes("@")
+      ? { email: identificador.toLowerCase() }
+      : { num_documento: identificador };
+    const user = await Usuario.findOne(filtro);
+
+    // Se responde antes de guardar el token y enviar el correo: así el tiempo de respuesta
+    // tampoco delata si la cuenta existe
+    res.status(200).json(respuesta);
+    if (!user || !user.activo) return;
+
+    const token = crypto.randomBytes(32).toString("hex");
+    user.resetTokenHash = hashToken(token);
+    user.resetTokenExpira = new Date(Date.now() + RESET_TOKEN_MINUTOS * 60000);
+    await user.save();
+
+    const enlace = `${APP_URL}/password/reset?token=${token}`;
+    await enviarCorreo({
+      para: user.email,
+      asunto: "Recupera tu contraseña – ACT Clínica",
+      texto:
+        `Recibimos una solicitud para restablecer tu contraseña.\n\n` +
+        `Ingresa a este enlace (válido por ${RESET_TOKEN_MINUTOS} minutos):\n${enlace}\n\n` +
+        `Si no la solicitaste, ignora este correo.`,
+    });
+  } catch (err) {
+    console.error("Error en olvidoPassword():", err);
+    if (!res.headersSent) res.status(500).json({ ok: false, message: "Error interno." });
+  }
+}
+
+/** VERIFY EMAIL (enlace enviado por correo) **/
+export async function verificarEmail(req, res) {
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(String(req.query.token || ""), process.env.JWT_SECRET);
+    } catch {
+      payload = null;
+    }
+
+    const user = payload?.tipo === "verificacion" ? await Usuario.findById(payload.id) : null;
+    if (!user || user.email !== payload.email) {
+      return res.redirect("/login?verificado=error");
+    }
+
+    if (!user.emailVerificado) {
+      user.emailVerificado = true;
+      await user.save();
+    }
+
+    return res.redirect("/login?verificado=ok");
+  } catch (err) {
+    console.error("Error en verificarEmail():", err);
+    return res.redirect("/login?verificado=error");
+  }
+}
+
+/** RESEND VERIFICATION **/
+export async function reenviarVerificacion(req, res) {
+  try {
+    const identificador = (req.body.identificador || "").trim();
+    if (!identificador) {
+      return res.status(400).json({ ok: false, message: "Ingrese su documento o correo." });
+    }
+
+    // Misma respuesta exista o no la cuenta, para no revelar usuarios
+    const respuesta = {
+      ok: true,
+      message: "Si la cuenta está pendiente de confirmación, enviamos un nuevo enlace a su correo.",
+    };
+
+    const filtro = identificador.includes("@")
+      ? { email: identificador.toLowerCase() }
+      : { num_documento: identificador };
+    const user = await Usuario.findOne(filtro);
+    if (user && user.activo && !user.emailVerificado) {
+      await enviarVerificacion(user);
+    }
+
+    return res.status(200).json(respuesta);
+  } catch (err) {
+    console.error("Error en reenviarVerificacion():", err);
+    return res.status(500).json({ ok: false, message: "Error interno." });
+  }
+}
+
+/** RESET PASSWORD (con token enviado por correo) **/
+export async function resetPassword(req, res) {
+  try {
+    const { token, new_password, repeat_password } = req.body;
+
+    if (!token || !new_password || !repeat_password) {
+      return res.status(400).json({ ok: false, message: "Faltan campos." });
+    }
+
+    if (typeof token !== "string") {
+      return res.status(400).json({ ok: false, message: "El enlace es inválido o ha expirado." });
+    }
+
+    if (new_password.length < 8) {
+      return res.status(400).json({ ok: false, message: "Mínimo 8 caracteres." });
+    }
+
+    if (new_password !== repeat_password) {
+      return res.status(400).json({ ok: false, message: "Las contraseñas no coinciden." });
+    }
+
+    const user = await Usuario.findOne({
+      resetTokenHash: hashToken(token),
+      resetTokenExpira: { $gt: new Date() },
+    });
+    if (!user) {
+      return res.status(400).json({ ok: false, message: "El enlace es inválido o ha expirado." });
+    }
+
+    const salt = await bcryptjs.genSalt(5);
+    user.password = await bcryptjs.hash(new_password, salt);
+
+    // El token es de un solo uso
+    user.resetTokenHash = null;
+    user.resetTokenExpira = null;
+    // Quien demuestra acceso al correo recupera también la cuenta bloqueada
+    user.intentosFallidos = 0;
+    user.bloqueadoHasta = null;
+    user.emailVerificado = true;
+    await user.save();
+    await revocarSesiones(user._id);
+    await registrarAuditoria(req, {
+      accion: "restablecer_password",
+      entidad: "Usuario",
+      antes: { password: "anterior" },
+      despues: { _id: user._id, password: "nueva" },
+      pacienteId: user.pacienteId,
+      actor: { id: user._id, role: user.role },
+    });
+
+    return res.status(200).json({
+      ok: true,
+      message: "Contraseña restablecida con éxito.",
+      redirect: "/login",
+    });
+  } catch (err) {
+    console.error("Error en resetPassword():", err);
+    return res.status(500).json({ ok: false, message: "Error interno." });
+  }
+}
+
+export const methods = {
+  register,
+  login,
+  login2FA,
+  password,
+  olvidoPassword,
+  resetPassword,
+  verificarEmail,
+  reenviarVerificacion,
+};
@@ -1,6 +1,12 @@
-import Cita from "../models/Cita.js"
+import Cita, { TRANSICIONES_CITA } from "../models/Cita.js"
 import Paciente from "../models/Users.js" // modelo correcto de pacientes
-import Usuario from "../models/Usuario.js" // usuarios del sistema (p.ej., médicos)
+import { FECHA, rangoDia } from "../models/horario.js"
+import { registrarAuditoria } from "../services/auditoria.js"
+import { moverCita, validarAgenda } from "../services/agenda.js"
+import { encolarNotificacion } from "../services/notificaciones.js"
+import { liberarHueco } from "../services/listaEspera.js"
+import { registrarAsistencia } from "../services/inasistencias.js"
+import { resolverRecursos } from "../services/recursos.js"
 
 // Obtener todas las citas con filtros
 export const getCitas = async (req, res) => {
@@ -15,16 +21,21 @@ export const getCitas = async (req, res) => {
     if (medicoId) filtro.medicoId = medicoId
     if (tipoExamen) filtro.tipoExamen = tipoExamen
 
-    // Filtro por rango de fechas
+    // Filtro por rango de fechas; un día AAAA-MM-DD es el día completo de la clínica
     if (fechaInicio || fechaFin) {
       filtro.fechaHora = {}
-      if (fechaInicio) filtro.fechaHora.$gte = new Date(fechaInicio)
-      if (fechaFin) filtro.fechaHora.$lte = new Date(fechaFin)
+      if (fechaInicio) {
+        filtro.fechaHora.$gte = FECHA.test(fechaInicio) ? rangoDia(fechaInicio).inicio : new Date(fechaInicio)
+      }
+      if (fechaFin) {
+        if (FECHA.test(fechaFin)) filtro.fechaHora.$lt = rangoDia(fechaFin).fin
+        else filtro.fechaHora.$lte = new Date(fechaFin)
+      }
     }
 
     const citas = await Cita.find(filtro)
       .populate("pacienteId", "nombres apellidos celular")
-      .populate("medicoId")
+      .populate("medicoId", "nombres apellidos especialidades foto")
       .sort({ fechaHora: -1 })
 
     res.json({
@@ -45,7 +56,10 @@ export const getCitas = async (req, res) => {
 export const getCitaById = async (req, res) => {
   try {
     const { id } = req.params
-    const cita = await Cita.findById(id).populate("pacienteId").populate("medicoId")
+    const cita = await Cita.findById(id)
+      .populate("pacienteId")
+      .populate("medicoId")
+      .populate("historial.actorId", "nombres apellidos email role")
 
     if (!cita) {
       return res.status(404).json({
@@ -67,55 +81,6 @@ export const getCitaById = async (req, res) => {
   }
 }
 
-/**
- * Valida si hay cruce de horarios con otras citas
- * @param {Date} fechaHoraInicio - Fecha y hora de inicio de la cita
- * @param {number} duracion - Duración en minutos
- * @param {string} excludeId - ID de cita a excluir (para ediciones)
- * @returns {Promise<Object|null>} Cita que causa conflicto o null
- */
-async function validarCruceCitas(fechaHoraInicio, duracion, excludeId = null) {
-  const fechaHoraFin = new Date(fechaHoraInicio.getTime() + duracion * 60000)
-
-  // Buscar todas las citas activas (no canceladas) en el mismo día
-  const inicioDia = new Date(fechaHoraInicio)
-  inicioDia.setHours(0, 0, 0, 0)
-  const finDia = new Date(fechaHoraInicio)
-  finDia.setHours(23, 59, 59, 999)
-
-  const filtro = {
-    fechaHora: {
-      $gte: inicioDia,
-      $lte: finDia,
-    },
-    estado: { $ne: "Cancelada" },
-  }
-
-  if (excludeId) {
-    filtro._id = { $ne: excludeId }
-  }
-
-  const citasDelDia = await Cita.find(filtro)
-
-  // Verificar cruces
-  for (const cita of citasDelDia) {
-    const citaInicio = new Date(cita.fechaHora)
-    const citaDuracion = cita.duracion || 15
-    const citaFin = new Date(citaInicio.getTime() + citaDuracion * 60000)
-
-    // Verificar si hay solapamiento
-    if (
-      (fechaHoraInicio >= citaInicio && fechaHoraInicio < citaFin) ||
-      (fechaHoraFin > citaInicio && fechaHoraFin <= citaFin) ||
-      (fechaHoraInicio <= citaInicio && fechaHoraFin >= citaFin)
-    ) {
-      return cita
-    }
-  }
-
-  return null
-}
-
 // Crear nueva cita
 export const createCita = async (req, res) => {
   try {
@@ -136,16 +101,26 @@ export const createCita = async (req, res) => {
       })
     }
 
-    // Validar cruce de citas
+    // Sin lista de recursos en el formulario, la cita ocupa los que pide su tipo de examen
+    const recursos = await resolverRecursos(req.body.recursos, tipoExamen)
+    if (!recursos) {
+      return res.status(400).json({ success: false, message: "Recurso inválido" })
+    }
+
+    // Validar calendario de la clínica, horario del médico, cruces con sus citas o con las del paciente y recursos
     const fechaHoraObj = new Date(fechaHora)
-    const citaConflictiva = await validarCruceCitas(fechaHoraObj, duracionNum)
+    const errorAgenda = await validarAgenda({
+      inicio: fechaHoraObj,
+      duracion: duracionNum,
+      medicoId,
+      pacienteId,
+      recursos,
+    })
 
-    if (citaConflictiva) {
-      const conflictoInicio = new Date(citaConflictiva.fechaHora)
-      const conflictoFin = new Date(conflictoInicio.getTime() + (citaConflictiva.duracion || 15) * 60000)
+    if (errorAgenda) {
       return res.status(400).json({
         success: false,
-        message: `Hay un cruce de horario con otra cita (${conflictoInicio.toLocaleTimeString("es-ES", { hour: "2-digit", minute: "2-digit" })} - ${conflictoFin.toLocaleTimeString("es-ES", { hour: "2-digit", minute: "2-digit" })}). Edite o escoja otro horario.`,
+        message: errorAgenda,
       })
     }
 
@@ -156,10 +131,12 @@ export const createCita = async (req, res) => {
       duracion: duracionNum,
       motivo,
       tipoExamen,
+      recursos,
       estado: "Pendiente",
     })
 
     await nuevaCita.save()
+    await registrarAuditoria(req, { accion: "crear", entidad: "Cita", despues: nuevaCita })
 
     res.status(201).json({
       success: true,
@@ -175,6 +152,9 @@ export const createCita = async (req, res) => {
   }
 }
 
+const mismoId = (a, b) => String(a ?? "") === String(b ?? "")
+const mismosRecursos = (a = [], b = []) => a.map(String).sort().join() === b.map(String).sort().join()
+
 // Actualizar cita
 export const updateCita = async (req, res) => {
   try {
@@ -189,6 +169,7 @@ export const updateCita = async (req, res) => {
       motivo,
       tipoExamen,
       pacienteId,
+      medicoId,
     } = req.body
 
     const cita = await Cita.findById(id)
@@ -200,48 +181,116 @@ export const updateCita = async (req, res) => {
       })
     }
 
-    // Si se actualiza fecha/hora o duración, validar cruces (excluyendo esta cita)
-    if (fechaHora || duracion !== undefined) {
-      const nuevaFechaHora = fechaHora ? new Date(fechaHora) : cita.fechaHora
-      const nuevaDuracion = duracion !== undefined ? parseInt(duracion, 10) : cita.duracion || 15
+    const antes = cita.toObject()
 
-      if (isNaN(nuevaDuracion) || nuevaDuracion < 5 || nuevaDuracion > 120) {
+    // Los recursos siguen al tipo de examen salvo que se envíen explícitamente
+    let nuevosRecursos = null
+    if (req.body.recursos !== undefined || (tipoExamen && tipoExamen !== cita.tipoExamen)) {
+      nuevosRecursos = await resolverRecursos(req.body.recursos, tipoExamen || cita.tipoExamen)
+      if (!nuevosRecursos) {
+        return res.status(400).json({ success: false, message: "Recurso inválido" })
+      }
+    }
+
+    // El formulario envía todos los campos: solo cuenta lo que de verdad cambia
+    const nuevaFechaHora = fechaHora ? new Date(fechaHora) : cita.fechaHora
+    if (isNaN(nuevaFechaHora)) {
+      return res.status(400).json({
+        success: false,
+        message: "Fecha y hora inválidas",
+      })
+    }
+    const nuevaDuracion = duracion !== undefined ? parseInt(duracion, 10) : cita.duracion || 15
+    const nuevoMedicoId = medicoId !== undefined ? medicoId || null : cita.medicoId
+    const nuevoPacienteId = pacienteId || cita.pacienteId
+
+    const cambiaHorario =
+      nuevaFechaHora.getTime() !== cita.fechaHora.getTime() || !mismoId(nuevoMedicoId, cita.medicoId)
+    const cambiaAgenda =
+      cambiaHorario ||
+      nuevaDuracion !== (cita.duracion || 15) ||
+      !mismoId(nuevoPacienteId, cita.pacienteId) ||
+      (nuevosRecursos && !mismosRecursos(nuevosRecursos, cita.recursos))
+
+    if (cambiaAgenda) {
+      // Una cita cancelada o atendida es un registro cerrado
+      if (!TRANSICIONES_CITA[cita.estado]?.length) {
         return res.status(400).json({
           success: false,
-          message: "La duración debe estar entre 5 y 120 minutos",
+          message: `Una cita ${cita.estado} no se puede mover ni cambiar de médico o paciente`,
+        })
+      }
+      // Mover la cita ya la deja Reprogramada; otro estado se pide aparte
+      if (cambiaHorario && estado && estado !== cita.estado) {
+        return res.status(400).json({
+          success: false,
+          message: "Cambie el horario y el estado de la cita por separado",
         })
       }
 
-      const citaConflictiva = await validarCruceCitas(nuevaFechaHora, nuevaDuracion, id)
-
-      if (citaConflictiva) {
-        const conflictoInicio = new Date(citaConflictiva.fechaHora)
-        const conflictoFin = new Date(
-          conflictoInicio.getTime() + (citaConflictiva.duracion || 15) * 60000,
-        )
+      if (isNaN(nuevaDuracion) || nuevaDuracion < 5 || nuevaDuracion > 120) {
         return res.status(400).json({
           success: false,
-          message: `Hay un cruce de horario con otra cita (${conflictoInicio.toLocaleTimeString("es-ES", { hour: "2-digit", minute: "2-digit" })} - ${conflictoFin.toLocaleTimeString("es-ES", { hour: "2-digit", minute: "2-digit" })}). Edite o escoja otro horario.`,
+          message: "La duración debe estar entre 5 y 120 minutos",
         })
       }
 
-      cita.fechaHora = nuevaFechaHora
       cita.duracion = nuevaDuracion
+      cita.pacienteId = nuevoPacienteId
+      if (nuevosRecursos) cita.recursos = nuevosRecursos
+
+      // Un nuevo horario o médico pasa por moverCita, como reprogramarCita: valida la agenda,
+      // anota la reprogramación en el historial y avisa al paciente
+      const errorAgenda = cambiaHorario
+        ? await moverCita(cita, {
+            inicio: nuevaFechaHora,
+            medicoId: nuevoMedicoId,
+            actorId: req.usuario.id,
+            motivo: req.body.motivoEstado || null,
+            contarReprogramacion: false,
+          })
+        : await validarAgenda({
+            inicio: cita.fechaHora,
+            duracion: cita.duracion,
+            medicoId: cita.medicoId,
+            pacienteId: cita.pacienteId,
+            excluirId: id,
+            recursos: cita.recursos,
+          })
+
+      if (errorAgenda) {
+        return res.status(400).json({
+          success: false,
+          message: errorAgenda,
+        })
+      }
     }
 
     // Actualizar otros campos
-    if (pacienteId) cita.pacienteId = pacienteId
     if (tipoExamen) cita.tipoExamen = tipoExamen
     if (motivo !== undefined) cita.motivo = motivo
 
-    if (estado) {
-      cita.estado = estado
+    if (estado && estado !== cita.estado) {
+      const errorEstado = cita.cambiarEstado(estado, {
+        actorId: req.usuario.id,
+        motivo: req.body.motivoEstado || motivoCancelacion,
+      })
+      if (errorEstado) {
+        return res.status(400).json({
+          success: false,
+          message: errorEstado,
+        })
+      }
 
       // Si se marca como atendida, registrar la fecha
       if (estado === "Atendida") {
         cita.fechaAtendida = new Date()
       }
 
+      if (estado === "Confirmada") {
+        encolarNotificacion(cita, "confirmacion")
+      }
+
       // Si se cancela, registrar quién y por qué
       if (estado === "Cancelada") {
         cita.canceladoPor = canceladoPor || "Admin"
@@ -252,6 +301,9 @@ export const updateCita = async (req, res) => {
     if (notasMedico !== undefined) cita.notasMedico = notasMedico
 
     await cita.save()
+    await registrarAuditoria(req, { accion: "actualizar", entidad: "Cita", antes, despues: cita })
+    if (cita.estado !== antes.estado) await registrarAsistencia(cita)
+    liberarHueco(antes, cita)
 
     res.json({
       success: true,
@@ -281,6 +333,9 @@ export const deleteCita = async (req, res) => {
       })
     }
 
+    await registrarAuditoria(req, { accion: "eliminar", entidad: "Cita", antes: cita })
+    liberarHueco(cita)
+
     res.json({
       success: true,
       message: "Cita eliminada exitosamente",
@@ -299,7 +354,7 @@ export const confirmarCita = async (req, res) => {
   try {
     const { id } = req.params
 
-    const cita = await Cita.findByIdAndUpdate(id, { estado: "Confirmada" }, { new: true })
+    const cita = await Cita.findById(id)
 
     if (!cita) {
       return res.status(404).json({
@@ -308,6 +363,19 @@ export const confirmarCita = async (req, res) => {
       })
     }
 
+    const antes = cita.toObject()
+    const errorEstado = cita.cambiarEstado("Confirmada", { actorId: req.usuario.id })
+    if (errorEstado) {
+      return res.status(400).json({
+        success: false,
+        message: errorEstado,
+      })
+    }
+
+    encolarNotificacion(cita, "confirmacion")
+    await cita.save()
+    await registrarAuditoria(req, { accion: "confirmar", entidad: "Cita", antes, despues: cita })
+
     res.json({
       success: true,
       message: "Cita confirmada exitosamente",
@@ -326,17 +394,17 @@ export const confirmarCita = async (req, res) => {
 export const reprogramarCita = async (req, res) => {
   try {
     const { id } = req.params
-    const { nuevaFechaHora } = req.body
+    const { nuevaFechaHora, medicoId, motivo } = req.body
 
-    const cita = await Cita.findByIdAndUpdate(
-      id,
-      {
-        fechaHora: new Date(nuevaFechaHora),
-        estado: "Reprogramada",
-      },
-      { new: true },
-    )
+    const inicio = new Date(nuevaFechaHora)
+    if (!nuevaFechaHora || isNaN(inicio)) {
+      return res.status(400).json({
+        success: false,
+        message: "Indique la nueva fecha y hora",
+      })
+    }
 
+    const cita = await Cita.findById(id)
     if (!cita) {
       return res.status(404).json({
         success: false,
@@ -344,6 +412,26 @@ export const reprogramarCita = async (req, res) => {
       })
     }
 
+    // Mismas reglas que al crear: calendario de la clínica, horario del médico y cruces.
+    // La reprograma el personal: no cuenta para el límite de reprogramaciones del paciente
+    const antes = cita.toObject()
+    const errorAgenda = await moverCita(cita, {
+      inicio,
+      medicoId: medicoId ?? cita.medicoId,
+      actorId: req.usuario.id,
+      motivo,
+      contarReprogramacion: false,
+    })
+    if (errorAgenda) {
+      return res.status(400).json({
+        success: false,
+        message: errorAgenda,
+      })
+    }
+
+    await registrarAuditoria(req, { accion: "reprogramar", entidad: "Cita", antes, despues: cita })
+    liberarHueco(antes, cita)
+
     res.json({
       success: true,
       message: "Cita reprogramada exitosamente",
@@ -364,15 +452,7 @@ export const cancelarCita = async (req, res) => {
     const { id } = req.params
     const { motivo, canceladoPor } = req.body
 
-    const cita = await Cita.findByIdAndUpdate(
-      id,
-      {
-        estado: "Cancelada",
-        motivoCancelacion: motivo || "Sin especificar",
-        canceladoPor: canceladoPor || "Admin",
-      },
-      { new: true },
-    )
+    const cita = await Cita.findById(id)
 
     if (!cita) {
       return res.status(404).json({
@@ -381,6 +461,22 @@ export const cancelarCita = async (req, res) => {
       })
     }
 
+    const antes = cita.toObject()
+    const errorEstado = cita.cambiarEstado("Cancelada", { actorId: req.usuario.id, motivo })
+    if (errorEstado) {
+      return res.status(400).json({
+        success: false,
+        message: errorEstado,
+      })
+    }
+
+    cita.motivoCancelacion = motivo || "Sin especificar"
+    cita.canceladoPor = canceladoPor || "Admin"
+    await cita.save()
+
+    await registrarAuditoria(req, { accion: "cancelar", entidad: "Cita", antes, despues: cita })
+    liberarHueco(antes, cita)
+
     res.json({
       success: true,
       message: "Cita cancelada exitosamente",
@@ -401,15 +497,7 @@ export const marcarAtendida = async (req, res) => {
     const { id } = req.params
     const { notasMedico } = req.body
 
-    const cita = await Cita.findByIdAndUpdate(
-      id,
-      {
-        estado: "Atendida",
-        fechaAtendida: new Date(),
-        notasMedico: notasMedico || null,
-      },
-      { new: true },
-    )
+    const cita = await Cita.findById(id)
 
     if (!cita) {
       return res.status(404).json({
@@ -418,6 +506,22 @@ export const marcarAtendida = async (req, res) => {
       })
     }
 
+    const antes = cita.toObject()
+    const errorEstado = cita.cambiarEstado("Atendida", { actorId: req.usuario.id })
+    if (errorEstado) {
+      return res.status(400).json({
+        success: false,
+        message: errorEstado,
+      })
+    }
+
+    cita.fechaAtendida = new Date()
+    cita.notasMedico = notasMedico || null
+    await cita.save()
+
+    await registrarAuditoria(req, { accion: "atender", entidad: "Cita", antes, despues: cita })
+    await registrarAsistencia(cita)
+
     res.json({
       success: true,
       message: "Cita marcada como atendida",
@@ -431,3 +535,45 @@ export const marcarAtendida = async (req, res) => {
     })
   }
 }
+
+// Marcar que el paciente no se presentó
+export const marcarNoAsistio = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { motivo } = req.body
+
+    const cita = await Cita.findById(id)
+
+    if (!cita) {
+      return res.status(404).json({
+        success: false,
+        message: "Cita no encontrada",
+      })
+    }
+
+    const antes = cita.toObject()
+    const errorEstado = cita.cambiarEstado("No asistió", { actorId: req.usuario.id, motivo })
+    if (errorEstado) {
+      return res.status(400).json({
+        success: false,
+        message: errorEstado,
+      })
+    }
+
+    await cita.save()
+    await registrarAuditoria(req, { accion: "no_asistio", entidad: "Cita", antes, despues: cita })
+    await registrarAsistencia(cita)
+
+    res.json({
+      success: true,
+      message: "Cita marcada como no asistida",
+      data: cita,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al marcar inasistencia",
+      error: error.message,
+    })
+  }
+}
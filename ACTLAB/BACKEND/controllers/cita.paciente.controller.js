@@ -1,58 +1,235 @@
+// controllers/cita.paciente.controller.js
+import mongoose from "mongoose";
 import Cita from "../models/Cita.js";
-import Usuario from "../models/Usuario.js";
+import Medico from "../models/Medico.js";
+import { pacientesAccesibles, puedeActuarPor } from "../services/tutelas.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+import { moverCita, validarAgenda } from "../services/agenda.js";
+import { obtenerPoliticaCitas, validarPoliticaPaciente } from "../services/politicaCitas.js";
+import { liberarHueco } from "../services/listaEspera.js";
+import { recursosRequeridos } from "../services/recursos.js";
+import { revisarInasistencias } from "../services/inasistencias.js";
 
-// Crear nueva cita
-export const crearCita = async (req, res) => {
+// Las citas solicitadas desde el portal ocupan un bloque fijo
+const DURACION_SOLICITUD = 30;
+
+const SIN_PERMISO = { success: false, message: "No tiene permisos para esta acción" };
+
+// Busca la cita y comprueba que sea del paciente o de un dependiente; si no, responde el error y devuelve null
+const cargarCitaPropia = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ success: false, message: "Cita no encontrada" });
+    return null;
+  }
+
+  const cita = await Cita.findById(req.params.id);
+  if (!cita) {
+    res.status(404).json({ success: false, message: "Cita no encontrada" });
+    return null;
+  }
+
+  if (!(await puedeActuarPor(req.usuario, cita.pacienteId))) {
+    res.status(403).json(SIN_PERMISO);
+    return null;
+  }
+
+  return cita;
+};
+
+// --- Citas del paciente y de sus dependientes (filtros opcionales: pacienteId, estado) ---
+export const getMisCitas = async (req, res) => {
   try {
-    const { email, especialidad, fechaCita, horario, motivoCita } = req.body;
+    const { pacienteId, estado } = req.query;
 
-    if (!email || !especialidad || !fechaCita || !horario || !motivoCita) {
-      return res.status(400).json({ message: "Todos los campos son obligatorios." });
+    const accesibles = await pacientesAccesibles(req.usuario);
+    // No es un problema de permisos: la cuenta aún espera su ficha (403 cerraría la sesión en el portal)
+    if (accesibles.length === 0) {
+      return res.status(409).json({ success: false, message: "Su cuenta no está vinculada a una ficha de paciente" });
     }
+    if (pacienteId && !accesibles.includes(String(pacienteId))) {
+      return res.status(403).json(SIN_PERMISO);
+    }
+
+    const filtro = { pacienteId: pacienteId || { $in: accesibles } };
+    if (estado) filtro.estado = estado;
 
-    const usuario = await Usuario.findOne({ email });
-    if (!usuario) {
-      return res.status(404).json({ message: "El usuario no existe." });
+    const citas = await Cita.find(filtro)
+      .populate("pacienteId", "nombres apellidos num_documento")
+      .populate("medicoId", "nombres apellidos especialidades foto")
+      .sort({ fechaHora: -1 });
+
+    res.json({ success: true, data: citas, total: citas.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener citas", error: error.message });
+  }
+};
+
+// --- Detalle de una cita propia o de un dependiente ---
+export const getMiCita = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Cita no encontrada" });
+    }
+
+    const cita = await Cita.findById(req.params.id)
+      .populate("pacienteId", "nombres apellidos num_documento")
+      .populate("medicoId", "nombres apellidos especialidades foto");
+    if (!cita) {
+      return res.status(404).json({ success: false, message: "Cita no encontrada" });
+    }
+
+    if (!(await puedeActuarPor(req.usuario, cita.pacienteId?._id))) {
+      return res.status(403).json(SIN_PERMISO);
+    }
+
+    res.json({ success: true, data: cita });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener cita", error: error.message });
+  }
+};
+
+// --- Solicitar una cita en un horario libre (para sí o para un dependiente) ---
+export const solicitarCita = async (req, res) => {
+  try {
+    const { medicoId, fechaHora, especialidad, motivo } = req.body;
+    const pacienteId = req.body.pacienteId || req.usuario.pacienteId;
+
+    if (!pacienteId) {
+      return res.status(409).json({ success: false, message: "Su cuenta no está vinculada a una ficha de paciente" });
+    }
+    if (!(await puedeActuarPor(req.usuario, pacienteId))) {
+      return res.status(403).json(SIN_PERMISO);
     }
 
-    const nuevaCita = new Cita({
-      email,
-      especialidad,
-      fechaCita,
-      horario,
-      motivoCita,
+    if (!medicoId || !fechaHora || !motivo?.trim()) {
+      return res.status(400).json({ success: false, message: "Seleccione un horario e indique el motivo de la cita" });
+    }
+
+    if (!mongoose.isValidObjectId(medicoId)) {
+      return res.status(400).json({ success: false, message: "Médico inválido" });
+    }
+
+    const inicio = new Date(fechaHora);
+    if (isNaN(inicio) || inicio <= new Date()) {
+      return res.status(400).json({ success: false, message: "El horario seleccionado ya no está disponible" });
+    }
+
+    if (especialidad) {
+      const medico = await Medico.findById(medicoId).select("especialidades");
+      if (medico && !medico.especialidades.includes(especialidad)) {
+        return res.status(400).json({ success: false, message: "El médico no atiende esa especialidad" });
+      }
+    }
+
+    const { error: errorInasistencias, confirmacionRequerida } = await revisarInasistencias(pacienteId);
+    if (errorInasistencias) {
+      return res.status(409).json({ success: false, message: errorInasistencias });
+    }
+
+    // Mismas reglas que al agendar desde recepción
+    const tipoExamen = especialidad ? "Especialidad" : "Consulta General";
+    const recursos = await recursosRequeridos(tipoExamen);
+    const errorAgenda = await validarAgenda({ inicio, duracion: DURACION_SOLICITUD, medicoId, pacienteId, recursos });
+    if (errorAgenda) {
+      return res.status(400).json({ success: false, message: errorAgenda });
+    }
+
+    const cita = await Cita.create({
+      pacienteId,
+      medicoId,
+      fechaHora: inicio,
+      duracion: DURACION_SOLICITUD,
+      motivo: motivo.trim(),
+      especialidad: especialidad || null,
+      tipoExamen,
+      recursos,
+      estado: "Pendiente",
+      confirmacionRequerida,
     });
 
-    await nuevaCita.save();
-    res.status(201).json({ message: "Cita creada correctamente.", cita: nuevaCita });
+    await registrarAuditoria(req, { accion: "crear", entidad: "Cita", despues: cita });
+
+    const message = confirmacionRequerida
+      ? "Cita solicitada. La clínica se comunicará con usted para confirmarla"
+      : "Cita solicitada correctamente";
+    res.status(201).json({ success: true, message, data: cita });
   } catch (error) {
-    console.error("Error al crear la cita:", error);
-    res.status(500).json({ message: "Error interno del servidor." });
+    res.status(500).json({ success: false, message: "Error al solicitar la cita", error: error.message });
   }
 };
 
-// Obtener todas las citas
-export const obtenerCitas = async (req, res) => {
+// --- Cancelar una cita propia según la política de la clínica ---
+export const cancelarMiCita = async (req, res) => {
   try {
-    const citas = await Cita.find();
-    res.json(citas);
+    const motivo = req.body.motivo?.trim();
+    if (!motivo) {
+      return res.status(400).json({ success: false, message: "Indique el motivo de la cancelación" });
+    }
+
+    const cita = await cargarCitaPropia(req, res);
+    if (!cita) return;
+
+    const errorPolitica = validarPoliticaPaciente(cita, "cancelar", await obtenerPoliticaCitas());
+    if (errorPolitica) {
+      return res.status(400).json({ success: false, message: errorPolitica });
+    }
+
+    const antes = cita.toObject();
+    const errorEstado = cita.cambiarEstado("Cancelada", { actorId: req.usuario.id, motivo });
+    if (errorEstado) {
+      return res.status(400).json({ success: false, message: errorEstado });
+    }
+    cita.canceladoPor = "Paciente";
+    cita.motivoCancelacion = motivo;
+    await cita.save();
+
+    await registrarAuditoria(req, { accion: "cancelar", entidad: "Cita", antes, despues: cita });
+    liberarHueco(antes, cita);
+
+    res.json({ success: true, message: "Cita cancelada", data: cita });
   } catch (error) {
-    res.status(500).json({ message: "Error al obtener las citas." });
+    res.status(500).json({ success: false, message: "Error al cancelar la cita", error: error.message });
   }
 };
 
-// Obtener citas por email
-export const obtenerCitaPorEmail = async (req, res) => {
+// --- Reprogramar una cita propia a otro horario libre según la política de la clínica ---
+export const reprogramarMiCita = async (req, res) => {
   try {
-    const { email } = req.params;
-    const citas = await Cita.find({ email });
+    const { fechaHora, medicoId } = req.body;
+
+    const inicio = new Date(fechaHora);
+    if (!fechaHora || isNaN(inicio) || inicio <= new Date()) {
+      return res.status(400).json({ success: false, message: "Seleccione un nuevo horario disponible" });
+    }
 
-    if (citas.length === 0) {
-      return res.status(404).json({ message: "No se encontraron citas para este correo." });
+    if (medicoId && !mongoose.isValidObjectId(medicoId)) {
+      return res.status(400).json({ success: false, message: "Médico inválido" });
     }
 
-    res.json(citas);
+    const cita = await cargarCitaPropia(req, res);
+    if (!cita) return;
+
+    const errorPolitica = validarPoliticaPaciente(cita, "reprogramar", await obtenerPoliticaCitas());
+    if (errorPolitica) {
+      return res.status(400).json({ success: false, message: errorPolitica });
+    }
+
+    const antes = cita.toObject();
+    const errorAgenda = await moverCita(cita, {
+      inicio,
+      medicoId: medicoId || cita.medicoId,
+      actorId: req.usuario.id,
+      motivo: "Reprogramada por el paciente",
+    });
+    if (errorAgenda) {
+      return res.status(400).json({ success: false, message: errorAgenda });
+    }
+
+    await registrarAuditoria(req, { accion: "reprogramar", entidad: "Cita", antes, despues: cita });
+    liberarHueco(antes, cita);
+
+    res.json({ success: true, message: "Cita reprogramada", data: cita });
   } catch (error) {
-    res.status(500).json({ message: "Error al obtener la cita por email." });
+    res.status(500).json({ success: false, message: "Error al reprogramar la cita", error: error.message });
   }
 };
@@ -0,0 +1,168 @@
+// controllers/configuracion.controller.js
+import mongoose from "mongoose";
+import Configuracion from "../models/Configuracion.js";
+import Recurso from "../models/Recurso.js";
+import { ZONA_CLINICA } from "../models/horario.js";
+import { ROLES } from "../models/Usuario.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+
+// --- Políticas de seguridad ---
+export const getSeguridad = async (req, res) => {
+  try {
+    const config = await Configuracion.obtener();
+    res.json({ success: true, data: { roles2FAObligatorio: config.roles2FAObligatorio } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener configuración", error: error.message });
+  }
+};
+
+export const updateSeguridad = async (req, res) => {
+  try {
+    const { roles2FAObligatorio } = req.body;
+
+    if (!Array.isArray(roles2FAObligatorio) || roles2FAObligatorio.some((r) => !Object.values(ROLES).includes(r))) {
+      return res.status(400).json({ success: false, message: "Lista de roles inválida" });
+    }
+
+    const config = await Configuracion.obtener();
+    const antes = config.toObject();
+    config.roles2FAObligatorio = [...new Set(roles2FAObligatorio)];
+    await config.save();
+    await registrarAuditoria(req, { accion: "actualizar", entidad: "Configuracion", antes, despues: config });
+
+    res.json({
+      success: true,
+      message: "Configuración actualizada",
+      data: { roles2FAObligatorio: config.roles2FAObligatorio },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al actualizar configuración", error: error.message });
+  }
+};
+
+// --- Zona horaria de la clínica (pública: las pantallas sin sesión también muestran horas) ---
+export const getZonaHoraria = (req, res) => {
+  res.json({ success: true, data: { zona: ZONA_CLINICA } });
+};
+
+// --- Calendario de atención (lectura para cualquier usuario con sesión) ---
+export const getCalendario = async (req, res) => {
+  try {
+    const config = await Configuracion.obtener();
+    res.json({ success: true, data: config.calendario });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener calendario", error: error.message });
+  }
+};
+
+export const updateCalendario = async (req, res) => {
+  try {
+    const { semana, feriados, cierres, horariosEspeciales } = req.body;
+
+    const config = await Configuracion.obtener();
+    const antes = config.toObject();
+    if (semana !== undefined) config.calendario.semana = semana;
+    if (feriados !== undefined) config.calendario.feriados = feriados;
+    if (cierres !== undefined) config.calendario.cierres = cierres;
+    if (horariosEspeciales !== undefined) config.calendario.horariosEspeciales = horariosEspeciales;
+
+    try {
+      await config.save();
+    } catch (error) {
+      if (error.name !== "ValidationError") throw error;
+      const detalle = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ success: false, message: detalle[0], errores: detalle });
+    }
+    await registrarAuditoria(req, { accion: "actualizar_calendario", entidad: "Configuracion", antes, despues: config });
+
+    res.json({ success: true, message: "Calendario actualizado", data: config.calendario });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al actualizar calendario", error: error.message });
+  }
+};
+
+// --- Política de cancelación y reprogramación (lectura para cualquier usuario con sesión) ---
+export const getPoliticaCitas = async (req, res) => {
+  try {
+    const config = await Configuracion.obtener();
+    res.json({ success: true, data: config.politicaCitas });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener la política de citas", error: error.message });
+  }
+};
+
+export const updatePoliticaCitas = async (req, res) => {
+  try {
+    const { anticipacionHoras, maxReprogramaciones, estadosBloqueados, inasistencias } = req.body;
+
+    if (estadosBloqueados !== undefined && !Array.isArray(estadosBloqueados)) {
+      return res.status(400).json({ success: false, message: "Lista de estados inválida" });
+    }
+
+    const config = await Configuracion.obtener();
+    const antes = config.toObject();
+    if (anticipacionHoras !== undefined) config.politicaCitas.anticipacionHoras = anticipacionHoras;
+    if (maxReprogramaciones !== undefined) config.politicaCitas.maxReprogramaciones = maxReprogramaciones;
+    if (estadosBloqueados !== undefined) config.politicaCitas.estadosBloqueados = [...new Set(estadosBloqueados)];
+    if (inasistencias?.umbral !== undefined) config.politicaCitas.inasistencias.umbral = inasistencias.umbral;
+    if (inasistencias?.accion !== undefined) config.politicaCitas.inasistencias.accion = inasistencias.accion;
+
+    try {
+      await config.save();
+    } catch (error) {
+      if (error.name !== "ValidationError") throw error;
+      const detalle = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ success: false, message: detalle[0], errores: detalle });
+    }
+    await registrarAuditoria(req, { accion: "actualizar_politica_citas", entidad: "Configuracion", antes, despues: config });
+
+    res.json({ success: true, message: "Política de citas actualizada", data: config.politicaCitas });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al actualizar la política de citas", error: error.message });
+  }
+};
+
+// --- Recursos que ocupa cada tipo de examen (lectura para cualquier usuario con sesión) ---
+export const getRecursosPorTipo = async (req, res) => {
+  try {
+    const config = await Configuracion.obtener();
+    res.json({ success: true, data: config.recursosPorTipo });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener los recursos por tipo", error: error.message });
+  }
+};
+
+export const updateRecursosPorTipo = async (req, res) => {
+  try {
+    const { recursosPorTipo } = req.body;
+
+    if (!Array.isArray(recursosPorTipo) || recursosPorTipo.some((r) => !Array.isArray(r?.recursos))) {
+      return res.status(400).json({ success: false, message: "Lista de recursos inválida" });
+    }
+
+    const ids = [...new Set(recursosPorTipo.flatMap((r) => r.recursos.map(String)))];
+    if (ids.some((id) => !mongoose.isValidObjectId(id)) || (await Recurso.countDocuments({ _id: { $in: ids } })) < ids.length) {
+      return res.status(400).json({ success: false, message: "Recurso no encontrado" });
+    }
+
+    const config = await Configuracion.obtener();
+    const antes = config.toObject();
+    // Los tipos sin recursos no se guardan
+    config.recursosPorTipo = recursosPorTipo
+      .filter((r) => r.recursos.length > 0)
+      .map((r) => ({ tipoExamen: r.tipoExamen, recursos: [...new Set(r.recursos.map(String))] }));
+
+    try {
+      await config.save();
+    } catch (error) {
+      if (error.name !== "ValidationError") throw error;
+      const detalle = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ success: false, message: detalle[0], errores: detalle });
+    }
+    await registrarAuditoria(req, { accion: "actualizar_recursos_por_tipo", entidad: "Configuracion", antes, despues: config });
+
+    res.json({ success: true, message: "Recursos por tipo de examen actualizados", data: config.recursosPorTipo });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al actualizar los recursos por tipo", error: error.message });
+  }
+};
@@ -0,0 +1,103 @@
+// controllers/dependiente.controller.js
+import mongoose from "mongoose";
+import Paciente from "../models/Users.js";
+import { crearTutela, listarDependientes, revocarTutela, MAYORIA_EDAD } from "../services/tutelas.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+
+// Edad cumplida a la fecha
+function calcularEdad(fechaNacimiento) {
+  const hoy = new Date();
+  let edad = hoy.getFullYear() - fechaNacimiento.getFullYear();
+  const cumpleEsteAnio = new Date(hoy.getFullYear(), fechaNacimiento.getMonth(), fechaNacimiento.getDate());
+  if (hoy < cumpleEsteAnio) edad--;
+  return edad;
+}
+
+// --- Listar dependientes del tutor autenticado ---
+export const getDependientes = async (req, res) => {
+  try {
+    const tutelas = await listarDependientes(req.usuario.id);
+    res.json({ success: true, data: tutelas, total: tutelas.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener dependientes", error: error.message });
+  }
+};
+
+// --- Registrar un dependiente nuevo (crea su ficha) ---
+export const createDependiente = async (req, res) => {
+  try {
+    const { nombres, apellidos, tipo_documento, num_documento, fecha_nacimiento, genero, parentesco } = req.body;
+
+    if (!nombres || !apellidos || !fecha_nacimiento || !parentesco) {
+      return res.status(400).json({ success: false, message: "Faltan campos obligatorios" });
+    }
+
+    const nacimiento = new Date(fecha_nacimiento);
+    if (isNaN(nacimiento) || nacimiento >= new Date()) {
+      return res.status(400).json({ success: false, message: "Fecha de nacimiento inválida" });
+    }
+
+    // Una ficha existente solo se vincula en recepción, verificando la identidad
+    if (num_documento) {
+      const existe = await Paciente.findOne({ tipo_documento, num_documento });
+      if (existe) {
+        return res.status(409).json({
+          success: false,
+          message: "Ya existe una ficha con ese documento. Solicite el vínculo en recepción.",
+        });
+      }
+    }
+
+    const paciente = await Paciente.create({
+      nombres,
+      apellidos,
+      tipo_documento: num_documento ? tipo_documento : null,
+      num_documento: num_documento || null,
+      fecha_nacimiento: nacimiento,
+      edad: calcularEdad(nacimiento),
+      genero: genero || undefined,
+      origen: "tutor",
+    });
+
+    const tutela = await crearTutela({ tutorId: req.usuario.id, paciente, parentesco });
+    await registrarAuditoria(req, { accion: "crear", entidad: "Paciente", despues: paciente });
+    await registrarAuditoria(req, { accion: "crear", entidad: "Tutela", despues: tutela });
+
+    res.status(201).json({
+      success: true,
+      message:
+        tutela.motivo === "menor"
+          ? `Dependiente registrado. Podrá gestionarlo hasta que cumpla ${MAYORIA_EDAD} años.`
+          : "Dependiente registrado",
+      data: { ...tutela.toObject(), pacienteId: paciente },
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: "Error al registrar dependiente", error: error.message });
+  }
+};
+
+// --- Dejar de gestionar un dependiente ---
+export const deleteDependiente = async (req, res) => {
+  try {
+    const { pacienteId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pacienteId)) {
+      return res.status(400).json({ success: false, message: "ID de paciente inválido" });
+    }
+
+    const tutela = await revocarTutela(req.usuario.id, pacienteId);
+    if (!tutela) {
+      return res.status(404).json({ success: false, message: "Dependiente no encontrado" });
+    }
+
+    await registrarAuditoria(req, {
+      accion: "revocar",
+      entidad: "Tutela",
+      antes: { ...tutela.toObject(), revocada: null },
+      despues: tutela,
+    });
+
+    res.json({ success: true, message: "Ya no gestiona a este paciente" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al quitar dependiente", error: error.message });
+  }
+};
@@ -0,0 +1,42 @@
+// controllers/disponibilidad.controller.js
+import mongoose from "mongoose";
+import { calcularDisponibilidad, DURACION_MAXIMA } from "../services/agenda.js";
+import { resolverRecursos } from "../services/recursos.js";
+
+const FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+// --- Horarios libres de un día (filtros opcionales: especialidad, medicoId, tipoExamen o recursos separados por coma) ---
+export const getDisponibilidad = async (req, res) => {
+  try {
+    const { especialidad, medicoId, fecha, duracion = 15, tipoExamen } = req.query;
+
+    if (!FECHA.test(fecha || "") || isNaN(new Date(fecha))) {
+      return res.status(400).json({ success: false, message: "Indique la fecha en formato AAAA-MM-DD" });
+    }
+
+    const duracionNum = parseInt(duracion, 10);
+    if (isNaN(duracionNum) || duracionNum < 5 || duracionNum > DURACION_MAXIMA) {
+      return res.status(400).json({
+        success: false,
+        message: `La duración debe estar entre 5 y ${DURACION_MAXIMA} minutos`,
+      });
+    }
+
+    if (medicoId && !mongoose.isValidObjectId(medicoId)) {
+      return res.status(400).json({ success: false, message: "Médico inválido" });
+    }
+
+    // Sin recursos explícitos se usan los del tipo de examen (ninguno si no se indica)
+    const lista = req.query.recursos !== undefined ? String(req.query.recursos).split(",").filter(Boolean) : undefined;
+    const recursos = tipoExamen || lista ? await resolverRecursos(lista, tipoExamen) : [];
+    if (!recursos) {
+      return res.status(400).json({ success: false, message: "Recurso inválido" });
+    }
+
+    const horarios = await calcularDisponibilidad({ fecha, duracion: duracionNum, medicoId, especialidad, recursos });
+
+    res.json({ success: true, data: horarios, total: horarios.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al calcular disponibilidad", error: error.message });
+  }
+};
@@ -0,0 +1,122 @@
+// controllers/icalendar.controller.js
+import mongoose from "mongoose";
+import Cita from "../models/Cita.js";
+import Medico from "../models/Medico.js";
+import Paciente from "../models/Users.js";
+import { puedeActuarPor } from "../services/tutelas.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+import { calendarioIcs, eventoCita, feedCitas, generarToken, hashToken, urlSuscripcion } from "../services/icalendar.js";
+
+const SIN_PERMISO = { success: false, message: "No tiene permisos para esta acción" };
+
+// Los feeds responden texto, no JSON: así lo esperan los clientes de calendario
+const enviarIcs = (res, contenido, archivo) => {
+  res.type("text/calendar; charset=utf-8");
+  res.set("Cache-Control", "private, max-age=300");
+  if (archivo) res.attachment(archivo);
+  res.send(contenido);
+};
+
+// Reemplaza el token del documento; el enlace anterior deja de funcionar
+async function rotarToken(req, Modelo, id, entidad) {
+  const doc = await Modelo.findById(id).select("+calendarioTokenHash");
+  if (!doc) return null;
+
+  const antes = doc.toObject();
+  const { token, tokenHash } = generarToken();
+  doc.calendarioTokenHash = tokenHash;
+  await doc.save();
+  await registrarAuditoria(req, { accion: "generar_calendario", entidad, antes, despues: doc });
+  return token;
+}
+
+// --- Feed de suscripción de un médico (sin sesión: el token es la credencial) ---
+export const feedMedico = async (req, res) => {
+  try {
+    const medico = await Medico.findOne({ calendarioTokenHash: hashToken(req.params.token) });
+    if (!medico) return res.status(404).send("Calendario no encontrado");
+
+    const nombre = `Citas Dr(a). ${medico.nombres} ${medico.apellidos}`;
+    enviarIcs(res, await feedCitas({ medicoId: medico._id }, { nombre, vista: "medico" }));
+  } catch (error) {
+    res.status(500).send("Error al generar el calendario");
+  }
+};
+
+// --- Feed de suscripción de un paciente (sin sesión: el token es la credencial) ---
+export const feedPaciente = async (req, res) => {
+  try {
+    const paciente = await Paciente.findOne({ calendarioTokenHash: hashToken(req.params.token) });
+    if (!paciente) return res.status(404).send("Calendario no encontrado");
+
+    const nombre = `Citas ACT Clínica - ${paciente.nombres}`;
+    enviarIcs(res, await feedCitas({ pacienteId: paciente._id }, { nombre, vista: "paciente" }));
+  } catch (error) {
+    res.status(500).send("Error al generar el calendario");
+  }
+};
+
+// --- Generar (o regenerar) el enlace de suscripción de un médico ---
+export const generarCalendarioMedico = async (req, res) => {
+  try {
+    const token = mongoose.isValidObjectId(req.params.id)
+      ? await rotarToken(req, Medico, req.params.id, "Medico")
+      : null;
+    if (!token) {
+      return res.status(404).json({ success: false, message: "Médico no encontrado" });
+    }
+
+    res.json({
+      success: true,
+      message: "Enlace de calendario generado; el anterior dejó de funcionar",
+      data: { url: urlSuscripcion("medicos", token) },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al generar el enlace de calendario", error: error.message });
+  }
+};
+
+// --- Portal: generar (o regenerar) el enlace de suscripción del paciente o de un dependiente ---
+export const generarMiCalendario = async (req, res) => {
+  try {
+    const pacienteId = req.body.pacienteId || req.usuario.pacienteId;
+    if (!pacienteId || !(await puedeActuarPor(req.usuario, pacienteId))) {
+      return res.status(403).json(SIN_PERMISO);
+    }
+
+    const token = await rotarToken(req, Paciente, pacienteId, "Paciente");
+    if (!token) {
+      return res.status(404).json({ success: false, message: "Paciente no encontrado" });
+    }
+
+    res.json({
+      success: true,
+      message: "Enlace de calendario generado; el anterior dejó de funcionar",
+      data: { url: urlSuscripcion("pacientes", token) },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al generar el enlace de calendario", error: error.message });
+  }
+};
+
+// --- Portal: descargar una cita como archivo .ics ---
+export const descargarMiCitaIcs = async (req, res) => {
+  try {
+    const cita = mongoose.isValidObjectId(req.params.id)
+      ? await Cita.findById(req.params.id)
+          .populate("pacienteId", "nombres apellidos")
+          .populate("medicoId", "nombres apellidos")
+      : null;
+    if (!cita) {
+      return res.status(404).json({ success: false, message: "Cita no encontrada" });
+    }
+    if (!(await puedeActuarPor(req.usuario, cita.pacienteId?._id))) {
+      return res.status(403).json(SIN_PERMISO);
+    }
+
+    const ics = calendarioIcs({ nombre: "ACT Clínica", eventos: [eventoCita(cita, "paciente")] });
+    enviarIcs(res, ics, `cita-${cita._id}.ics`);
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al exportar la cita", error: error.message });
+  }
+};
@@ -0,0 +1,273 @@
+// controllers/listaEspera.controller.js
+import mongoose from "mongoose";
+import ListaEspera, { PRIORIDADES_ESPERA } from "../models/ListaEspera.js";
+import { rangoDia } from "../models/horario.js";
+import { pacientesAccesibles, puedeActuarPor } from "../services/tutelas.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+import { buscarOferta, reservarOferta, declinarOferta, pasarAlSiguiente } from "../services/listaEspera.js";
+import { revisarInasistencias } from "../services/inasistencias.js";
+
+const FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Estados en los que la entrada todavía puede recibir un hueco
+const EN_ESPERA = ["Activa", "Ofrecida"];
+
+const SIN_PERMISO = { success: false, message: "No tiene permisos para esta acción" };
+
+const POBLAR = [
+  ["pacienteId", "nombres apellidos num_documento"],
+  ["medicoId", "nombres apellidos especialidades"],
+  ["ofertas.medicoId", "nombres apellidos"],
+];
+
+const poblar = (consulta) => POBLAR.reduce((q, [campo, campos]) => q.populate(campo, campos), consulta);
+
+/**
+ * Crea la entrada con los datos del formulario; responde el error y devuelve null si no es válida
+ * (el rango llega como AAAA-MM-DD e incluye completo el último día)
+ */
+async function crearEntrada(req, res, { pacienteId, prioridad = "normal" }) {
+  const { especialidad, medicoId, desde, hasta, duracion, motivo } = req.body;
+
+  if (!FECHA.test(desde || "") || !FECHA.test(hasta || "")) {
+    res.status(400).json({ success: false, message: "Indique el rango de fechas (AAAA-MM-DD)" });
+    return null;
+  }
+  if (medicoId && !mongoose.isValidObjectId(medicoId)) {
+    res.status(400).json({ success: false, message: "Médico inválido" });
+    return null;
+  }
+
+  const entrada = new ListaEspera({
+    pacienteId,
+    especialidad: especialidad?.trim() || null,
+    medicoId: medicoId || null,
+    desde: rangoDia(desde).inicio,
+    hasta: new Date(rangoDia(hasta).fin - 1),
+    duracion: duracion !== undefined ? parseInt(duracion, 10) : undefined,
+    motivo: motivo?.trim(),
+    prioridad,
+    registradaPor: req.usuario.id,
+  });
+
+  if (entrada.hasta <= new Date()) {
+    res.status(400).json({ success: false, message: "El rango de fechas ya pasó" });
+    return null;
+  }
+
+  try {
+    await entrada.validate();
+  } catch (error) {
+    if (error.name !== "ValidationError") throw error;
+    res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    return null;
+  }
+
+  // Una sola entrada vigente por paciente y especialidad / médico
+  const repetida = await ListaEspera.exists({
+    pacienteId,
+    especialidad: entrada.especialidad,
+    medicoId: entrada.medicoId,
+    estado: { $in: EN_ESPERA },
+  });
+  if (repetida) {
+    res.status(400).json({ success: false, message: "El paciente ya está en la lista de espera para esa atención" });
+    return null;
+  }
+
+  await entrada.save();
+  await registrarAuditoria(req, { accion: "crear", entidad: "ListaEspera", despues: entrada });
+  return entrada;
+}
+
+// Saca la entrada de la lista; si tenía un hueco ofrecido, pasa al siguiente
+async function cancelarEntrada(req, entrada) {
+  const antes = entrada.toObject();
+  const oferta = entrada.ofertas.find((o) => o.estado === "pendiente");
+  if (oferta) {
+    oferta.estado = "anulada";
+    oferta.respondidaEn = new Date();
+  }
+  entrada.estado = "Cancelada";
+  await entrada.save();
+  if (oferta) pasarAlSiguiente(oferta);
+  await registrarAuditoria(req, { accion: "cancelar", entidad: "ListaEspera", antes, despues: entrada });
+}
+
+// --- Lista de espera (filtros opcionales: estado, especialidad, medicoId) ---
+export const getListaEspera = async (req, res) => {
+  try {
+    const { estado, especialidad, medicoId } = req.query;
+
+    const filtro = { estado: estado || { $in: EN_ESPERA } };
+    if (especialidad) filtro.especialidad = especialidad;
+    if (medicoId) filtro.medicoId = medicoId;
+
+    const entradas = await poblar(ListaEspera.find(filtro)).sort({ createdAt: 1 });
+    entradas.sort((a, b) => PRIORIDADES_ESPERA.indexOf(a.prioridad) - PRIORIDADES_ESPERA.indexOf(b.prioridad));
+
+    res.json({ success: true, data: entradas, total: entradas.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener la lista de espera", error: error.message });
+  }
+};
+
+// --- Anotar a un paciente en la lista de espera (recepción) ---
+export const createEntradaEspera = async (req, res) => {
+  try {
+    const { pacienteId, prioridad } = req.body;
+    if (!mongoose.isValidObjectId(pacienteId)) {
+      return res.status(400).json({ success: false, message: "Seleccione el paciente" });
+    }
+
+    const entrada = await crearEntrada(req, res, { pacienteId, prioridad });
+    if (!entrada) return;
+
+    res.status(201).json({ success: true, message: "Paciente agregado a la lista de espera", data: entrada });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al agregar a la lista de espera", error: error.message });
+  }
+};
+
+// --- Sacar a un paciente de la lista de espera (recepción) ---
+export const cancelarEntradaEspera = async (req, res) => {
+  try {
+    const entrada = mongoose.isValidObjectId(req.params.id) ? await ListaEspera.findById(req.params.id) : null;
+    if (!entrada) {
+      return res.status(404).json({ success: false, message: "Entrada no encontrada" });
+    }
+    if (!EN_ESPERA.includes(entrada.estado)) {
+      return res.status(400).json({ success: false, message: `La entrada ya está ${entrada.estado}` });
+    }
+
+    await cancelarEntrada(req, entrada);
+
+    res.json({ success: true, message: "Paciente retirado de la lista de espera", data: entrada });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al retirar de la lista de espera", error: error.message });
+  }
+};
+
+// --- Portal: entradas del paciente y de sus dependientes ---
+export const getMiListaEspera = async (req, res) => {
+  try {
+    const accesibles = await pacientesAccesibles(req.usuario);
+    const entradas = await poblar(ListaEspera.find({ pacienteId: { $in: accesibles } })).sort({ createdAt: -1 });
+
+    res.json({ success: true, data: entradas, total: entradas.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener la lista de espera", error: error.message });
+  }
+};
+
+// --- Portal: anotarse (o a un dependiente) en la lista de espera ---
+export const unirmeListaEspera = async (req, res) => {
+  try {
+    const pacienteId = req.body.pacienteId || req.usuario.pacienteId;
+    if (!pacienteId) {
+      return res.status(409).json({ success: false, message: "Su cuenta no está vinculada a una ficha de paciente" });
+    }
+    if (!(await puedeActuarPor(req.usuario, pacienteId))) {
+      return res.status(403).json(SIN_PERMISO);
+    }
+
+    // Con el bloqueo por inasistencias tampoco se reserva desde la lista de espera
+    const { error: errorInasistencias } = await revisarInasistencias(pacienteId);
+    if (errorInasistencias) {
+      return res.status(409).json({ success: false, message: errorInasistencias });
+    }
+
+    // La prioridad la decide la clínica
+    const entrada = await crearEntrada(req, res, { pacienteId });
+    if (!entrada) return;
+
+    res.status(201).json({
+      success: true,
+      message: "Le avisaremos si se libera un horario en esas fechas",
+      data: entrada,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al unirse a la lista de espera", error: error.message });
+  }
+};
+
+// --- Portal: salir de la lista de espera ---
+export const salirListaEspera = async (req, res) => {
+  try {
+    const entrada = mongoose.isValidObjectId(req.params.id) ? await ListaEspera.findById(req.params.id) : null;
+    if (!entrada) {
+      return res.status(404).json({ success: false, message: "Entrada no encontrada" });
+    }
+    if (!(await puedeActuarPor(req.usuario, entrada.pacienteId))) {
+      return res.status(403).json(SIN_PERMISO);
+    }
+    if (!EN_ESPERA.includes(entrada.estado)) {
+      return res.status(400).json({ success: false, message: `La entrada ya está ${entrada.estado}` });
+    }
+
+    await cancelarEntrada(req, entrada);
+
+    res.json({ success: true, message: "Salió de la lista de espera", data: entrada });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al salir de la lista de espera", error: error.message });
+  }
+};
+
+// --- Enlace de la oferta (sin sesión: el token es la credencial) ---
+export const verOferta = async (req, res) => {
+  try {
+    const encontrada = await buscarOferta(req.params.token);
+    if (!encontrada) {
+      return res.status(404).json({ success: false, message: "El enlace es inválido" });
+    }
+
+    const { entrada, oferta } = encontrada;
+    const estado = oferta.estado === "pendiente" && oferta.expira <= new Date() ? "vencida" : oferta.estado;
+
+    res.json({
+      success: true,
+      data: {
+        paciente: entrada.pacienteId?.nombres || null,
+        medico: oferta.medicoId ? `${oferta.medicoId.nombres} ${oferta.medicoId.apellidos}` : null,
+        especialidad: entrada.especialidad,
+        inicio: oferta.inicio,
+        duracion: entrada.duracion,
+        expira: oferta.expira,
+        estado,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener la oferta", error: error.message });
+  }
+};
+
+export const aceptarOferta = async (req, res) => {
+  try {
+    const resultado = await reservarOferta(req.params.token);
+    if (resultado.error) {
+      return res.status(409).json({ success: false, message: resultado.error });
+    }
+
+    const { entrada, cita } = resultado;
+    const actor = { id: null, role: "paciente" };
+    await registrarAuditoria(req, { accion: "crear", entidad: "Cita", despues: cita, actor });
+    await registrarAuditoria(req, { accion: "aceptar_oferta", entidad: "ListaEspera", despues: entrada, actor });
+
+    res.status(201).json({ success: true, message: "¡Listo! Su cita quedó reservada", data: cita });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al reservar la cita", error: error.message });
+  }
+};
+
+export const rechazarOferta = async (req, res) => {
+  try {
+    const error = await declinarOferta(req.params.token);
+    if (error) {
+      return res.status(409).json({ success: false, message: error });
+    }
+
+    res.json({ success: true, message: "Oferta rechazada; sigue en la lista de espera" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al rechazar la oferta", error: error.message });
+  }
+};
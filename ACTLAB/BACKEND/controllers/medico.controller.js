@@ -0,0 +1,116 @@
+// controllers/medico.controller.js
+import Medico from "../models/Medico.js";
+import Cita from "../models/Cita.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+
+// Datos visibles sin sesión (landing y portal del paciente)
+const CAMPOS_PUBLICOS = "nombres apellidos cmp especialidades foto horario";
+
+const esCmpDuplicado = (error) => error?.code === 11000;
+
+// Solo se aceptan los campos del modelo; las especialidades llegan como lista o texto separado por comas
+const datosMedico = ({ nombres, apellidos, cmp, especialidades, foto, horario, excepciones, activo }) => {
+  const datos = { nombres, apellidos, cmp, foto, horario, excepciones, activo };
+  if (especialidades !== undefined) {
+    const lista = Array.isArray(especialidades) ? especialidades : String(especialidades).split(",");
+    datos.especialidades = [...new Set(lista.map((e) => String(e).trim()).filter(Boolean))];
+  }
+  Object.keys(datos).forEach((campo) => datos[campo] === undefined && delete datos[campo]);
+  return datos;
+};
+
+// --- Listado público de médicos activos (filtro opcional: especialidad) ---
+export const getMedicos = async (req, res) => {
+  try {
+    const filtro = { activo: true };
+    if (req.query.especialidad) filtro.especialidades = req.query.especialidad;
+
+    const medicos = await Medico.find(filtro).select(CAMPOS_PUBLICOS).sort({ apellidos: 1 });
+    res.json({ success: true, data: medicos, total: medicos.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener médicos", error: error.message });
+  }
+};
+
+// --- Listado completo para administración (incluye inactivos y excepciones) ---
+export const getTodosMedicos = async (req, res) => {
+  try {
+    const medicos = await Medico.find().sort({ apellidos: 1 });
+    res.json({ success: true, data: medicos, total: medicos.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener médicos", error: error.message });
+  }
+};
+
+// --- Obtener un médico activo por ID ---
+export const getMedicoById = async (req, res) => {
+  try {
+    const medico = await Medico.findOne({ _id: req.params.id, activo: true }).select(CAMPOS_PUBLICOS);
+    if (!medico) {
+      return res.status(404).json({ success: false, message: "Médico no encontrado" });
+    }
+    res.json({ success: true, data: medico });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener médico", error: error.message });
+  }
+};
+
+// --- Crear médico ---
+export const createMedico = async (req, res) => {
+  try {
+    const medico = await Medico.create(datosMedico(req.body));
+    await registrarAuditoria(req, { accion: "crear", entidad: "Medico", despues: medico });
+
+    res.status(201).json({ success: true, message: "Médico creado exitosamente", data: medico });
+  } catch (error) {
+    if (esCmpDuplicado(error)) {
+      return res.status(400).json({ success: false, message: "Ya existe un médico con ese CMP" });
+    }
+    res.status(400).json({ success: false, message: "Error al crear médico", error: error.message });
+  }
+};
+
+// --- Actualizar médico (datos, horario, excepciones o estado) ---
+export const updateMedico = async (req, res) => {
+  try {
+    const medico = await Medico.findById(req.params.id);
+    if (!medico) {
+      return res.status(404).json({ success: false, message: "Médico no encontrado" });
+    }
+
+    const antes = medico.toObject();
+    medico.set(datosMedico(req.body));
+    await medico.save();
+    await registrarAuditoria(req, { accion: "actualizar", entidad: "Medico", antes, despues: medico });
+
+    res.json({ success: true, message: "Médico actualizado", data: medico });
+  } catch (error) {
+    if (esCmpDuplicado(error)) {
+      return res.status(400).json({ success: false, message: "Ya existe un médico con ese CMP" });
+    }
+    res.status(400).json({ success: false, message: "Error al actualizar médico", error: error.message });
+  }
+};
+
+// --- Eliminar médico (solo si no tiene citas; si las tiene, se desactiva) ---
+export const deleteMedico = async (req, res) => {
+  try {
+    if (await Cita.exists({ medicoId: req.params.id })) {
+      return res.status(400).json({
+        success: false,
+        message: "El médico tiene citas registradas. Desactívelo en lugar de eliminarlo",
+      });
+    }
+
+    const medico = await Medico.findByIdAndDelete(req.params.id);
+    if (!medico) {
+      return res.status(404).json({ success: false, message: "Médico no encontrado" });
+    }
+
+    await registrarAuditoria(req, { accion: "eliminar", entidad: "Medico", antes: medico });
+
+    res.json({ success: true, message: "Médico eliminado exitosamente" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al eliminar médico", error: error.message });
+  }
+};
@@ -3,12 +3,24 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import Paciente from "../models/Users.js";
+import Usuario, { ROLES } from "../models/Usuario.js";
+import { confirmarVinculo, detectarCuentaExistente } from "../services/pacientes.js";
+import { crearTutela, puedeActuarPor } from "../services/tutelas.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+import { obtenerPoliticaCitas } from "../services/politicaCitas.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export const getPacientes = async (req, res) => {
   try {
-    const pacientes = await Paciente.find();
+    // ?inasistencias=repetidas: solo quienes llegaron al umbral de inasistencias seguidas
+    const filtro = {};
+    if (req.query.inasistencias === "repetidas") {
+      const { inasistencias } = await obtenerPoliticaCitas();
+      filtro["asistencia.inasistenciasSeguidas"] = { $gte: inasistencias.umbral };
+    }
+
+    const pacientes = await Paciente.find(filtro);
     res.json(pacientes);
   } catch (error) {
     res.status(500).json({ message: "Error al obtener pacientes", error });
@@ -18,6 +30,11 @@ export const getPacientes = async (req, res) => {
 // --- Obtener un paciente por ID ---
 export const getPacienteById = async (req, res) => {
   try {
+    // Un paciente solo puede consultar su ficha y las de sus dependientes
+    if (!(await puedeActuarPor(req.usuario, req.params.id))) {
+      return res.status(403).json({ message: "No tiene permisos para esta acción." });
+    }
+
     const paciente = await Paciente.findById(req.params.id);
     if (!paciente) {
       return res.status(404).json({ message: "Paciente no encontrado" });
@@ -28,13 +45,23 @@ export const getPacienteById = async (req, res) => {
   }
 };
 
+// El vínculo con la cuenta y los contadores de asistencia solo los gestiona el servidor
+const datosEditables = ({ usuarioId, cuentaPendiente, origen, asistencia, ...datos }) => datos;
+
+const esDocumentoDuplicado = (error) => error?.code === 11000;
+
 // --- Crear un paciente ---
 export const createPaciente = async (req, res) => {
   try {
-    const nuevoPaciente = new Paciente(req.body);
+    const nuevoPaciente = new Paciente(datosEditables(req.body));
     await nuevoPaciente.save();
+    await detectarCuentaExistente(nuevoPaciente);
+    await registrarAuditoria(req, { accion: "crear", entidad: "Paciente", despues: nuevoPaciente });
     res.status(201).json(nuevoPaciente);
   } catch (error) {
+    if (esDocumentoDuplicado(error)) {
+      return res.status(400).json({ message: "Ya existe un paciente con ese documento" });
+    }
     res.status(400).json({ message: "Error al crear paciente", error });
   }
 };
@@ -42,16 +69,30 @@ export const createPaciente = async (req, res) => {
 // --- Actualizar un paciente ---
 export const updatePaciente = async (req, res) => {
   try {
+    const datos = datosEditables(req.body);
+
+    // Con cuenta vinculada, el documento queda fijo (es la clave del vínculo)
+    const actual = await Paciente.findById(req.params.id);
+    if (actual?.usuarioId) {
+      delete datos.tipo_documento;
+      delete datos.num_documento;
+    }
+
     const paciente = await Paciente.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      datos,
       { new: true } // devuelve el actualizado
     );
     if (!paciente) {
       return res.status(404).json({ message: "Paciente no encontrado" });
     }
+    await detectarCuentaExistente(paciente);
+    await registrarAuditoria(req, { accion: "actualizar", entidad: "Paciente", antes: actual, despues: paciente });
     res.json(paciente);
   } catch (error) {
+    if (esDocumentoDuplicado(error)) {
+      return res.status(400).json({ message: "Ya existe un paciente con ese documento" });
+    }
     res.status(400).json({ message: "Error al actualizar paciente", error });
   }
 };
@@ -63,8 +104,80 @@ export const deletePaciente = async (req, res) => {
     if (!paciente) {
       return res.status(404).json({ message: "Paciente no encontrado" });
     }
+    if (paciente.usuarioId) {
+      await Usuario.updateOne({ _id: paciente.usuarioId }, { pacienteId: null });
+    }
+    await registrarAuditoria(req, { accion: "eliminar", entidad: "Paciente", antes: paciente });
     res.json({ message: "Paciente eliminado correctamente" });
   } catch (error) {
     res.status(500).json({ message: "Error al eliminar paciente", error });
   }
-};
\ No newline at end of file
+};
+
+// --- Confirmar que la cuenta pendiente es del titular (recepción verificó su identidad) ---
+export const confirmarCuenta = async (req, res) => {
+  try {
+    const paciente = await Paciente.findById(req.params.id);
+    if (!paciente) {
+      return res.status(404).json({ message: "Paciente no encontrado" });
+    }
+
+    const antes = paciente.toObject();
+    const error = await confirmarVinculo(paciente);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const actualizado = await Paciente.findById(paciente._id);
+    await registrarAuditoria(req, { accion: "vincular_cuenta", entidad: "Paciente", antes, despues: actualizado });
+    res.json(actualizado);
+  } catch (error) {
+    res.status(500).json({ message: "Error al vincular la cuenta", error });
+  }
+};
+
+// --- Rechazar la cuenta pendiente (no se pudo verificar que sea del titular) ---
+export const rechazarCuenta = async (req, res) => {
+  try {
+    const antes = await Paciente.findById(req.params.id);
+    if (!antes) {
+      return res.status(404).json({ message: "Paciente no encontrado" });
+    }
+    if (!antes.cuentaPendiente) {
+      return res.status(400).json({ message: "La ficha no tiene una cuenta por vincular" });
+    }
+
+    const paciente = await Paciente.findByIdAndUpdate(req.params.id, { cuentaPendiente: null }, { new: true });
+    await registrarAuditoria(req, { accion: "rechazar_cuenta", entidad: "Paciente", antes, despues: paciente });
+    res.json(paciente);
+  } catch (error) {
+    res.status(500).json({ message: "Error al rechazar la cuenta", error });
+  }
+};
+
+// --- Vincular un tutor (cuenta de paciente) a una ficha existente ---
+export const addTutor = async (req, res) => {
+  try {
+    const { tipo_documento, num_documento, parentesco } = req.body;
+
+    const paciente = await Paciente.findById(req.params.id);
+    if (!paciente) {
+      return res.status(404).json({ message: "Paciente no encontrado" });
+    }
+
+    const tutor = await Usuario.findOne({ tipo_documento, num_documento, role: ROLES.PACIENTE });
+    if (!tutor) {
+      return res.status(404).json({ message: "No hay una cuenta de paciente con ese documento" });
+    }
+
+    if (String(tutor.pacienteId) === String(paciente._id)) {
+      return res.status(400).json({ message: "El tutor no puede ser el mismo paciente" });
+    }
+
+    const tutela = await crearTutela({ tutorId: tutor._id, paciente, parentesco });
+    await registrarAuditoria(req, { accion: "vincular_tutor", entidad: "Tutela", despues: tutela });
+    res.status(201).json(tutela);
+  } catch (error) {
+    res.status(400).json({ message: "Error al vincular tutor", error });
+  }
+};
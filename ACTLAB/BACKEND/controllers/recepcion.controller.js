@@ -0,0 +1,140 @@
+// controllers/recepcion.controller.js
+import mongoose from "mongoose";
+import Cita from "../models/Cita.js";
+import { rangoDia } from "../models/horario.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+import { registrarAsistencia } from "../services/inasistencias.js";
+import {
+  esperaPromedio,
+  eventosCola,
+  finalizarAtencion,
+  iniciarAtencion,
+  llamarTicket,
+  registrarLlegada,
+  salaDeCita,
+  tableroSalaEspera,
+} from "../services/colaAtencion.js";
+
+// Intervalo del comentario que mantiene abierta la conexión de la pantalla (proxies cierran las inactivas)
+const LATIDO_MS = 25000;
+
+// Conexiones abiertas de las pantallas de la sala de espera
+const pantallas = new Set();
+
+const escribirEvento = (res, tablero) => res.write(`data: ${JSON.stringify(tablero)}\n\n`);
+
+// Cada cambio de la cola arma el tablero una vez y lo envía a todas las pantallas
+eventosCola.on("cambio", async () => {
+  if (pantallas.size === 0) return;
+  try {
+    const tablero = await tableroSalaEspera();
+    pantallas.forEach((res) => escribirEvento(res, tablero));
+  } catch (error) {
+    console.error("Error al enviar la sala de espera:", error.message);
+  }
+});
+
+const buscarCita = (id) => (mongoose.isValidObjectId(id) ? Cita.findById(id) : null);
+
+/**
+ * Aplica un paso de la atención a la cita, la guarda y audita (al guardarse avisa a la sala de espera)
+ * @param {(cita: object) => Promise<string|null>|string|null} paso - Devuelve el error o null
+ * @param {(cita: object) => Promise<void>} [alGuardar] - Efecto adicional tras guardar
+ */
+async function pasoDeAtencion(req, res, { paso, accion, mensaje, alGuardar }) {
+  try {
+    const cita = await buscarCita(req.params.id);
+    if (!cita) {
+      return res.status(404).json({ success: false, message: "Cita no encontrada" });
+    }
+
+    const antes = cita.toObject();
+    const error = await paso(cita);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await cita.save();
+    await registrarAuditoria(req, { accion, entidad: "Cita", antes, despues: cita });
+    if (alGuardar) await alGuardar(cita);
+
+    res.json({ success: true, message: mensaje(cita), data: cita });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al actualizar la atención", error: error.message });
+  }
+}
+
+// --- Citas de hoy para recepción, con su ticket y la espera promedio por servicio ---
+export const getColaHoy = async (req, res) => {
+  try {
+    const { inicio, fin } = rangoDia();
+    const citas = await Cita.find({ fechaHora: { $gte: inicio, $lt: fin }, estado: { $ne: "Cancelada" } })
+      .populate("pacienteId", "nombres apellidos tipo_documento num_documento")
+      .populate("medicoId", "nombres apellidos")
+      .sort({ fechaHora: 1 });
+
+    res.json({ success: true, data: { citas, esperaPromedio: esperaPromedio(citas) } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener la cola de hoy", error: error.message });
+  }
+};
+
+// --- Llegada del paciente: ticket y confirmación de la cita ---
+export const registrarLlegadaCita = (req, res) =>
+  pasoDeAtencion(req, res, {
+    paso: (cita) => registrarLlegada(cita, { actorId: req.usuario.id }),
+    accion: "registrar_llegada",
+    mensaje: (cita) => `Llegada registrada. Ticket ${cita.atencion.ticket}`,
+  });
+
+// --- Llamar al paciente (por defecto, a la sala asignada a la cita) ---
+export const llamarCita = (req, res) =>
+  pasoDeAtencion(req, res, {
+    paso: async (cita) => llamarTicket(cita, req.body.consultorio?.trim() || (await salaDeCita(cita))),
+    accion: "llamar",
+    mensaje: (cita) => `Ticket ${cita.atencion.ticket} llamado a ${cita.atencion.consultorio}`,
+  });
+
+// --- El paciente entró al consultorio ---
+export const iniciarAtencionCita = (req, res) =>
+  pasoDeAtencion(req, res, {
+    paso: (cita) => iniciarAtencion(cita),
+    accion: "iniciar_atencion",
+    mensaje: () => "Atención iniciada",
+  });
+
+// --- Fin de la atención: la cita queda Atendida ---
+export const finalizarAtencionCita = (req, res) =>
+  pasoDeAtencion(req, res, {
+    paso: (cita) => finalizarAtencion(cita, { actorId: req.usuario.id }),
+    accion: "atender",
+    mensaje: () => "Atención finalizada",
+    alGuardar: registrarAsistencia,
+  });
+
+// --- Pantalla de la sala de espera: foto actual (pública, sin datos del paciente) ---
+export const getSalaEspera = async (req, res) => {
+  try {
+    res.json({ success: true, data: await tableroSalaEspera() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener la sala de espera", error: error.message });
+  }
+};
+
+// --- Pantalla de la sala de espera: eventos en vivo (Server-Sent Events) ---
+export const eventosSalaEspera = (req, res) => {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+
+  const latido = setInterval(() => res.write(": latido\n\n"), LATIDO_MS);
+  pantallas.add(res);
+  req.on("close", () => {
+    clearInterval(latido);
+    pantallas.delete(res);
+  });
+
+  // La pantalla recién conectada recibe la foto actual sin esperar al siguiente cambio
+  tableroSalaEspera()
+    .then((tablero) => escribirEvento(res, tablero))
+    .catch((error) => console.error("Error al enviar la sala de espera:", error.message));
+};
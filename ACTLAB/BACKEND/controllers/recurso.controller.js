@@ -0,0 +1,128 @@
+// controllers/recurso.controller.js
+import mongoose from "mongoose";
+import Recurso from "../models/Recurso.js";
+import Cita from "../models/Cita.js";
+import Configuracion from "../models/Configuracion.js";
+import { rangoDia } from "../models/horario.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+
+const FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+const esNombreDuplicado = (error) => error?.code === 11000;
+
+// Solo se aceptan los campos del modelo
+const datosRecurso = ({ nombre, tipo, capacidad, descripcion, activo }) => {
+  const datos = { nombre, tipo, capacidad, descripcion, activo };
+  Object.keys(datos).forEach((campo) => datos[campo] === undefined && delete datos[campo]);
+  return datos;
+};
+
+// Responde el error de validación o de nombre repetido; devuelve false si no era uno de ellos
+const responderErrorGuardado = (res, error) => {
+  if (esNombreDuplicado(error)) {
+    res.status(400).json({ success: false, message: "Ya existe un recurso con ese nombre" });
+    return true;
+  }
+  if (error.name === "ValidationError") {
+    res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    return true;
+  }
+  return false;
+};
+
+// --- Listado de recursos (filtro opcional: activos=true) ---
+export const getRecursos = async (req, res) => {
+  try {
+    const filtro = req.query.activos === "true" ? { activo: true } : {};
+    const recursos = await Recurso.find(filtro).sort({ tipo: 1, nombre: 1 });
+    res.json({ success: true, data: recursos, total: recursos.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener recursos", error: error.message });
+  }
+};
+
+// --- Agenda de un día por recurso: recursos activos y las citas que los ocupan ---
+export const getAgendaRecursos = async (req, res) => {
+  try {
+    const { fecha } = req.query;
+    if (!FECHA.test(fecha || "")) {
+      return res.status(400).json({ success: false, message: "Indique la fecha en formato AAAA-MM-DD" });
+    }
+
+    const { inicio, fin } = rangoDia(fecha);
+    const recursos = await Recurso.find({ activo: true }).sort({ tipo: 1, nombre: 1 });
+    const citas = await Cita.find({
+      recursos: { $in: recursos.map((r) => r._id) },
+      estado: { $ne: "Cancelada" },
+      fechaHora: { $gte: inicio, $lt: fin },
+    })
+      .populate("pacienteId", "nombres apellidos")
+      .populate("medicoId", "nombres apellidos")
+      .sort({ fechaHora: 1 });
+
+    res.json({ success: true, data: { recursos, citas } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener la agenda de recursos", error: error.message });
+  }
+};
+
+// --- Crear recurso ---
+export const createRecurso = async (req, res) => {
+  try {
+    const recurso = await Recurso.create(datosRecurso(req.body));
+    await registrarAuditoria(req, { accion: "crear", entidad: "Recurso", despues: recurso });
+
+    res.status(201).json({ success: true, message: "Recurso creado exitosamente", data: recurso });
+  } catch (error) {
+    if (responderErrorGuardado(res, error)) return;
+    res.status(500).json({ success: false, message: "Error al crear recurso", error: error.message });
+  }
+};
+
+// --- Actualizar recurso (datos, capacidad o estado) ---
+export const updateRecurso = async (req, res) => {
+  try {
+    const recurso = mongoose.isValidObjectId(req.params.id) ? await Recurso.findById(req.params.id) : null;
+    if (!recurso) {
+      return res.status(404).json({ success: false, message: "Recurso no encontrado" });
+    }
+
+    const antes = recurso.toObject();
+    recurso.set(datosRecurso(req.body));
+    await recurso.save();
+    await registrarAuditoria(req, { accion: "actualizar", entidad: "Recurso", antes, despues: recurso });
+
+    res.json({ success: true, message: "Recurso actualizado", data: recurso });
+  } catch (error) {
+    if (responderErrorGuardado(res, error)) return;
+    res.status(500).json({ success: false, message: "Error al actualizar recurso", error: error.message });
+  }
+};
+
+// --- Eliminar recurso (solo si ninguna cita lo usó; si no, se desactiva) ---
+export const deleteRecurso = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Recurso no encontrado" });
+    }
+    if (await Cita.exists({ recursos: req.params.id })) {
+      return res.status(400).json({
+        success: false,
+        message: "El recurso tiene citas registradas. Desactívelo en lugar de eliminarlo",
+      });
+    }
+
+    const recurso = await Recurso.findByIdAndDelete(req.params.id);
+    if (!recurso) {
+      return res.status(404).json({ success: false, message: "Recurso no encontrado" });
+    }
+
+    // Los tipos de examen dejan de pedirlo
+    await Configuracion.updateOne({ clave: "general" }, { $pull: { "recursosPorTipo.$[].recursos": recurso._id } });
+    await registrarAuditoria(req, { accion: "eliminar", entidad: "Recurso", antes: recurso });
+
+    res.json({ success: true, message: "Recurso eliminado exitosamente" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al eliminar recurso", error: error.message });
+  }
+};
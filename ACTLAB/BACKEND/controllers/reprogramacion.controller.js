@@ -0,0 +1,130 @@
+// controllers/reprogramacion.controller.js
+import mongoose from "mongoose";
+import Medico from "../models/Medico.js";
+import { ROLES } from "../models/Usuario.js";
+import { rangoDia } from "../models/horario.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+import { ACCIONES_MASIVAS, aplicarPropuesta, citasDelRango, planificar } from "../services/reprogramacion.js";
+
+const FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+const MOTIVO_POR_DEFECTO = "Ausencia del médico";
+
+/**
+ * Lee y valida médico, rango de días (ambos incluidos) y acción; si algo falla responde el error y devuelve null
+ * @returns {Promise<{medico: object, desde: Date, hasta: Date, accion: string, motivo: string}|null>}
+ */
+async function leerSolicitud(req, res) {
+  const { medicoId, desde, hasta, accion } = req.body;
+  const motivo = req.body.motivo?.trim();
+
+  const medico = mongoose.isValidObjectId(medicoId) ? await Medico.findById(medicoId) : null;
+  if (!medico) {
+    res.status(404).json({ success: false, message: "Médico no encontrado" });
+    return null;
+  }
+  if (!FECHA.test(desde || "") || !FECHA.test(hasta || "") || desde > hasta) {
+    res.status(400).json({ success: false, message: "Indique un rango de fechas válido (AAAA-MM-DD)" });
+    return null;
+  }
+  if (!ACCIONES_MASIVAS.includes(accion)) {
+    res.status(400).json({ success: false, message: `Acción inválida. Use: ${ACCIONES_MASIVAS.join(", ")}` });
+    return null;
+  }
+  if (accion === "cancelar" && !motivo) {
+    res.status(400).json({ success: false, message: "Indique el motivo de la cancelación" });
+    return null;
+  }
+
+  // Días completos de la clínica: desde la medianoche del primero hasta la del día siguiente al último
+  return {
+    medico,
+    desde: rangoDia(desde).inicio,
+    hasta: rangoDia(hasta).fin,
+    accion,
+    motivo: motivo || MOTIVO_POR_DEFECTO,
+  };
+}
+
+// Fila de la vista previa o del resultado
+const resumen = ({ cita, inicio, medico, error }) => ({
+  citaId: cita._id,
+  paciente: cita.pacienteId?.nombres ? `${cita.pacienteId.nombres} ${cita.pacienteId.apellidos}` : null,
+  fechaHora: cita.fechaHora,
+  duracion: cita.duracion,
+  tipoExamen: cita.tipoExamen,
+  nuevaFechaHora: inicio || null,
+  nuevoMedico: medico || null,
+  error: error || null,
+});
+
+// --- Vista previa: citas afectadas y lo que pasaría con cada una (no guarda nada) ---
+export const previsualizarReprogramacion = async (req, res) => {
+  try {
+    const solicitud = await leerSolicitud(req, res);
+    if (!solicitud) return;
+
+    const plan = await planificar(await citasDelRango({ medicoId: solicitud.medico._id, ...solicitud }), solicitud);
+    res.json({ success: true, data: plan.map(resumen), total: plan.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al preparar la reprogramación", error: error.message });
+  }
+};
+
+// --- Aplicar: opcionalmente registra la ausencia del médico y mueve o cancela cada cita ---
+export const aplicarReprogramacion = async (req, res) => {
+  try {
+    // Cambiar el horario de un médico es tarea de administración; mover las citas, del personal
+    if (req.body.registrarAusencia && req.usuario.role !== ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: "Solo un administrador puede registrar la ausencia en el horario del médico",
+      });
+    }
+
+    const solicitud = await leerSolicitud(req, res);
+    if (!solicitud) return;
+    const { medico, desde, hasta, accion, motivo } = solicitud;
+
+    // La ausencia evita que el portal o la lista de espera vuelvan a ocupar esos días
+    if (req.body.registrarAusencia) {
+      const antes = medico.toObject();
+      // Como en la ficha del médico, la ausencia termina en el último segundo del día "hasta"
+      medico.excepciones.push({ desde, hasta: new Date(hasta - 1000), motivo });
+      await medico.save();
+      await registrarAuditoria(req, { accion: "registrar_ausencia", entidad: "Medico", antes, despues: medico });
+    }
+
+    // Solo las citas marcadas en la vista previa, si se enviaron
+    let citas = await citasDelRango({ medicoId: medico._id, desde, hasta });
+    if (Array.isArray(req.body.citaIds)) {
+      const elegidas = new Set(req.body.citaIds.map(String));
+      citas = citas.filter((c) => elegidas.has(String(c._id)));
+    }
+
+    const resultados = [];
+    for (const propuesta of await planificar(citas, solicitud)) {
+      const { cita } = propuesta;
+      const antes = cita.toObject({ depopulate: true });
+      const error = await aplicarPropuesta(propuesta, { accion, motivo, actorId: req.usuario.id });
+      if (!error) {
+        await registrarAuditoria(req, {
+          accion: accion === "cancelar" ? "cancelar" : "reprogramar",
+          entidad: "Cita",
+          antes,
+          despues: cita,
+        });
+      }
+      resultados.push(resumen({ ...propuesta, error }));
+    }
+
+    const aplicadas = resultados.filter((r) => !r.error).length;
+    res.json({
+      success: true,
+      message: `${aplicadas} de ${resultados.length} cita(s) ${accion === "cancelar" ? "cancelada(s)" : "reprogramada(s)"}`,
+      data: resultados,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al aplicar la reprogramación", error: error.message });
+  }
+};
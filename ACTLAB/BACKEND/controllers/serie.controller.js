@@ -0,0 +1,352 @@
+// controllers/serie.controller.js
+import mongoose from "mongoose";
+import Cita, { ESTADOS_VIGENTES } from "../models/Cita.js";
+import SerieCita, { MAX_OCURRENCIAS } from "../models/SerieCita.js";
+import Paciente from "../models/Users.js";
+import { claveDia, diasEntre, fechaEnZona, minutosDelDia, rangoDia, sumarDias } from "../models/horario.js";
+import { DURACION_MAXIMA } from "../services/agenda.js";
+import { generarOcurrencias, revisarOcurrencias } from "../services/series.js";
+import { encolarNotificacion } from "../services/notificaciones.js";
+import { liberarHueco } from "../services/listaEspera.js";
+import { resolverRecursos } from "../services/recursos.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+
+const FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Alcance de una edición o cancelación sobre una cita de la serie
+const ALCANCES = ["esta", "siguientes", "todas"];
+
+const duracionValida = (duracion) => !isNaN(duracion) && duracion >= 5 && duracion <= DURACION_MAXIMA;
+
+// La fecha final llega como AAAA-MM-DD e incluye todo ese día
+const leerRegla = ({ frecuencia, intervalo = 1, dias = [], hasta = null, cantidad = null }) => ({
+  frecuencia,
+  intervalo: Number(intervalo),
+  dias: Array.isArray(dias) ? dias.map(Number) : [],
+  hasta: hasta ? new Date(rangoDia(hasta).fin - 1) : null,
+  cantidad: cantidad ? Number(cantidad) : null,
+});
+
+// Citas de la serie a las que aplica el alcance; solo las que aún se van a atender
+const citasAfectadas = async (cita, alcance) => {
+  if (alcance === "esta") return [cita];
+
+  const filtro = { serieId: cita.serieId, estado: { $in: ESTADOS_VIGENTES } };
+  if (alcance === "siguientes") filtro.fechaHora = { $gte: cita.fechaHora };
+  return Cita.find(filtro).sort({ fechaHora: 1 });
+};
+
+// Carga la cita indicada y comprueba que pertenezca a una serie; si no, responde el error y devuelve null
+const cargarCitaDeSerie = async (req, res) => {
+  const { alcance } = req.body;
+  if (!ALCANCES.includes(alcance)) {
+    res.status(400).json({
+      success: false,
+      message: "Indique si el cambio aplica a esta cita, a las siguientes o a toda la serie",
+    });
+    return null;
+  }
+
+  const cita = mongoose.isValidObjectId(req.params.id) ? await Cita.findById(req.params.id) : null;
+  if (!cita) {
+    res.status(404).json({ success: false, message: "Cita no encontrada" });
+    return null;
+  }
+  if (!cita.serieId) {
+    res.status(400).json({ success: false, message: "La cita no pertenece a una serie" });
+    return null;
+  }
+  return cita;
+};
+
+// --- Crear una serie: revisa todas las ocurrencias antes de guardar ---
+export const createSerie = async (req, res) => {
+  try {
+    const { pacienteId, medicoId, fechaHora, motivo, tipoExamen, duracion = 15, regla, omitirConflictos = false } = req.body;
+
+    if (!pacienteId || !fechaHora || !motivo || !tipoExamen || !regla) {
+      return res.status(400).json({ success: false, message: "Faltan campos requeridos" });
+    }
+
+    const duracionNum = parseInt(duracion, 10);
+    if (!duracionValida(duracionNum)) {
+      return res.status(400).json({
+        success: false,
+        message: `La duración debe estar entre 5 y ${DURACION_MAXIMA} minutos`,
+      });
+    }
+
+    const inicio = new Date(fechaHora);
+    if (isNaN(inicio)) {
+      return res.status(400).json({ success: false, message: "Fecha y hora inválidas" });
+    }
+    if (regla.hasta && !FECHA.test(regla.hasta)) {
+      return res.status(400).json({ success: false, message: "Fecha final inválida (use AAAA-MM-DD)" });
+    }
+
+    // Como en createCita, el paciente debe existir
+    const paciente = mongoose.isValidObjectId(pacienteId) ? await Paciente.findById(pacienteId) : null;
+    if (!paciente) {
+      return res.status(404).json({ success: false, message: "Paciente no encontrado" });
+    }
+
+    const recursos = await resolverRecursos(req.body.recursos, tipoExamen);
+    if (!recursos) {
+      return res.status(400).json({ success: false, message: "Recurso inválido" });
+    }
+
+    const serie = new SerieCita({
+      pacienteId,
+      medicoId: medicoId || null,
+      inicio,
+      duracion: duracionNum,
+      motivo,
+      tipoExamen,
+      recursos,
+      regla: leerRegla(regla),
+      creadaPor: req.usuario.id,
+    });
+
+    try {
+      await serie.validate();
+    } catch (error) {
+      if (error.name !== "ValidationError") throw error;
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+
+    const fechas = generarOcurrencias(inicio, serie.regla);
+    if (fechas.length > MAX_OCURRENCIAS) {
+      return res.status(400).json({
+        success: false,
+        message: `Una serie puede tener como máximo ${MAX_OCURRENCIAS} citas; acorte la fecha final`,
+      });
+    }
+
+    const conflictos = await revisarOcurrencias(
+      fechas.map((fecha) => ({ inicio: fecha, duracion: duracionNum, medicoId: serie.medicoId, pacienteId, recursos })),
+    );
+
+    // Sin confirmación expresa no se crea una serie incompleta
+    if (conflictos.length > 0 && !omitirConflictos) {
+      return res.status(409).json({
+        success: false,
+        message: `${conflictos.length} de ${fechas.length} citas de la serie tienen conflictos`,
+        data: { total: fechas.length, conflictos },
+      });
+    }
+
+    const libres = fechas.filter((fecha) => !conflictos.some((c) => c.fecha === fecha));
+    if (libres.length === 0) {
+      return res.status(400).json({ success: false, message: "Ninguna cita de la serie tiene horario disponible" });
+    }
+
+    await serie.save();
+    let citas;
+    try {
+      citas = await Cita.insertMany(
+        libres.map((fecha) => ({
+          pacienteId,
+          medicoId: serie.medicoId,
+          fechaHora: fecha,
+          duracion: duracionNum,
+          motivo,
+          tipoExamen,
+          recursos,
+          estado: "Pendiente",
+          serieId: serie._id,
+        })),
+      );
+    } catch (error) {
+      // Sin sus citas la serie no sirve: no se deja huérfana
+      await SerieCita.deleteOne({ _id: serie._id });
+      await Cita.deleteMany({ serieId: serie._id });
+      throw error;
+    }
+
+    await registrarAuditoria(req, { accion: "crear", entidad: "SerieCita", despues: serie });
+    for (const cita of citas) {
+      await registrarAuditoria(req, { accion: "crear", entidad: "Cita", despues: cita });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Serie creada con ${citas.length} citas`,
+      data: { serie, citas, omitidas: conflictos },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al crear la serie", error: error.message });
+  }
+};
+
+// --- Serie con todas sus citas ---
+export const getSerie = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Serie no encontrada" });
+    }
+
+    const serie = await SerieCita.findById(req.params.id)
+      .populate("pacienteId", "nombres apellidos")
+      .populate("medicoId", "nombres apellidos");
+    if (!serie) {
+      return res.status(404).json({ success: false, message: "Serie no encontrada" });
+    }
+
+    const citas = await Cita.find({ serieId: serie._id }).sort({ fechaHora: 1 });
+    res.json({ success: true, data: { serie, citas } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener la serie", error: error.message });
+  }
+};
+
+// --- Editar esta cita, esta y las siguientes, o toda la serie ---
+// El cambio de fecha se aplica en días respecto de la cita elegida y la hora nueva se toma del
+// reloj de la clínica, así un cambio de horario de verano no corre las citas siguientes
+export const updateSerie = async (req, res) => {
+  try {
+    const { fechaHora, medicoId, duracion, motivo, tipoExamen } = req.body;
+
+    const cita = await cargarCitaDeSerie(req, res);
+    if (!cita) return;
+
+    const nuevaFecha = fechaHora ? new Date(fechaHora) : null;
+    if (nuevaFecha && isNaN(nuevaFecha)) {
+      return res.status(400).json({ success: false, message: "Fecha y hora inválidas" });
+    }
+    const nuevoInicio = (c) =>
+      nuevaFecha
+        ? fechaEnZona(
+            sumarDias(claveDia(c.fechaHora), diasEntre(claveDia(cita.fechaHora), claveDia(nuevaFecha))),
+            minutosDelDia(nuevaFecha),
+          )
+        : c.fechaHora;
+
+    const nuevaDuracion = duracion !== undefined ? parseInt(duracion, 10) : null;
+    if (nuevaDuracion !== null && !duracionValida(nuevaDuracion)) {
+      return res.status(400).json({
+        success: false,
+        message: `La duración debe estar entre 5 y ${DURACION_MAXIMA} minutos`,
+      });
+    }
+
+    // Los recursos siguen al tipo de examen salvo que se envíen explícitamente
+    let nuevosRecursos = null;
+    if (req.body.recursos !== undefined || (tipoExamen && tipoExamen !== cita.tipoExamen)) {
+      nuevosRecursos = await resolverRecursos(req.body.recursos, tipoExamen || cita.tipoExamen);
+      if (!nuevosRecursos) {
+        return res.status(400).json({ success: false, message: "Recurso inválido" });
+      }
+    }
+
+    const cambios = (await citasAfectadas(cita, req.body.alcance)).map((c) => ({
+      cita: c,
+      inicio: nuevoInicio(c),
+      duracion: nuevaDuracion ?? c.duracion,
+      medicoId: medicoId !== undefined ? medicoId || null : c.medicoId,
+      recursos: nuevosRecursos || c.recursos,
+    }));
+
+    // Las citas que se mueven juntas no chocan con sus propios horarios de antes
+    const excluirId = cambios.map(({ cita: c }) => c._id);
+    const conflictos = await revisarOcurrencias(
+      cambios.map(({ cita: c, inicio, duracion: d, medicoId: m, recursos }) => ({
+        inicio,
+        duracion: d,
+        medicoId: m,
+        pacienteId: c.pacienteId,
+        excluirId,
+        recursos,
+      })),
+    );
+    if (conflictos.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${conflictos.length} de ${cambios.length} citas tienen conflictos; no se modificó ninguna`,
+        data: { total: cambios.length, conflictos },
+      });
+    }
+
+    // Las que cambian de horario quedan reprogramadas; se revisa antes de guardar ninguna
+    const antesDe = new Map(cambios.map(({ cita: c }) => [c, c.toObject()]));
+    for (const { cita: c, inicio } of cambios) {
+      if (inicio.getTime() === c.fechaHora.getTime()) continue;
+      const errorEstado = c.cambiarEstado("Reprogramada", {
+        actorId: req.usuario.id,
+        motivo: req.body.motivoEstado || null,
+      });
+      if (errorEstado) {
+        return res.status(400).json({ success: false, message: errorEstado });
+      }
+    }
+
+    for (const { cita: c, inicio, duracion: d, medicoId: m, recursos } of cambios) {
+      if (inicio.getTime() !== c.fechaHora.getTime()) {
+        c.fechaHora = inicio;
+        encolarNotificacion(c, "cambio");
+      }
+      c.duracion = d;
+      c.medicoId = m;
+      c.recursos = recursos;
+      if (motivo !== undefined) c.motivo = motivo;
+      if (tipoExamen) c.tipoExamen = tipoExamen;
+      await c.save();
+      await registrarAuditoria(req, { accion: "actualizar", entidad: "Cita", antes: antesDe.get(c), despues: c });
+      liberarHueco(antesDe.get(c), c);
+    }
+
+    // Los valores por defecto de la serie siguen al último cambio masivo
+    if (req.body.alcance !== "esta") {
+      const serie = await SerieCita.findById(cita.serieId);
+      if (serie) {
+        const antes = serie.toObject();
+        if (medicoId !== undefined) serie.medicoId = medicoId || null;
+        if (nuevaDuracion !== null) serie.duracion = nuevaDuracion;
+        if (motivo !== undefined) serie.motivo = motivo;
+        if (tipoExamen) serie.tipoExamen = tipoExamen;
+        if (nuevosRecursos) serie.recursos = nuevosRecursos;
+        await serie.save();
+        await registrarAuditoria(req, { accion: "actualizar", entidad: "SerieCita", antes, despues: serie });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${cambios.length} cita(s) actualizada(s)`,
+      data: cambios.map(({ cita: c }) => c),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al actualizar la serie", error: error.message });
+  }
+};
+
+// --- Cancelar esta cita, esta y las siguientes, o toda la serie ---
+export const cancelarSerie = async (req, res) => {
+  try {
+    const { motivo } = req.body;
+
+    const cita = await cargarCitaDeSerie(req, res);
+    if (!cita) return;
+
+    const canceladas = [];
+    for (const c of await citasAfectadas(cita, req.body.alcance)) {
+      const antes = c.toObject();
+      // Las que ya no pueden cancelarse (p. ej. atendidas) se dejan como están
+      if (c.cambiarEstado("Cancelada", { actorId: req.usuario.id, motivo })) continue;
+
+      c.canceladoPor = "Admin";
+      c.motivoCancelacion = motivo || "Sin especificar";
+      await c.save();
+      await registrarAuditoria(req, { accion: "cancelar", entidad: "Cita", antes, despues: c });
+      liberarHueco(antes, c);
+      canceladas.push(c);
+    }
+
+    if (canceladas.length === 0) {
+      return res.status(400).json({ success: false, message: "No hay citas de la serie que se puedan cancelar" });
+    }
+
+    res.json({ success: true, message: `${canceladas.length} cita(s) cancelada(s)`, data: canceladas });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al cancelar la serie", error: error.message });
+  }
+};
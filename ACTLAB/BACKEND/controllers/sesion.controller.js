@@ -0,0 +1,75 @@
+// controllers/sesion.controller.js
+import mongoose from "mongoose";
+import {
+  rotarSesion,
+  revocarSesion,
+  revocarSesiones,
+  listarSesiones,
+  SesionError
+} from "../services/sesiones.js";
+
+// --- Renovar access token con el refresh token (rota ambos) ---
+export const refrescarToken = async (req, res) => {
+  try {
+    const { token, refreshToken } = await rotarSesion(req.body.refreshToken, req);
+    res.json({ success: true, data: { token, refreshToken } });
+  } catch (error) {
+    if (error instanceof SesionError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: "Error al renovar sesión", error: error.message });
+  }
+};
+
+// --- Cerrar la sesión actual ---
+export const logout = async (req, res) => {
+  try {
+    await revocarSesion(req.usuario.id, req.usuario.sid);
+    res.json({ success: true, message: "Sesión cerrada" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al cerrar sesión", error: error.message });
+  }
+};
+
+// --- Cerrar sesión en todos los dispositivos ---
+export const logoutTodas = async (req, res) => {
+  try {
+    await revocarSesiones(req.usuario.id);
+    res.json({ success: true, message: "Se cerraron todas las sesiones" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al cerrar sesiones", error: error.message });
+  }
+};
+
+// --- Listar sesiones activas del usuario ---
+export const getSesiones = async (req, res) => {
+  try {
+    const sesiones = await listarSesiones(req.usuario.id);
+    const data = sesiones.map((s) => ({
+      ...s.toObject(),
+      actual: String(s._id) === String(req.usuario.sid),
+    }));
+    res.json({ success: true, data, total: data.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener sesiones", error: error.message });
+  }
+};
+
+// --- Revocar una sesión concreta (p. ej. un dispositivo perdido) ---
+export const deleteSesion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "ID de sesión inválido" });
+    }
+
+    const revocada = await revocarSesion(req.usuario.id, id);
+    if (!revocada) {
+      return res.status(404).json({ success: false, message: "Sesión no encontrada" });
+    }
+
+    res.json({ success: true, message: "Sesión revocada" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al revocar sesión", error: error.message });
+  }
+};
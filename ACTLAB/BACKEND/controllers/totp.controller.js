@@ -0,0 +1,157 @@
+// controllers/totp.controller.js
+import bcryptjs from "bcryptjs";
+import Usuario from "../models/Usuario.js";
+import {
+  generarSecreto,
+  datosProvision,
+  verificarCodigo,
+  generarCodigosRecuperacion,
+  es2FAObligatorio
+} from "../services/totp.js";
+import { datosLogin } from "./authentication.controller.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+
+// --- Estado del segundo factor del usuario autenticado ---
+export const getEstado2FA = async (req, res) => {
+  try {
+    const usuario = await Usuario.findById(req.usuario.id);
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: "Usuario no encontrado" });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        activo: usuario.totpActivo,
+        obligatorio: await es2FAObligatorio(usuario.role),
+        codigosRestantes: usuario.codigosRecuperacion.length,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener estado 2FA", error: error.message });
+  }
+};
+
+// --- Iniciar enrolamiento: secreto pendiente + URI/QR para la app ---
+export const enrolar = async (req, res) => {
+  try {
+    const usuario = await Usuario.findById(req.usuario.id);
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: "Usuario no encontrado" });
+    }
+
+    if (usuario.totpActivo) {
+      return res.status(400).json({ success: false, message: "La verificación en dos pasos ya está activa" });
+    }
+
+    usuario.totpPendiente = generarSecreto();
+    await usuario.save();
+
+    const { uri, qr } = await datosProvision(usuario, usuario.totpPendiente);
+
+    res.json({ success: true, data: { secreto: usuario.totpPendiente, uri, qr } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al iniciar enrolamiento", error: error.message });
+  }
+};
+
+// --- Confirmar enrolamiento con el primer código ---
+export const activar = async (req, res) => {
+  try {
+    const usuario = await Usuario.findById(req.usuario.id);
+    if (!usuario || !usuario.totpPendiente) {
+      return res.status(400).json({ success: false, message: "Primero inicie el enrolamiento" });
+    }
+
+    const paso = verificarCodigo(usuario.totpPendiente, req.body.codigo);
+    if (paso === null) {
+      return res.status(400).json({ success: false, message: "Código incorrecto" });
+    }
+
+    const { codigos, hashes } = generarCodigosRecuperacion();
+    usuario.totpSecreto = usuario.totpPendiente;
+    usuario.totpPendiente = null;
+    usuario.totpActivo = true;
+    usuario.totpUltimoPaso = paso;
+    usuario.codigosRecuperacion = hashes;
+    await usuario.save();
+    await registrarAuditoria(req, {
+      accion: "activar_2fa",
+      entidad: "Usuario",
+      antes: { totpActivo: false },
+      despues: { _id: usuario._id, totpActivo: true },
+      pacienteId: usuario.pacienteId,
+      actor: { id: usuario._id, role: usuario.role },
+    });
+
+    const data = { codigosRecuperacion: codigos };
+
+    // Enrolamiento exigido durante el login: se completa el inicio de sesión
+    if (req.usuario.desafio) Object.assign(data, await datosLogin(usuario, req));
+
+    res.json({ success: true, message: "Verificación en dos pasos activada", data });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al activar 2FA", error: error.message });
+  }
+};
+
+// --- Regenerar códigos de recuperación (invalida los anteriores) ---
+export const regenerarCodigos = async (req, res) => {
+  try {
+    const usuario = await Usuario.findById(req.usuario.id);
+    if (!usuario || !usuario.totpActivo) {
+      return res.status(400).json({ success: false, message: "La verificación en dos pasos no está activa" });
+    }
+
+    const paso = verificarCodigo(usuario.totpSecreto, req.body.codigo, usuario.totpUltimoPaso);
+    if (paso === null) {
+      return res.status(400).json({ success: false, message: "Código incorrecto" });
+    }
+
+    const { codigos, hashes } = generarCodigosRecuperacion();
+    usuario.totpUltimoPaso = paso;
+    usuario.codigosRecuperacion = hashes;
+    await usuario.save();
+
+    res.json({ success: true, data: { codigosRecuperacion: codigos } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al regenerar códigos", error: error.message });
+  }
+};
+
+// --- Desactivar 2FA propio (solo si su rol no lo exige) ---
+export const desactivar = async (req, res) => {
+  try {
+    const usuario = await Usuario.findById(req.usuario.id);
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: "Usuario no encontrado" });
+    }
+
+    if (await es2FAObligatorio(usuario.role)) {
+      return res.status(403).json({ success: false, message: "Su rol exige verificación en dos pasos" });
+    }
+
+    const match = await bcryptjs.compare(req.body.password || "", usuario.password);
+    if (!match) {
+      return res.status(401).json({ success: false, message: "Contraseña incorrecta" });
+    }
+
+    usuario.totpActivo = false;
+    usuario.totpSecreto = null;
+    usuario.totpPendiente = null;
+    usuario.totpUltimoPaso = -1;
+    usuario.codigosRecuperacion = [];
+    await usuario.save();
+    await registrarAuditoria(req, {
+      accion: "desactivar_2fa",
+      entidad: "Usuario",
+      antes: { totpActivo: true },
+      despues: { _id: usuario._id, totpActivo: false },
+      pacienteId: usuario.pacienteId,
+    });
+
+    res.json({ success: true, message: "Verificación en dos pasos desactivada" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al desactivar 2FA", error: error.message });
+  }
+};
@@ -0,0 +1,254 @@
+// controllers/usuario.controller.js
+import crypto from "crypto";
+import bcryptjs from "bcryptjs";
+import Usuario, { ROLES } from "../models/Usuario.js";
+import Paciente from "../models/Users.js";
+import { listarDependientes } from "../services/tutelas.js";
+import { registrarAuditoria } from "../services/auditoria.js";
+import { revocarSesiones } from "../services/sesiones.js";
+
+// Campos que nunca se devuelven al cliente
+const CAMPOS_OCULTOS = "-password -totpSecreto -totpPendiente -codigosRecuperacion -resetTokenHash -resetTokenExpira";
+
+const hashPassword = async (password) => {
+  const salt = await bcryptjs.genSalt(5);
+  return bcryptjs.hash(password, salt);
+};
+
+// --- Perfil del usuario autenticado (con su ficha clínica si es paciente) ---
+export const getMe = async (req, res) => {
+  try {
+    const usuario = await Usuario.findById(req.usuario.id).select(
+      `${CAMPOS_OCULTOS} -intentosFallidos -bloqueadoHasta -totpUltimoPaso`,
+    );
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: "Usuario no encontrado" });
+    }
+
+    const paciente = usuario.pacienteId ? await Paciente.findById(usuario.pacienteId) : null;
+    const dependientes = usuario.role === ROLES.PACIENTE ? await listarDependientes(usuario._id) : [];
+    // Cuenta sin ficha porque recepción aún no confirma que la ficha con su documento es suya
+    const vinculoPendiente = !paciente && !!(await Paciente.exists({ cuentaPendiente: usuario._id }));
+
+    res.json({ success: true, data: { usuario, paciente, dependientes, vinculoPendiente } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener perfil", error: error.message });
+  }
+};
+
+// --- Listar usuarios (filtros opcionales: role, activo, bloqueado) ---
+export const getUsuarios = async (req, res) => {
+  try {
+    const { role, activo, bloqueado } = req.query;
+
+    const filtro = {};
+    if (role) filtro.role = role;
+    if (activo !== undefined) filtro.activo = activo === "true";
+    if (bloqueado === "true") filtro.bloqueadoHasta = { $gt: new Date() };
+
+    const usuarios = await Usuario.find(filtro).select(CAMPOS_OCULTOS).sort({ createdAt: -1 });
+
+    res.json({ success: true, data: usuarios, total: usuarios.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al obtener usuarios", error: error.message });
+  }
+};
+
+// --- Crear usuario del personal ---
+export const createUsuario = async (req, res) => {
+  try {
+    const { tipo_documento, num_documento, email, password, nombres, apellidos, role } = req.body;
+
+    if (!tipo_documento || !num_documento || !email || !password || !role) {
+      return res.status(400).json({ success: false, message: "Faltan campos obligatorios" });
+    }
+
+    if (role === ROLES.PACIENTE || !Object.values(ROLES).includes(role)) {
+      return res.status(400).json({ success: false, message: "Rol de personal inválido" });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ success: false, message: "La contraseña debe tener mínimo 8 caracteres" });
+    }
+
+    const existe = await Usuario.findOne({ $or: [{ num_documento }, { email: email.toLowerCase() }] });
+    if (existe) {
+      return res.status(400).json({ success: false, message: "Ya existe un usuario con ese documento o correo" });
+    }
+
+    const usuario = await Usuario.create({
+      tipo_documento: tipo_documento.toLowerCase(),
+      num_documento,
+      email,
+      password: await hashPassword(password),
+      nombres,
+      apellidos,
+      role,
+    });
+
+    await registrarAuditoria(req, { accion: "crear", entidad: "Usuario", despues: usuario });
+
+    const data = usuario.toObject();
+    delete data.password;
+
+    res.status(201).json({ success: true, message: "Usuario creado exitosamente", data });
+  } catch (error) {
+    res.status(400).json({ success: false, message: "Error al crear usuario", error: error.message });
+  }
+};
+
+// --- Cambiar rol ---
+export const cambiarRol = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!Object.values(ROLES).includes(role)) {
+      return res.status(400).json({ success: false, message: "Rol inválido" });
+    }
+
+    // Evita que el admin se quite a sí mismo el acceso
+    if (id === String(req.usuario.id) && role !== ROLES.ADMIN) {
+      return res.status(400).json({ success: false, message: "No puede quitarse el rol de administrador" });
+    }
+
+    const antes = await Usuario.findById(id).select(CAMPOS_OCULTOS).lean();
+    const usuario = await Usuario.findByIdAndUpdate(id, { role }, { new: true, runValidators: true }).select(
+      CAMPOS_OCULTOS,
+    );
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: "Usuario no encontrado" });
+    }
+
+    await registrarAuditoria(req, { accion: "cambiar_rol", entidad: "Usuario", antes, despues: usuario });
+
+    // Las sesiones abiertas llevan el rol anterior; se cierran para que vuelva a entrar con el nuevo
+    if (antes.role !== role) await revocarSesiones(usuario._id);
+
+    res.json({ success: true, message: "Rol actualizado", data: usuario });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al cambiar rol", error: error.message });
+  }
+};
+
+// --- Activar / desactivar cuenta ---
+export const cambiarEstadoUsuario = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { activo } = req.body;
+
+    if (typeof activo !== "boolean") {
+      return res.status(400).json({ success: false, message: "El campo 'activo' debe ser booleano" });
+    }
+
+    if (id === String(req.usuario.id) && !activo) {
+      return res.status(400).json({ success: false, message: "No puede desactivar su propia cuenta" });
+    }
+
+    const antes = await Usuario.findById(id).select(CAMPOS_OCULTOS).lean();
+    const usuario = await Usuario.findByIdAndUpdate(id, { activo }, { new: true }).select(CAMPOS_OCULTOS);
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: "Usuario no encontrado" });
+    }
+
+    await registrarAuditoria(req, {
+      accion: activo ? "reactivar" : "desactivar",
+      entidad: "Usuario",
+      antes,
+      despues: usuario,
+    });
+
+    // Una cuenta desactivada pierde sus sesiones abiertas
+    if (!activo) await revocarSesiones(usuario._id);
+
+    res.json({
+      success: true,
+      message: activo ? "Usuario reactivado" : "Usuario desactivado",
+      data: usuario,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al cambiar estado", error: error.message });
+  }
+};
+
+// --- Restablecer contraseña (si no se envía una, se genera una temporal) ---
+export const resetPassword = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const nuevaPassword = req.body.new_password || crypto.randomBytes(6).toString("base64url");
+
+    if (nuevaPassword.length < 8) {
+      return res.status(400).json({ success: false, message: "La contraseña debe tener mínimo 8 caracteres" });
+    }
+
+    const usuario = await Usuario.findById(id);
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: "Usuario no encontrado" });
+    }
+
+    const antes = usuario.toObject();
+    usuario.password = await hashPassword(nuevaPassword);
+    usuario.intentosFallidos = 0;
+    usuario.bloqueadoHasta = null;
+    await usuario.save();
+    await revocarSesiones(usuario._id);
+    await registrarAuditoria(req, { accion: "restablecer_password", entidad: "Usuario", antes, despues: usuario });
+
+    res.json({
+      success: true,
+      message: "Contraseña restablecida",
+      data: { passwordTemporal: req.body.new_password ? null : nuevaPassword },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al restablecer contraseña", error: error.message });
+  }
+};
+
+// --- Desbloquear cuenta bloqueada por intentos fallidos ---
+export const desbloquearUsuario = async (req, res) => {
+  try {
+    const antes = await Usuario.findById(req.params.id).select(CAMPOS_OCULTOS).lean();
+    const usuario = await Usuario.findByIdAndUpdate(
+      req.params.id,
+      { intentosFallidos: 0, bloqueadoHasta: null },
+      { new: true },
+    ).select(CAMPOS_OCULTOS);
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: "Usuario no encontrado" });
+    }
+
+    await registrarAuditoria(req, { accion: "desbloquear", entidad: "Usuario", antes, despues: usuario });
+
+    res.json({ success: true, message: "Usuario desbloqueado", data: usuario });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al desbloquear usuario", error: error.message });
+  }
+};
+
+// --- Quitar el segundo factor (p. ej. teléfono perdido); deberá enrolarse de nuevo ---
+export const resetSegundoFactor = async (req, res) => {
+  try {
+    const antes = await Usuario.findById(req.params.id).select(CAMPOS_OCULTOS).lean();
+    const usuario = await Usuario.findByIdAndUpdate(
+      req.params.id,
+      {
+        totpActivo: false,
+        totpSecreto: null,
+        totpPendiente: null,
+        totpUltimoPaso: -1,
+        codigosRecuperacion: [],
+      },
+      { new: true },
+    ).select(CAMPOS_OCULTOS);
+    if (!usuario) {
+      return res.status(404).json({ success: false, message: "Usuario no encontrado" });
+    }
+
+    await revocarSesiones(usuario._id);
+    await registrarAuditoria(req, { accion: "restablecer_2fa", entidad: "Usuario", antes, despues: usuario });
+
+    res.json({ success: true, message: "Segundo factor restablecido", data: usuario });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Error al restablecer 2FA", error: error.message });
+  }
+};
@@ -2,9 +2,27 @@ import express from "express"
 import path from "path"
 import { fileURLToPath } from "url"
 import { methods as authentication } from "./controllers/authentication.controller.js"
+import { verificarToken } from "./middlewares/auth.middleware.js"
+import { limitarIntentos } from "./services/intentos.js"
 import pacienteRoutes from "../BACKEND/Routes/pacientes.routes.js"
 import citasRoutes from "../BACKEND/Routes/citas.routes.js"
+import usuariosRoutes from "../BACKEND/Routes/usuarios.routes.js"
+import sesionesRoutes from "../BACKEND/Routes/sesiones.routes.js"
+import totpRoutes from "../BACKEND/Routes/totp.routes.js"
+import configuracionRoutes from "../BACKEND/Routes/configuracion.routes.js"
+import dependientesRoutes from "../BACKEND/Routes/dependientes.routes.js"
+import auditoriaRoutes from "../BACKEND/Routes/auditoria.routes.js"
+import medicosRoutes from "../BACKEND/Routes/medicos.routes.js"
+import disponibilidadRoutes from "../BACKEND/Routes/disponibilidad.routes.js"
+import citasPacienteRoutes from "../BACKEND/Routes/citas_paciente.routes.js"
+import listaEsperaRoutes from "../BACKEND/Routes/lista_espera.routes.js"
+import icalendarRoutes from "../BACKEND/Routes/icalendar.routes.js"
+import recursosRoutes from "../BACKEND/Routes/recursos.routes.js"
+import recepcionRoutes from "../BACKEND/Routes/recepcion.routes.js"
 import connectDB from "../BACKEND/Config/mongodb.js"
+import { iniciarNotificaciones } from "./services/notificaciones.js"
+import { iniciarListaEspera } from "./services/listaEspera.js"
+import { iniciarInasistencias } from "./services/inasistencias.js"
 import open from "open"
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -21,26 +39,63 @@ app.use(express.static(path.join(__dirname, "../FRONTEND")));
 // Conexión MongoDB
 connectDB();
 
+// Avisos de citas (confirmación, cambios y recordatorios)
+iniciarNotificaciones();
+
+// Vencimiento de ofertas de la lista de espera
+iniciarListaEspera();
+
+// Citas vencidas sin llegada registrada → No asistió
+iniciarInasistencias();
+
 // Rutas API
-app.post("/api/register", authentication.register);
-app.post("/api/login", authentication.login);
-app.post("/api/password", authentication.password);
+app.post("/api/register", limitarIntentos("register"), authentication.register);
+app.post("/api/login", limitarIntentos("login"), authentication.login);
+app.post("/api/login/2fa", limitarIntentos("login2fa"), authentication.login2FA);
+app.post("/api/password", limitarIntentos("password"), verificarToken, authentication.password);
+// La recuperación responde lo mismo exista o no la cuenta: cada pedido cuenta para el límite
+app.post("/api/password/olvido", limitarIntentos("olvido", { contarTodas: true }), authentication.olvidoPassword);
+app.post("/api/password/reset", limitarIntentos("reset"), authentication.resetPassword);
+app.get("/api/email/verificar", authentication.verificarEmail);
+app.post("/api/email/reenviar", limitarIntentos("reenvio"), authentication.reenviarVerificacion);
 
 // Rutas HTML (frontend)
 app.get("/", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/index.html")));
 app.get("/login", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login.html")));
 app.get("/register", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/register.html")));
 app.get("/password", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/password.html")));
+app.get("/password/reset", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/reset-password.html")));
 app.get("/user", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/index2.html")));
 app.get("/admin", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/admin.html")));
 app.get("/admin/pacientes", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/pacientes.html")));
 app.get("/admin/citas", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/citas.html")));
 app.get("/admin/resultados", (req, res) =>res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/resultados.html")));
 app.get("/admin/reportes", (req, res) =>res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/reportes.html")));
+app.get("/admin/usuarios", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/usuarios.html")));
+app.get("/admin/medicos", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/medicos.html")));
+app.get("/admin/calendario", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/calendario.html")));
+app.get("/admin/recursos", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/recursos.html")));
+app.get("/admin/recepcion", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/recepcion.html")));
+app.get("/admin/auditoria", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/login_exitoso/auditoria.html")));
+app.get("/lista-espera/oferta", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/oferta-cita.html")));
+app.get("/sala-espera", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/sala-espera.html")));
 app.get("/user/citas", (req, res) => res.sendFile(path.join(__dirname, "../FRONTEND/views/solicitar-cita.html")));
 
 app.use("/api", pacienteRoutes)
 app.use("/api", citasRoutes)
+app.use("/api", usuariosRoutes)
+app.use("/api", sesionesRoutes)
+app.use("/api", totpRoutes)
+app.use("/api", configuracionRoutes)
+app.use("/api", dependientesRoutes)
+app.use("/api", auditoriaRoutes)
+app.use("/api", medicosRoutes)
+app.use("/api", disponibilidadRoutes)
+app.use("/api", citasPacienteRoutes)
+app.use("/api", listaEsperaRoutes)
+app.use("/api", icalendarRoutes)
+app.use("/api", recursosRoutes)
+app.use("/api", recepcionRoutes)
 
 // Servidor
 app.listen(app.get("port"), async () => {
@@ -0,0 +1,81 @@
+// middlewares/auth.middleware.js
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import { ROLES } from "../models/Usuario.js";
+import { tocarSesion, verificarDesafio } from "../services/sesiones.js";
+
+dotenv.config();
+
+/** Roles del personal de la clínica */
+export const ROLES_STAFF = [ROLES.ADMIN, ROLES.RECEPCION, ROLES.MEDICO, ROLES.TECNOLOGO];
+
+/** Políticas de acceso: qué roles pasa cada una */
+export const POLITICAS = {
+  admin: [ROLES.ADMIN],
+  staff: ROLES_STAFF,
+  paciente: [ROLES.PACIENTE],
+};
+
+/**
+ * Verifica el Bearer token y que su sesión siga activa en el servidor;
+ * deja el payload en req.usuario
+ */
+export async function verificarToken(req, res, next) {
+  const authHeader = req.headers.authorization || "";
+  if (!authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({ ok: false, message: "Token faltante." });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ ok: false, message: "Token inválido o expirado." });
+  }
+
+  try {
+    if (!payload.sid || !(await tocarSesion(payload.sid))) {
+      return res.status(401).json({ ok: false, message: "Sesión cerrada o expirada." });
+    }
+  } catch (err) {
+    console.error("Error verificando sesión:", err);
+    return res.status(500).json({ ok: false, message: "Error interno." });
+  }
+
+  req.usuario = payload;
+  next();
+}
+
+/**
+ * Para el enrolamiento 2FA obligatorio: acepta el desafío del login en el body
+ * (el usuario aún no tiene sesión) o, si no lo hay, un access token normal
+ */
+export function verificarTokenODesafio(req, res, next) {
+  if (!req.body?.desafio) return verificarToken(req, res, next);
+
+  const payload = verificarDesafio(req.body.desafio);
+  if (!payload) {
+    return res.status(401).json({ ok: false, message: "Verificación expirada. Inicie sesión nuevamente." });
+  }
+
+  req.usuario = { id: payload.id, desafio: true };
+  next();
+}
+
+/**
+ * Permite el paso solo a los roles incluidos en alguna de las políticas
+ * @param {...string} politicas - Claves de POLITICAS (admin, staff, paciente)
+ */
+export function autorizar(...politicas) {
+  const permitidos = new Set(politicas.flatMap((p) => POLITICAS[p] || []));
+
+  return (req, res, next) => {
+    if (!req.usuario || !permitidos.has(req.usuario.role)) {
+      return res.status(403).json({ ok: false, message: "No tiene permisos para esta acción." });
+    }
+    next();
+  };
+}
+
+/** Indica si el usuario autenticado es un paciente */
+export const esPaciente = (usuario) => usuario?.role === ROLES.PACIENTE;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// Registro de auditoría: solo se inserta, nunca se modifica ni se borra
+const auditoriaSchema = new mongoose.Schema(
+  {
+    // Quién: null en acciones sin sesión (p. ej. registro o recuperación de contraseña)
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Usuario",
+      default: null,
+      index: true,
+    },
+    actorRol: {
+      type: String,
+      default: null,
+    },
+    accion: {
+      type: String,
+      required: true,
+    },
+    entidad: {
+      type: String,
+      enum: ["Cita", "SerieCita", "ListaEspera", "Paciente", "Usuario", "Tutela", "Configuracion", "Medico", "Recurso"],
+      required: true,
+      index: true,
+    },
+    entidadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    // Paciente afectado, para consultar todo lo que se hizo sobre su información
+    pacienteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Paciente",
+      default: null,
+      index: true,
+    },
+    // [{ campo, antes, despues }]
+    cambios: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditoriaSchema.index({ createdAt: -1 });
+
+function soloInsercion() {
+  throw new Error("El registro de auditoría no puede modificarse ni eliminarse");
+}
+
+auditoriaSchema.pre("save", function (next) {
+  if (!this.isNew) return soloInsercion();
+  next();
+});
+
+auditoriaSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  soloInsercion
+);
+
+const Auditoria = mongoose.model("Auditoria", auditoriaSchema);
+export default Auditoria;
@@ -1,5 +1,68 @@
 import mongoose from "mongoose"
 
+export const ESTADOS_CITA = ["Pendiente", "Confirmada", "Reprogramada", "Cancelada", "Atendida", "No asistió"]
+
+export const TIPOS_EXAMEN = ["Consulta General", "Laboratorio", "Imagenología", "Especialidad"]
+
+// Citas que todavía se van a atender
+export const ESTADOS_VIGENTES = ["Pendiente", "Confirmada", "Reprogramada"]
+
+// Estados a los que puede pasar una cita desde cada estado; Cancelada y Atendida son finales
+export const TRANSICIONES_CITA = {
+  Pendiente: ["Confirmada", "Reprogramada", "Cancelada", "No asistió"],
+  Confirmada: ["Atendida", "Reprogramada", "Cancelada", "No asistió"],
+  Reprogramada: ["Confirmada", "Reprogramada", "Cancelada", "No asistió"],
+  "No asistió": ["Reprogramada"],
+  Cancelada: [],
+  Atendida: [],
+}
+
+export const TIPOS_NOTIFICACION = ["confirmacion", "cambio", "cancelacion", "recordatorio_24h", "recordatorio_2h"]
+export const CANALES_NOTIFICACION = ["email", "sms", "whatsapp"]
+
+// Paso del paciente por la sala de espera el día de la cita
+export const ESTADOS_ATENCION = ["en_espera", "llamado", "en_atencion", "finalizado"]
+
+// Aviso al paciente por un canal; lo entrega el programador de recordatorios
+const notificacionSchema = new mongoose.Schema({
+  tipo: { type: String, enum: TIPOS_NOTIFICACION, required: true },
+  canal: { type: String, enum: CANALES_NOTIFICACION, required: true },
+  estado: { type: String, enum: ["pendiente", "enviada", "fallida", "omitida"], default: "pendiente" },
+  fechaCita: { type: Date, required: true }, // horario de la cita al que se refiere el aviso
+  destinatario: { type: String, default: null },
+  intentos: { type: Number, default: 0 },
+  creadaEn: { type: Date, default: Date.now },
+  enviadaEn: { type: Date, default: null },
+  error: { type: String, default: null },
+})
+
+// Cambio de estado registrado en la cita: quién, cuándo y por qué
+const transicionSchema = new mongoose.Schema(
+  {
+    de: { type: String, enum: ESTADOS_CITA, required: true },
+    a: { type: String, enum: ESTADOS_CITA, required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "Usuario", default: null }, // null = sistema
+    fecha: { type: Date, default: Date.now },
+    motivo: { type: String, trim: true, default: null },
+  },
+  { _id: false },
+)
+
+// Llegada a recepción: ticket de la cola de su servicio y horas de cada paso
+const atencionSchema = new mongoose.Schema(
+  {
+    ticket: { type: String, required: true }, // p. ej. "L-007"
+    estado: { type: String, enum: ESTADOS_ATENCION, default: "en_espera" },
+    consultorio: { type: String, trim: true, default: null },
+    llegada: { type: Date, required: true },
+    llamado: { type: Date, default: null }, // primer llamado: mide la espera
+    ultimoLlamado: { type: Date, default: null }, // se repite si el paciente no acude
+    inicio: { type: Date, default: null },
+    fin: { type: Date, default: null },
+  },
+  { _id: false },
+)
+
 const citaSchema = new mongoose.Schema(
   {
     pacienteId: {
@@ -9,7 +72,7 @@ const citaSchema = new mongoose.Schema(
     },
     medicoId: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "Usuario", // opcional si manejas médicos como usuarios del sistema
+      ref: "Medico",
       required: false,
       default: null,
     },
@@ -29,17 +92,39 @@ const citaSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    especialidad: {
+      type: String,
+      default: null, // especialidad elegida al solicitar la cita desde el portal
+    },
     tipoExamen: {
       type: String,
-      enum: ["Consulta General", "Laboratorio", "Imagenología", "Especialidad"],
+      enum: TIPOS_EXAMEN,
       required: true,
     },
+    // Salas, equipos o puestos que ocupa la cita (por defecto, los que pide su tipo de examen)
+    recursos: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Recurso" }],
+      default: [],
+    },
     estado: {
       type: String,
-      enum: ["Pendiente", "Confirmada", "Reprogramada", "Cancelada", "Atendida"],
+      enum: ESTADOS_CITA,
       default: "Pendiente",
       required: true,
     },
+    reprogramaciones: {
+      type: Number,
+      default: 0, // veces que se movió la cita (límite para pacientes en la política de citas)
+    },
+    secuencia: {
+      type: Number,
+      default: 0, // SEQUENCE del evento iCalendar: sube con cada cambio visible en el calendario
+    },
+    // Reservada por el portal por un paciente con inasistencias repetidas: recepción debe confirmarla
+    confirmacionRequerida: {
+      type: Boolean,
+      default: false,
+    },
     canceladoPor: {
       type: String,
       enum: ["Paciente", "Admin", "Sistema"],
@@ -57,9 +142,78 @@ const citaSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // null hasta que el paciente se registra en recepción
+    atencion: {
+      type: atencionSchema,
+      default: null,
+    },
+    // Serie recurrente a la que pertenece (null si es una cita suelta)
+    serieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SerieCita",
+      default: null,
+      index: true,
+    },
+    historial: {
+      type: [transicionSchema],
+      default: [],
+    },
+    notificaciones: {
+      type: [notificacionSchema],
+      default: [],
+    },
   },
   { timestamps: true },
 )
 
+// Campos que se ven en el evento de calendario del paciente o del médico
+const CAMPOS_CALENDARIO = ["fechaHora", "duracion", "medicoId", "estado", "motivo", "tipoExamen", "especialidad"]
+
+// Los clientes de calendario solo reemplazan un evento si su SEQUENCE es mayor
+citaSchema.pre("save", function (next) {
+  if (!this.isNew && CAMPOS_CALENDARIO.some((campo) => this.isModified(campo))) {
+    this.secuencia = (this.secuencia || 0) + 1
+  }
+  next()
+})
+
+// Campos de una cita con ticket que cambian lo que muestra la sala de espera
+const CAMPOS_SALA_ESPERA = ["atencion", "estado", "fechaHora"]
+
+// Se avisa desde el modelo para no depender de que cada ruta (recepción, portal, series,
+// reprogramación masiva, inasistencias) se acuerde de hacerlo; services/colaAtencion.js escucha
+citaSchema.pre("save", function (next) {
+  this.$locals.cambiaSalaEspera = !!this.atencion && CAMPOS_SALA_ESPERA.some((campo) => this.isModified(campo))
+  next()
+})
+
+citaSchema.post("save", function (cita) {
+  if (cita.$locals.cambiaSalaEspera) Cita.emit("salaEspera", cita)
+})
+
+/**
+ * Cambia el estado si la transición está permitida y la anota en el historial (no guarda)
+ * @param {string} estado - Estado destino
+ * @param {object} [opciones]
+ * @param {string} [opciones.actorId] - Usuario que hace el cambio; null si lo hace el sistema
+ * @param {string} [opciones.motivo]
+ * @returns {string|null} Mensaje de error o null si se aplicó
+ */
+citaSchema.methods.cambiarEstado = function (estado, { actorId = null, motivo = null } = {}) {
+  if (!ESTADOS_CITA.includes(estado)) return `Estado inválido: ${estado}`
+
+  const permitidos = TRANSICIONES_CITA[this.estado] || []
+  if (!permitidos.includes(estado)) {
+    return permitidos.length
+      ? `Una cita ${this.estado} solo puede pasar a: ${permitidos.join(", ")}`
+      : `Una cita ${this.estado} ya no puede cambiar de estado`
+  }
+
+  this.historial.push({ de: this.estado, a: estado, actorId, motivo })
+  this.estado = estado
+  if (estado === "Confirmada") this.confirmacionRequerida = false
+  return null
+}
+
 const Cita = mongoose.model("Cita", citaSchema)
 export default Cita
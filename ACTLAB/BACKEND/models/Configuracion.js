@@ -0,0 +1,197 @@
+import mongoose from "mongoose";
+import { HORA, FECHA, MES_DIA, aMinutos, validarOrden } from "./horario.js";
+import { ESTADOS_CITA, TIPOS_EXAMEN } from "./Cita.js";
+
+// Jornada de un día de la semana, con refrigerio opcional
+const jornadaSchema = new mongoose.Schema(
+  {
+    dia: { type: Number, min: 0, max: 6, required: true }, // 0 = domingo
+    abierto: { type: Boolean, default: true },
+    inicio: { type: String, match: [HORA, "Hora inválida: {VALUE}"], default: "08:00" },
+    fin: { type: String, match: [HORA, "Hora inválida: {VALUE}"], default: "18:00" },
+    refrigerioInicio: { type: String, match: [HORA, "Hora inválida: {VALUE}"], default: null },
+    refrigerioFin: { type: String, match: [HORA, "Hora inválida: {VALUE}"], default: null },
+  },
+  { _id: false }
+);
+
+jornadaSchema.pre("validate", validarOrden("inicio", "fin"));
+jornadaSchema.pre("validate", function (next) {
+  const { inicio, fin, refrigerioInicio, refrigerioFin } = this;
+  if (!refrigerioInicio && !refrigerioFin) return next();
+
+  if (
+    !refrigerioInicio ||
+    !refrigerioFin ||
+    aMinutos(refrigerioInicio) >= aMinutos(refrigerioFin) ||
+    aMinutos(refrigerioInicio) <= aMinutos(inicio) ||
+    aMinutos(refrigerioFin) >= aMinutos(fin)
+  ) {
+    this.invalidate("refrigerioFin", "El refrigerio debe quedar dentro de la jornada");
+  }
+  next();
+});
+
+// Feriado que se repite cada año (MM-DD)
+const feriadoSchema = new mongoose.Schema(
+  {
+    fecha: { type: String, match: [MES_DIA, "Feriado inválido (use MM-DD): {VALUE}"], required: true },
+    nombre: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+// Cierre puntual de uno o más días (feriados movibles, inventario, fumigación...)
+const cierreSchema = new mongoose.Schema(
+  {
+    desde: { type: String, match: [FECHA, "Fecha inválida: {VALUE}"], required: true },
+    hasta: { type: String, match: [FECHA, "Fecha inválida: {VALUE}"], required: true },
+    motivo: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+cierreSchema.pre("validate", function (next) {
+  if (this.desde && this.hasta && this.desde > this.hasta) {
+    this.invalidate("hasta", "La fecha final debe ser igual o posterior a la inicial");
+  }
+  next();
+});
+
+// Día con horario distinto al habitual (jornada reducida, p. ej. 24 y 31 de diciembre)
+const horarioEspecialSchema = new mongoose.Schema(
+  {
+    fecha: { type: String, match: [FECHA, "Fecha inválida: {VALUE}"], required: true },
+    inicio: { type: String, match: [HORA, "Hora inválida: {VALUE}"], required: true },
+    fin: { type: String, match: [HORA, "Hora inválida: {VALUE}"], required: true },
+    motivo: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+horarioEspecialSchema.pre("validate", validarOrden("inicio", "fin"));
+
+// Recursos que ocupa cada cita de un tipo de examen (p. ej. Imagenología → sala de rayos X)
+const recursosTipoSchema = new mongoose.Schema(
+  {
+    tipoExamen: { type: String, enum: { values: TIPOS_EXAMEN, message: "Tipo de examen inválido: {VALUE}" }, required: true },
+    recursos: [{ type: mongoose.Schema.Types.ObjectId, ref: "Recurso" }],
+  },
+  { _id: false }
+);
+
+// Qué pasa al reservar por el portal un paciente que llegó al umbral de inasistencias seguidas
+export const ACCIONES_INASISTENCIA = ["ninguna", "confirmacion", "bloqueo"];
+
+// Lunes a sábado de 8:00 a 18:00; domingo cerrado
+const SEMANA_POR_DEFECTO = () =>
+  [0, 1, 2, 3, 4, 5, 6].map((dia) => ({ dia, abierto: dia !== 0, inicio: "08:00", fin: "18:00" }));
+
+// Feriados nacionales de fecha fija en el Perú
+const FERIADOS_POR_DEFECTO = () => [
+  { fecha: "01-01", nombre: "Año Nuevo" },
+  { fecha: "05-01", nombre: "Día del Trabajo" },
+  { fecha: "06-07", nombre: "Batalla de Arica y Día de la Bandera" },
+  { fecha: "06-29", nombre: "San Pedro y San Pablo" },
+  { fecha: "07-23", nombre: "Día de la Fuerza Aérea" },
+  { fecha: "07-28", nombre: "Fiestas Patrias" },
+  { fecha: "07-29", nombre: "Fiestas Patrias" },
+  { fecha: "08-06", nombre: "Batalla de Junín" },
+  { fecha: "08-30", nombre: "Santa Rosa de Lima" },
+  { fecha: "10-08", nombre: "Combate de Angamos" },
+  { fecha: "11-01", nombre: "Día de Todos los Santos" },
+  { fecha: "12-08", nombre: "Inmaculada Concepción" },
+  { fecha: "12-09", nombre: "Batalla de Ayacucho" },
+  { fecha: "12-25", nombre: "Navidad" },
+];
+
+// Ajustes globales de la clínica editables por el administrador (documento único)
+const configuracionSchema = new mongoose.Schema(
+  {
+    clave: {
+      type: String,
+      default: "general",
+      unique: true,
+    },
+    // Roles que no pueden iniciar sesión sin segundo factor
+    roles2FAObligatorio: {
+      type: [String],
+      default: [],
+    },
+    // Reglas para que un paciente cancele o reprograme sus citas desde el portal
+    politicaCitas: {
+      anticipacionHoras: {
+        type: Number,
+        min: [0, "La anticipación no puede ser negativa"],
+        default: 24,
+      },
+      maxReprogramaciones: {
+        type: Number,
+        min: [0, "El máximo de reprogramaciones no puede ser negativo"],
+        default: 2,
+      },
+      estadosBloqueados: {
+        type: [{ type: String, enum: { values: ESTADOS_CITA, message: "Estado inválido: {VALUE}" } }],
+        default: () => ["Cancelada", "Atendida"],
+      },
+      // confirmacion: la cita queda marcada para que recepción la confirme; bloqueo: no puede reservar en línea
+      inasistencias: {
+        umbral: {
+          type: Number,
+          min: [1, "El umbral de inasistencias debe ser al menos 1"],
+          default: 3,
+        },
+        accion: {
+          type: String,
+          enum: { values: ACCIONES_INASISTENCIA, message: "Acción inválida: {VALUE}" },
+          default: "ninguna",
+        },
+      },
+    },
+    // Calendario de atención: lo aplican las citas y la búsqueda de horarios libres
+    calendario: {
+      semana: {
+        type: [jornadaSchema],
+        default: SEMANA_POR_DEFECTO,
+        validate: {
+          validator: (semana) => semana.length === 7 && new Set(semana.map((j) => j.dia)).size === 7,
+          message: "La semana debe incluir los siete días una sola vez",
+        },
+      },
+      feriados: {
+        type: [feriadoSchema],
+        default: FERIADOS_POR_DEFECTO,
+      },
+      cierres: {
+        type: [cierreSchema],
+        default: [],
+      },
+      horariosEspeciales: {
+        type: [horarioEspecialSchema],
+        default: [],
+      },
+    },
+    // Recursos que reserva por defecto cada tipo de examen; los tipos que no figuran no ocupan ninguno
+    recursosPorTipo: {
+      type: [recursosTipoSchema],
+      default: [],
+      validate: {
+        validator: (lista) => new Set(lista.map((r) => r.tipoExamen)).size === lista.length,
+        message: "Cada tipo de examen puede figurar una sola vez",
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+/** Devuelve la configuración, creándola con valores por defecto si no existe */
+configuracionSchema.statics.obtener = async function () {
+  return this.findOneAndUpdate(
+    { clave: "general" },
+    { $setOnInsert: { clave: "general" } },
+    { upsert: true, new: true }
+  );
+};
+
+const Configuracion = mongoose.model("Configuracion", configuracionSchema);
+export default Configuracion;
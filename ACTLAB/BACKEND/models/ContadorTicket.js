@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// Último número de ticket entregado por servicio en un día; la numeración vuelve a 1 cada día
+const contadorTicketSchema = new mongoose.Schema({
+  fecha: { type: String, required: true }, // AAAA-MM-DD
+  servicio: { type: String, required: true },
+  ultimo: { type: Number, default: 0 },
+});
+
+contadorTicketSchema.index({ fecha: 1, servicio: 1 }, { unique: true });
+
+const ContadorTicket = mongoose.model("ContadorTicket", contadorTicketSchema);
+export default ContadorTicket;
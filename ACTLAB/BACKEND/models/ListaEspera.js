@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+export const ESTADOS_ESPERA = ["Activa", "Ofrecida", "Asignada", "Cancelada", "Vencida"];
+
+// De mayor a menor: un hueco libre se ofrece primero a las entradas urgentes
+export const PRIORIDADES_ESPERA = ["urgente", "alta", "normal"];
+
+// Hueco ofrecido al paciente; solo se guarda el hash del token del enlace
+const ofertaSchema = new mongoose.Schema({
+  inicio: { type: Date, required: true },
+  duracion: { type: Number, required: true },
+  medicoId: { type: mongoose.Schema.Types.ObjectId, ref: "Medico", required: true },
+  tokenHash: { type: String, required: true, index: true },
+  expira: { type: Date, required: true },
+  estado: {
+    type: String,
+    enum: ["pendiente", "aceptada", "rechazada", "vencida", "anulada"],
+    default: "pendiente",
+  },
+  creadaEn: { type: Date, default: Date.now },
+  respondidaEn: { type: Date, default: null },
+  destinatarios: [{ type: String }], // correo / teléfonos a los que se envió el enlace
+});
+
+// Paciente interesado en una especialidad o médico dentro de un rango de fechas
+const listaEsperaSchema = new mongoose.Schema(
+  {
+    pacienteId: { type: mongoose.Schema.Types.ObjectId, ref: "Paciente", required: true, index: true },
+    especialidad: { type: String, trim: true, default: null },
+    medicoId: { type: mongoose.Schema.Types.ObjectId, ref: "Medico", default: null },
+    desde: { type: Date, required: [true, "Indique desde qué fecha puede asistir"] },
+    hasta: { type: Date, required: [true, "Indique hasta qué fecha puede asistir"] },
+    duracion: {
+      type: Number,
+      min: [5, "La duración debe estar entre 5 y 120 minutos"],
+      max: [120, "La duración debe estar entre 5 y 120 minutos"],
+      default: 30,
+    },
+    motivo: { type: String, required: [true, "Indique el motivo de la cita"], trim: true },
+    prioridad: {
+      type: String,
+      enum: { values: PRIORIDADES_ESPERA, message: "Prioridad inválida: {VALUE}" },
+      default: "normal",
+    },
+    estado: { type: String, enum: ESTADOS_ESPERA, default: "Activa", index: true },
+    ofertas: [ofertaSchema],
+    citaId: { type: mongoose.Schema.Types.ObjectId, ref: "Cita", default: null }, // cita reservada al aceptar
+    registradaPor: { type: mongoose.Schema.Types.ObjectId, ref: "Usuario", default: null },
+  },
+  { timestamps: true }
+);
+
+listaEsperaSchema.pre("validate", function (next) {
+  if (!this.especialidad && !this.medicoId) {
+    this.invalidate("especialidad", "Indique la especialidad o el médico que busca");
+  }
+  if (this.desde && this.hasta && this.hasta < this.desde) {
+    this.invalidate("hasta", "La fecha final no puede ser anterior a la inicial");
+  }
+  next();
+});
+
+const ListaEspera = mongoose.model("ListaEspera", listaEsperaSchema);
+export default ListaEspera;
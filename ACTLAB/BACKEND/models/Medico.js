@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import { HORA, aMinutos, claveDia, diaSemana, minutosDelDia, validarOrden } from "./horario.js";
+
+// Bloque de atención semanal: p. ej. lunes (1) de 08:00 a 13:00
+const bloqueHorarioSchema = new mongoose.Schema(
+  {
+    dia: { type: Number, min: 0, max: 6, required: true }, // 0 = domingo
+    inicio: { type: String, match: HORA, required: true },
+    fin: { type: String, match: HORA, required: true },
+  },
+  { _id: false }
+);
+
+bloqueHorarioSchema.pre("validate", validarOrden("inicio", "fin"));
+
+// Ausencias puntuales: vacaciones, congresos, descansos médicos
+const excepcionSchema = new mongoose.Schema({
+  desde: { type: Date, required: true },
+  hasta: { type: Date, required: true },
+  motivo: { type: String, trim: true, default: "" },
+});
+
+const medicoSchema = new mongoose.Schema(
+  {
+    nombres: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    apellidos: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Colegio Médico del Perú
+    cmp: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    especialidades: {
+      type: [String],
+      default: [],
+    },
+    foto: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    horario: {
+      type: [bloqueHorarioSchema],
+      default: [],
+    },
+    excepciones: {
+      type: [excepcionSchema],
+      default: [],
+    },
+    activo: {
+      type: Boolean,
+      default: true,
+    },
+    // Hash del token de su suscripción iCalendar (el enlace solo se muestra al generarlo)
+    calendarioTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Indica si el médico atiende en todo el intervalo [inicio, fin):
+ * dentro de un bloque de su horario semanal (en hora de la clínica) y fuera de sus excepciones.
+ */
+medicoSchema.methods.atiendeEn = function (inicio, fin) {
+  if (!this.activo || claveDia(inicio) !== claveDia(new Date(fin - 1))) return false;
+
+  const desde = minutosDelDia(inicio);
+  const hasta = desde + (fin - inicio) / 60000;
+  const dia = diaSemana(inicio);
+
+  const enHorario = this.horario.some(
+    (b) => b.dia === dia && aMinutos(b.inicio) <= desde && hasta <= aMinutos(b.fin)
+  );
+
+  return enHorario && !this.excepciones.some((e) => e.desde < fin && e.hasta > inicio);
+};
+
+const Medico = mongoose.model("Medico", medicoSchema);
+export default Medico;
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// sala: consultorio o sala de rayos X; equipo: ecógrafo, electrocardiógrafo; puesto: silla de toma de muestras
+export const TIPOS_RECURSO = ["sala", "equipo", "puesto"];
+
+/** Capacidad máxima de un recurso (citas a la vez) */
+export const CAPACIDAD_MAXIMA = 20;
+
+// Recurso físico que reservan las citas; la capacidad es cuántas citas puede atender a la vez
+const recursoSchema = new mongoose.Schema(
+  {
+    nombre: {
+      type: String,
+      required: [true, "Indique el nombre del recurso"],
+      trim: true,
+      unique: true,
+    },
+    tipo: {
+      type: String,
+      enum: { values: TIPOS_RECURSO, message: "Tipo de recurso inválido: {VALUE}" },
+      required: [true, "Indique el tipo de recurso"],
+    },
+    capacidad: {
+      type: Number,
+      min: [1, `La capacidad debe estar entre 1 y ${CAPACIDAD_MAXIMA}`],
+      max: [CAPACIDAD_MAXIMA, `La capacidad debe estar entre 1 y ${CAPACIDAD_MAXIMA}`],
+      default: 1,
+    },
+    descripcion: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    activo: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const Recurso = mongoose.model("Recurso", recursoSchema);
+export default Recurso;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import { TIPOS_EXAMEN } from "./Cita.js";
+
+// Máximo de citas que genera una serie (un año de citas semanales)
+export const MAX_OCURRENCIAS = 52;
+
+// Regla de repetición: cada N semanas en ciertos días, o cada N meses el mismo día del mes
+const reglaSchema = new mongoose.Schema(
+  {
+    frecuencia: {
+      type: String,
+      enum: { values: ["semanal", "mensual"], message: "Frecuencia inválida: {VALUE}" },
+      required: [true, "Indique la frecuencia de la serie"],
+    },
+    intervalo: {
+      type: Number,
+      min: [1, "El intervalo debe estar entre 1 y 12"],
+      max: [12, "El intervalo debe estar entre 1 y 12"],
+      default: 1,
+    },
+    dias: [{ type: Number, min: 0, max: 6 }], // semanal: 0 = domingo; vacío = el día de la primera cita
+    hasta: { type: Date, default: null },
+    cantidad: {
+      type: Number,
+      min: [1, "La serie debe tener al menos una cita"],
+      max: [MAX_OCURRENCIAS, `Una serie puede tener como máximo ${MAX_OCURRENCIAS} citas`],
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+reglaSchema.pre("validate", function (next) {
+  if (!this.hasta && !this.cantidad) {
+    this.invalidate("hasta", "Indique una fecha final o la cantidad de citas de la serie");
+  }
+  next();
+});
+
+// Citas que se repiten (terapias, controles crónicos); cada ocurrencia es una Cita con serieId
+const serieCitaSchema = new mongoose.Schema(
+  {
+    pacienteId: { type: mongoose.Schema.Types.ObjectId, ref: "Paciente", required: true },
+    medicoId: { type: mongoose.Schema.Types.ObjectId, ref: "Medico", default: null },
+    inicio: { type: Date, required: true }, // primera ocurrencia
+    duracion: { type: Number, min: 5, max: 120, default: 15 },
+    motivo: { type: String, required: true, trim: true },
+    tipoExamen: {
+      type: String,
+      enum: { values: TIPOS_EXAMEN, message: "Tipo de examen inválido: {VALUE}" },
+      required: true,
+    },
+    recursos: [{ type: mongoose.Schema.Types.ObjectId, ref: "Recurso" }],
+    regla: { type: reglaSchema, required: true },
+    creadaPor: { type: mongoose.Schema.Types.ObjectId, ref: "Usuario", default: null },
+  },
+  { timestamps: true }
+);
+
+const SerieCita = mongoose.model("SerieCita", serieCitaSchema);
+export default SerieCita;
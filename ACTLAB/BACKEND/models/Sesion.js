@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// Sesión iniciada por un usuario en un dispositivo (refresh token rotativo)
+const sesionSchema = new mongoose.Schema(
+  {
+    usuarioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Usuario",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    dispositivo: {
+      type: String,
+      default: "Desconocido",
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    ultimoUso: {
+      type: Date,
+      default: Date.now,
+    },
+    expira: {
+      type: Date,
+      required: true,
+    },
+    revocada: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const Sesion = mongoose.model("Sesion", sesionSchema);
+export default Sesion;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Un usuario adulto (tutor) gestiona la ficha de un dependiente: hijos menores,
+// padres mayores, etc. La tutela de un menor vence sola al cumplir 18 años.
+const tutelaSchema = new mongoose.Schema(
+  {
+    tutorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Usuario",
+      required: true,
+      index: true,
+    },
+    pacienteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Paciente",
+      required: true,
+      index: true,
+    },
+    parentesco: {
+      type: String,
+      enum: ["hijo", "padre", "abuelo", "conyuge", "otro"],
+      required: true,
+    },
+    motivo: {
+      type: String,
+      enum: ["menor", "dependiente"],
+      required: true,
+    },
+    // Fecha en que el menor cumple la mayoría de edad (null = sin vencimiento)
+    vigenteHasta: {
+      type: Date,
+      default: null,
+    },
+    revocada: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+tutelaSchema.index({ tutorId: 1, pacienteId: 1 }, { unique: true });
+
+const Tutela = mongoose.model("Tutela", tutelaSchema);
+export default Tutela;
@@ -1,6 +1,12 @@
 // BACKEND/Models/Usuario.js
 import mongoose from "mongoose";
 
+// Las fichas creadas por recepción exigen los datos clínicos completos; las
+// creadas al registrarse un paciente (o por su tutor) se completan después
+function esFichaDeRecepcion() {
+  return this.origen === "recepcion";
+}
+
 const usuarioSchema = new mongoose.Schema(
   {
     nombres: {
@@ -15,29 +21,81 @@ const usuarioSchema = new mongoose.Schema(
     },
     edad: {
       type: Number,
-      required: true,
+      required: esFichaDeRecepcion,
       min: 0,
     },
+    fecha_nacimiento: {
+      type: Date,
+      default: null,
+    },
     genero: {
       type: String,
       enum: ["Masculino", "Femenino", "Otro"],
-      required: true,
+      required: esFichaDeRecepcion,
     },
     direccion: {
       type: String,
-      required: true,
+      required: esFichaDeRecepcion,
     },
     celular: {
       type: String,
-      required: true,
+      required: esFichaDeRecepcion,
       match: /^[0-9]{9}$/, // valida 9 dígitos
     },
+    // Documento: clave compartida con la cuenta de acceso (Usuario)
+    tipo_documento: {
+      type: String,
+      enum: ["dni", "pasaporte", "carnet-ext"],
+      default: null,
+    },
+    num_documento: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Cuenta de acceso vinculada (null si el paciente aún no se registró)
+    usuarioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Usuario",
+      default: null,
+    },
+    // Cuenta registrada con el mismo documento que espera a que recepción confirme la identidad
+    cuentaPendiente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Usuario",
+      default: null,
+    },
+    origen: {
+      type: String,
+      enum: ["recepcion", "registro", "tutor"],
+      default: "recepcion",
+    },
+    // Contadores de asistencia; una cita atendida reinicia las inasistencias seguidas
+    asistencia: {
+      atendidas: { type: Number, default: 0 },
+      inasistencias: { type: Number, default: 0 },
+      inasistenciasSeguidas: { type: Number, default: 0 },
+      ultimaInasistencia: { type: Date, default: null },
+    },
+    // Hash del token de su suscripción iCalendar (el enlace solo se muestra al generarlo)
+    calendarioTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+      index: true,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Un documento identifica a una sola ficha (las fichas antiguas sin documento no cuentan)
+usuarioSchema.index(
+  { tipo_documento: 1, num_documento: 1 },
+  { unique: true, partialFilterExpression: { num_documento: { $type: "string" } } }
+);
+
 // 👇 Aquí debe ser Paciente
 const Paciente = mongoose.model("Paciente", usuarioSchema);
 
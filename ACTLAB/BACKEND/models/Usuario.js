@@ -1,5 +1,14 @@
 import mongoose from "mongoose";
 
+/** Roles del sistema: personal de la clínica y pacientes */
+export const ROLES = {
+  ADMIN: "admin",
+  RECEPCION: "recepcion",
+  MEDICO: "medico",
+  TECNOLOGO: "tecnologo",
+  PACIENTE: "paciente",
+};
+
 const usuarioSchema = new mongoose.Schema(
   {
     tipo_documento: {
@@ -15,7 +24,20 @@ const usuarioSchema = new mongoose.Schema(
     },
     fecha_emision: {
       type: Date,
-      required: true,
+      // Solo se pide en el registro de pacientes
+      required: function () {
+        return this.role === ROLES.PACIENTE;
+      },
+    },
+    nombres: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    apellidos: {
+      type: String,
+      trim: true,
+      default: null,
     },
     email: {
       type: String,
@@ -25,6 +47,11 @@ const usuarioSchema = new mongoose.Schema(
       lowercase: true,
       match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ // valida formato básico de email
     },
+    // register() lo crea en false; las cuentas anteriores y las del personal se dan por verificadas
+    emailVerificado: {
+      type: Boolean,
+      default: true,
+    },
     password: {
       type: String,
       required: true,
@@ -41,6 +68,61 @@ const usuarioSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.PACIENTE,
+      required: true,
+    },
+    activo: {
+      type: Boolean,
+      default: true,
+    },
+    // Ficha clínica del paciente (solo cuentas con rol paciente)
+    pacienteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Paciente",
+      default: null,
+    },
+    // Recuperación de contraseña: solo se guarda el hash del token
+    resetTokenHash: {
+      type: String,
+      default: null,
+    },
+    resetTokenExpira: {
+      type: Date,
+      default: null,
+    },
+    // Protección contra fuerza bruta en el login
+    intentosFallidos: {
+      type: Number,
+      default: 0,
+    },
+    bloqueadoHasta: {
+      type: Date,
+      default: null,
+    },
+    // Segundo factor (TOTP). totpPendiente guarda el secreto hasta confirmar el primer código
+    totpActivo: {
+      type: Boolean,
+      default: false,
+    },
+    totpSecreto: {
+      type: String,
+      default: null,
+    },
+    totpPendiente: {
+      type: String,
+      default: null,
+    },
+    totpUltimoPaso: {
+      type: Number,
+      default: -1,
+    },
+    codigosRecuperacion: {
+      type: [String], // hashes sha256, un solo uso
+      default: [],
+    },
   },
   { timestamps: true }
 );
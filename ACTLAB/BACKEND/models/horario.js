@@ -0,0 +1,141 @@
+// Utilidades compartidas por los modelos con horarios ("HH:mm" y "AAAA-MM-DD").
+// Los horarios y los días se leen en la zona horaria de la clínica, no en la del servidor:
+// un servidor en UTC debe ver las 08:00 de Lima a las 08:00 y cortar el día a la medianoche de Lima.
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+export const FECHA = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+export const MES_DIA = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/** "HH:mm" → minutos desde la medianoche */
+export const aMinutos = (hora) => {
+  const [h, m] = hora.split(":").map(Number);
+  return h * 60 + m;
+};
+
+/** Validador de esquema: la hora de `campoFin` debe ser posterior a la de `campoInicio` */
+export function validarOrden(campoInicio, campoFin) {
+  return function (next) {
+    const inicio = this[campoInicio];
+    const fin = this[campoFin];
+    if (inicio && fin && aMinutos(inicio) >= aMinutos(fin)) {
+      this.invalidate(campoFin, "La hora de fin debe ser posterior a la de inicio");
+    }
+    next();
+  };
+}
+
+/** Zona horaria IANA de la clínica (CLINICA_ZONA_HORARIA, por defecto America/Lima) */
+export const ZONA_CLINICA = process.env.CLINICA_ZONA_HORARIA || "America/Lima";
+
+const DIAS_SEMANA = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Un formateador por zona (crearlos es costoso); falla al arrancar si la zona no existe
+const formateadores = new Map();
+function formateador(zona) {
+  if (!formateadores.has(zona)) {
+    formateadores.set(
+      zona,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: zona,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formateadores.get(zona);
+}
+formateador(ZONA_CLINICA);
+
+/** Fecha y hora que marca el reloj de la zona en ese instante → { anio, mes (1-12), dia, hora, minuto, segundo, diaSemana (0 = domingo) } */
+export function partesEnZona(fecha, zona = ZONA_CLINICA) {
+  const partes = {};
+  for (const { type, value } of formateador(zona).formatToParts(new Date(fecha))) partes[type] = value;
+  return {
+    anio: Number(partes.year),
+    mes: Number(partes.month),
+    dia: Number(partes.day),
+    hora: Number(partes.hour),
+    minuto: Number(partes.minute),
+    segundo: Number(partes.second),
+    diaSemana: DIAS_SEMANA[partes.weekday],
+  };
+}
+
+const dosDigitos = (n) => String(n).padStart(2, "0");
+
+/** Día AAAA-MM-DD de un instante en la zona */
+export function claveDia(fecha, zona = ZONA_CLINICA) {
+  const { anio, mes, dia } = partesEnZona(fecha, zona);
+  return `${anio}-${dosDigitos(mes)}-${dosDigitos(dia)}`;
+}
+
+/** Minutos desde la medianoche de la zona */
+export function minutosDelDia(fecha, zona = ZONA_CLINICA) {
+  const { hora, minuto } = partesEnZona(fecha, zona);
+  return hora * 60 + minuto;
+}
+
+/** Día de la semana en la zona (0 = domingo) */
+export const diaSemana = (fecha, zona = ZONA_CLINICA) => partesEnZona(fecha, zona).diaSemana;
+
+// Fecha AAAA-MM-DD → milisegundos de esa medianoche leída como UTC (solo para aritmética de días)
+const utcDeClave = (clave) => {
+  const [anio, mes, dia] = clave.split("-").map(Number);
+  return Date.UTC(anio, mes - 1, dia);
+};
+
+/** Día AAAA-MM-DD desplazado `dias` días de calendario */
+export const sumarDias = (clave, dias) => new Date(utcDeClave(clave) + dias * 86400000).toISOString().slice(0, 10);
+
+/** Días de calendario de `desde` a `hasta` (ambos AAAA-MM-DD) */
+export const diasEntre = (desde, hasta) => Math.round((utcDeClave(hasta) - utcDeClave(desde)) / 86400000);
+
+/** Día de la semana de una fecha AAAA-MM-DD (0 = domingo) */
+export const diaSemanaDeClave = (clave) => new Date(utcDeClave(clave)).getUTCDay();
+
+// Minutos que la zona va adelantada respecto de UTC en ese instante (Lima: -300)
+function desfase(instante, zona) {
+  const p = partesEnZona(instante, zona);
+  const comoUtc = Date.UTC(p.anio, p.mes - 1, p.dia, p.hora, p.minuto, p.segundo);
+  return Math.round((comoUtc - Math.floor(instante / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instante en que el reloj de la zona marca ese día y esa hora.
+ * Una hora que no existe por un adelanto de reloj se corre hacia adelante la duración del salto;
+ * una que se repite por un atraso toma la primera vez.
+ * @param {string} clave - Día AAAA-MM-DD
+ * @param {number} [minutos] - Minutos desde la medianoche
+ * @returns {Date}
+ */
+export function fechaEnZona(clave, minutos = 0, zona = ZONA_CLINICA) {
+  const reloj = utcDeClave(clave) + minutos * 60000;
+  // El desfase de unas horas antes evita caer del otro lado de un cambio de hora
+  const antes = reloj - desfase(reloj - 12 * 3600000, zona) * 60000;
+  const despues = reloj - desfase(reloj + 12 * 3600000, zona) * 60000;
+  const candidatos = [antes, despues].filter((t) => reloj - desfase(t, zona) * 60000 === t).sort((a, b) => a - b);
+  return new Date(candidatos.length ? candidatos[0] : antes);
+}
+
+/** Rango [inicio, fin) del día de la zona: recibe el día AAAA-MM-DD o un instante dentro de él */
+export function rangoDia(dia = new Date(), zona = ZONA_CLINICA) {
+  const clave = typeof dia === "string" ? dia : claveDia(dia, zona);
+  return { inicio: fechaEnZona(clave, 0, zona), fin: fechaEnZona(sumarDias(clave, 1), 0, zona) };
+}
+
+/** Hora "HH:mm" de un instante en la zona de la clínica, para mensajes */
+export const formatoHora = (fecha) =>
+  new Date(fecha).toLocaleTimeString("es-PE", { hour: "2-digit", minute: "2-digit", hourCycle: "h23", timeZone: ZONA_CLINICA });
+
+/** Fecha larga ("lunes, 3 de marzo") de un instante en la zona de la clínica, para mensajes */
+export const formatoFecha = (fecha) =>
+  new Date(fecha).toLocaleDateString("es-PE", { weekday: "long", day: "numeric", month: "long", timeZone: ZONA_CLINICA });
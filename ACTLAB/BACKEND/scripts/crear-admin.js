@@ -0,0 +1,56 @@
+// scripts/crear-admin.js
+// Crea el primer administrador a partir de variables de entorno (uso único):
+//   ADMIN_TIPO_DOCUMENTO (por defecto "dni"), ADMIN_NUM_DOCUMENTO, ADMIN_EMAIL, ADMIN_PASSWORD
+import mongoose from "mongoose";
+import bcryptjs from "bcryptjs";
+import connectDB from "../Config/mongodb.js";
+import Usuario, { ROLES } from "../models/Usuario.js";
+
+const {
+  ADMIN_TIPO_DOCUMENTO = "dni",
+  ADMIN_NUM_DOCUMENTO,
+  ADMIN_EMAIL,
+  ADMIN_PASSWORD,
+} = process.env;
+
+async function main() {
+  if (!ADMIN_NUM_DOCUMENTO || !ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.error("Defina ADMIN_NUM_DOCUMENTO, ADMIN_EMAIL y ADMIN_PASSWORD.");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (ADMIN_PASSWORD.length < 8) {
+    console.error("ADMIN_PASSWORD debe tener mínimo 8 caracteres.");
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  try {
+    const existente = await Usuario.findOne({ role: ROLES.ADMIN });
+    if (existente) {
+      console.log(`Ya existe un administrador (${existente.email}). No se creó ninguno.`);
+      return;
+    }
+
+    const salt = await bcryptjs.genSalt(5);
+    const admin = await Usuario.create({
+      tipo_documento: ADMIN_TIPO_DOCUMENTO.toLowerCase(),
+      num_documento: ADMIN_NUM_DOCUMENTO,
+      email: ADMIN_EMAIL,
+      password: await bcryptjs.hash(ADMIN_PASSWORD, salt),
+      role: ROLES.ADMIN,
+    });
+
+    console.log(`✅ Administrador creado: ${admin.email}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("Error creando administrador:", err);
+  process.exitCode = 1;
+});
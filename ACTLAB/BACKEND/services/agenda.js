@@ -0,0 +1,192 @@
+// services/agenda.js
+// Reglas de agenda: cruces de citas por médico y por paciente, y capacidad de los recursos
+import mongoose from "mongoose";
+import Cita from "../models/Cita.js";
+import Medico from "../models/Medico.js";
+import { aMinutos, diaSemanaDeClave, fechaEnZona, formatoHora, rangoDia } from "../models/horario.js";
+import { obtenerCalendario, validarHorarioClinica, ventanasDelDia } from "./calendario.js";
+import { encolarNotificacion } from "./notificaciones.js";
+import { cargarOcupacion, recursoLleno, validarRecursos } from "./recursos.js";
+
+/** Duración máxima de una cita en minutos (coincide con el modelo) */
+export const DURACION_MAXIMA = 120;
+
+/** Separación entre horarios ofrecidos, en minutos */
+export const PASO_MINUTOS = 15;
+
+/** Hora de término de una cita */
+export const finDeCita = (cita) => new Date(new Date(cita.fechaHora).getTime() + (cita.duracion || 15) * 60000);
+
+/**
+ * Busca una cita activa que se solape con el intervalo y sea del mismo médico o del mismo paciente
+ * @param {object} params
+ * @param {Date} params.inicio - Fecha y hora de inicio
+ * @param {number} params.duracion - Duración en minutos
+ * @param {string} [params.medicoId]
+ * @param {string} [params.pacienteId]
+ * @param {string|string[]} [params.excluirId] - Cita o citas a excluir (para ediciones)
+ * @returns {Promise<Object|null>} Cita que causa conflicto o null
+ */
+export async function buscarCruce({ inicio, duracion, medicoId = null, pacienteId = null, excluirId = null }) {
+  const recursos = [];
+  if (medicoId) recursos.push({ medicoId });
+  if (pacienteId) recursos.push({ pacienteId });
+  if (recursos.length === 0) return null;
+
+  const fin = new Date(inicio.getTime() + duracion * 60000);
+  const filtro = {
+    $or: recursos,
+    estado: { $ne: "Cancelada" },
+    // Ninguna cita dura más de DURACION_MAXIMA: basta con mirar ese margen hacia atrás
+    fechaHora: { $gt: new Date(inicio.getTime() - DURACION_MAXIMA * 60000), $lt: fin },
+  };
+  if (excluirId) filtro._id = Array.isArray(excluirId) ? { $nin: excluirId } : { $ne: excluirId };
+
+  const candidatas = await Cita.find(filtro).sort({ fechaHora: 1 });
+  return candidatas.find((cita) => finDeCita(cita) > inicio) || null;
+}
+
+/** Mensaje para un cruce, indicando si lo causa la agenda del médico o la del paciente */
+export function mensajeCruce(cita, medicoId) {
+  const quien = medicoId && String(cita.medicoId) === String(medicoId) ? "el médico" : "el paciente";
+  return `Hay un cruce de horario: ${quien} ya tiene una cita (${formatoHora(new Date(cita.fechaHora))} - ${formatoHora(finDeCita(cita))}). Edite o escoja otro horario.`;
+}
+
+/**
+ * Comprueba que el médico exista, esté activo y atienda en el intervalo
+ * @returns {Promise<string|null>} Mensaje de error o null si puede atender
+ */
+export async function validarMedico(medicoId, inicio, duracion) {
+  const medico = mongoose.isValidObjectId(medicoId) ? await Medico.findById(medicoId) : null;
+  if (!medico || !medico.activo) return "Médico no encontrado";
+
+  if (!medico.atiendeEn(inicio, new Date(inicio.getTime() + duracion * 60000))) {
+    return "El médico no atiende en ese horario";
+  }
+  return null;
+}
+
+/**
+ * Reglas comunes para agendar o mover una cita: calendario de la clínica,
+ * horario del médico, cruces con otras citas del médico o del paciente
+ * y capacidad de los recursos que ocupa
+ * @param {object} params - Mismos parámetros que buscarCruce
+ * @param {string[]} [params.recursos] - Recursos que ocupa la cita
+ * @returns {Promise<string|null>} Mensaje de error o null si el horario es válido
+ */
+export async function validarAgenda({ inicio, duracion, medicoId = null, pacienteId = null, excluirId = null, recursos = [] }) {
+  const errorHorario = await validarHorarioClinica(inicio, duracion);
+  if (errorHorario) return errorHorario;
+
+  if (medicoId) {
+    const errorMedico = await validarMedico(medicoId, inicio, duracion);
+    if (errorMedico) return errorMedico;
+  }
+
+  const cruce = await buscarCruce({ inicio, duracion, medicoId, pacienteId, excluirId });
+  if (cruce) return mensajeCruce(cruce, medicoId);
+
+  return validarRecursos({ inicio, duracion, recursos, excluirId });
+}
+
+/**
+ * Mueve una cita a un nuevo horario (y opcionalmente a otro médico) si pasa las reglas de agenda
+ * @param {object} cita - Documento Cita
+ * @param {object} params
+ * @param {Date} params.inicio - Nuevo inicio
+ * @param {string} [params.medicoId] - Nuevo médico; por defecto el actual
+ * @param {string} [params.actorId] - Usuario que reprograma (para el historial de estados)
+ * @param {string} [params.motivo]
+ * @param {boolean} [params.contarReprogramacion] - false si la mueve la clínica (no cuenta para el límite del paciente)
+ * @returns {Promise<string|null>} Mensaje de error o null si se guardó
+ */
+export async function moverCita(
+  cita,
+  { inicio, medicoId = cita.medicoId, actorId = null, motivo = null, contarReprogramacion = true }
+) {
+  const error = await validarAgenda({
+    inicio,
+    duracion: cita.duracion,
+    medicoId,
+    pacienteId: cita.pacienteId,
+    excluirId: cita._id,
+    recursos: cita.recursos || [],
+  });
+  if (error) return error;
+
+  const errorEstado = cita.cambiarEstado("Reprogramada", { actorId, motivo });
+  if (errorEstado) return errorEstado;
+
+  cita.fechaHora = inicio;
+  cita.medicoId = medicoId || null;
+  encolarNotificacion(cita, "cambio");
+  if (contarReprogramacion) cita.reprogramaciones = (cita.reprogramaciones || 0) + 1;
+  await cita.save();
+  return null;
+}
+
+/**
+ * Horarios libres de un día: dentro del calendario de la clínica y del horario del médico,
+ * fuera de sus ausencias, sin cruce con sus citas no canceladas y con lugar en los recursos pedidos
+ * @param {object} params
+ * @param {string} params.fecha - Día a consultar (YYYY-MM-DD)
+ * @param {number} params.duracion - Duración de la cita en minutos
+ * @param {string} [params.medicoId] - Limita la búsqueda a un médico
+ * @param {string} [params.especialidad] - Limita la búsqueda a una especialidad
+ * @param {string[]} [params.recursos] - Recursos que ocuparía la cita
+ * @returns {Promise<{medicoId: string, medico: string, especialidades: string[], inicio: Date, fin: Date}[]>}
+ */
+export async function calcularDisponibilidad({ fecha, duracion, medicoId = null, especialidad = null, recursos = [] }) {
+  const ventanas = ventanasDelDia(await obtenerCalendario(), fecha);
+  if (ventanas.length === 0) return [];
+
+  const filtro = { activo: true };
+  if (medicoId) filtro._id = medicoId;
+  if (especialidad) filtro.especialidades = especialidad;
+  const medicos = await Medico.find(filtro);
+  if (medicos.length === 0) return [];
+
+  const { inicio: inicioDia, fin: finDia } = rangoDia(fecha);
+  const citas = await Cita.find({
+    medicoId: { $in: medicos.map((m) => m._id) },
+    estado: { $ne: "Cancelada" },
+    fechaHora: { $gt: new Date(inicioDia.getTime() - DURACION_MAXIMA * 60000), $lt: finDia },
+  });
+
+  const ocupacion = await cargarOcupacion(recursos, inicioDia, finDia);
+  // Un recurso dado de baja deja sin horarios a las citas que lo necesitan
+  if (ocupacion.recursos.some((r) => !r.activo)) return [];
+
+  const ahora = new Date();
+  const horarios = [];
+
+  for (const medico of medicos) {
+    const ocupadas = citas.filter((c) => String(c.medicoId) === String(medico._id));
+    // Cada bloque del médico de ese día, recortado a cada ventana de atención de la clínica
+    const tramos = medico.horario
+      .filter((b) => b.dia === diaSemanaDeClave(fecha))
+      .flatMap((b) =>
+        ventanas.map(([apertura, cierre]) => [Math.max(aMinutos(b.inicio), apertura), Math.min(aMinutos(b.fin), cierre)])
+      );
+
+    for (const [desde, hasta] of tramos) {
+      for (let minuto = desde; minuto + duracion <= hasta; minuto += PASO_MINUTOS) {
+        const inicio = fechaEnZona(fecha, minuto);
+        const fin = new Date(inicio.getTime() + duracion * 60000);
+        if (inicio <= ahora || !medico.atiendeEn(inicio, fin)) continue;
+        if (ocupadas.some((c) => new Date(c.fechaHora) < fin && finDeCita(c) > inicio)) continue;
+        if (recursoLleno(ocupacion, inicio, fin)) continue;
+
+        horarios.push({
+          medicoId: medico._id,
+          medico: `${medico.nombres} ${medico.apellidos}`,
+          especialidades: medico.especialidades,
+          inicio,
+          fin,
+        });
+      }
+    }
+  }
+
+  return horarios.sort((a, b) => a.inicio - b.inicio || a.medico.localeCompare(b.medico));
+}
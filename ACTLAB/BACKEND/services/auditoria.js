@@ -0,0 +1,82 @@
+// services/auditoria.js
+// Registro de quién cambió qué: actor, acción, entidad y diferencias antes/después
+import Auditoria from "../models/Auditoria.js";
+
+// Metadatos que no aportan a la revisión
+const CAMPOS_IGNORADOS = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+
+// Se registra que cambiaron, pero nunca su valor
+const CAMPOS_SENSIBLES = new Set([
+  "password",
+  "resetTokenHash",
+  "totpSecreto",
+  "totpPendiente",
+  "codigosRecuperacion",
+  "refreshTokenHash",
+  "calendarioTokenHash",
+]);
+
+// Documento mongoose o lean → objeto plano serializable (ObjectId y Date como texto)
+function aPlano(doc) {
+  if (!doc) return {};
+  const obj = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * Diferencias campo a campo entre dos versiones de un documento
+ * @returns {{campo: string, antes: *, despues: *}[]}
+ */
+export function diferencias(antes, despues) {
+  const a = aPlano(antes);
+  const d = aPlano(despues);
+  const campos = new Set([...Object.keys(a), ...Object.keys(d)]);
+
+  const cambios = [];
+  for (const campo of campos) {
+    if (CAMPOS_IGNORADOS.has(campo)) continue;
+    if (JSON.stringify(a[campo]) === JSON.stringify(d[campo])) continue;
+
+    const oculto = CAMPOS_SENSIBLES.has(campo);
+    cambios.push({
+      campo,
+      antes: oculto ? "[oculto]" : a[campo] ?? null,
+      despues: oculto ? "[oculto]" : d[campo] ?? null,
+    });
+  }
+  return cambios;
+}
+
+const idDe = (valor) => valor?._id ?? valor ?? null;
+
+/**
+ * Agrega una entrada a la auditoría. Un fallo al auditar se informa en consola
+ * pero no revierte la operación ya realizada.
+ * @param {import("express").Request} req - Para el actor (req.usuario) y la IP
+ * @param {object} datos
+ * @param {string} datos.accion - crear, actualizar, eliminar, cancelar, ...
+ * @param {string} datos.entidad - Modelo afectado (Cita, Paciente, ...)
+ * @param {object|null} [datos.antes] - Versión previa (null al crear)
+ * @param {object|null} [datos.despues] - Versión nueva (null al eliminar)
+ * @param {string} [datos.pacienteId] - Paciente afectado, si no se deduce del documento
+ * @param {{id: string, role: string}} [datos.actor] - Actor cuando no hay sesión
+ */
+export async function registrarAuditoria(req, { accion, entidad, antes = null, despues = null, pacienteId, actor }) {
+  try {
+    const doc = despues || antes;
+    const quien = actor || req.usuario || {};
+
+    await Auditoria.create({
+      actorId: quien.id ?? null,
+      actorRol: quien.role ?? null,
+      accion,
+      entidad,
+      entidadId: doc._id,
+      pacienteId: idDe(pacienteId ?? (entidad === "Paciente" ? doc._id : doc.pacienteId)),
+      cambios: diferencias(antes, despues),
+      ip: req.ip || null,
+    });
+  } catch (error) {
+    console.error(`Error registrando auditoría (${entidad} ${accion}):`, error);
+  }
+}
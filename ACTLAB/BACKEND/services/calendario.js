@@ -0,0 +1,55 @@
+// services/calendario.js
+// Calendario de atención de la clínica: jornadas, refrigerio, feriados, cierres y horarios especiales
+import Configuracion from "../models/Configuracion.js";
+import { aMinutos, claveDia, diaSemanaDeClave, minutosDelDia } from "../models/horario.js";
+
+/** Calendario vigente (con los valores por defecto si nunca se editó) */
+export async function obtenerCalendario() {
+  const config = await Configuracion.obtener();
+  return config.calendario;
+}
+
+/**
+ * Intervalos de atención de un día, en minutos desde la medianoche de la clínica
+ * @param {object} calendario - Configuracion.calendario
+ * @param {string} fecha - Día AAAA-MM-DD
+ * @returns {[number, number][]} Lista vacía si la clínica no abre
+ */
+export function ventanasDelDia(calendario, fecha) {
+  if (calendario.cierres.some((c) => c.desde <= fecha && fecha <= c.hasta)) return [];
+  if (calendario.feriados.some((f) => f.fecha === fecha.slice(5))) return [];
+
+  const especial = calendario.horariosEspeciales.find((h) => h.fecha === fecha);
+  if (especial) return [[aMinutos(especial.inicio), aMinutos(especial.fin)]];
+
+  const jornada = calendario.semana.find((j) => j.dia === diaSemanaDeClave(fecha));
+  if (!jornada?.abierto) return [];
+
+  const apertura = aMinutos(jornada.inicio);
+  const cierre = aMinutos(jornada.fin);
+  if (!jornada.refrigerioInicio) return [[apertura, cierre]];
+  return [
+    [apertura, aMinutos(jornada.refrigerioInicio)],
+    [aMinutos(jornada.refrigerioFin), cierre],
+  ];
+}
+
+/**
+ * Comprueba que una cita quede por completo dentro del horario de atención
+ * @param {Date} inicio - Fecha y hora de inicio
+ * @param {number} duracion - Duración en minutos
+ * @returns {Promise<string|null>} Mensaje de error o null si es válida
+ */
+export async function validarHorarioClinica(inicio, duracion) {
+  if (isNaN(inicio)) return "Fecha y hora inválidas";
+
+  const ventanas = ventanasDelDia(await obtenerCalendario(), claveDia(inicio));
+  if (ventanas.length === 0) return "La clínica no atiende ese día";
+
+  const desde = minutosDelDia(inicio);
+  const hasta = desde + duracion;
+  if (!ventanas.some(([apertura, cierre]) => apertura <= desde && hasta <= cierre)) {
+    return "La cita queda fuera del horario de atención de la clínica";
+  }
+  return null;
+}
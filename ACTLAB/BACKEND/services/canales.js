@@ -0,0 +1,123 @@
+// services/canales.js
+// Canales para avisar a los pacientes. Todos exponen la misma interfaz:
+//   destinatario(contacto) -> dirección o teléfono del canal, o null si el paciente no lo tiene
+//   enviar(para, { asunto, texto }) -> Promise
+// El transporte de cada canal se elige por variable de entorno:
+//   EMAIL  -> services/mailer.js (MAIL_TRANSPORT)
+//   SMS    -> SMS_TRANSPORT=twilio (TWILIO_SID, TWILIO_TOKEN, SMS_FROM) | local
+//   WhatsApp Business -> WHATSAPP_TRANSPORT=meta (WHATSAPP_TOKEN, WHATSAPP_PHONE_ID) | local
+// "local" (por defecto) guarda cada mensaje como JSON en NOTIFICACIONES_DIR y lo imprime en consola.
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import dotenv from "dotenv";
+import { enviarCorreo } from "./mailer.js";
+
+dotenv.config();
+
+// Celulares peruanos de 9 dígitos en formato internacional
+const telefonoE164 = (celular) => (celular ? `+51${celular}` : null);
+
+/** Transporte de desarrollo compartido por todos los canales */
+function transporteLocal(canal) {
+  const dir = process.env.NOTIFICACIONES_DIR || path.join(os.tmpdir(), "actlab-notificaciones");
+
+  return async (para, mensaje) => {
+    await fs.mkdir(dir, { recursive: true });
+    const archivo = path.join(dir, `${Date.now()}-${canal}-${para.replace(/[^\w.@+-]/g, "_")}.json`);
+    await fs.writeFile(archivo, JSON.stringify({ canal, para, ...mensaje }, null, 2));
+    console.log(`🔔 [${canal}] Para: ${para}\n${mensaje.texto}`);
+  };
+}
+
+// Respuestas HTTP con error → excepción con el detalle del proveedor
+async function verificarRespuesta(res, proveedor) {
+  if (res.ok) return;
+  const detalle = await res.text();
+  throw new Error(`${proveedor} respondió ${res.status}: ${detalle.slice(0, 200)}`);
+}
+
+const transportesSms = {
+  twilio() {
+    const { TWILIO_SID, TWILIO_TOKEN, SMS_FROM } = process.env;
+    const credenciales = Buffer.from(`${TWILIO_SID}:${TWILIO_TOKEN}`).toString("base64");
+
+    return async (para, mensaje) => {
+      const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${TWILIO_SID}/Messages.json`, {
+        method: "POST",
+        headers: { Authorization: `Basic ${credenciales}`, "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ To: para, From: SMS_FROM, Body: mensaje.texto }),
+      });
+      await verificarRespuesta(res, "Twilio");
+    };
+  },
+  local: () => transporteLocal("sms"),
+};
+
+const transportesWhatsapp = {
+  // API de WhatsApp Business (Cloud API de Meta)
+  meta() {
+    const { WHATSAPP_TOKEN, WHATSAPP_PHONE_ID } = process.env;
+
+    return async (para, mensaje) => {
+      const res = await fetch(`https://graph.facebook.com/v20.0/${WHATSAPP_PHONE_ID}/messages`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}`, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          messaging_product: "whatsapp",
+          to: para.replace("+", ""),
+          type: "text",
+          text: { body: mensaje.texto },
+        }),
+      });
+      await verificarRespuesta(res, "WhatsApp");
+    };
+  },
+  local: () => transporteLocal("whatsapp"),
+};
+
+const elegir = (fabricas, variable) => (fabricas[process.env[variable]] || fabricas.local)();
+
+/** Canales disponibles; se crean al primer uso para leer la configuración ya cargada */
+const fabricasCanales = {
+  email: () => ({
+    destinatario: (contacto) => contacto.email || null,
+    enviar: (para, mensaje) => enviarCorreo({ para, asunto: mensaje.asunto, texto: mensaje.texto }),
+  }),
+  sms: () => ({
+    destinatario: (contacto) => telefonoE164(contacto.celular),
+    enviar: elegir(transportesSms, "SMS_TRANSPORT"),
+  }),
+  whatsapp: () => ({
+    destinatario: (contacto) => telefonoE164(contacto.celular),
+    enviar: elegir(transportesWhatsapp, "WHATSAPP_TRANSPORT"),
+  }),
+};
+
+const canales = new Map();
+
+/**
+ * Canal por nombre ("email", "sms" o "whatsapp")
+ * @returns {{destinatario: Function, enviar: Function}}
+ */
+export function obtenerCanal(nombre) {
+  if (!canales.has(nombre)) canales.set(nombre, fabricasCanales[nombre]());
+  return canales.get(nombre);
+}
+
+/**
+ * Reemplaza un canal (útil para pruebas u otros proveedores)
+ * @param {string} nombre
+ * @param {{destinatario: Function, enviar: Function}} canal
+ */
+export function usarCanal(nombre, canal) {
+  canales.set(nombre, canal);
+}
+
+/** Canales activos según NOTIFICACIONES_CANALES (por defecto solo correo) */
+export function canalesActivos() {
+  return (process.env.NOTIFICACIONES_CANALES || "email")
+    .split(",")
+    .map((c) => c.trim())
+    .filter((c) => c in fabricasCanales);
+}
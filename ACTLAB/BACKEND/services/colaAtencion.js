@@ -0,0 +1,162 @@
+// services/colaAtencion.js
+// Recepción y sala de espera: llegada del paciente con ticket por servicio, llamados a
+// consultorio, inicio y fin de la atención. Cada cambio se avisa por `eventosCola` para
+// que la pantalla de la sala de espera se actualice sin recargar.
+import { EventEmitter } from "events";
+import Cita, { ESTADOS_VIGENTES } from "../models/Cita.js";
+import ContadorTicket from "../models/ContadorTicket.js";
+import { claveDia, rangoDia } from "../models/horario.js";
+import Recurso from "../models/Recurso.js";
+
+// Letra del ticket por tipo de examen (el servicio de la cola)
+export const PREFIJOS_SERVICIO = {
+  "Consulta General": "C",
+  Laboratorio: "L",
+  "Imagenología": "I",
+  Especialidad: "E",
+};
+
+// Llamados recientes que muestra la pantalla
+const LLAMADOS_EN_PANTALLA = 8;
+
+export const eventosCola = new EventEmitter();
+
+/** Avisa a las pantallas que la cola cambió */
+export const avisarCambio = () => eventosCola.emit("cambio");
+
+// Toda cita con ticket que se guarda con otro estado, horario o paso de atención
+Cita.on("salaEspera", avisarCambio);
+
+/** Siguiente ticket del día para un servicio, p. ej. "L-007" (incremento atómico) */
+export async function siguienteTicket(servicio, ahora = new Date()) {
+  const contador = await ContadorTicket.findOneAndUpdate(
+    { fecha: claveDia(ahora), servicio },
+    { $inc: { ultimo: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  const prefijo = PREFIJOS_SERVICIO[servicio] || "T";
+  return `${prefijo}-${String(contador.ultimo).padStart(3, "0")}`;
+}
+
+/**
+ * Registra la llegada del paciente: confirma la cita si hacía falta y le asigna ticket (no guarda)
+ * @returns {Promise<string|null>} Mensaje de error o null
+ */
+export async function registrarLlegada(cita, { actorId = null, ahora = new Date() } = {}) {
+  if (cita.atencion) return `El paciente ya se registró con el ticket ${cita.atencion.ticket}`;
+  if (!ESTADOS_VIGENTES.includes(cita.estado)) return `No se puede registrar la llegada a una cita ${cita.estado}`;
+  if (claveDia(new Date(cita.fechaHora)) !== claveDia(ahora)) return "Solo se registra la llegada a citas de hoy";
+
+  if (cita.estado !== "Confirmada") {
+    const errorEstado = cita.cambiarEstado("Confirmada", { actorId, motivo: "Llegada a recepción" });
+    if (errorEstado) return errorEstado;
+  }
+
+  cita.atencion = { ticket: await siguienteTicket(cita.tipoExamen, ahora), llegada: ahora };
+  return null;
+}
+
+/** Nombre de la sala asignada a la cita, si tiene una */
+export async function salaDeCita(cita) {
+  if (!cita.recursos?.length) return null;
+  const sala = await Recurso.findOne({ _id: { $in: cita.recursos }, tipo: "sala" });
+  return sala?.nombre || null;
+}
+
+/**
+ * Llama el ticket a un consultorio; se puede repetir mientras el paciente no entre (no guarda)
+ * @returns {string|null} Mensaje de error o null
+ */
+export function llamarTicket(cita, consultorio, ahora = new Date()) {
+  if (!cita.atencion) return "El paciente aún no se registró en recepción";
+  if (!["en_espera", "llamado"].includes(cita.atencion.estado)) return "El paciente ya pasó a su atención";
+  if (!consultorio) return "Indique el consultorio al que se llama al paciente";
+
+  cita.atencion.estado = "llamado";
+  cita.atencion.consultorio = consultorio;
+  cita.atencion.llamado = cita.atencion.llamado || ahora;
+  cita.atencion.ultimoLlamado = ahora;
+  return null;
+}
+
+/**
+ * El paciente entra al consultorio (no guarda)
+ * @returns {string|null} Mensaje de error o null
+ */
+export function iniciarAtencion(cita, ahora = new Date()) {
+  if (!cita.atencion) return "El paciente aún no se registró en recepción";
+  if (cita.atencion.estado !== "llamado") return "Llame al paciente antes de iniciar la atención";
+
+  cita.atencion.estado = "en_atencion";
+  cita.atencion.inicio = ahora;
+  return null;
+}
+
+/**
+ * Termina la atención y marca la cita como atendida (no guarda)
+ * @returns {string|null} Mensaje de error o null
+ */
+export function finalizarAtencion(cita, { actorId = null, ahora = new Date() } = {}) {
+  if (!cita.atencion) return "El paciente aún no se registró en recepción";
+  if (cita.atencion.estado !== "en_atencion") return "La atención no ha empezado";
+
+  const errorEstado = cita.cambiarEstado("Atendida", { actorId });
+  if (errorEstado) return errorEstado;
+
+  cita.atencion.estado = "finalizado";
+  cita.atencion.fin = ahora;
+  cita.fechaAtendida = ahora;
+  return null;
+}
+
+/**
+ * Espera promedio (llegada → primer llamado) por servicio, en minutos
+ * @param {object[]} citas - Citas del día con atención
+ * @returns {{servicio: string, minutos: number, atendidos: number}[]}
+ */
+export function esperaPromedio(citas) {
+  const porServicio = {};
+  citas
+    .filter((c) => c.atencion?.llamado)
+    .forEach((c) => {
+      const minutos = (new Date(c.atencion.llamado) - new Date(c.atencion.llegada)) / 60000;
+      (porServicio[c.tipoExamen] ||= []).push(minutos);
+    });
+
+  return Object.entries(porServicio).map(([servicio, esperas]) => ({
+    servicio,
+    minutos: Math.round(esperas.reduce((a, b) => a + b, 0) / esperas.length),
+    atendidos: esperas.length,
+  }));
+}
+
+// Citas de hoy que pasaron por recepción
+const citasConAtencion = (ahora = new Date()) => {
+  const { inicio, fin } = rangoDia(ahora);
+  return Cita.find({ fechaHora: { $gte: inicio, $lt: fin }, atencion: { $ne: null } }).select("tipoExamen estado atencion");
+};
+
+/**
+ * Lo que muestra la pantalla de la sala de espera. Solo tickets y consultorios:
+ * la pantalla es pública y no debe mostrar nombres de pacientes.
+ */
+export async function tableroSalaEspera(ahora = new Date()) {
+  const citas = await citasConAtencion(ahora);
+  const ticket = (c) => ({ ticket: c.atencion.ticket, servicio: c.tipoExamen });
+  // Una cita cancelada o cerrada después de llegar deja de mostrarse, aunque su atención
+  // siga en espera o llamada; la espera promedio sí cuenta todas las que fueron llamadas
+  const enCola = citas.filter((c) => ESTADOS_VIGENTES.includes(c.estado));
+
+  const llamados = enCola
+    .filter((c) => c.atencion.estado === "llamado")
+    .sort((a, b) => b.atencion.ultimoLlamado - a.atencion.ultimoLlamado)
+    .slice(0, LLAMADOS_EN_PANTALLA)
+    .map((c) => ({ ...ticket(c), consultorio: c.atencion.consultorio, llamado: c.atencion.ultimoLlamado }));
+
+  const enEspera = enCola
+    .filter((c) => c.atencion.estado === "en_espera")
+    .sort((a, b) => a.atencion.llegada - b.atencion.llegada)
+    .map(ticket);
+
+  return { llamados, enEspera, esperaPromedio: esperaPromedio(citas), actualizado: ahora };
+}
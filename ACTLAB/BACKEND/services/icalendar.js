@@ -0,0 +1,140 @@
+// services/icalendar.js
+// Exportación de citas en formato iCalendar (RFC 5545): archivo .ics de una cita y feeds de
+// suscripción por médico y por paciente. Cada cita es un VEVENT con UID estable y SEQUENCE
+// creciente (Cita.secuencia), así el calendario del usuario actualiza o quita el evento
+// cuando la cita se mueve o se cancela, en lugar de duplicarlo.
+import crypto from "crypto";
+import dotenv from "dotenv";
+import Cita from "../models/Cita.js";
+
+dotenv.config();
+
+const APP_URL = process.env.APP_URL || "http://localhost:5000";
+
+// Días hacia atrás que se mantienen en el feed (citas recién pasadas o canceladas)
+const DIAS_PASADOS = 7;
+
+const ESTADOS_ICAL = {
+  Pendiente: "TENTATIVE",
+  Reprogramada: "TENTATIVE",
+  Confirmada: "CONFIRMED",
+  Atendida: "CONFIRMED",
+  "No asistió": "CONFIRMED",
+  Cancelada: "CANCELLED",
+};
+
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/** Token nuevo para un enlace de suscripción; se guarda solo su hash */
+export function generarToken() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, tokenHash: hashToken(token) };
+}
+
+/** URL del feed que se pega en Google Calendar, Outlook o Apple Calendar */
+export const urlSuscripcion = (tipo, token) => `${APP_URL}/api/ical/${tipo}/${token}.ics`;
+
+/** Escapa texto según RFC 5545 (barra invertida, coma, punto y coma y saltos de línea) */
+export const escaparTexto = (texto) =>
+  String(texto ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/** Fecha en UTC: AAAAMMDDTHHMMSSZ */
+export const fechaIcal = (fecha) => new Date(fecha).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Parte las líneas de más de 75 octetos; la continuación empieza con un espacio
+function plegarLinea(linea) {
+  const partes = [];
+  let actual = "";
+  let octetos = 0;
+  for (const caracter of linea) {
+    const tamano = Buffer.byteLength(caracter);
+    const limite = partes.length === 0 ? 75 : 74;
+    if (octetos + tamano > limite) {
+      partes.push(actual);
+      actual = "";
+      octetos = 0;
+    }
+    actual += caracter;
+    octetos += tamano;
+  }
+  partes.push(actual);
+  return partes.join("\r\n ");
+}
+
+const nombreDe = (persona) => (persona?.nombres ? `${persona.nombres} ${persona.apellidos || ""}`.trim() : null);
+
+/**
+ * Líneas del VEVENT de una cita (pacienteId y medicoId poblados)
+ * @param {object} cita
+ * @param {"medico"|"paciente"} vista - El médico ve al paciente en el título; el paciente, al médico
+ */
+export function eventoCita(cita, vista) {
+  const inicio = new Date(cita.fechaHora);
+  const fin = new Date(inicio.getTime() + (cita.duracion || 15) * 60000);
+  const servicio = cita.especialidad || cita.tipoExamen || "Cita";
+  const medico = nombreDe(cita.medicoId);
+  const paciente = nombreDe(cita.pacienteId);
+
+  const titulo = vista === "medico" ? `${servicio}: ${paciente || "Paciente"}` : `${servicio} - ACT Clínica`;
+  const detalle = [
+    medico && `Médico: Dr(a). ${medico}`,
+    vista === "medico" && paciente && `Paciente: ${paciente}`,
+    cita.motivo && `Motivo: ${cita.motivo}`,
+    `Estado: ${cita.estado}`,
+  ].filter(Boolean);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:cita-${cita._id}@${new URL(APP_URL).hostname}`,
+    `SEQUENCE:${cita.secuencia || 0}`,
+    `DTSTAMP:${fechaIcal(cita.updatedAt || new Date())}`,
+    `LAST-MODIFIED:${fechaIcal(cita.updatedAt || new Date())}`,
+    `DTSTART:${fechaIcal(inicio)}`,
+    `DTEND:${fechaIcal(fin)}`,
+    `SUMMARY:${escaparTexto(titulo)}`,
+    `DESCRIPTION:${escaparTexto(detalle.join("\n"))}`,
+    "LOCATION:ACT Clínica",
+    `STATUS:${ESTADOS_ICAL[cita.estado] || "TENTATIVE"}`,
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * Documento VCALENDAR completo, con fin de línea CRLF
+ * @param {{nombre: string, eventos: string[][], suscripcion?: boolean}} opciones
+ */
+export function calendarioIcs({ nombre, eventos, suscripcion = false }) {
+  const lineas = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ACT Clinica//Citas//ES",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escaparTexto(nombre)}`,
+  ];
+  // Sugerencia a los clientes de cada cuánto volver a descargar el feed
+  if (suscripcion) lineas.push("REFRESH-INTERVAL;VALUE=DURATION:PT1H", "X-PUBLISHED-TTL:PT1H");
+  lineas.push(...eventos.flat(), "END:VCALENDAR");
+  return lineas.map(plegarLinea).join("\r\n") + "\r\n";
+}
+
+/**
+ * Feed de las citas próximas (y de la última semana) de un médico o de un paciente.
+ * Las canceladas se incluyen para que el cliente las marque como tales.
+ * @param {{medicoId?: string, pacienteId?: string}} filtro
+ */
+export async function feedCitas(filtro, { nombre, vista }, ahora = new Date()) {
+  const citas = await Cita.find({
+    ...filtro,
+    fechaHora: { $gte: new Date(ahora.getTime() - DIAS_PASADOS * 24 * 60 * 60000) },
+  })
+    .populate("pacienteId", "nombres apellidos")
+    .populate("medicoId", "nombres apellidos")
+    .sort({ fechaHora: 1 });
+
+  return calendarioIcs({ nombre, eventos: citas.map((cita) => eventoCita(cita, vista)), suscripcion: true });
+}
@@ -0,0 +1,104 @@
+// services/inasistencias.js
+// Inasistencias: un proceso periódico marca "No asistió" las citas vigentes cuyo horario ya
+// pasó sin que el paciente llegara a recepción. Cada ficha lleva contadores de asistencia y,
+// según la política de citas, quien acumula inasistencias seguidas necesita confirmación de
+// recepción o no puede reservar por el portal.
+import dotenv from "dotenv";
+import Cita, { ESTADOS_VIGENTES } from "../models/Cita.js";
+import Paciente from "../models/Users.js";
+import { registrarAuditoria } from "./auditoria.js";
+import { obtenerPoliticaCitas } from "./politicaCitas.js";
+
+dotenv.config();
+
+// Minutos tras el fin de la cita antes de darla por perdida
+const MARGEN_MINUTOS = Number(process.env.INASISTENCIA_MARGEN_MINUTOS) || 60;
+const INTERVALO_MS = Number(process.env.INASISTENCIAS_INTERVALO_MS) || 5 * 60000;
+// Solo se revisan citas recientes: activar el proceso no reescribe el historial antiguo
+const DIAS_REVISION = 7;
+
+const SISTEMA = { id: null, role: "sistema" };
+
+/**
+ * Actualiza los contadores del paciente cuando una cita termina como Atendida o No asistió
+ * @param {object} cita - Cita ya guardada con su estado final
+ */
+export async function registrarAsistencia(cita) {
+  if (cita.estado === "Atendida") {
+    await Paciente.updateOne(
+      { _id: cita.pacienteId },
+      { $inc: { "asistencia.atendidas": 1 }, $set: { "asistencia.inasistenciasSeguidas": 0 } }
+    );
+  } else if (cita.estado === "No asistió") {
+    await Paciente.updateOne(
+      { _id: cita.pacienteId },
+      {
+        $inc: { "asistencia.inasistencias": 1, "asistencia.inasistenciasSeguidas": 1 },
+        $max: { "asistencia.ultimaInasistencia": cita.fechaHora },
+      }
+    );
+  }
+}
+
+/**
+ * Regla de la política para un paciente que reserva por el portal
+ * @returns {Promise<{error: string|null, confirmacionRequerida: boolean}>}
+ */
+export async function revisarInasistencias(pacienteId) {
+  const { inasistencias } = await obtenerPoliticaCitas();
+  if (inasistencias.accion === "ninguna") return { error: null, confirmacionRequerida: false };
+
+  const paciente = await Paciente.findById(pacienteId).select("asistencia");
+  const seguidas = paciente?.asistencia?.inasistenciasSeguidas || 0;
+  if (seguidas < inasistencias.umbral) return { error: null, confirmacionRequerida: false };
+
+  if (inasistencias.accion === "bloqueo") {
+    return {
+      error: `El paciente no asistió a sus últimas ${seguidas} citas. Comuníquese con la clínica para agendar`,
+      confirmacionRequerida: false,
+    };
+  }
+  return { error: null, confirmacionRequerida: true };
+}
+
+/** Marca "No asistió" las citas vigentes ya vencidas sin llegada registrada */
+export async function marcarInasistencias(ahora = new Date()) {
+  const limite = new Date(ahora.getTime() - MARGEN_MINUTOS * 60000);
+  const citas = await Cita.find({
+    estado: { $in: ESTADOS_VIGENTES },
+    atencion: null,
+    fechaHora: { $gte: new Date(ahora.getTime() - DIAS_REVISION * 24 * 3600000), $lt: limite },
+  });
+
+  for (const cita of citas) {
+    // La cita se da por perdida cuando termina su horario más el margen
+    if (cita.fechaHora.getTime() + cita.duracion * 60000 > limite.getTime()) continue;
+
+    const antes = cita.toObject();
+    if (cita.cambiarEstado("No asistió", { motivo: "Sin llegada registrada en recepción" })) continue;
+    await cita.save();
+
+    await registrarAsistencia(cita);
+    await registrarAuditoria({}, { accion: "no_asistio", entidad: "Cita", antes, despues: cita, actor: SISTEMA });
+  }
+}
+
+let procesando = false;
+
+/** Una vuelta de la detección de inasistencias; se salta si la anterior sigue en curso */
+export async function procesarInasistencias() {
+  if (procesando) return;
+  procesando = true;
+  try {
+    await marcarInasistencias();
+  } catch (error) {
+    console.error("Error marcando inasistencias:", error);
+  } finally {
+    procesando = false;
+  }
+}
+
+/** Arranca la detección periódica de inasistencias en segundo plano */
+export function iniciarInasistencias() {
+  setInterval(procesarInasistencias, INTERVALO_MS).unref();
+}
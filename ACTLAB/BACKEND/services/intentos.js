@@ -0,0 +1,102 @@
+// services/intentos.js
+// Control de intentos fallidos: por IP (en memoria) y por cuenta (en BD)
+
+// Por IP: tras IP_INTENTOS_LIBRES fallos cada intento espera el doble que el anterior
+const IP_INTENTOS_LIBRES = 3;
+const IP_ESPERA_MAX_SEGUNDOS = 15 * 60;
+const IP_OLVIDAR_MINUTOS = 60;
+
+// Por cuenta: al llegar a CUENTA_MAX_INTENTOS se bloquea, y cada bloqueo siguiente dura el doble
+const CUENTA_MAX_INTENTOS = 5;
+const CUENTA_BLOQUEO_MINUTOS = 15;
+const CUENTA_BLOQUEO_MAX_MINUTOS = 24 * 60;
+
+/** Fallos recientes por "ámbito:ip" → { fallos, esperaHasta, ultimoFallo } */
+const fallosPorIp = new Map();
+
+const claveIp = (req, ambito) => `${ambito}:${req.ip}`;
+
+const segundosRestantes = (hasta) => Math.max(1, Math.ceil((hasta - Date.now()) / 1000));
+
+function registrarFalloIp(clave) {
+  const ahora = Date.now();
+  const previo = fallosPorIp.get(clave);
+  const vigente = previo && ahora - previo.ultimoFallo < IP_OLVIDAR_MINUTOS * 60000;
+  const fallos = vigente ? previo.fallos + 1 : 1;
+
+  const espera =
+    fallos > IP_INTENTOS_LIBRES
+      ? Math.min(2 ** (fallos - IP_INTENTOS_LIBRES), IP_ESPERA_MAX_SEGUNDOS)
+      : 0;
+
+  fallosPorIp.set(clave, { fallos, esperaHasta: ahora + espera * 1000, ultimoFallo: ahora });
+}
+
+// Limpieza periódica para que el mapa no crezca sin límite
+setInterval(() => {
+  const limite = Date.now() - IP_OLVIDAR_MINUTOS * 60000;
+  for (const [clave, estado] of fallosPorIp) {
+    if (estado.ultimoFallo < limite) fallosPorIp.delete(clave);
+  }
+}, 10 * 60000).unref();
+
+/**
+ * Middleware: rechaza con 429 mientras la IP deba esperar y, al terminar la
+ * petición, cuenta como fallo cualquier respuesta 4xx del ámbito.
+ * @param {string} ambito - Nombre del endpoint protegido ("login", "register", ...)
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.contarTodas] - Cuenta también las respuestas correctas (endpoints
+ *   que responden igual a propósito, como la recuperación de contraseña)
+ */
+export function limitarIntentos(ambito, { contarTodas = false } = {}) {
+  return (req, res, next) => {
+    const clave = claveIp(req, ambito);
+    const estado = fallosPorIp.get(clave);
+
+    if (estado && estado.esperaHasta > Date.now()) {
+      const segundos = segundosRestantes(estado.esperaHasta);
+      res.set("Retry-After", String(segundos));
+      return res.status(429).json({
+        ok: false,
+        message: `Demasiados intentos. Intente nuevamente en ${segundos} segundos.`,
+      });
+    }
+
+    res.on("finish", () => {
+      if ((res.statusCode >= 400 && res.statusCode < 500) || contarTodas) registrarFalloIp(clave);
+      else if (res.statusCode < 400) fallosPorIp.delete(clave);
+    });
+
+    next();
+  };
+}
+
+/**
+ * Indica si la cuenta está bloqueada temporalmente
+ * @returns {number} segundos de bloqueo restantes (0 si no está bloqueada)
+ */
+export function bloqueoRestante(user) {
+  if (!user.bloqueadoHasta || user.bloqueadoHasta <= new Date()) return 0;
+  return segundosRestantes(user.bloqueadoHasta.getTime());
+}
+
+/** Suma un fallo a la cuenta y la bloquea al alcanzar el máximo */
+export async function registrarFalloCuenta(user) {
+  user.intentosFallidos = (user.intentosFallidos || 0) + 1;
+
+  if (user.intentosFallidos % CUENTA_MAX_INTENTOS === 0) {
+    const bloqueos = user.intentosFallidos / CUENTA_MAX_INTENTOS;
+    const minutos = Math.min(CUENTA_BLOQUEO_MINUTOS * 2 ** (bloqueos - 1), CUENTA_BLOQUEO_MAX_MINUTOS);
+    user.bloqueadoHasta = new Date(Date.now() + minutos * 60000);
+  }
+
+  await user.save();
+}
+
+/** Reinicia el contador de la cuenta tras un acceso correcto o un desbloqueo */
+export async function limpiarFallosCuenta(user) {
+  if (!user.intentosFallidos && !user.bloqueadoHasta) return;
+  user.intentosFallidos = 0;
+  user.bloqueadoHasta = null;
+  await user.save();
+}
@@ -0,0 +1,276 @@
+// services/listaEspera.js
+// Lista de espera: cuando una cita se cancela o cambia de horario, el hueco libre se ofrece
+// a los pacientes en espera por orden de prioridad y antigüedad, de a uno. Cada oferta llega
+// con un enlace de un solo uso que vence en LISTA_ESPERA_OFERTA_MINUTOS; si el paciente la
+// rechaza o deja vencer, el hueco pasa al siguiente. Quien acepta primero se queda con la cita.
+import crypto from "crypto";
+import dotenv from "dotenv";
+import Cita, { ESTADOS_VIGENTES } from "../models/Cita.js";
+import ListaEspera, { PRIORIDADES_ESPERA } from "../models/ListaEspera.js";
+import Medico from "../models/Medico.js";
+import { formatoFecha, formatoHora } from "../models/horario.js";
+import { validarAgenda } from "./agenda.js";
+import { canalesActivos, obtenerCanal } from "./canales.js";
+import { contactoDe } from "./notificaciones.js";
+import { recursosRequeridos } from "./recursos.js";
+
+dotenv.config();
+
+const APP_URL = process.env.APP_URL || "http://localhost:5000";
+const OFERTA_MINUTOS = Number(process.env.LISTA_ESPERA_OFERTA_MINUTOS) || 60;
+const INTERVALO_MS = Number(process.env.LISTA_ESPERA_INTERVALO_MS) || 60000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const mismoHueco = (hueco) => ({ inicio: hueco.inicio, medicoId: hueco.medicoId });
+
+// Tipo de la cita que se reserva desde la lista de espera
+const tipoDeEntrada = (entrada) => (entrada.especialidad ? "Especialidad" : "Consulta General");
+
+/** Mensaje con el enlace para reservar el hueco */
+function redactarOferta(entrada, medico, oferta, enlace) {
+  const servicio = (entrada.especialidad || "consulta").toLowerCase();
+  return {
+    asunto: "Se liberó un horario para su cita",
+    texto:
+      `Hola ${entrada.pacienteId?.nombres || "paciente"}, se liberó un horario de ${servicio} ` +
+      `con Dr(a). ${medico.nombres} ${medico.apellidos} el ${formatoFecha(oferta.inicio)} a las ${formatoHora(oferta.inicio)}.\n\n` +
+      `Para reservarlo ingrese a este enlace (válido por ${OFERTA_MINUTOS} minutos):\n${enlace}\n\n` +
+      `Si no le interesa, rechácelo desde el mismo enlace para que pase al siguiente paciente.\n\nACT Clínica`,
+  };
+}
+
+// Envía el enlace por cada canal activo; un canal que falla no impide los demás
+async function enviarOferta(entrada, medico, oferta, token) {
+  await entrada.populate("pacienteId");
+  const contacto = await contactoDe(entrada.pacienteId);
+  const mensaje = redactarOferta(entrada, medico, oferta, `${APP_URL}/lista-espera/oferta?token=${token}`);
+
+  const destinatarios = [];
+  for (const nombre of canalesActivos()) {
+    const canal = obtenerCanal(nombre);
+    const para = canal.destinatario(contacto);
+    if (!para) continue;
+    try {
+      await canal.enviar(para, mensaje);
+      destinatarios.push(para);
+    } catch (error) {
+      console.error(`Error enviando oferta de lista de espera por ${nombre}:`, error);
+    }
+  }
+
+  await ListaEspera.updateOne(
+    { _id: entrada._id, "ofertas._id": oferta._id },
+    { $set: { "ofertas.$.destinatarios": destinatarios } },
+  );
+}
+
+/**
+ * Ofrece un hueco libre a la siguiente entrada en espera que encaje
+ * (mismo médico, o su especialidad si la entrada no pide médico; fecha dentro de su rango)
+ * @param {{inicio: Date, duracion: number, medicoId: string}} hueco
+ * @returns {Promise<object|null>} Entrada a la que se ofreció, o null si no hay candidatas
+ */
+export async function ofrecerHueco(hueco, ahora = new Date()) {
+  if (!hueco.medicoId || hueco.inicio <= ahora) return null;
+
+  // Un hueco se ofrece a una sola persona a la vez
+  const enCurso = await ListaEspera.exists({
+    ofertas: { $elemMatch: { ...mismoHueco(hueco), estado: "pendiente" } },
+  });
+  if (enCurso) return null;
+
+  const medico = await Medico.findById(hueco.medicoId).select("nombres apellidos especialidades");
+  if (!medico) return null;
+
+  const candidatas = await ListaEspera.find({
+    estado: "Activa",
+    desde: { $lte: hueco.inicio },
+    hasta: { $gte: hueco.inicio },
+    duracion: { $lte: hueco.duracion },
+    $or: [{ medicoId: hueco.medicoId }, { medicoId: null, especialidad: { $in: medico.especialidades } }],
+    // Quien ya recibió este hueco (y lo rechazó o dejó vencer) no lo vuelve a recibir
+    ofertas: { $not: { $elemMatch: mismoHueco(hueco) } },
+  }).sort({ createdAt: 1 });
+
+  candidatas.sort((a, b) => PRIORIDADES_ESPERA.indexOf(a.prioridad) - PRIORIDADES_ESPERA.indexOf(b.prioridad));
+
+  for (const candidata of candidatas) {
+    const error = await validarAgenda({
+      inicio: hueco.inicio,
+      duracion: candidata.duracion,
+      medicoId: hueco.medicoId,
+      pacienteId: candidata.pacienteId,
+      recursos: await recursosRequeridos(tipoDeEntrada(candidata)),
+    });
+    if (error) continue;
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const entrada = await ListaEspera.findOneAndUpdate(
+      { _id: candidata._id, estado: "Activa" },
+      {
+        $set: { estado: "Ofrecida" },
+        $push: {
+          ofertas: {
+            inicio: hueco.inicio,
+            duracion: hueco.duracion,
+            medicoId: hueco.medicoId,
+            tokenHash: hashToken(token),
+            expira: new Date(ahora.getTime() + OFERTA_MINUTOS * 60000),
+          },
+        },
+      },
+      { new: true },
+    );
+    if (!entrada) continue; // la tomó otro proceso o se canceló mientras tanto
+
+    await enviarOferta(entrada, medico, entrada.ofertas.at(-1), token);
+    return entrada;
+  }
+  return null;
+}
+
+// Ofrece el hueco sin esperar: un error al ofrecerlo no debe hacer fallar la operación que lo liberó
+export function pasarAlSiguiente(hueco) {
+  ofrecerHueco(hueco).catch((error) => console.error("Error ofreciendo hueco a la lista de espera:", error));
+}
+
+/**
+ * Ofrece en segundo plano el horario que deja una cita (cancelada, eliminada o movida)
+ * @param {object} antes - La cita tal como estaba (documento o toObject())
+ * @param {object} [despues] - La cita ya modificada; sin ella, se considera eliminada
+ */
+export function liberarHueco(antes, despues = null) {
+  if (!ESTADOS_VIGENTES.includes(antes.estado) || !antes.medicoId) return;
+
+  const inicio = new Date(antes.fechaHora);
+  const sigueOcupado =
+    despues &&
+    ESTADOS_VIGENTES.includes(despues.estado) &&
+    new Date(despues.fechaHora).getTime() === inicio.getTime() &&
+    String(despues.medicoId) === String(antes.medicoId);
+  if (sigueOcupado) return;
+
+  pasarAlSiguiente({ inicio, duracion: antes.duracion || 15, medicoId: antes.medicoId });
+}
+
+/**
+ * Entrada y oferta a las que corresponde un enlace
+ * @returns {Promise<{entrada: object, oferta: object}|null>}
+ */
+export async function buscarOferta(token) {
+  const tokenHash = hashToken(String(token || ""));
+  const entrada = await ListaEspera.findOne({ "ofertas.tokenHash": tokenHash })
+    .populate("pacienteId", "nombres apellidos")
+    .populate("ofertas.medicoId", "nombres apellidos");
+  if (!entrada) return null;
+  return { entrada, oferta: entrada.ofertas.find((o) => o.tokenHash === tokenHash) };
+}
+
+/**
+ * Reserva el hueco para quien aceptó la oferta
+ * @returns {Promise<{error: string}|{entrada: object, cita: object}>}
+ */
+export async function reservarOferta(token, ahora = new Date()) {
+  const tokenHash = hashToken(String(token || ""));
+
+  // Marcar la oferta como aceptada es atómico: un segundo clic no reserva dos citas
+  const entrada = await ListaEspera.findOneAndUpdate(
+    { estado: "Ofrecida", ofertas: { $elemMatch: { tokenHash, estado: "pendiente", expira: { $gt: ahora } } } },
+    { $set: { "ofertas.$.estado": "aceptada", "ofertas.$.respondidaEn": ahora } },
+    { new: true },
+  );
+  if (!entrada) return { error: "El enlace es inválido o la oferta ya no está vigente" };
+
+  const oferta = entrada.ofertas.find((o) => o.tokenHash === tokenHash);
+  const tipoExamen = tipoDeEntrada(entrada);
+  const recursos = await recursosRequeridos(tipoExamen);
+  const errorAgenda = await validarAgenda({
+    inicio: oferta.inicio,
+    duracion: entrada.duracion,
+    medicoId: oferta.medicoId,
+    pacienteId: entrada.pacienteId,
+    recursos,
+  });
+  if (errorAgenda) {
+    // El hueco se ocupó por otra vía; el paciente sigue en espera
+    oferta.estado = "anulada";
+    entrada.estado = "Activa";
+    await entrada.save();
+    return { error: `El horario ya no está disponible: ${errorAgenda}` };
+  }
+
+  const cita = await Cita.create({
+    pacienteId: entrada.pacienteId,
+    medicoId: oferta.medicoId,
+    fechaHora: oferta.inicio,
+    duracion: entrada.duracion,
+    motivo: entrada.motivo,
+    especialidad: entrada.especialidad,
+    tipoExamen,
+    recursos,
+    estado: "Pendiente",
+  });
+
+  entrada.estado = "Asignada";
+  entrada.citaId = cita._id;
+  await entrada.save();
+  return { entrada, cita };
+}
+
+/**
+ * El paciente no quiere el hueco: sigue en espera y el hueco pasa al siguiente
+ * @returns {Promise<string|null>} Mensaje de error o null
+ */
+export async function declinarOferta(token, ahora = new Date()) {
+  const tokenHash = hashToken(String(token || ""));
+  const entrada = await ListaEspera.findOneAndUpdate(
+    { estado: "Ofrecida", ofertas: { $elemMatch: { tokenHash, estado: "pendiente" } } },
+    { $set: { estado: "Activa", "ofertas.$.estado": "rechazada", "ofertas.$.respondidaEn": ahora } },
+    { new: true },
+  );
+  if (!entrada) return "El enlace es inválido o la oferta ya no está vigente";
+
+  pasarAlSiguiente(entrada.ofertas.find((o) => o.tokenHash === tokenHash));
+  return null;
+}
+
+/** Vence las ofertas sin respuesta (pasando el hueco al siguiente) y las entradas fuera de plazo */
+export async function vencerOfertas(ahora = new Date()) {
+  const entradas = await ListaEspera.find({
+    estado: "Ofrecida",
+    ofertas: { $elemMatch: { estado: "pendiente", expira: { $lte: ahora } } },
+  });
+
+  for (const entrada of entradas) {
+    const oferta = entrada.ofertas.find((o) => o.estado === "pendiente" && o.expira <= ahora);
+    const { modifiedCount } = await ListaEspera.updateOne(
+      { _id: entrada._id, estado: "Ofrecida", ofertas: { $elemMatch: { _id: oferta._id, estado: "pendiente" } } },
+      { $set: { estado: "Activa", "ofertas.$.estado": "vencida" } },
+    );
+    // Si el paciente respondió justo ahora, su respuesta manda
+    if (modifiedCount > 0) await ofrecerHueco(oferta, ahora);
+  }
+
+  await ListaEspera.updateMany({ estado: "Activa", hasta: { $lt: ahora } }, { $set: { estado: "Vencida" } });
+}
+
+let procesando = false;
+
+/** Una vuelta del vencimiento de ofertas; se salta si la anterior sigue en curso */
+export async function procesarListaEspera() {
+  if (procesando) return;
+  procesando = true;
+  try {
+    await vencerOfertas();
+  } catch (error) {
+    console.error("Error procesando la lista de espera:", error);
+  } finally {
+    procesando = false;
+  }
+}
+
+/** Arranca el vencimiento periódico de ofertas en segundo plano */
+export function iniciarListaEspera() {
+  setInterval(procesarListaEspera, INTERVALO_MS).unref();
+}
@@ -0,0 +1,80 @@
+// services/mailer.js
+// Envío de correos con transporte intercambiable según MAIL_TRANSPORT:
+//   smtp    -> servidor SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+//   file    -> guarda cada correo como JSON en MAIL_DIR (desarrollo)
+//   console -> imprime el correo en consola (por defecto)
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const REMITENTE = process.env.MAIL_FROM || "ACT Clínica <no-reply@actclinica.pe>";
+
+/** Fábricas de transporte: cada una devuelve un objeto con enviar(mensaje) */
+const transportes = {
+  smtp() {
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+
+    return {
+      enviar: (mensaje) =>
+        smtp.sendMail({
+          from: REMITENTE,
+          to: mensaje.para,
+          subject: mensaje.asunto,
+          text: mensaje.texto,
+          html: mensaje.html,
+        }),
+    };
+  },
+
+  file() {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "actlab-correos");
+
+    return {
+      async enviar(mensaje) {
+        await fs.mkdir(dir, { recursive: true });
+        const archivo = path.join(dir, `${Date.now()}-${mensaje.para.replace(/[^\w.@-]/g, "_")}.json`);
+        await fs.writeFile(archivo, JSON.stringify({ de: REMITENTE, ...mensaje }, null, 2));
+        console.log(`📧 Correo guardado en ${archivo}`);
+      },
+    };
+  },
+
+  console() {
+    return {
+      async enviar(mensaje) {
+        console.log(`📧 Para: ${mensaje.para}\n   Asunto: ${mensaje.asunto}\n${mensaje.texto}`);
+      },
+    };
+  },
+};
+
+let transporte = null;
+
+/**
+ * Reemplaza el transporte activo (útil para pruebas u otros proveedores)
+ * @param {{enviar: Function}} nuevo - Objeto con método enviar(mensaje)
+ */
+export function usarTransporte(nuevo) {
+  transporte = nuevo;
+}
+
+/**
+ * Envía un correo con el transporte configurado
+ * @param {{para: string, asunto: string, texto: string, html?: string}} mensaje
+ */
+export async function enviarCorreo(mensaje) {
+  if (!transporte) {
+    const fabrica = transportes[process.env.MAIL_TRANSPORT] || transportes.console;
+    transporte = fabrica();
+  }
+  return transporte.enviar(mensaje);
+}
@@ -0,0 +1,185 @@
+// services/notificaciones.js
+// Avisos de citas al paciente: confirmación, cambio de horario y recordatorios 24 h y 2 h antes.
+// Los controladores encolan el aviso en la cita; un proceso periódico lo entrega por cada canal
+// activo y deja el resultado (enviada, fallida, omitida) guardado en Cita.notificaciones.
+import Cita, { ESTADOS_VIGENTES } from "../models/Cita.js";
+import Usuario from "../models/Usuario.js";
+import { claveDia, formatoFecha, formatoHora, sumarDias } from "../models/horario.js";
+import { tutoresDe } from "./tutelas.js";
+import { canalesActivos, obtenerCanal } from "./canales.js";
+
+const INTERVALO_MS = Number(process.env.NOTIFICACIONES_INTERVALO_MS) || 60000;
+const MAX_INTENTOS = 3;
+
+const RECORDATORIOS = [
+  { tipo: "recordatorio_24h", horas: 24 },
+  { tipo: "recordatorio_2h", horas: 2 },
+];
+
+/** Plantillas en español con los datos ya formateados de la cita → { asunto, texto } */
+const PLANTILLAS = {
+  confirmacion: (datos) => ({
+    asunto: "Su cita ha sido confirmada",
+    texto: `Hola ${datos.paciente}, su cita de ${datos.servicio}${datos.medico} el ${datos.fecha} a las ${datos.hora} está confirmada.`,
+  }),
+  cambio: (datos) => ({
+    asunto: "Su cita ha cambiado de horario",
+    texto: `Hola ${datos.paciente}, su cita de ${datos.servicio}${datos.medico} se reprogramó para el ${datos.fecha} a las ${datos.hora}.`,
+  }),
+  cancelacion: (datos) => ({
+    asunto: "Su cita ha sido cancelada",
+    texto: `Hola ${datos.paciente}, su cita de ${datos.servicio}${datos.medico} del ${datos.fecha} a las ${datos.hora} fue cancelada por la clínica${datos.motivo}. Puede solicitar una nueva cita desde el portal.`,
+  }),
+  // La ventana de 24 h incluye citas de hoy (reservadas con menos de un día): se dice el día real
+  recordatorio_24h: (datos) => ({
+    asunto: `Recordatorio: su cita es ${datos.dia}`,
+    texto: `Hola ${datos.paciente}, le recordamos su cita de ${datos.servicio}${datos.medico} el ${datos.fecha} a las ${datos.hora}. Si no podrá asistir, cancélela desde el portal.`,
+  }),
+  recordatorio_2h: (datos) => ({
+    asunto: "Su cita es en 2 horas",
+    texto: `Hola ${datos.paciente}, su cita de ${datos.servicio}${datos.medico} es ${datos.dia} a las ${datos.hora}. Le esperamos.`,
+  }),
+};
+
+// "hoy", "mañana" o "el <fecha>" según el día de la clínica en que cae la cita
+function diaRelativo(fecha, ahora) {
+  const dia = claveDia(fecha);
+  if (dia === claveDia(ahora)) return "hoy";
+  if (dia === sumarDias(claveDia(ahora), 1)) return "mañana";
+  return `el ${formatoFecha(fecha)}`;
+}
+
+/** Arma el mensaje de un aviso (cita con pacienteId y medicoId poblados) */
+export function redactarNotificacion(tipo, cita, ahora = new Date()) {
+  const datos = {
+    paciente: cita.pacienteId?.nombres || "paciente",
+    servicio: (cita.especialidad || cita.tipoExamen || "consulta").toLowerCase(),
+    medico: cita.medicoId?.nombres ? ` con Dr(a). ${cita.medicoId.nombres} ${cita.medicoId.apellidos}` : "",
+    fecha: formatoFecha(cita.fechaHora),
+    hora: formatoHora(cita.fechaHora),
+    dia: diaRelativo(cita.fechaHora, ahora),
+    motivo: cita.motivoCancelacion ? ` (${cita.motivoCancelacion})` : "",
+  };
+  const { asunto, texto } = PLANTILLAS[tipo](datos);
+  return { asunto, texto: `${texto}\n\nACT Clínica` };
+}
+
+/** Avisos nuevos de un tipo, uno por canal activo */
+const nuevasNotificaciones = (cita, tipo) =>
+  canalesActivos().map((canal) => ({ tipo, canal, fechaCita: cita.fechaHora }));
+
+/**
+ * Encola un aviso en la cita (se guarda junto con ella)
+ * @param {object} cita - Documento Cita
+ * @param {"confirmacion"|"cambio"|"cancelacion"} tipo
+ */
+export function encolarNotificacion(cita, tipo) {
+  cita.notificaciones.push(...nuevasNotificaciones(cita, tipo));
+}
+
+// Correo de la cuenta del paciente o, si no tiene (dependiente), el de su tutor
+export async function contactoDe(paciente) {
+  if (!paciente) return {};
+
+  let usuario = paciente.usuarioId ? await Usuario.findById(paciente.usuarioId).select("email") : null;
+  if (!usuario) {
+    const [tutorId] = await tutoresDe(paciente._id);
+    usuario = tutorId ? await Usuario.findById(tutorId).select("email") : null;
+  }
+  return { email: usuario?.email || null, celular: paciente.celular || null };
+}
+
+/** Encola los recordatorios de las citas que entran en la ventana de 24 h o de 2 h */
+export async function programarRecordatorios(ahora = new Date()) {
+  for (const [i, { tipo, horas }] of RECORDATORIOS.entries()) {
+    // Si ya falta menos que el siguiente recordatorio, basta con ese
+    const siguiente = RECORDATORIOS[i + 1];
+    const desde = new Date(ahora.getTime() + (siguiente ? siguiente.horas : 0) * 3600000);
+    const hasta = new Date(ahora.getTime() + horas * 3600000);
+
+    const citas = await Cita.find({
+      estado: { $in: ESTADOS_VIGENTES },
+      fechaHora: { $gt: desde, $lte: hasta },
+    }).select("fechaHora notificaciones");
+
+    for (const cita of citas) {
+      // Un recordatorio por horario: si la cita se reprogramó, el nuevo horario recibe el suyo
+      const yaProgramado = cita.notificaciones.some(
+        (n) => n.tipo === tipo && n.fechaCita.getTime() === cita.fechaHora.getTime(),
+      );
+      if (yaProgramado) continue;
+
+      await Cita.updateOne(
+        { _id: cita._id },
+        { $push: { notificaciones: { $each: nuevasNotificaciones(cita, tipo) } } },
+      );
+    }
+  }
+}
+
+// Motivo para no enviar un aviso pendiente, o null si sigue vigente
+function motivoOmision(cita, notificacion, ahora) {
+  // El aviso de cancelación es justamente para una cita que ya no está vigente
+  if (notificacion.tipo !== "cancelacion" && !ESTADOS_VIGENTES.includes(cita.estado)) return `La cita está ${cita.estado}`;
+  if (cita.fechaHora <= ahora) return "La cita ya pasó";
+  if (notificacion.fechaCita.getTime() !== cita.fechaHora.getTime()) return "La cita cambió de horario";
+  return null;
+}
+
+/** Entrega los avisos pendientes y guarda el resultado de cada uno */
+export async function enviarPendientes(ahora = new Date()) {
+  const citas = await Cita.find({ "notificaciones.estado": "pendiente" })
+    .populate("pacienteId")
+    .populate("medicoId", "nombres apellidos");
+
+  for (const cita of citas) {
+    const contacto = await contactoDe(cita.pacienteId);
+
+    for (const notificacion of cita.notificaciones.filter((n) => n.estado === "pendiente")) {
+      const cambios = {};
+      const omision = motivoOmision(cita, notificacion, ahora);
+      const canal = obtenerCanal(notificacion.canal);
+      const para = canal.destinatario(contacto);
+
+      if (omision || !para) {
+        Object.assign(cambios, { estado: "omitida", error: omision || "El paciente no tiene datos de contacto para este canal" });
+      } else {
+        try {
+          await canal.enviar(para, redactarNotificacion(notificacion.tipo, cita, ahora));
+          Object.assign(cambios, { estado: "enviada", enviadaEn: new Date(), error: null });
+        } catch (error) {
+          const intentos = notificacion.intentos + 1;
+          // Se reintenta en la siguiente vuelta hasta agotar los intentos
+          Object.assign(cambios, { estado: intentos >= MAX_INTENTOS ? "fallida" : "pendiente", error: error.message });
+        }
+        cambios.intentos = notificacion.intentos + 1;
+        cambios.destinatario = para;
+      }
+
+      // Actualización puntual del aviso para no pisar cambios hechos a la cita mientras tanto
+      const set = Object.fromEntries(Object.entries(cambios).map(([campo, valor]) => [`notificaciones.$.${campo}`, valor]));
+      await Cita.updateOne({ _id: cita._id, "notificaciones._id": notificacion._id }, { $set: set });
+    }
+  }
+}
+
+let procesando = false;
+
+/** Una vuelta del programador; se salta si la anterior sigue en curso */
+export async function procesarNotificaciones() {
+  if (procesando) return;
+  procesando = true;
+  try {
+    await programarRecordatorios();
+    await enviarPendientes();
+  } catch (error) {
+    console.error("Error procesando notificaciones:", error);
+  } finally {
+    procesando = false;
+  }
+}
+
+/** Arranca el programador de avisos en segundo plano */
+export function iniciarNotificaciones() {
+  setInterval(procesarNotificaciones, INTERVALO_MS).unref();
+}
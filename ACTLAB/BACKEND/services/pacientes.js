@@ -0,0 +1,88 @@
+// services/pacientes.js
+// Vínculo entre la cuenta de acceso (Usuario) y la ficha clínica (Paciente) por documento
+import Paciente from "../models/Users.js";
+import Usuario, { ROLES } from "../models/Usuario.js";
+import { cederAccesoAlTitular } from "./tutelas.js";
+
+// Enlaza cuenta y ficha en ambos sentidos
+async function enlazar(user, paciente) {
+  await Paciente.updateOne({ _id: paciente._id }, { usuarioId: user._id, cuentaPendiente: null });
+  user.pacienteId = paciente._id;
+  user.nombres = user.nombres || paciente.nombres;
+  user.apellidos = user.apellidos || paciente.apellidos;
+  await user.save();
+}
+
+/**
+ * Vincula la cuenta de un paciente con su ficha. Un documento no es un secreto: si ya
+ * existe una ficha con ese documento (creada por recepción o por un tutor) no se entrega
+ * sola, queda pendiente hasta que recepción confirme la identidad. Solo si no hay ninguna
+ * se crea una ficha mínima.
+ * @param {object} user - Documento Usuario (rol paciente)
+ * @param {{nombres?: string, apellidos?: string}} datos - Datos para una ficha nueva
+ * @returns {Promise<object|null>} la ficha vinculada, o null si el vínculo quedó pendiente
+ */
+export async function vincularPaciente(user, datos = {}) {
+  if (user.role !== ROLES.PACIENTE) return null;
+  if (user.pacienteId) return Paciente.findById(user.pacienteId);
+
+  const existente = await Paciente.findOne({ tipo_documento: user.tipo_documento, num_documento: user.num_documento });
+  if (existente) {
+    await Paciente.updateOne(
+      { _id: existente._id, usuarioId: null, cuentaPendiente: null },
+      { cuentaPendiente: user._id }
+    );
+    return null;
+  }
+
+  const paciente = await Paciente.create({
+    nombres: datos.nombres || user.nombres || "Sin nombre",
+    apellidos: datos.apellidos || user.apellidos || "Sin apellido",
+    tipo_documento: user.tipo_documento,
+    num_documento: user.num_documento,
+    usuarioId: user._id,
+    origen: "registro",
+  });
+  await enlazar(user, paciente);
+  return paciente;
+}
+
+/**
+ * Cuando recepción crea o corrige una ficha con documento y ya hay una cuenta de paciente
+ * sin ficha con ese documento, deja el vínculo pendiente de confirmación
+ */
+export async function detectarCuentaExistente(paciente) {
+  if (!paciente.num_documento || paciente.usuarioId || paciente.cuentaPendiente) return;
+
+  const user = await Usuario.findOne({
+    tipo_documento: paciente.tipo_documento,
+    num_documento: paciente.num_documento,
+    role: ROLES.PACIENTE,
+    pacienteId: null,
+  });
+  if (!user) return;
+
+  await Paciente.updateOne({ _id: paciente._id }, { cuentaPendiente: user._id });
+  paciente.cuentaPendiente = user._id;
+}
+
+/**
+ * Recepción verificó la identidad del titular: la cuenta pendiente toma la ficha
+ * @returns {Promise<string|null>} Mensaje de error o null
+ */
+export async function confirmarVinculo(paciente) {
+  if (!paciente.cuentaPendiente) return "La ficha no tiene una cuenta por vincular";
+
+  const user = await Usuario.findById(paciente.cuentaPendiente);
+  if (!user || user.pacienteId) {
+    await Paciente.updateOne({ _id: paciente._id }, { cuentaPendiente: null });
+    return "La cuenta ya no está disponible para vincular";
+  }
+
+  // La ficha que gestionaba un tutor pasa a manos de su titular solo si ya es mayor de edad
+  const errorTutela = await cederAccesoAlTitular(paciente);
+  if (errorTutela) return errorTutela;
+
+  await enlazar(user, paciente);
+  return null;
+}
@@ -0,0 +1,33 @@
+// services/politicaCitas.js
+// Política de cancelación y reprogramación de citas por parte del paciente
+import Configuracion from "../models/Configuracion.js";
+
+/** Política vigente (con los valores por defecto si nunca se editó) */
+export async function obtenerPoliticaCitas() {
+  const config = await Configuracion.obtener();
+  return config.politicaCitas;
+}
+
+/**
+ * Comprueba si el paciente puede cancelar o reprogramar una cita
+ * @param {object} cita - Documento Cita
+ * @param {"cancelar"|"reprogramar"} accion
+ * @param {object} politica - Configuracion.politicaCitas
+ * @returns {string|null} Mensaje de error o null si está permitido
+ */
+export function validarPoliticaPaciente(cita, accion, politica) {
+  if (politica.estadosBloqueados.includes(cita.estado)) {
+    return `No se puede ${accion} una cita en estado ${cita.estado}`;
+  }
+
+  const horasRestantes = (new Date(cita.fechaHora) - Date.now()) / 3600000;
+  if (horasRestantes < politica.anticipacionHoras) {
+    return `Solo puede ${accion} con al menos ${politica.anticipacionHoras} horas de anticipación; comuníquese con la clínica`;
+  }
+
+  if (accion === "reprogramar" && (cita.reprogramaciones || 0) >= politica.maxReprogramaciones) {
+    return `La cita ya alcanzó el máximo de ${politica.maxReprogramaciones} reprogramaciones`;
+  }
+
+  return null;
+}
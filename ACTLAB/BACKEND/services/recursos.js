@@ -0,0 +1,93 @@
+// services/recursos.js
+// Salas, equipos y puestos que ocupan las citas: recursos por tipo de examen y control de capacidad
+import mongoose from "mongoose";
+import Cita from "../models/Cita.js";
+import Configuracion from "../models/Configuracion.js";
+import Recurso from "../models/Recurso.js";
+
+// Margen hacia atrás para encontrar citas que siguen en curso (coincide con DURACION_MAXIMA de agenda.js)
+const MARGEN_MINUTOS = 120;
+
+const finDe = (cita) => new Date(new Date(cita.fechaHora).getTime() + (cita.duracion || 15) * 60000);
+
+/** Recursos que pide por defecto un tipo de examen (ids como texto) */
+export async function recursosRequeridos(tipoExamen) {
+  const config = await Configuracion.obtener();
+  const requisito = config.recursosPorTipo.find((r) => r.tipoExamen === tipoExamen);
+  return (requisito?.recursos || []).map(String);
+}
+
+/**
+ * Lista de recursos de una cita: la enviada en el formulario o, si no hay, la de su tipo de examen
+ * @returns {Promise<string[]|null>} null si algún id es inválido
+ */
+export async function resolverRecursos(recursos, tipoExamen) {
+  if (!Array.isArray(recursos)) return recursosRequeridos(tipoExamen);
+  if (recursos.some((id) => !mongoose.isValidObjectId(id))) return null;
+  return [...new Set(recursos.map(String))];
+}
+
+/**
+ * Máximo de citas simultáneas dentro del intervalo
+ * @param {object[]} citas - Citas que usan el recurso
+ */
+export function ocupacionMaxima(citas, inicio, fin) {
+  const solapadas = citas.filter((c) => new Date(c.fechaHora) < fin && finDe(c) > inicio);
+  // La ocupación solo sube cuando empieza una cita: basta con contar en esos instantes
+  const instantes = [inicio, ...solapadas.map((c) => new Date(c.fechaHora)).filter((t) => t > inicio)];
+  return Math.max(0, ...instantes.map((t) => solapadas.filter((c) => new Date(c.fechaHora) <= t && finDe(c) > t).length));
+}
+
+/**
+ * Recursos y citas no canceladas que los usan entre dos fechas
+ * @returns {Promise<{recursos: object[], citas: object[]}>}
+ */
+export async function cargarOcupacion(ids, desde, hasta, excluirId = null) {
+  if (ids.length === 0) return { recursos: [], citas: [] };
+
+  const filtro = {
+    recursos: { $in: ids },
+    estado: { $ne: "Cancelada" },
+    fechaHora: { $gt: new Date(desde.getTime() - MARGEN_MINUTOS * 60000), $lt: hasta },
+  };
+  if (excluirId) filtro._id = Array.isArray(excluirId) ? { $nin: excluirId } : { $ne: excluirId };
+
+  const [recursos, citas] = await Promise.all([Recurso.find({ _id: { $in: ids } }), Cita.find(filtro)]);
+  return { recursos, citas };
+}
+
+/** Primer recurso sin capacidad libre en el intervalo, o null */
+export function recursoLleno({ recursos, citas }, inicio, fin) {
+  return (
+    recursos.find((recurso) => {
+      const propias = citas.filter((c) => c.recursos.some((id) => String(id) === String(recurso._id)));
+      return ocupacionMaxima(propias, inicio, fin) >= recurso.capacidad;
+    }) || null
+  );
+}
+
+/**
+ * Comprueba que los recursos existan, estén activos y tengan capacidad en el intervalo
+ * @param {object} params
+ * @param {Date} params.inicio
+ * @param {number} params.duracion - Minutos
+ * @param {string[]} params.recursos - Ids de recursos
+ * @param {string|string[]} [params.excluirId] - Cita o citas a excluir (para ediciones)
+ * @returns {Promise<string|null>} Mensaje de error o null
+ */
+export async function validarRecursos({ inicio, duracion, recursos = [], excluirId = null }) {
+  if (recursos.length === 0) return null;
+
+  const fin = new Date(inicio.getTime() + duracion * 60000);
+  const ocupacion = await cargarOcupacion(recursos, inicio, fin, excluirId);
+
+  const inactivo = ocupacion.recursos.find((r) => !r.activo);
+  if (inactivo) return `El recurso "${inactivo.nombre}" no está disponible`;
+  if (ocupacion.recursos.length < recursos.length) return "Recurso no encontrado";
+
+  const lleno = recursoLleno(ocupacion, inicio, fin);
+  if (!lleno) return null;
+  return lleno.capacidad === 1
+    ? `El recurso "${lleno.nombre}" ya está ocupado en ese horario. Escoja otro horario.`
+    : `El recurso "${lleno.nombre}" ya tiene ${lleno.capacidad} citas a la vez en ese horario. Escoja otro horario.`;
+}
@@ -0,0 +1,141 @@
+// services/reprogramacion.js
+// Reprogramación masiva por ausencia de un médico: reasigna sus citas a otro médico de la
+// misma especialidad, las mueve a sus siguientes horarios libres o las cancela. La vista
+// previa y la aplicación usan el mismo plan; los horarios ya tomados por otras citas del
+// lote se descuentan para que dos citas no caigan en el mismo hueco.
+import Cita, { ESTADOS_VIGENTES } from "../models/Cita.js";
+import Medico from "../models/Medico.js";
+import { claveDia, sumarDias } from "../models/horario.js";
+import { calcularDisponibilidad, finDeCita, moverCita, validarAgenda } from "./agenda.js";
+import { encolarNotificacion } from "./notificaciones.js";
+
+export const ACCIONES_MASIVAS = ["reasignar", "mover", "cancelar"];
+
+// Días hacia adelante en los que se buscan horarios libres al mover
+const DIAS_BUSQUEDA = 30;
+
+/** Citas vigentes del médico en el rango [desde, hasta) */
+export const citasDelRango = ({ medicoId, desde, hasta }) =>
+  Cita.find({ medicoId, estado: { $in: ESTADOS_VIGENTES }, fechaHora: { $gte: desde, $lt: hasta } })
+    .populate("pacienteId", "nombres apellidos")
+    .sort({ fechaHora: 1 });
+
+// Hueco ya asignado a otra cita del lote
+const tomado = (reservas, medicoId, inicio, fin) =>
+  reservas.some((r) => String(r.medicoId) === String(medicoId) && r.inicio < fin && r.fin > inicio);
+
+const reglasAgenda = (cita, inicio, medicoId) =>
+  validarAgenda({
+    inicio,
+    duracion: cita.duracion,
+    medicoId,
+    pacienteId: cita.pacienteId?._id || cita.pacienteId,
+    excluirId: cita._id,
+    recursos: cita.recursos || [],
+  });
+
+// Médicos que pueden reemplazar al ausente en la cita: misma especialidad de la cita o, si no
+// tiene, alguna de las del médico ausente
+async function reemplazosPosibles(ausente, cita) {
+  const filtro = { _id: { $ne: ausente._id }, activo: true };
+  if (cita.especialidad) filtro.especialidades = cita.especialidad;
+  else if (ausente.especialidades.length) filtro.especialidades = { $in: ausente.especialidades };
+  return Medico.find(filtro).sort({ apellidos: 1, nombres: 1 });
+}
+
+// Mismo horario con otro médico libre
+async function proponerReasignacion(cita, ausente, reservas) {
+  const inicio = new Date(cita.fechaHora);
+  const fin = finDeCita(cita);
+  for (const medico of await reemplazosPosibles(ausente, cita)) {
+    if (tomado(reservas, medico._id, inicio, fin)) continue;
+    if (await reglasAgenda(cita, inicio, medico._id)) continue;
+    return { inicio, medicoId: medico._id, medico: `${medico.nombres} ${medico.apellidos}` };
+  }
+  return { error: "Ningún médico de la misma especialidad está libre en ese horario" };
+}
+
+// Primer horario libre del mismo médico a partir del fin de la ausencia
+async function proponerMovimiento(cita, ausente, reservas, desde) {
+  const primerDia = claveDia(desde);
+  for (let i = 0; i < DIAS_BUSQUEDA; i++) {
+    const horarios = await calcularDisponibilidad({
+      fecha: sumarDias(primerDia, i),
+      duracion: cita.duracion,
+      medicoId: ausente._id,
+      recursos: cita.recursos || [],
+    });
+    for (const { inicio, fin } of horarios) {
+      if (inicio < desde || tomado(reservas, ausente._id, inicio, fin)) continue;
+      // La disponibilidad no mira la agenda del paciente; las reglas completas sí
+      if (await reglasAgenda(cita, inicio, ausente._id)) continue;
+      return { inicio, medicoId: ausente._id, medico: `${ausente.nombres} ${ausente.apellidos}` };
+    }
+  }
+  return { error: `El médico no tiene horarios libres en los ${DIAS_BUSQUEDA} días siguientes` };
+}
+
+/**
+ * Propuesta para cada cita del lote, en orden de fecha
+ * @param {object[]} citas - Citas del médico ausente (citasDelRango)
+ * @param {object} params
+ * @param {"reasignar"|"mover"|"cancelar"} params.accion
+ * @param {object} params.medico - Médico ausente
+ * @param {Date} params.hasta - Fin de la ausencia (al mover se busca desde ahí)
+ * @returns {Promise<{cita: object, inicio?: Date, medicoId?: string, medico?: string, error?: string}[]>}
+ */
+export async function planificar(citas, { accion, medico, hasta }, ahora = new Date()) {
+  const reservas = [];
+  const desde = hasta > ahora ? hasta : ahora;
+  const plan = [];
+
+  for (const cita of citas) {
+    if (accion === "cancelar") {
+      plan.push({ cita });
+      continue;
+    }
+
+    const propuesta =
+      accion === "reasignar"
+        ? await proponerReasignacion(cita, medico, reservas)
+        : await proponerMovimiento(cita, medico, reservas, desde);
+    if (!propuesta.error) {
+      reservas.push({
+        medicoId: propuesta.medicoId,
+        inicio: propuesta.inicio,
+        fin: new Date(propuesta.inicio.getTime() + cita.duracion * 60000),
+      });
+    }
+    plan.push({ cita, ...propuesta });
+  }
+  return plan;
+}
+
+/**
+ * Aplica una propuesta del plan: mueve o cancela la cita, deja el cambio en su historial
+ * y encola el aviso al paciente (guarda la cita)
+ * @returns {Promise<string|null>} Mensaje de error o null
+ */
+export async function aplicarPropuesta(propuesta, { accion, motivo, actorId }) {
+  const { cita } = propuesta;
+  if (propuesta.error) return propuesta.error;
+
+  if (accion === "cancelar") {
+    const errorEstado = cita.cambiarEstado("Cancelada", { actorId, motivo });
+    if (errorEstado) return errorEstado;
+    cita.canceladoPor = "Admin";
+    cita.motivoCancelacion = motivo;
+    encolarNotificacion(cita, "cancelacion");
+    await cita.save();
+    return null;
+  }
+
+  // La reprograma la clínica: no cuenta para el límite de reprogramaciones del paciente
+  return moverCita(cita, {
+    inicio: propuesta.inicio,
+    medicoId: propuesta.medicoId,
+    actorId,
+    motivo,
+    contarReprogramacion: false,
+  });
+}
@@ -0,0 +1,67 @@
+// services/series.js
+// Series de citas recurrentes: generación de ocurrencias y revisión de conflictos
+import { MAX_OCURRENCIAS } from "../models/SerieCita.js";
+import { claveDia, diaSemanaDeClave, fechaEnZona, minutosDelDia, sumarDias } from "../models/horario.js";
+import { validarAgenda } from "./agenda.js";
+
+// Todas las ocurrencias conservan la hora de reloj de la primera en la clínica (respeta cambios de hora)
+
+// Ocurrencias semanales: cada `intervalo` semanas, en los días indicados
+function* semanales(inicio, { intervalo, dias }) {
+  const clave = claveDia(inicio);
+  const minutos = minutosDelDia(inicio);
+  const diasSemana = dias?.length ? [...new Set(dias)].sort((a, b) => a - b) : [diaSemanaDeClave(clave)];
+  const inicioSemana = sumarDias(clave, -diaSemanaDeClave(clave));
+
+  for (let semana = 0; ; semana += intervalo) {
+    for (const dia of diasSemana) {
+      const fecha = fechaEnZona(sumarDias(inicioSemana, semana * 7 + dia), minutos);
+      if (fecha >= inicio) yield fecha;
+    }
+  }
+}
+
+// Ocurrencias mensuales: cada `intervalo` meses el mismo día (se saltan los meses sin ese día, p. ej. 31)
+function* mensuales(inicio, { intervalo }) {
+  const [anio, mes, dia] = claveDia(inicio).split("-").map(Number);
+  const minutos = minutosDelDia(inicio);
+  for (let desplazamiento = 0; ; desplazamiento += intervalo) {
+    const fecha = new Date(Date.UTC(anio, mes - 1 + desplazamiento, dia));
+    if (fecha.getUTCDate() === dia) yield fechaEnZona(fecha.toISOString().slice(0, 10), minutos);
+  }
+}
+
+/**
+ * Fechas de inicio de cada ocurrencia de la serie, en orden
+ * @param {Date} inicio - Primera cita (define la hora de todas)
+ * @param {object} regla - SerieCita.regla (hasta = último instante incluido)
+ * @returns {Date[]} Como máximo MAX_OCURRENCIAS + 1, para detectar series demasiado largas
+ */
+export function generarOcurrencias(inicio, regla) {
+  const intervalo = regla.intervalo || 1;
+  const generador = regla.frecuencia === "mensual" ? mensuales(inicio, { intervalo }) : semanales(inicio, { ...regla, intervalo });
+  const hasta = regla.hasta ? new Date(regla.hasta) : null;
+
+  const fechas = [];
+  for (const fecha of generador) {
+    if (hasta && fecha > hasta) break;
+    if (regla.cantidad && fechas.length >= regla.cantidad) break;
+    fechas.push(fecha);
+    if (fechas.length > MAX_OCURRENCIAS) break;
+  }
+  return fechas;
+}
+
+/**
+ * Revisa calendario, horario del médico y cruces de cada ocurrencia antes de guardar nada
+ * @param {object[]} ocurrencias - Parámetros de validarAgenda para cada cita
+ * @returns {Promise<{fecha: Date, motivo: string}[]>} Ocurrencias con conflicto
+ */
+export async function revisarOcurrencias(ocurrencias) {
+  const conflictos = [];
+  for (const ocurrencia of ocurrencias) {
+    const motivo = await validarAgenda(ocurrencia);
+    if (motivo) conflictos.push({ fecha: ocurrencia.inicio, motivo });
+  }
+  return conflictos;
+}
@@ -0,0 +1,160 @@
+// services/sesiones.js
+// Access tokens cortos (JWT) + refresh tokens rotativos guardados como hash en BD
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import Sesion from "../models/Sesion.js";
+import Usuario from "../models/Usuario.js";
+
+dotenv.config();
+
+const ACCESS_TOKEN_EXPIRA = "15m";
+const REFRESH_TOKEN_DIAS = 30;
+const DESAFIO_2FA_EXPIRA = "5m";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/** Error de sesión con código HTTP para el controlador */
+export class SesionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Firma el access token con el rol guardado en BD y la sesión a la que pertenece
+function firmarToken(user, sesionId) {
+  return jwt.sign(
+    {
+      id: user._id,
+      sid: sesionId,
+      tipo_documento: user.tipo_documento,
+      num_documento: user.num_documento,
+      role: user.role,
+      pacienteId: user.pacienteId ?? null,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRA }
+  );
+}
+
+// El refresh token lleva el id de la sesión para ubicarla sin buscar por hash
+function generarRefreshToken(sesionId) {
+  return `${sesionId}.${crypto.randomBytes(32).toString("hex")}`;
+}
+
+const datosCliente = (req) => ({
+  dispositivo: req.get("user-agent") || "Desconocido",
+  ip: req.ip,
+});
+
+/**
+ * Abre una sesión nueva para el usuario
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+export async function crearSesion(user, req) {
+  const sesion = new Sesion({
+    usuarioId: user._id,
+    refreshTokenHash: "pendiente",
+    expira: new Date(Date.now() + REFRESH_TOKEN_DIAS * 86400000),
+    ...datosCliente(req),
+  });
+
+  const refreshToken = generarRefreshToken(sesion._id);
+  sesion.refreshTokenHash = hashToken(refreshToken);
+  await sesion.save();
+
+  return { token: firmarToken(user, sesion._id), refreshToken };
+}
+
+/**
+ * Token intermedio entre la contraseña y el segundo factor. No lleva sesión,
+ * así que verificarToken lo rechaza como access token.
+ */
+export function firmarDesafio(user) {
+  return jwt.sign({ id: user._id, tipo: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: DESAFIO_2FA_EXPIRA,
+  });
+}
+
+/** @returns {object|null} payload del desafío, o null si es inválido o expiró */
+export function verificarDesafio(desafio) {
+  try {
+    const payload = jwt.verify(String(desafio || ""), process.env.JWT_SECRET);
+    return payload.tipo === "2fa" ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Canjea un refresh token por un par nuevo. Si se presenta un token ya usado,
+ * se revoca la sesión completa (posible robo del token).
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+export async function rotarSesion(refreshToken, req) {
+  const [sesionId] = String(refreshToken || "").split(".");
+  if (!/^[a-f0-9]{24}$/.test(sesionId)) {
+    throw new SesionError("Refresh token inválido.");
+  }
+
+  const sesion = await Sesion.findById(sesionId);
+  if (!sesion || sesion.revocada || sesion.expira <= new Date()) {
+    throw new SesionError("Sesión cerrada o expirada.");
+  }
+
+  if (sesion.refreshTokenHash !== hashToken(refreshToken)) {
+    sesion.revocada = new Date();
+    await sesion.save();
+    throw new SesionError("Refresh token reutilizado. Inicie sesión nuevamente.");
+  }
+
+  const user = await Usuario.findById(sesion.usuarioId);
+  if (!user || !user.activo) {
+    sesion.revocada = new Date();
+    await sesion.save();
+    throw new SesionError("Cuenta no disponible.", 403);
+  }
+
+  const nuevoRefresh = generarRefreshToken(sesion._id);
+  sesion.refreshTokenHash = hashToken(nuevoRefresh);
+  sesion.ultimoUso = new Date();
+  Object.assign(sesion, datosCliente(req));
+  await sesion.save();
+
+  return { token: firmarToken(user, sesion._id), refreshToken: nuevoRefresh };
+}
+
+/**
+ * Marca la sesión como usada si sigue activa
+ * @returns {Promise<boolean>} false si fue revocada o expiró
+ */
+export async function tocarSesion(sesionId) {
+  const ahora = new Date();
+  const sesion = await Sesion.findOneAndUpdate(
+    { _id: sesionId, revocada: null, expira: { $gt: ahora } },
+    { ultimoUso: ahora }
+  );
+  return !!sesion;
+}
+
+/** Revoca una sesión del usuario */
+export async function revocarSesion(usuarioId, sesionId) {
+  const { modifiedCount } = await Sesion.updateOne(
+    { _id: sesionId, usuarioId, revocada: null },
+    { revocada: new Date() }
+  );
+  return modifiedCount > 0;
+}
+
+/** Revoca todas las sesiones activas del usuario */
+export async function revocarSesiones(usuarioId) {
+  await Sesion.updateMany({ usuarioId, revocada: null }, { revocada: new Date() });
+}
+
+/** Sesiones activas del usuario, la más reciente primero */
+export function listarSesiones(usuarioId) {
+  return Sesion.find({ usuarioId, revocada: null, expira: { $gt: new Date() } })
+    .select("dispositivo ip ultimoUso createdAt")
+    .sort({ ultimoUso: -1 });
+}
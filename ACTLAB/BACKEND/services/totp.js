@@ -0,0 +1,118 @@
+// services/totp.js
+// Códigos TOTP (RFC 6238: HMAC-SHA1, 6 dígitos, pasos de 30 s) y códigos de recuperación
+import crypto from "crypto";
+import QRCode from "qrcode";
+import Configuracion from "../models/Configuracion.js";
+
+const EMISOR = "ACT Clinica";
+const DIGITOS = 6;
+const PASO_SEGUNDOS = 30;
+const VENTANA = 1; // se acepta un paso antes y después por desfase de reloj
+const CODIGOS_RECUPERACION = 8;
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Codificar(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let salida = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    salida += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return salida;
+}
+
+function base32Decodificar(texto) {
+  let bits = "";
+  for (const c of texto.replace(/=+$/, "").toUpperCase()) {
+    const valor = BASE32.indexOf(c);
+    if (valor === -1) throw new Error("Secreto TOTP inválido");
+    bits += valor.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function codigoEnPaso(secreto, paso) {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(paso));
+
+  const hmac = crypto.createHmac("sha1", base32Decodificar(secreto)).update(contador).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const numero = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(numero % 10 ** DIGITOS).padStart(DIGITOS, "0");
+}
+
+const hashCodigo = (codigo) => crypto.createHash("sha256").update(codigo).digest("hex");
+
+/** Secreto nuevo en base32 (160 bits) */
+export function generarSecreto() {
+  return base32Codificar(crypto.randomBytes(20));
+}
+
+/**
+ * URI otpauth:// para apps autenticadoras y su QR como data URL
+ * @returns {Promise<{uri: string, qr: string}>}
+ */
+export async function datosProvision(user, secreto) {
+  const cuenta = encodeURIComponent(`${EMISOR}:${user.email || user.num_documento}`);
+  const uri =
+    `otpauth://totp/${cuenta}?secret=${secreto}&issuer=${encodeURIComponent(EMISOR)}` +
+    `&algorithm=SHA1&digits=${DIGITOS}&period=${PASO_SEGUNDOS}`;
+
+  return { uri, qr: await QRCode.toDataURL(uri) };
+}
+
+/**
+ * Comprueba un código TOTP contra el secreto, tolerando ±VENTANA pasos.
+ * Un código de un paso ya usado (ultimoPaso) no vuelve a aceptarse.
+ * @returns {number|null} paso aceptado, para guardarlo como ultimoPaso
+ */
+export function verificarCodigo(secreto, codigo, ultimoPaso = -1) {
+  const limpio = String(codigo || "").replace(/\s/g, "");
+  if (!secreto || !new RegExp(`^\\d{${DIGITOS}}$`).test(limpio)) return null;
+
+  const pasoActual = Math.floor(Date.now() / 1000 / PASO_SEGUNDOS);
+  for (let d = -VENTANA; d <= VENTANA; d++) {
+    const paso = pasoActual + d;
+    if (paso <= ultimoPaso) continue;
+    const esperado = codigoEnPaso(secreto, paso);
+    if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(limpio))) return paso;
+  }
+  return null;
+}
+
+/**
+ * Códigos de recuperación de un solo uso
+ * @returns {{codigos: string[], hashes: string[]}} los códigos se muestran una vez; se guardan los hashes
+ */
+export function generarCodigosRecuperacion() {
+  const codigos = Array.from({ length: CODIGOS_RECUPERACION }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codigos, hashes: codigos.map(hashCodigo) };
+}
+
+/**
+ * Consume un código de recuperación del usuario si es válido (no guarda)
+ * @returns {boolean}
+ */
+export function usarCodigoRecuperacion(user, codigo) {
+  const hash = hashCodigo(String(codigo || "").trim().toLowerCase());
+  const indice = (user.codigosRecuperacion || []).indexOf(hash);
+  if (indice === -1) return false;
+
+  user.codigosRecuperacion.splice(indice, 1);
+  return true;
+}
+
+/** Indica si el administrador exige 2FA para el rol */
+export async function es2FAObligatorio(role) {
+  const config = await Configuracion.obtener();
+  return config.roles2FAObligatorio.includes(role);
+}
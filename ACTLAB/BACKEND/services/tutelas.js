@@ -0,0 +1,118 @@
+// services/tutelas.js
+// Acceso de tutores a las fichas de sus dependientes
+import mongoose from "mongoose";
+import Tutela from "../models/Tutela.js";
+import { ROLES } from "../models/Usuario.js";
+
+export const MAYORIA_EDAD = 18;
+
+/** Fecha en que se cumple la mayoría de edad */
+export function fechaMayoriaEdad(fechaNacimiento) {
+  const fecha = new Date(fechaNacimiento);
+  fecha.setFullYear(fecha.getFullYear() + MAYORIA_EDAD);
+  return fecha;
+}
+
+// Tutelas no revocadas y, si son de un menor, aún antes de sus 18 años
+const filtroVigente = () => ({
+  revocada: null,
+  $or: [{ vigenteHasta: null }, { vigenteHasta: { $gt: new Date() } }],
+});
+
+/** Ids de las fichas que el usuario gestiona como tutor */
+export async function pacientesACargo(usuarioId) {
+  const tutelas = await Tutela.find({ tutorId: usuarioId, ...filtroVigente() }).select("pacienteId");
+  return tutelas.map((t) => t.pacienteId);
+}
+
+/** Ids de los usuarios que gestionan la ficha como tutores */
+export async function tutoresDe(pacienteId) {
+  const tutelas = await Tutela.find({ pacienteId, ...filtroVigente() }).select("tutorId");
+  return tutelas.map((t) => t.tutorId);
+}
+
+/**
+ * Fichas sobre las que puede actuar un paciente autenticado: la suya y las de sus dependientes
+ * @param {object} usuario - req.usuario (payload del token)
+ * @returns {Promise<string[]>}
+ */
+export async function pacientesAccesibles(usuario) {
+  const propios = usuario.pacienteId ? [String(usuario.pacienteId)] : [];
+  const aCargo = await pacientesACargo(usuario.id);
+  return [...propios, ...aCargo.map(String)];
+}
+
+/** Indica si el usuario puede ver o gestionar la ficha indicada */
+export async function puedeActuarPor(usuario, pacienteId) {
+  if (usuario.role !== ROLES.PACIENTE) return true;
+  if (!mongoose.Types.ObjectId.isValid(pacienteId)) return false;
+  return (await pacientesAccesibles(usuario)).includes(String(pacienteId));
+}
+
+// Sin fecha de nacimiento se estima con la edad registrada en la ficha
+function estimarMayoriaEdad(paciente) {
+  if (paciente.fecha_nacimiento) return fechaMayoriaEdad(paciente.fecha_nacimiento);
+  if (paciente.edad == null) return null;
+
+  const fecha = new Date();
+  fecha.setFullYear(fecha.getFullYear() + MAYORIA_EDAD - paciente.edad);
+  return fecha;
+}
+
+/**
+ * Registra (o reactiva) la tutela de un usuario sobre una ficha. Si el paciente
+ * es menor de edad, la tutela vence el día que cumple 18 años.
+ */
+export async function crearTutela({ tutorId, paciente, parentesco }) {
+  const mayoria = estimarMayoriaEdad(paciente);
+  const esMenor = !!mayoria && mayoria > new Date();
+
+  return Tutela.findOneAndUpdate(
+    { tutorId, pacienteId: paciente._id },
+    {
+      parentesco,
+      motivo: esMenor ? "menor" : "dependiente",
+      vigenteHasta: esMenor ? mayoria : null,
+      revocada: null,
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+}
+
+/**
+ * El titular ya adulto toma su ficha: terminan las tutelas que tenía como menor.
+ * Si aún es menor de edad (por su fecha de nacimiento o, sin ella, por una tutela de
+ * menor vigente o la edad registrada) no cambia nada.
+ * @param {object} paciente - Ficha del titular
+ * @returns {Promise<string|null>} Mensaje de error o null
+ */
+export async function cederAccesoAlTitular(paciente) {
+  const mayoria = estimarMayoriaEdad(paciente);
+  const ahora = new Date();
+  const tutelaDeMenor = await Tutela.exists({ pacienteId: paciente._id, motivo: "menor", ...filtroVigente() });
+
+  const esMenor = paciente.fecha_nacimiento ? mayoria > ahora : !!tutelaDeMenor || (!!mayoria && mayoria > ahora);
+  if (esMenor) return "El paciente es menor de edad: su ficha la sigue gestionando su tutor";
+
+  await Tutela.updateMany({ pacienteId: paciente._id, motivo: "menor", revocada: null }, { revocada: ahora });
+  return null;
+}
+
+/** Tutelas vigentes del tutor con la ficha de cada dependiente */
+export function listarDependientes(tutorId) {
+  return Tutela.find({ tutorId, ...filtroVigente() })
+    .populate("pacienteId", "nombres apellidos tipo_documento num_documento fecha_nacimiento edad genero")
+    .sort({ createdAt: 1 });
+}
+
+/**
+ * El tutor deja de gestionar la ficha
+ * @returns {Promise<object|null>} la tutela revocada, o null si no había una vigente
+ */
+export function revocarTutela(tutorId, pacienteId) {
+  return Tutela.findOneAndUpdate(
+    { tutorId, pacienteId, revocada: null },
+    { revocada: new Date() },
+    { new: true }
+  );
+}
@@ -0,0 +1,94 @@
+// test/agenda.test.js
+// Reglas de horario con el servidor en UTC: calendario de la clínica, horario del médico y series
+import "./entorno.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Configuracion from "../models/Configuracion.js";
+import Medico from "../models/Medico.js";
+import { validarHorarioClinica, ventanasDelDia } from "../services/calendario.js";
+import { generarOcurrencias } from "../services/series.js";
+
+// Lunes a sábado de 08:00 a 22:00 con refrigerio de 13:00 a 14:00
+const calendario = {
+  semana: [1, 2, 3, 4, 5, 6].map((dia) => ({
+    dia,
+    abierto: true,
+    inicio: "08:00",
+    fin: "22:00",
+    refrigerioInicio: "13:00",
+    refrigerioFin: "14:00",
+  })),
+  feriados: [{ fecha: "07-28" }],
+  cierres: [{ desde: "2025-03-10", hasta: "2025-03-11" }],
+  horariosEspeciales: [{ fecha: "2025-03-15", inicio: "09:00", fin: "12:00" }],
+};
+Configuracion.obtener = async () => ({ calendario });
+
+test("ventanas del día por fecha de la clínica", () => {
+  assert.deepEqual(ventanasDelDia(calendario, "2025-03-03"), [
+    [8 * 60, 13 * 60],
+    [14 * 60, 22 * 60],
+  ]);
+  assert.deepEqual(ventanasDelDia(calendario, "2025-03-02"), []);
+  assert.deepEqual(ventanasDelDia(calendario, "2025-03-10"), []);
+  assert.deepEqual(ventanasDelDia(calendario, "2025-07-28"), []);
+  assert.deepEqual(ventanasDelDia(calendario, "2025-03-15"), [[9 * 60, 12 * 60]]);
+});
+
+test("horario de la clínica cerca de la medianoche", async () => {
+  // Lunes 08:00 en Lima (13:00 UTC)
+  assert.equal(await validarHorarioClinica(new Date("2025-03-03T13:00:00Z"), 30), null);
+  // Lunes 21:30 en Lima: en UTC ya es martes 02:30, fuera de cualquier jornada si se leyera en UTC
+  assert.equal(await validarHorarioClinica(new Date("2025-03-04T02:30:00Z"), 30), null);
+  // Domingo 22:00 en Lima aunque en UTC sea lunes 03:00
+  assert.equal(await validarHorarioClinica(new Date("2025-03-03T03:00:00Z"), 30), "La clínica no atiende ese día");
+  // Lunes 21:45 + 30 minutos pasa el cierre de las 22:00
+  assert.equal(
+    await validarHorarioClinica(new Date("2025-03-04T02:45:00Z"), 30),
+    "La cita queda fuera del horario de atención de la clínica"
+  );
+});
+
+test("el médico atiende según la hora de la clínica", () => {
+  const medico = new Medico({
+    nombres: "Ana",
+    apellidos: "Rojas",
+    cmp: "000001",
+    horario: [{ dia: 1, inicio: "20:00", fin: "23:30" }],
+    excepciones: [],
+  });
+  const cita = (inicio, minutos) => [new Date(inicio), new Date(new Date(inicio).getTime() + minutos * 60000)];
+
+  // Lunes 21:00 en Lima (martes 02:00 UTC)
+  assert.equal(medico.atiendeEn(...cita("2025-03-04T02:00:00Z", 30)), true);
+  // Lunes 23:15 + 30 minutos termina el martes en Lima
+  assert.equal(medico.atiendeEn(...cita("2025-03-04T04:15:00Z", 30)), false);
+  // Martes 20:00 en Lima: el bloque es solo de los lunes
+  assert.equal(medico.atiendeEn(...cita("2025-03-05T01:00:00Z", 30)), false);
+
+  medico.excepciones.push({ desde: new Date("2025-03-03T05:00:00Z"), hasta: new Date("2025-03-04T04:59:59Z") });
+  assert.equal(medico.atiendeEn(...cita("2025-03-04T02:00:00Z", 30)), false);
+});
+
+test("series: la hora de reloj se mantiene y los días son los de la clínica", () => {
+  // Domingo 23:00 en Lima (lunes 04:00 UTC)
+  const semanales = generarOcurrencias(new Date("2025-03-03T04:00:00Z"), { frecuencia: "semanal", cantidad: 3 });
+  assert.deepEqual(
+    semanales.map((f) => f.toISOString()),
+    ["2025-03-03T04:00:00.000Z", "2025-03-10T04:00:00.000Z", "2025-03-17T04:00:00.000Z"]
+  );
+
+  // Lunes y miércoles desde un domingo por la noche de Lima
+  const conDias = generarOcurrencias(new Date("2025-03-03T04:00:00Z"), { frecuencia: "semanal", dias: [1, 3], cantidad: 2 });
+  assert.deepEqual(
+    conDias.map((f) => f.toISOString()),
+    ["2025-03-04T04:00:00.000Z", "2025-03-06T04:00:00.000Z"]
+  );
+
+  // Día 31 a las 10:00 de Lima: se saltan los meses sin 31
+  const mensuales = generarOcurrencias(new Date("2025-01-31T15:00:00Z"), { frecuencia: "mensual", cantidad: 3 });
+  assert.deepEqual(
+    mensuales.map((f) => f.toISOString()),
+    ["2025-01-31T15:00:00.000Z", "2025-03-31T15:00:00.000Z", "2025-05-31T15:00:00.000Z"]
+  );
+});
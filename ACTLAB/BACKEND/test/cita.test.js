@@ -0,0 +1,64 @@
+// test/cita.test.js
+// Máquina de estados de la cita: transiciones permitidas, rechazadas e historial
+import "./entorno.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Cita, { ESTADOS_CITA, TRANSICIONES_CITA } from "../models/Cita.js";
+
+const cita = (estado = "Pendiente") =>
+  new Cita({
+    pacienteId: new mongoose.Types.ObjectId(),
+    fechaHora: new Date("2025-03-03T15:00:00Z"),
+    tipoExamen: "Laboratorio",
+    motivo: "Control",
+    estado,
+  });
+
+test("cada transición de la tabla se aplica", () => {
+  for (const [desde, destinos] of Object.entries(TRANSICIONES_CITA)) {
+    for (const hacia of destinos) {
+      const c = cita(desde);
+      assert.equal(c.cambiarEstado(hacia), null, `${desde} → ${hacia}`);
+      assert.equal(c.estado, hacia);
+    }
+  }
+});
+
+test("las transiciones fuera de la tabla se rechazan sin tocar la cita", () => {
+  for (const desde of ESTADOS_CITA) {
+    for (const hacia of ESTADOS_CITA.filter((e) => !TRANSICIONES_CITA[desde].includes(e))) {
+      const c = cita(desde);
+      assert.ok(c.cambiarEstado(hacia), `${desde} → ${hacia}`);
+      assert.equal(c.estado, desde);
+      assert.equal(c.historial.length, 0);
+    }
+  }
+});
+
+test("una cita atendida o cancelada no vuelve atrás", () => {
+  assert.equal(cita("Atendida").cambiarEstado("Pendiente"), "Una cita Atendida ya no puede cambiar de estado");
+  assert.equal(cita("Cancelada").cambiarEstado("Confirmada"), "Una cita Cancelada ya no puede cambiar de estado");
+  assert.equal(
+    cita("No asistió").cambiarEstado("Pendiente"),
+    "Una cita No asistió solo puede pasar a: Reprogramada"
+  );
+  assert.equal(cita().cambiarEstado("Perdida"), "Estado inválido: Perdida");
+});
+
+test("el cambio queda en el historial con quién y por qué", () => {
+  const actorId = new mongoose.Types.ObjectId();
+  const c = cita();
+  c.confirmacionRequerida = true;
+
+  assert.equal(c.cambiarEstado("Confirmada", { actorId, motivo: "Llamada" }), null);
+  assert.equal(c.cambiarEstado("Cancelada"), null);
+
+  const [primero, segundo] = c.historial;
+  assert.equal(c.historial.length, 2);
+  assert.deepEqual([primero.de, primero.a, primero.motivo], ["Pendiente", "Confirmada", "Llamada"]);
+  assert.equal(String(primero.actorId), String(actorId));
+  assert.deepEqual([segundo.de, segundo.a, segundo.actorId, segundo.motivo], ["Confirmada", "Cancelada", null, null]);
+  // Confirmar la cita resuelve el aviso pendiente de confirmación
+  assert.equal(c.confirmacionRequerida, false);
+});
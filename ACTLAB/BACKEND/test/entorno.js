@@ -0,0 +1,5 @@
+// test/entorno.js
+// Servidor en UTC y clínica en Lima, el caso que motivó la zona horaria explícita.
+// Se importa antes que cualquier módulo de la aplicación.
+process.env.TZ = "UTC";
+process.env.CLINICA_ZONA_HORARIA = "America/Lima";
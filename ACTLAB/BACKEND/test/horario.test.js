@@ -0,0 +1,88 @@
+// test/horario.test.js
+import "./entorno.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  claveDia,
+  diaSemana,
+  diaSemanaDeClave,
+  diasEntre,
+  fechaEnZona,
+  formatoHora,
+  minutosDelDia,
+  rangoDia,
+  sumarDias,
+} from "../models/horario.js";
+
+const HORA_MS = 3600000;
+const duracionHoras = ({ inicio, fin }) => (fin - inicio) / HORA_MS;
+
+test("Lima: el día cambia a la medianoche de Lima, no a la de UTC", () => {
+  assert.equal(claveDia(new Date("2025-03-03T04:59:00Z")), "2025-03-02");
+  assert.equal(claveDia(new Date("2025-03-03T05:00:00Z")), "2025-03-03");
+  assert.equal(diaSemana(new Date("2025-03-03T04:59:00Z")), 0);
+  assert.equal(minutosDelDia(new Date("2025-03-03T04:59:00Z")), 23 * 60 + 59);
+  assert.equal(minutosDelDia(new Date("2025-03-03T13:00:00Z")), 8 * 60);
+});
+
+test("Lima: rango de un día y hora de reloj", () => {
+  const rango = rangoDia("2025-03-02");
+  assert.equal(rango.inicio.toISOString(), "2025-03-02T05:00:00.000Z");
+  assert.equal(rango.fin.toISOString(), "2025-03-03T05:00:00.000Z");
+  // Un instante de las 23:30 de Lima pertenece a ese mismo día aunque en UTC ya sea el siguiente
+  assert.deepEqual(rangoDia(new Date("2025-03-03T04:30:00Z")), rango);
+
+  assert.equal(fechaEnZona("2025-03-03", 8 * 60).toISOString(), "2025-03-03T13:00:00.000Z");
+  assert.equal(formatoHora(new Date("2025-03-03T13:00:00Z")), "08:00");
+});
+
+test("aritmética de días AAAA-MM-DD", () => {
+  assert.equal(sumarDias("2024-12-31", 1), "2025-01-01");
+  assert.equal(sumarDias("2024-03-01", -1), "2024-02-29");
+  assert.equal(diasEntre("2024-02-28", "2024-03-01"), 2);
+  assert.equal(diasEntre("2025-01-01", "2024-12-31"), -1);
+  assert.equal(diaSemanaDeClave("2025-03-02"), 0);
+  assert.equal(diaSemanaDeClave("2025-03-03"), 1);
+});
+
+test("Nueva York: días de 23 y 25 horas en los cambios de hora", () => {
+  const zona = "America/New_York";
+  assert.equal(duracionHoras(rangoDia("2025-03-09", zona)), 23);
+  assert.equal(duracionHoras(rangoDia("2025-11-02", zona)), 25);
+  assert.equal(duracionHoras(rangoDia("2025-11-03", zona)), 24);
+
+  assert.equal(claveDia(new Date("2025-03-09T04:59:00Z"), zona), "2025-03-08");
+  assert.equal(claveDia(new Date("2025-03-09T05:00:00Z"), zona), "2025-03-09");
+  // Tras el adelanto la medianoche ya es a las 04:00 UTC
+  assert.equal(rangoDia("2025-03-10", zona).inicio.toISOString(), "2025-03-10T04:00:00.000Z");
+});
+
+test("Nueva York: horas que no existen o se repiten", () => {
+  const zona = "America/New_York";
+  // 02:30 no existe el 9 de marzo: se corre a las 03:30 (EDT)
+  assert.equal(fechaEnZona("2025-03-09", 2 * 60 + 30, zona).toISOString(), "2025-03-09T07:30:00.000Z");
+  // 01:30 ocurre dos veces el 2 de noviembre: se toma la primera (EDT)
+  assert.equal(fechaEnZona("2025-11-02", 60 + 30, zona).toISOString(), "2025-11-02T05:30:00.000Z");
+  // Una hora normal conserva su hora de reloj a ambos lados del cambio
+  assert.equal(minutosDelDia(fechaEnZona("2025-11-02", 9 * 60, zona), zona), 9 * 60);
+  assert.equal(minutosDelDia(fechaEnZona("2025-11-01", 9 * 60, zona), zona), 9 * 60);
+});
+
+test("Madrid: la misma hora de reloj cambia de instante con el horario de verano", () => {
+  const zona = "Europe/Madrid";
+  assert.equal(fechaEnZona("2025-03-29", 10 * 60, zona).toISOString(), "2025-03-29T09:00:00.000Z");
+  assert.equal(fechaEnZona("2025-03-30", 10 * 60, zona).toISOString(), "2025-03-30T08:00:00.000Z");
+  assert.equal(duracionHoras(rangoDia("2025-03-30", zona)), 23);
+  assert.equal(duracionHoras(rangoDia("2025-10-26", zona)), 25);
+  assert.equal(claveDia(new Date("2025-06-30T22:30:00Z"), zona), "2025-07-01");
+});
+
+test("Santiago: el día del adelanto empieza a la 01:00 porque la medianoche no existe", () => {
+  const zona = "America/Santiago";
+  const { inicio, fin } = rangoDia("2024-09-08", zona);
+  assert.equal(inicio.toISOString(), "2024-09-08T04:00:00.000Z");
+  assert.equal(claveDia(inicio, zona), "2024-09-08");
+  assert.equal(minutosDelDia(inicio, zona), 60);
+  assert.equal(fin.toISOString(), "2024-09-09T03:00:00.000Z");
+  assert.equal(claveDia(new Date(inicio - 1), zona), "2024-09-07");
+});
@@ -0,0 +1,119 @@
+// test/intentos.test.js
+// Espera creciente por IP y bloqueo de la cuenta tras fallos seguidos
+import "./entorno.js";
+import { EventEmitter } from "events";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bloqueoRestante, limitarIntentos, limpiarFallosCuenta, registrarFalloCuenta } from "../services/intentos.js";
+
+const MINUTO_MS = 60000;
+
+// Pasa una petición por el middleware; si la deja seguir, la termina con `status`
+function pedir(middleware, status) {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.set = (nombre, valor) => (res.headers[nombre] = valor);
+  res.status = (codigo) => {
+    res.statusCode = codigo;
+    return res;
+  };
+  res.json = () => res;
+
+  let siguio = false;
+  middleware({ ip: "10.0.0.1" }, res, () => (siguio = true));
+  if (siguio) {
+    res.statusCode = status;
+    res.emit("finish");
+  }
+  return { siguio, statusCode: res.statusCode, retryAfter: res.headers["Retry-After"] };
+}
+
+const cuenta = () => {
+  const user = { intentosFallidos: 0, bloqueadoHasta: null, guardados: 0 };
+  user.save = async () => user.guardados++;
+  return user;
+};
+
+test("IP: tres fallos libres y luego una espera que se duplica", (t) => {
+  let ahora = Date.UTC(2025, 2, 3, 13);
+  t.mock.method(Date, "now", () => ahora);
+  const limitar = limitarIntentos("prueba-espera");
+
+  for (let i = 0; i < 4; i++) assert.equal(pedir(limitar, 401).siguio, true);
+
+  // Cuarto fallo: 2 s de espera
+  let bloqueada = pedir(limitar, 401);
+  assert.equal(bloqueada.siguio, false);
+  assert.equal(bloqueada.statusCode, 429);
+  assert.equal(bloqueada.retryAfter, "2");
+
+  // Pasada la espera, el quinto fallo pide 4 s
+  ahora += 2000;
+  assert.equal(pedir(limitar, 401).siguio, true);
+  bloqueada = pedir(limitar, 401);
+  assert.equal(bloqueada.retryAfter, "4");
+});
+
+test("IP: la espera no pasa de 15 minutos", (t) => {
+  let ahora = Date.UTC(2025, 2, 3, 13);
+  t.mock.method(Date, "now", () => ahora);
+  const limitar = limitarIntentos("prueba-tope");
+
+  for (let i = 0; i < 20; i++) {
+    assert.equal(pedir(limitar, 401).siguio, true);
+    ahora += 15 * MINUTO_MS;
+  }
+  ahora -= 15 * MINUTO_MS;
+  assert.equal(pedir(limitar, 401).retryAfter, String(15 * 60));
+});
+
+test("IP: un acceso correcto olvida los fallos; contarTodas cuenta también los correctos", (t) => {
+  const ahora = Date.UTC(2025, 2, 3, 13);
+  t.mock.method(Date, "now", () => ahora);
+
+  const login = limitarIntentos("prueba-login");
+  for (let i = 0; i < 3; i++) pedir(login, 401);
+  pedir(login, 200);
+  for (let i = 0; i < 4; i++) assert.equal(pedir(login, 401).siguio, true);
+
+  const olvido = limitarIntentos("prueba-olvido", { contarTodas: true });
+  for (let i = 0; i < 4; i++) assert.equal(pedir(olvido, 200).siguio, true);
+  assert.equal(pedir(olvido, 200).statusCode, 429);
+});
+
+test("cuenta: se bloquea cada 5 fallos y el bloqueo se duplica hasta 24 h", async (t) => {
+  const ahora = Date.UTC(2025, 2, 3, 13);
+  t.mock.method(Date, "now", () => ahora);
+  const user = cuenta();
+  const minutosDeBloqueo = () => (user.bloqueadoHasta - ahora) / MINUTO_MS;
+
+  for (let i = 0; i < 4; i++) await registrarFalloCuenta(user);
+  assert.equal(user.bloqueadoHasta, null);
+
+  const esperados = [15, 30, 60, 120, 240, 480, 960, 1440, 1440];
+  for (const minutos of esperados) {
+    await registrarFalloCuenta(user);
+    assert.equal(minutosDeBloqueo(), minutos);
+    for (let i = 0; i < 4; i++) await registrarFalloCuenta(user);
+  }
+  assert.equal(user.intentosFallidos, 5 * esperados.length + 4);
+});
+
+test("cuenta: bloqueo restante y reinicio tras un acceso correcto", async () => {
+  const user = cuenta();
+  assert.equal(bloqueoRestante(user), 0);
+
+  user.bloqueadoHasta = new Date(Date.now() + 90000);
+  assert.ok(bloqueoRestante(user) > 85 && bloqueoRestante(user) <= 90);
+
+  user.intentosFallidos = 5;
+  await limpiarFallosCuenta(user);
+  assert.equal(user.intentosFallidos, 0);
+  assert.equal(user.bloqueadoHasta, null);
+  assert.equal(bloqueoRestante(user), 0);
+
+  // Sin fallos pendientes no vuelve a guardar
+  const guardados = user.guardados;
+  await limpiarFallosCuenta(user);
+  assert.equal(user.guardados, guardados);
+});
@@ -26,6 +26,42 @@ document.addEventListener("DOMContentLoaded", () => {
     });
 
 
+    // --- ESPECIALISTAS (desde el registro de médicos) ---
+
+    const specialistsGrid = document.getElementById("specialistsGrid");
+
+    const renderEspecialistas = async () => {
+        try {
+            const res = await fetch("/api/medicos");
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const { data } = await res.json();
+
+            specialistsGrid.innerHTML = "";
+            data.forEach(medico => {
+                const card = document.createElement("div");
+                card.className = "doctor-card glass";
+
+                const img = document.createElement("img");
+                img.src = medico.foto || "./assets2/img/doctores/logo.jpg";
+                img.alt = `${medico.nombres} ${medico.apellidos}`;
+
+                const nombre = document.createElement("h3");
+                nombre.textContent = `${medico.nombres} ${medico.apellidos}`;
+
+                const especialidad = document.createElement("p");
+                especialidad.textContent = medico.especialidades.join(", ");
+
+                card.append(img, nombre, especialidad);
+                specialistsGrid.appendChild(card);
+            });
+        } catch (error) {
+            console.error("No se pudieron cargar los especialistas:", error);
+        }
+    };
+
+    if (specialistsGrid) renderEspecialistas();
+
+
     // --- NUEVA LÓGICA DEL CARRUSEL (Añadida) ---
 
     const track = document.querySelector('.carousel-track');
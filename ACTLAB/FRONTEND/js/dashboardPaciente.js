@@ -1,5 +1,8 @@
 // js/dashboardPaciente.js
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  // Las citas se muestran en la hora de la clínica
+  await cargarZonaHoraria();
+
   const sidebar = document.getElementById("sidebar");
   const sidebarToggle = document.getElementById("sidebarToggle");
   const content = document.getElementById("content");
@@ -33,6 +36,8 @@ document.addEventListener("DOMContentLoaded", () => {
           else if (section === "solicitar-cita") initSolicitarCitaView();
           else if (section === "resultados") initResultadosView();
           else if (section === "ver-resultado") initVerResultadoView();
+          else if (section === "profile") initPerfilView();
+          else if (section === "doctores") initDoctoresView();
         }, 180);
       })
       .catch(err => {
@@ -64,6 +69,10 @@ document.addEventListener("DOMContentLoaded", () => {
       link.classList.add("active");
 
       const section = link.dataset.section || link.getAttribute("href").substring(1);
+      if (section === "logout") {
+        cerrarSesion();
+        return;
+      }
       loadSection(section);
 
       if (isMobile()) sidebar.classList.remove("open");
@@ -77,26 +86,44 @@ document.addEventListener("DOMContentLoaded", () => {
   // ============================================================
   // 🔹 GESTIÓN DE CITAS
   // ============================================================
-  const getCitas = () => JSON.parse(localStorage.getItem("citas") || "[]");
-  const saveCitas = (citas) => localStorage.setItem("citas", JSON.stringify(citas));
+  // Cita que se está reprogramando en el formulario de solicitud (null al reservar una nueva)
+  let citaAReprogramar = null;
+  let politicaCitas = null;
 
   const initCitasView = () => {
     const btnAgendarCita = document.getElementById("btnAgendarCita");
+    const btnSincronizar = document.getElementById("btnSincronizarCalendario");
     const citasList = document.getElementById("citasList");
 
+    citaAReprogramar = null;
     if (btnAgendarCita) {
       btnAgendarCita.addEventListener("click", () => loadSection("solicitar-cita"));
     }
+    if (btnSincronizar) btnSincronizar.addEventListener("click", handleSincronizarCalendario);
 
-    if (citasList) renderCitas();
+    // La lista de espera usa los perfiles que carga renderCitas
+    if (citasList) renderCitas().then(renderListaEspera);
   };
 
-  const renderCitas = () => {
+  // Citas del perfil activo (titular o dependiente) guardadas en el servidor
+  const renderCitas = async () => {
     const citasList = document.getElementById("citasList");
-    const citas = getCitas();
-
     if (!citasList) return;
 
+    let citas = [];
+    try {
+      if (perfiles.length === 0) await cargarPerfiles();
+      const res = await authFetch(`/api/mis-citas?pacienteId=${perfilActivo()?.id || ""}`);
+      const { data = [], message } = await res.json();
+      if (!res.ok) throw new Error(message);
+      citas = data;
+      await cargarPoliticaCitas();
+    } catch (err) {
+      console.error("Error cargando citas", err);
+      citasList.innerHTML = `<p style="color:crimson">No se pudieron cargar tus citas.</p>`;
+      return;
+    }
+
     if (citas.length === 0) {
       citasList.innerHTML = `
         <div class="empty-state">
@@ -108,36 +135,297 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    citasList.innerHTML = citas.map((cita, i) => `
-      <div class="cita-card">
+    citasList.innerHTML = "";
+    citas.forEach(cita => {
+      const card = document.createElement("div");
+      card.className = "cita-card";
+      card.innerHTML = `
         <div class="cita-info">
-          <div class="cita-date">${cita.fecha} — ${cita.horario}</div>
-          <div class="cita-detail">
-            <i class="fa-solid fa-stethoscope"></i> ${cita.especialidad}
-          </div>
-          <div class="cita-detail">
-            <i class="fa-solid fa-notes-medical"></i> ${cita.motivo.substring(0, 60)}${cita.motivo.length > 60 ? "..." : ""}
-          </div>
+          <div class="cita-date"></div>
+          <div class="cita-detail"><i class="fa-solid fa-user-doctor"></i> <span class="cita-medico"></span></div>
+          <div class="cita-detail"><i class="fa-solid fa-stethoscope"></i> <span class="cita-especialidad"></span></div>
+          <div class="cita-detail"><i class="fa-solid fa-notes-medical"></i> <span class="cita-motivo"></span></div>
         </div>
         <div class="cita-actions">
-          <button class="chip" onclick="verDetalleCita(${i})"><i class="fa-solid fa-eye"></i> Ver</button>
-          <button class="chip danger" onclick="cancelarCita(${i})"><i class="fa-solid fa-xmark"></i> Cancelar</button>
+          <span class="chip cita-estado"></span>
+          <button class="chip btn-ver"><i class="fa-solid fa-eye"></i> Ver</button>
+          <button class="chip secondary btn-ics" title="Agregar a mi calendario"><i class="fa-solid fa-calendar-plus"></i> .ics</button>
+          <button class="chip secondary btn-reprogramar"><i class="fa-solid fa-calendar-days"></i> Reprogramar</button>
+          <button class="chip danger btn-cancelar"><i class="fa-solid fa-xmark"></i> Cancelar</button>
         </div>
-      </div>
-    `).join("");
+      `;
+      card.querySelector(".cita-date").textContent = `${formatearFecha(cita.fechaHora)} — ${rangoHoras(cita)}`;
+      card.querySelector(".cita-medico").textContent = nombreMedico(cita.medicoId);
+      card.querySelector(".cita-especialidad").textContent = cita.especialidad || cita.tipoExamen;
+      card.querySelector(".cita-motivo").textContent =
+        cita.motivo.length > 60 ? `${cita.motivo.substring(0, 60)}...` : cita.motivo;
+      card.querySelector(".cita-estado").textContent = cita.estado;
+      card.querySelector(".btn-ver").addEventListener("click", () => verDetalleCita(cita._id));
+      card.querySelector(".btn-ics").addEventListener("click", () => descargarIcs(cita));
+
+      // Solo se ofrecen las acciones que la política permite; el servidor vuelve a validarlas
+      const { cancelar, reprogramar } = accionesPermitidas(cita);
+      const btnReprogramar = card.querySelector(".btn-reprogramar");
+      const btnCancelar = card.querySelector(".btn-cancelar");
+      btnReprogramar.hidden = !reprogramar;
+      btnCancelar.hidden = !cancelar;
+      btnReprogramar.addEventListener("click", () => {
+        citaAReprogramar = cita;
+        loadSection("solicitar-cita");
+      });
+      btnCancelar.addEventListener("click", () => handleCancelarCita(cita));
+      citasList.appendChild(card);
+    });
+  };
+
+  const ESTADOS_ESPERA = {
+    Activa: "En espera",
+    Ofrecida: "Horario ofrecido: revise su correo",
+    Asignada: "Cita reservada",
+    Cancelada: "Retirada",
+    Vencida: "Vencida",
+  };
+
+  // Entradas vigentes del perfil activo en la lista de espera
+  const renderListaEspera = async () => {
+    const lista = document.getElementById("listaEsperaList");
+    const header = document.getElementById("listaEsperaHeader");
+    if (!lista || !header) return;
+
+    let entradas = [];
+    try {
+      const res = await authFetch("/api/mis-citas/lista-espera");
+      const { data = [], message } = await res.json();
+      if (!res.ok) throw new Error(message);
+      entradas = data.filter(e => e.pacienteId?._id === perfilActivo()?.id && ["Activa", "Ofrecida"].includes(e.estado));
+    } catch (err) {
+      console.error("Error cargando lista de espera", err);
+      return;
+    }
+
+    header.hidden = entradas.length === 0;
+    lista.innerHTML = "";
+    entradas.forEach(entrada => {
+      const card = document.createElement("div");
+      card.className = "cita-card";
+      card.innerHTML = `
+        <div class="cita-info">
+          <div class="cita-date"></div>
+          <div class="cita-detail"><i class="fa-solid fa-stethoscope"></i> <span class="espera-busca"></span></div>
+          <div class="cita-detail"><i class="fa-solid fa-notes-medical"></i> <span class="cita-motivo"></span></div>
+        </div>
+        <div class="cita-actions">
+          <span class="chip cita-estado"></span>
+          <button class="chip danger btn-salir"><i class="fa-solid fa-xmark"></i> Salir de la lista</button>
+        </div>
+      `;
+      card.querySelector(".cita-date").textContent = `${formatearFecha(entrada.desde)} — ${formatearFecha(entrada.hasta)}`;
+      card.querySelector(".espera-busca").textContent =
+        entrada.medicoId ? nombreMedico(entrada.medicoId) : entrada.especialidad;
+      card.querySelector(".cita-motivo").textContent = entrada.motivo;
+      card.querySelector(".cita-estado").textContent = ESTADOS_ESPERA[entrada.estado];
+      card.querySelector(".btn-salir").addEventListener("click", () => handleSalirListaEspera(entrada));
+      lista.appendChild(card);
+    });
+  };
+
+  const handleSalirListaEspera = async (entrada) => {
+    if (!confirm("¿Salir de la lista de espera?")) return;
+
+    try {
+      const res = await authFetch(`/api/mis-citas/lista-espera/${entrada._id}/cancelar`, { method: "PATCH" });
+      const { message } = await res.json();
+      alert(message);
+      if (res.ok) renderListaEspera();
+    } catch (err) {
+      alert("Error de conexión con el servidor");
+    }
+  };
+
+  // Política de cancelación y reprogramación definida por la clínica
+  const cargarPoliticaCitas = async () => {
+    const aviso = document.getElementById("politicaCitas");
+    try {
+      const res = await authFetch("/api/configuracion/politica-citas");
+      const { data } = await res.json();
+      politicaCitas = data;
+      if (aviso) {
+        aviso.textContent = `Puede cancelar o reprogramar hasta ${data.anticipacionHoras} horas antes de la cita ` +
+          `(máximo ${data.maxReprogramaciones} reprogramaciones por cita).`;
+      }
+    } catch (err) {
+      console.error("Error cargando política de citas", err);
+    }
+  };
+
+  const accionesPermitidas = (cita) => {
+    if (!politicaCitas) return { cancelar: false, reprogramar: false };
+
+    const horasRestantes = (new Date(cita.fechaHora) - Date.now()) / 3600000;
+    const cancelar = !politicaCitas.estadosBloqueados.includes(cita.estado) &&
+      horasRestantes >= politicaCitas.anticipacionHoras;
+    return {
+      cancelar,
+      reprogramar: cancelar && (cita.reprogramaciones || 0) < politicaCitas.maxReprogramaciones,
+    };
+  };
+
+  // Descarga la cita como .ics (con sesión, por eso no basta un enlace directo)
+  const descargarIcs = async (cita) => {
+    try {
+      const res = await authFetch(`/api/mis-citas/${cita._id}/ics`);
+      if (!res.ok) {
+        const { message } = await res.json();
+        alert(message || "No se pudo exportar la cita");
+        return;
+      }
+      const url = URL.createObjectURL(await res.blob());
+      const enlace = document.createElement("a");
+      enlace.href = url;
+      enlace.download = `cita-${cita._id}.ics`;
+      enlace.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert("Error de conexión con el servidor");
+    }
+  };
+
+  // Enlace de suscripción del perfil activo: las citas nuevas, movidas o canceladas se reflejan solas
+  const handleSincronizarCalendario = async () => {
+    const aviso = "Se generará un enlace nuevo para suscribirse desde Google Calendar, Outlook o Apple Calendar.\n" +
+      "Si ya tenía uno, el anterior dejará de funcionar. ¿Continuar?";
+    if (!confirm(aviso)) return;
+
+    try {
+      if (perfiles.length === 0) await cargarPerfiles();
+      const res = await authFetch("/api/mis-citas/ical", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ pacienteId: perfilActivo()?.id }),
+      });
+      const { data, message } = await res.json();
+      if (!res.ok) {
+        alert(message);
+        return;
+      }
+      prompt("Copie este enlace y agréguelo como calendario por URL (no lo comparta):", data.url);
+    } catch (err) {
+      alert("Error de conexión con el servidor");
+    }
+  };
+
+  const handleCancelarCita = async (cita) => {
+    const motivo = prompt("Indique el motivo de la cancelación:");
+    if (motivo === null) return;
+    if (!motivo.trim()) {
+      alert("Debe indicar el motivo de la cancelación");
+      return;
+    }
+
+    try {
+      const res = await authFetch(`/api/mis-citas/${cita._id}/cancelar`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ motivo }),
+      });
+      const { message } = await res.json();
+      alert(message);
+      if (res.ok) renderCitas();
+    } catch (err) {
+      alert("Error de conexión con el servidor");
+    }
+  };
+
+  // Las citas que solicita el paciente duran 30 minutos
+  const DURACION_CITA = 30;
+
+  const formatoHora = (fecha) =>
+    fechaLocalClinica(fecha, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+
+  const rangoHoras = (cita) => {
+    const fin = new Date(new Date(cita.fechaHora).getTime() + cita.duracion * 60000);
+    return `${formatoHora(cita.fechaHora)} - ${formatoHora(fin)}`;
+  };
+
+  const nombreMedico = (medico) => (medico ? `${medico.nombres} ${medico.apellidos}` : "Por asignar");
+
+  // Especialidades que ofrece algún médico activo
+  const cargarEspecialidades = async () => {
+    const select = document.getElementById("especialidad");
+    if (!select) return;
+
+    try {
+      const res = await fetch("/api/medicos");
+      const { data } = await res.json();
+      const especialidades = [...new Set(data.flatMap(m => m.especialidades))].sort();
+      especialidades.forEach(e => select.add(new Option(e, e)));
+      if (citaAReprogramar?.especialidad) select.value = citaAReprogramar.especialidad;
+    } catch (err) {
+      console.error("Error cargando especialidades", err);
+    }
+  };
+
+  // Horarios realmente libres para la especialidad y el día elegidos
+  const cargarHorarios = async () => {
+    const especialidad = document.getElementById("especialidad")?.value;
+    const fecha = document.getElementById("fechaCita")?.value;
+    const select = document.getElementById("horario");
+    const bloqueEspera = document.getElementById("bloqueListaEspera");
+    if (!select) return;
+
+    select.length = 1;
+    if (bloqueEspera) bloqueEspera.hidden = true;
+    if (!especialidad || !fecha) {
+      select.options[0].textContent = "Seleccione especialidad y fecha";
+      return;
+    }
+
+    try {
+      const params = new URLSearchParams({ especialidad, fecha, duracion: DURACION_CITA });
+      const res = await authFetch(`/api/disponibilidad?${params}`);
+      const { data = [], message } = await res.json();
+      if (!res.ok) throw new Error(message);
+
+      select.options[0].textContent = data.length ? "Seleccione un horario" : "No hay horarios libres ese día";
+      // Sin horarios libres se ofrece la lista de espera (no al reprogramar)
+      if (bloqueEspera && !citaAReprogramar) bloqueEspera.hidden = data.length > 0;
+      data.forEach(h => {
+        const texto = `${formatoHora(h.inicio)} - ${formatoHora(h.fin)} · ${h.medico}`;
+        select.add(new Option(texto, JSON.stringify({ inicio: h.inicio, medicoId: h.medicoId })));
+      });
+    } catch (err) {
+      console.error("Error consultando disponibilidad", err);
+      select.options[0].textContent = "No se pudo consultar la disponibilidad";
+    }
   };
 
   const initSolicitarCitaView = () => {
     const btnVolverCitas = document.getElementById("btnVolverCitas");
     const formSolicitarCita = document.getElementById("formSolicitarCita");
     const fechaCita = document.getElementById("fechaCita");
+    const especialidad = document.getElementById("especialidad");
 
     if (fechaCita) {
-      const today = new Date().toISOString().split("T")[0];
+      const today = hoyEnClinica();
       fechaCita.setAttribute("min", today);
+      document.getElementById("esperaHasta")?.setAttribute("min", today);
+      fechaCita.addEventListener("change", cargarHorarios);
+    }
+    if (especialidad) especialidad.addEventListener("change", cargarHorarios);
+    cargarEspecialidades();
+
+    // Al reprogramar solo se elige un nuevo horario; el motivo es el de la cita original
+    if (citaAReprogramar) {
+      document.querySelector(".section-header h1").textContent = "Elija el Nuevo Horario";
+      document.querySelector("#formSolicitarCita .btn-submit").textContent = "Reprogramar Cita";
+      const motivoCita = document.getElementById("motivoCita");
+      motivoCita.value = citaAReprogramar.motivo;
+      motivoCita.readOnly = true;
     }
 
     if (btnVolverCitas) btnVolverCitas.addEventListener("click", () => loadSection("citas"));
+    const btnListaEspera = document.getElementById("btnListaEspera");
+    if (btnListaEspera) btnListaEspera.addEventListener("click", handleUnirseListaEspera);
     if (formSolicitarCita) {
       formSolicitarCita.addEventListener("submit", (e) => {
         e.preventDefault();
@@ -146,39 +434,102 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
-  const handleSolicitarCita = () => {
+  const handleSolicitarCita = async () => {
     const especialidad = document.getElementById("especialidad").value;
     const fechaCita = document.getElementById("fechaCita").value;
     const horario = document.getElementById("horario").value;
-    const motivoCita = document.getElementById("motivoCita").value;
+    const motivo = document.getElementById("motivoCita").value.trim();
 
-    if (!especialidad || !fechaCita || !horario || !motivoCita) {
+    if (!especialidad || !fechaCita || !horario || !motivo) {
       showModal(false, "Solicitud Inválida", "Por favor complete todos los campos");
       return;
     }
 
-    const nuevaCita = {
-      id: Date.now(),
-      especialidad,
-      fecha: formatearFecha(fechaCita),
-      horario,
-      motivo: motivoCita,
-      estado: "Pendiente",
-      fechaCreacion: new Date().toISOString(),
-    };
+    // El horario elegido trae el inicio y el médico del bloque libre
+    const { inicio, medicoId } = JSON.parse(horario);
 
-    const citas = getCitas();
-    citas.push(nuevaCita);
-    saveCitas(citas);
+    if (citaAReprogramar) {
+      await handleReprogramarCita(inicio, medicoId);
+      return;
+    }
+
+    try {
+      if (perfiles.length === 0) await cargarPerfiles();
+      const res = await authFetch("/api/mis-citas", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ pacienteId: perfilActivo()?.id, medicoId, fechaHora: inicio, especialidad, motivo }),
+      });
+      const { message } = await res.json();
+
+      if (!res.ok) {
+        showModal(false, "No se pudo agendar", message || "Intente con otro horario");
+        cargarHorarios();
+        return;
+      }
+      showModal(true, "Solicitud Enviada", message);
+    } catch (err) {
+      console.error("Error solicitando cita", err);
+      showModal(false, "No se pudo agendar", "Error de conexión con el servidor");
+    }
+  };
+
+  // Anota al perfil activo en la lista de espera desde el día elegido hasta la fecha indicada
+  const handleUnirseListaEspera = async () => {
+    const especialidad = document.getElementById("especialidad").value;
+    const desde = document.getElementById("fechaCita").value;
+    const hasta = document.getElementById("esperaHasta").value || desde;
+    const motivo = document.getElementById("motivoCita").value.trim();
+
+    if (!especialidad || !desde || !motivo) {
+      showModal(false, "Solicitud Inválida", "Elija la especialidad, la fecha e indique el motivo de la cita");
+      return;
+    }
 
-    showModal(true, "Solicitud Enviada", "Su cita ha sido agendada exitosamente");
+    try {
+      if (perfiles.length === 0) await cargarPerfiles();
+      const res = await authFetch("/api/mis-citas/lista-espera", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ pacienteId: perfilActivo()?.id, especialidad, desde, hasta, motivo }),
+      });
+      const { message } = await res.json();
+
+      if (!res.ok) {
+        showModal(false, "No se pudo anotar", message || "Intente nuevamente");
+        return;
+      }
+      showModal(true, "En Lista de Espera", message);
+    } catch (err) {
+      console.error("Error uniéndose a la lista de espera", err);
+      showModal(false, "No se pudo anotar", "Error de conexión con el servidor");
+    }
   };
 
-  const formatearFecha = (fechaISO) => {
-    const fecha = new Date(fechaISO + "T00:00:00");
-    return fecha.toLocaleDateString("es-ES", { day: "numeric", month: "short", year: "numeric" });
+  const handleReprogramarCita = async (inicio, medicoId) => {
+    try {
+      const res = await authFetch(`/api/mis-citas/${citaAReprogramar._id}/reprogramar`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ fechaHora: inicio, medicoId }),
+      });
+      const { message } = await res.json();
+
+      if (!res.ok) {
+        showModal(false, "No se pudo reprogramar", message || "Intente con otro horario");
+        cargarHorarios();
+        return;
+      }
+      showModal(true, "Cita Reprogramada", message);
+    } catch (err) {
+      console.error("Error reprogramando cita", err);
+      showModal(false, "No se pudo reprogramar", "Error de conexión con el servidor");
+    }
   };
 
+  const formatearFecha = (fecha) =>
+    fechaLocalClinica(fecha, { day: "numeric", month: "short", year: "numeric" }, "es-ES");
+
   const showModal = (success, title, message) => {
     const modal = document.getElementById("modalResultado");
     if (!modal) return;
@@ -200,17 +551,15 @@ document.addEventListener("DOMContentLoaded", () => {
     };
   };
 
-  window.verDetalleCita = (index) => {
-    const cita = getCitas()[index];
-    alert(`Detalles de la Cita:\n\nEspecialidad: ${cita.especialidad}\nFecha: ${cita.fecha}\nHorario: ${cita.horario}\nMotivo: ${cita.motivo}\nEstado: ${cita.estado}`);
-  };
+  const verDetalleCita = async (id) => {
+    try {
+      const res = await authFetch(`/api/mis-citas/${id}`);
+      const { data: cita, message } = await res.json();
+      if (!res.ok) throw new Error(message);
 
-  window.cancelarCita = (index) => {
-    if (confirm("¿Está seguro que desea cancelar esta cita?")) {
-      const citas = getCitas();
-      citas.splice(index, 1);
-      saveCitas(citas);
-      renderCitas();
+      alert(`Detalles de la Cita:\n\nPaciente: ${cita.pacienteId.nombres} ${cita.pacienteId.apellidos}\nMédico: ${nombreMedico(cita.medicoId)}\nEspecialidad: ${cita.especialidad || cita.tipoExamen}\nFecha: ${formatearFecha(cita.fechaHora)}\nHorario: ${rangoHoras(cita)}\nMotivo: ${cita.motivo}\nEstado: ${cita.estado}`);
+    } catch (err) {
+      alert(err.message || "No se pudo obtener la cita");
     }
   };
 
@@ -305,10 +654,255 @@ document.addEventListener("DOMContentLoaded", () => {
     if (btnVolverResultados) btnVolverResultados.onclick = () => loadSection("resultados");
   };
 
+  // ============================================================
+  // 🔹 PERFILES: TITULAR Y DEPENDIENTES (datos reales desde /api/me)
+  // ============================================================
+  const perfilSelect = document.getElementById("perfilActivo");
+  let me = null;
+  let perfiles = [];
+
+  const PARENTESCOS = {
+    hijo: "Hijo(a)",
+    padre: "Padre / Madre",
+    abuelo: "Abuelo(a)",
+    conyuge: "Cónyuge",
+    otro: "Otro",
+  };
+
+  // Perfil elegido en el selector; por defecto, el del titular
+  const perfilActivo = () =>
+    perfiles.find(p => p.id === localStorage.getItem("pacienteActivo")) || perfiles[0];
+
+  const cargarPerfiles = async () => {
+    const res = await authFetch("/api/me");
+    ({ data: me } = await res.json());
+
+    perfiles = [];
+    if (me.paciente) {
+      perfiles.push({ id: me.paciente._id, paciente: me.paciente, titular: true });
+    }
+    me.dependientes
+      .filter(t => t.pacienteId)
+      .forEach(t => perfiles.push({ id: t.pacienteId._id, paciente: t.pacienteId, tutela: t }));
+
+    if (!perfilSelect) return;
+    perfilSelect.innerHTML = "";
+    perfiles.forEach(p => {
+      const option = document.createElement("option");
+      option.value = p.id;
+      option.textContent = p.titular ? "Mi perfil" : `${p.paciente.nombres} ${p.paciente.apellidos}`;
+      perfilSelect.appendChild(option);
+    });
+    perfilSelect.value = perfilActivo()?.id || "";
+    // Solo tiene sentido si gestiona a alguien más
+    perfilSelect.hidden = perfiles.length < 2;
+  };
+
+  if (perfilSelect) {
+    perfilSelect.addEventListener("change", () => {
+      localStorage.setItem("pacienteActivo", perfilSelect.value);
+      const actual = navLinks.find(l => l.classList.contains("active"));
+      loadSection(actual ? actual.getAttribute("href").substring(1) : "overview");
+    });
+  }
+
+  const initPerfilView = async () => {
+    try {
+      await cargarPerfiles();
+      const perfil = perfilActivo();
+      const paciente = perfil?.paciente;
+      const { usuario } = me;
+
+      const setTexto = (id, texto) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = texto;
+      };
+
+      const nombres = paciente?.nombres || usuario.nombres || "";
+      const apellidos = paciente?.apellidos || usuario.apellidos || "";
+      setTexto("perfilNombre", `${nombres} ${apellidos}`.trim() || "Paciente");
+      setTexto("perfilEdad", paciente?.edad != null ? `${paciente.edad} años` : "Edad no registrada");
+      setTexto("perfilCelular", paciente?.celular ? `+51 ${paciente.celular}` : "Celular no registrado");
+
+      if (perfil?.tutela) {
+        // Dependiente: sus datos y el vínculo con el titular
+        setTexto("perfilDocumento", paciente.num_documento
+          ? `${paciente.tipo_documento.toUpperCase()}: ${paciente.num_documento}`
+          : "Sin documento registrado");
+        setTexto("perfilEmail", `A cargo de ${usuario.email} (${PARENTESCOS[perfil.tutela.parentesco]})`);
+        setTexto("perfilTipo", perfil.tutela.vigenteHasta
+          ? `Menor de edad · gestionado hasta ${fechaLocalClinica(perfil.tutela.vigenteHasta, { dateStyle: "short" })}`
+          : "Dependiente");
+      } else {
+        setTexto("perfilDocumento", `${usuario.tipo_documento.toUpperCase()}: ${usuario.num_documento}`);
+        setTexto("perfilEmail", usuario.email);
+        if (me.vinculoPendiente) {
+          setTexto("perfilTipo", "Historia clínica por vincular: recepción debe verificar su identidad");
+        }
+      }
+
+      // Familiares y sesiones solo se gestionan desde el perfil del titular
+      const soloTitular = document.querySelectorAll("[data-solo-titular]");
+      soloTitular.forEach(el => { el.hidden = !!perfil?.tutela; });
+      if (!perfil?.tutela) {
+        initDependientesView();
+        initSesionesView();
+      }
+    } catch (err) {
+      console.error("Error cargando perfil", err);
+    }
+  };
+
+  // ============================================================
+  // 🔹 DOCTORES QUE ATENDIERON AL PERFIL ACTIVO
+  // ============================================================
+  const initDoctoresView = async () => {
+    const grid = document.getElementById("doctoresGrid");
+    if (!grid) return;
+
+    try {
+      if (perfiles.length === 0) await cargarPerfiles();
+      const perfil = perfilActivo();
+      const res = await authFetch(`/api/mis-citas?estado=Atendida&pacienteId=${perfil?.id || ""}`);
+      const { data: citas = [] } = await res.json();
+
+      // Un médico por tarjeta aunque haya atendido varias citas
+      const medicos = new Map();
+      citas.filter(c => c.medicoId).forEach(c => medicos.set(c.medicoId._id, c.medicoId));
+
+      if (medicos.size === 0) {
+        grid.innerHTML = `
+          <div class="empty-state">
+            <i class="fa-solid fa-user-doctor"></i>
+            <p>Aún no tienes consultas atendidas</p>
+          </div>
+        `;
+        return;
+      }
+
+      grid.innerHTML = "";
+      medicos.forEach(m => {
+        const card = document.createElement("div");
+        card.className = "card doctor";
+        card.innerHTML = `
+          <img class="doc-avatar" />
+          <div class="doc-info">
+            <div class="doc-name"></div>
+            <div class="doc-specialty"></div>
+            <div class="doc-actions">
+              <button class="chip secondary small">Agendar cita</button>
+            </div>
+          </div>
+        `;
+        card.querySelector(".doc-avatar").src = m.foto || "assets2/img/doctores/logo.jpg";
+        card.querySelector(".doc-avatar").alt = `${m.nombres} ${m.apellidos}`;
+        card.querySelector(".doc-name").textContent = `${m.nombres} ${m.apellidos}`;
+        card.querySelector(".doc-specialty").textContent = m.especialidades.join(", ");
+        card.querySelector("button").onclick = () => loadSection("solicitar-cita");
+        grid.append(card);
+      });
+    } catch (err) {
+      console.error("Error cargando doctores", err);
+    }
+  };
+
+  // ============================================================
+  // 🔹 FAMILIARES A CARGO (perfil)
+  // ============================================================
+  const initDependientesView = () => {
+    const lista = document.getElementById("dependientesList");
+    const form = document.getElementById("formDependiente");
+
+    if (lista) {
+      lista.innerHTML = "";
+      perfiles.filter(p => p.tutela).forEach(p => {
+        const fila = document.createElement("div");
+        fila.className = "detail-row";
+
+        const texto = document.createElement("span");
+        texto.textContent = `${p.paciente.nombres} ${p.paciente.apellidos} — ${PARENTESCOS[p.tutela.parentesco]}`;
+
+        const btn = document.createElement("button");
+        btn.className = "chip danger";
+        btn.innerHTML = `<i class="fa-solid fa-xmark"></i> Quitar`;
+        btn.onclick = async () => {
+          if (!confirm("¿Dejar de gestionar a este familiar?")) return;
+          await authFetch(`/api/dependientes/${p.id}`, { method: "DELETE" });
+          if (localStorage.getItem("pacienteActivo") === p.id) localStorage.removeItem("pacienteActivo");
+          initPerfilView();
+        };
+
+        fila.append(texto, btn);
+        lista.append(fila);
+      });
+    }
+
+    if (form) {
+      form.onsubmit = async (e) => {
+        e.preventDefault();
+        const payload = Object.fromEntries(new FormData(form));
+
+        const res = await authFetch("/api/dependientes", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+        });
+        const data = await res.json();
+        alert(data.message);
+        if (res.ok) {
+          form.reset();
+          initPerfilView();
+        }
+      };
+    }
+  };
+
+  // ============================================================
+  // 🔹 SESIONES ACTIVAS (perfil)
+  // ============================================================
+  const initSesionesView = async () => {
+    const lista = document.getElementById("sesionesList");
+    const btnCerrarTodas = document.getElementById("btnCerrarTodas");
+
+    if (btnCerrarTodas) btnCerrarTodas.onclick = () => cerrarSesion(true);
+    if (!lista) return;
+
+    try {
+      const res = await authFetch("/api/sesiones");
+      const { data } = await res.json();
+
+      lista.innerHTML = "";
+      data.forEach(s => {
+        const fila = document.createElement("div");
+        fila.className = "detail-row";
+
+        const texto = document.createElement("span");
+        texto.textContent = `${s.dispositivo} — ${fechaLocalClinica(s.ultimoUso)}${s.actual ? " (este dispositivo)" : ""}`;
+        fila.append(texto);
+
+        if (!s.actual) {
+          const btn = document.createElement("button");
+          btn.className = "chip danger";
+          btn.innerHTML = `<i class="fa-solid fa-xmark"></i> Cerrar`;
+          btn.onclick = async () => {
+            await authFetch(`/api/sesiones/${s._id}`, { method: "DELETE" });
+            initSesionesView();
+          };
+          fila.append(btn);
+        }
+
+        lista.append(fila);
+      });
+    } catch (err) {
+      console.error("Error cargando sesiones", err);
+    }
+  };
+
   // ============================================================
   // 🔹 CARGA INICIAL
   // ============================================================
   loadSection("overview");
+  cargarPerfiles().catch(err => console.error("Error cargando perfiles", err));
   if (isMobile()) sidebar.classList.remove("open");
   else sidebar.classList.remove("collapsed");
 });
@@ -0,0 +1,137 @@
+// public/admin-auditoria.js
+document.addEventListener("DOMContentLoaded", async () => {
+  await cargarZonaHoraria();
+
+  // Elementos del DOM (coinciden con auditoria.html)
+  const tableBody = document.getElementById("audit-tbody");
+  const formFiltros = document.getElementById("filtros");
+  const filterEntidad = document.getElementById("filter-entidad");
+  const filterPaciente = document.getElementById("filter-paciente");
+  const filterActor = document.getElementById("filter-actor");
+  const filterDesde = document.getElementById("filter-desde");
+  const filterHasta = document.getElementById("filter-hasta");
+  const btnExport = document.getElementById("btn-export");
+  const btnPrev = document.getElementById("btn-prev");
+  const btnNext = document.getElementById("btn-next");
+  const paginaInfo = document.getElementById("pagina-info");
+
+  let pagina = 1;
+  let paginas = 1;
+
+  function parametros() {
+    const params = new URLSearchParams();
+    if (filterEntidad.value) params.set("entidad", filterEntidad.value);
+    if (filterPaciente.value) params.set("pacienteId", filterPaciente.value);
+    if (filterActor.value) params.set("actorId", filterActor.value);
+    if (filterDesde.value) params.set("desde", filterDesde.value);
+    if (filterHasta.value) params.set("hasta", filterHasta.value);
+    return params;
+  }
+
+  function agregarOpcion(select, valor, texto) {
+    const option = document.createElement("option");
+    option.value = valor;
+    option.textContent = texto;
+    select.appendChild(option);
+  }
+
+  // Opciones de los filtros por paciente y por usuario
+  async function cargarFiltros() {
+    try {
+      const [resPacientes, resUsuarios] = await Promise.all([
+        authFetch("/api/pacientes"),
+        authFetch("/api/usuarios"),
+      ]);
+      const pacientes = await resPacientes.json();
+      const { data: usuarios } = await resUsuarios.json();
+
+      pacientes.forEach((p) => agregarOpcion(filterPaciente, p._id, `${p.nombres} ${p.apellidos}`));
+      usuarios.forEach((u) => agregarOpcion(filterActor, u._id, `${u.email} (${u.role})`));
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  function describirCambios(cambios) {
+    return cambios
+      .map((c) => `${c.campo}: ${JSON.stringify(c.antes)} → ${JSON.stringify(c.despues)}`)
+      .join("\n");
+  }
+
+  async function cargarAuditoria() {
+    tableBody.innerHTML = "";
+    try {
+      const params = parametros();
+      params.set("pagina", pagina);
+      const res = await authFetch(`/api/auditoria?${params}`);
+      if (!res.ok) throw new Error("No se pudo obtener la auditoría");
+      const { data, pagina: actual, paginas: total } = await res.json();
+      paginas = Math.max(total, 1);
+
+      data.forEach((r) => {
+        const row = document.createElement("tr");
+        const celdas = [
+          fechaLocalClinica(r.createdAt),
+          r.actorId?.email ?? "—",
+          r.actorRol ?? "—",
+          r.accion,
+          r.entidad,
+          r.pacienteId ? `${r.pacienteId.nombres} ${r.pacienteId.apellidos}` : "—",
+          describirCambios(r.cambios),
+          r.ip ?? "—",
+        ];
+        celdas.forEach((texto) => {
+          const td = document.createElement("td");
+          td.textContent = texto;
+          row.appendChild(td);
+        });
+        // Los cambios pueden ser varios: uno por línea
+        row.children[6].style.whiteSpace = "pre-line";
+        tableBody.appendChild(row);
+      });
+
+      paginaInfo.textContent = `Página ${actual} de ${paginas}`;
+      btnPrev.disabled = pagina <= 1;
+      btnNext.disabled = pagina >= paginas;
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // El CSV requiere el token, así que se descarga con fetch y un enlace temporal
+  async function exportarCSV() {
+    try {
+      const res = await authFetch(`/api/auditoria/export.csv?${parametros()}`);
+      if (!res.ok) throw new Error("No se pudo exportar la auditoría");
+
+      const url = URL.createObjectURL(await res.blob());
+      const enlace = document.createElement("a");
+      enlace.href = url;
+      enlace.download = `auditoria-${hoyEnClinica()}.csv`;
+      enlace.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  // Eventos UI
+  formFiltros.addEventListener("submit", (e) => {
+    e.preventDefault();
+    pagina = 1;
+    cargarAuditoria();
+  });
+  btnExport.addEventListener("click", exportarCSV);
+  btnPrev.addEventListener("click", () => {
+    pagina--;
+    cargarAuditoria();
+  });
+  btnNext.addEventListener("click", () => {
+    pagina++;
+    cargarAuditoria();
+  });
+
+  // Inicializar
+  cargarFiltros();
+  cargarAuditoria();
+});
@@ -0,0 +1,213 @@
+// public/admin-calendario.js
+document.addEventListener("DOMContentLoaded", () => {
+  // Elementos del DOM (coinciden con calendario.html)
+  const form = document.getElementById("form-calendario");
+  const semanaBody = document.getElementById("semana-tbody");
+  const feriadosList = document.getElementById("feriados-list");
+  const cierresList = document.getElementById("cierres-list");
+  const especialesList = document.getElementById("especiales-list");
+  const formPolitica = document.getElementById("form-politica");
+
+  const DIAS = ["Domingo", "Lunes", "Martes", "Miércoles", "Jueves", "Viernes", "Sábado"];
+  // Orden de presentación: lunes a domingo
+  const ORDEN_DIAS = [1, 2, 3, 4, 5, 6, 0];
+
+  function crearInput(type, value, { required = true, placeholder, pattern } = {}) {
+    const input = document.createElement("input");
+    input.type = type;
+    input.value = value || "";
+    input.required = required;
+    if (placeholder) input.placeholder = placeholder;
+    if (pattern) input.pattern = pattern;
+    return input;
+  }
+
+  // Agrega una fila de inputs con botón para quitarla
+  function agregarFila(lista, inputs) {
+    const fila = document.createElement("div");
+    fila.className = "fila-bloque";
+
+    const btnQuitar = document.createElement("button");
+    btnQuitar.type = "button";
+    btnQuitar.className = "btn-secondary";
+    btnQuitar.title = "Quitar";
+    btnQuitar.textContent = "✕";
+    btnQuitar.addEventListener("click", () => fila.remove());
+
+    fila.append(...inputs, btnQuitar);
+    lista.appendChild(fila);
+  }
+
+  const agregarFeriado = (f = {}) =>
+    agregarFila(feriadosList, [
+      crearInput("text", f.fecha, { placeholder: "MM-DD", pattern: "\\d{2}-\\d{2}" }),
+      crearInput("text", f.nombre, { required: false, placeholder: "Nombre" }),
+    ]);
+
+  const agregarCierre = (c = {}) =>
+    agregarFila(cierresList, [
+      crearInput("date", c.desde),
+      crearInput("date", c.hasta),
+      crearInput("text", c.motivo, { required: false, placeholder: "Motivo" }),
+    ]);
+
+  const agregarEspecial = (h = { inicio: "08:00", fin: "13:00" }) =>
+    agregarFila(especialesList, [
+      crearInput("date", h.fecha),
+      crearInput("time", h.inicio),
+      crearInput("time", h.fin),
+      crearInput("text", h.motivo, { required: false, placeholder: "Motivo" }),
+    ]);
+
+  function renderSemana(semana) {
+    semanaBody.innerHTML = "";
+    ORDEN_DIAS.forEach((dia) => {
+      const jornada = semana.find((j) => j.dia === dia) || { dia, abierto: false };
+      const row = document.createElement("tr");
+      row.dataset.dia = dia;
+
+      const tdDia = document.createElement("td");
+      tdDia.textContent = DIAS[dia];
+
+      const abierto = document.createElement("input");
+      abierto.type = "checkbox";
+      abierto.checked = jornada.abierto;
+      const tdAbierto = document.createElement("td");
+      tdAbierto.appendChild(abierto);
+
+      const celdas = [jornada.inicio || "08:00", jornada.fin || "18:00", jornada.refrigerioInicio, jornada.refrigerioFin].map(
+        (valor) => {
+          const td = document.createElement("td");
+          td.appendChild(crearInput("time", valor, { required: false }));
+          return td;
+        },
+      );
+
+      row.append(tdDia, tdAbierto, ...celdas);
+      semanaBody.appendChild(row);
+    });
+  }
+
+  // Valores de cada fila de una lista, en el orden de sus inputs
+  const leerFilas = (lista) =>
+    Array.from(lista.children).map((fila) => Array.from(fila.querySelectorAll("input")).map((i) => i.value));
+
+  function leerCalendario() {
+    const semana = Array.from(semanaBody.children).map((row) => {
+      const [abierto, inicio, fin, refrigerioInicio, refrigerioFin] = row.querySelectorAll("input");
+      return {
+        dia: Number(row.dataset.dia),
+        abierto: abierto.checked,
+        inicio: inicio.value,
+        fin: fin.value,
+        refrigerioInicio: refrigerioInicio.value || null,
+        refrigerioFin: refrigerioFin.value || null,
+      };
+    });
+
+    return {
+      semana,
+      feriados: leerFilas(feriadosList).map(([fecha, nombre]) => ({ fecha, nombre })),
+      cierres: leerFilas(cierresList).map(([desde, hasta, motivo]) => ({ desde, hasta, motivo })),
+      horariosEspeciales: leerFilas(especialesList).map(([fecha, inicio, fin, motivo]) => ({ fecha, inicio, fin, motivo })),
+    };
+  }
+
+  function renderCalendario(calendario) {
+    renderSemana(calendario.semana);
+    feriadosList.innerHTML = "";
+    cierresList.innerHTML = "";
+    especialesList.innerHTML = "";
+    calendario.feriados.forEach(agregarFeriado);
+    calendario.cierres.forEach(agregarCierre);
+    calendario.horariosEspeciales.forEach(agregarEspecial);
+  }
+
+  async function cargarCalendario() {
+    try {
+      const res = await authFetch("/api/configuracion/calendario");
+      if (!res.ok) throw new Error("No se pudo obtener el calendario");
+      const { data } = await res.json();
+      renderCalendario(data);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  function renderPolitica(politica) {
+    document.getElementById("anticipacion-horas").value = politica.anticipacionHoras;
+    document.getElementById("max-reprogramaciones").value = politica.maxReprogramaciones;
+    document.getElementById("umbral-inasistencias").value = politica.inasistencias.umbral;
+    document.getElementById("accion-inasistencias").value = politica.inasistencias.accion;
+    formPolitica.querySelectorAll("input[name=estadoBloqueado]").forEach((check) => {
+      check.checked = politica.estadosBloqueados.includes(check.value);
+    });
+  }
+
+  // Reglas para que el paciente cancele o reprograme desde el portal
+  async function cargarPolitica() {
+    try {
+      const res = await authFetch("/api/configuracion/politica-citas");
+      if (!res.ok) throw new Error("No se pudo obtener la política de citas");
+      const { data } = await res.json();
+      renderPolitica(data);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // Eventos UI
+  document.getElementById("btn-add-feriado").addEventListener("click", () => agregarFeriado());
+  document.getElementById("btn-add-cierre").addEventListener("click", () => agregarCierre());
+  document.getElementById("btn-add-especial").addEventListener("click", () => agregarEspecial());
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      const res = await authFetch("/api/configuracion/calendario", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(leerCalendario()),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "No se pudo guardar el calendario");
+      renderCalendario(data.data);
+      alert("Calendario guardado");
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  formPolitica.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const payload = {
+      anticipacionHoras: Number(document.getElementById("anticipacion-horas").value),
+      maxReprogramaciones: Number(document.getElementById("max-reprogramaciones").value),
+      estadosBloqueados: Array.from(formPolitica.querySelectorAll("input[name=estadoBloqueado]:checked")).map(
+        (check) => check.value,
+      ),
+      inasistencias: {
+        umbral: Number(document.getElementById("umbral-inasistencias").value),
+        accion: document.getElementById("accion-inasistencias").value,
+      },
+    };
+
+    try {
+      const res = await authFetch("/api/configuracion/politica-citas", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "No se pudo guardar la política de citas");
+      renderPolitica(data.data);
+      alert("Política de citas guardada");
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  // Inicializar
+  cargarCalendario();
+  cargarPolitica();
+});
@@ -11,29 +11,63 @@
 /** Número de citas por página en la tabla */
 const ITEMS_PER_PAGE = 5
 
-/** Horario de atención de la clínica */
-const HORARIO_CLINICA = {
-  DIA_INICIO_SEMANA: 1, // Lunes (1) a Sábado (6)
-  DIA_FIN_SEMANA: 6,
-  DOMINGO: 0,
-  HORA_INICIO: 8, // 8:00 AM
-  HORA_FIN: 18, // 6:00 PM
-}
+/** Rango de la vista semanal mientras no se carga el calendario de la clínica */
+const RANGO_HORAS_POR_DEFECTO = { horaInicio: 8, horaFin: 18 }
 
 /** Colores por estado de cita para visualización */
 const COLORES_ESTADO = {
   Pendiente: "#3b82f6",
+  Confirmada: "#8b5cf6",
+  Reprogramada: "#f59e0b",
   Atendida: "#10b981",
   Cancelada: "#ef4444",
+  "No asistió": "#64748b",
 }
 
 /** Colores CSS para selectores de estado */
 const ESTILOS_ESTADO = {
   Pendiente: "background:#dbeafe; color:#1e40af;",
+  Confirmada: "background:#ede9fe; color:#5b21b6;",
+  Reprogramada: "background:#fef3c7; color:#92400e;",
   Atendida: "background:#d1fae5; color:#065f46;",
   Cancelada: "background:#fee2e2; color:#991b1b;",
+  "No asistió": "background:#e2e8f0; color:#334155;",
+}
+
+/** Transiciones de estado permitidas (mismas reglas que aplica el servidor) */
+const TRANSICIONES_ESTADO = {
+  Pendiente: ["Confirmada", "Reprogramada", "Cancelada", "No asistió"],
+  Confirmada: ["Atendida", "Reprogramada", "Cancelada", "No asistió"],
+  Reprogramada: ["Confirmada", "Reprogramada", "Cancelada", "No asistió"],
+  "No asistió": ["Reprogramada"],
+  Cancelada: [],
+  Atendida: [],
+}
+
+/** Nombres de los avisos al paciente y sus canales */
+const NOMBRES_NOTIFICACION = {
+  confirmacion: "Confirmación",
+  cambio: "Cambio de horario",
+  cancelacion: "Cancelación",
+  recordatorio_24h: "Recordatorio 24 h",
+  recordatorio_2h: "Recordatorio 2 h",
+}
+const NOMBRES_CANAL = { email: "Correo", sms: "SMS", whatsapp: "WhatsApp" }
+const ICONOS_ENTREGA = { pendiente: "⏳", enviada: "✅", fallida: "❌", omitida: "➖" }
+
+/** Prioridades de la lista de espera y estados de cada entrada */
+const NOMBRES_PRIORIDAD = { urgente: "🔴 Urgente", alta: "🟠 Alta", normal: "Normal" }
+const NOMBRES_ESTADO_ESPERA = {
+  Activa: "En espera",
+  Ofrecida: "Horario ofrecido",
+  Asignada: "Cita reservada",
+  Cancelada: "Retirada",
+  Vencida: "Vencida",
 }
 
+/** Estados que piden un motivo al asignarlos */
+const ESTADOS_CON_MOTIVO = ["Cancelada", "No asistió"]
+
 /** Tipos de notificación */
 const TIPO_NOTIFICACION = {
   SUCCESS: "success",
@@ -48,10 +82,15 @@ const TIPO_NOTIFICACION = {
 let citasData = []
 let citasFiltradas = []
 let currentPage = 1
-let currentMonth = new Date()
+let currentMonth = new Date() // Día mostrado en el calendario (sus campos locales son el día de la clínica)
 let editingCitaId = null
 let pacientesCargados = []
+let medicosCargados = []
+let recursosCargados = [] // Recursos activos servidos por /api/recursos
+let recursosPorTipo = [] // Recursos que pide cada tipo de examen
+let calendarioClinica = null // Configuración de atención servida por /api/configuracion/calendario
 let currentView = "monthly"
+let esAdmin = false // Las acciones solo de administración se ocultan al resto del personal
 
 // ============================================================================
 // ELEMENTOS DEL DOM - Caché de referencias
@@ -61,13 +100,17 @@ let currentView = "monthly"
 const domElements = {
   modalCita: null,
   modalAcciones: null,
+  modalListaEspera: null,
   formCita: null,
+  formListaEspera: null,
   citasTableBody: null,
   emptyState: null,
   btnAgregarCita: null,
   btnCloseModal: null,
   btnCancelForm: null,
   btnCloseAcciones: null,
+  btnListaEspera: null,
+  btnCloseListaEspera: null,
   btnLimpiarFiltros: null,
   filterEstado: null,
   filterTipo: null,
@@ -84,6 +127,8 @@ const domElements = {
   weeklyView: null,
   btnViewMonthly: null,
   btnViewWeekly: null,
+  btnViewRecursos: null,
+  resourceView: null,
   monthlyCalendarGrid: null,
 }
 
@@ -94,13 +139,17 @@ const domElements = {
 function inicializarReferenciasDOM() {
   domElements.modalCita = document.getElementById("modalCita")
   domElements.modalAcciones = document.getElementById("modalAcciones")
+  domElements.modalListaEspera = document.getElementById("modalListaEspera")
   domElements.formCita = document.getElementById("formCita")
+  domElements.formListaEspera = document.getElementById("formListaEspera")
   domElements.citasTableBody = document.getElementById("citasTableBody")
   domElements.emptyState = document.getElementById("emptyState")
   domElements.btnAgregarCita = document.getElementById("btnAgregarCita")
   domElements.btnCloseModal = document.getElementById("btnCloseModal")
   domElements.btnCancelForm = document.getElementById("btnCancelForm")
   domElements.btnCloseAcciones = document.getElementById("btnCloseAcciones")
+  domElements.btnListaEspera = document.getElementById("btnListaEspera")
+  domElements.btnCloseListaEspera = document.getElementById("btnCloseListaEspera")
   domElements.btnLimpiarFiltros = document.getElementById("btnLimpiarFiltros")
   domElements.filterEstado = document.getElementById("filterEstado")
   domElements.filterTipo = document.getElementById("filterTipo")
@@ -117,6 +166,8 @@ function inicializarReferenciasDOM() {
   domElements.weeklyView = document.getElementById("weeklyView")
   domElements.btnViewMonthly = document.getElementById("btnViewMonthly")
   domElements.btnViewWeekly = document.getElementById("btnViewWeekly")
+  domElements.btnViewRecursos = document.getElementById("btnViewRecursos")
+  domElements.resourceView = document.getElementById("resourceView")
   domElements.monthlyCalendarGrid = document.getElementById("monthlyCalendarGrid")
 }
 
@@ -130,17 +181,8 @@ function inicializarReferenciasDOM() {
  * @returns {string} Fecha formateada (dd/mm/yyyy, hh:mm)
  */
 function formatearFechaHora(fechaHora) {
-  const date = new Date(fechaHora)
-  const fecha = date.toLocaleDateString("es-ES", {
-    day: "2-digit",
-    month: "2-digit",
-    year: "numeric",
-  })
-  const hora = date.toLocaleTimeString("es-ES", {
-    hour: "2-digit",
-    minute: "2-digit",
-  })
-  return `${fecha}, ${hora}`
+  const fecha = fechaLocalClinica(fechaHora, { day: "2-digit", month: "2-digit", year: "numeric" }, "es-ES")
+  return `${fecha}, ${formatearHora(fechaHora)}`
 }
 
 /**
@@ -156,16 +198,40 @@ function calcularHoraFin(fechaHoraInicio, duracion) {
 }
 
 /**
- * Formatea hora sin segundos (HH:mm)
+ * Formatea hora sin segundos (HH:mm) en la hora de la clínica
  * @param {string|Date} fechaHora - Fecha y hora
  * @returns {string} Hora formateada (HH:mm)
  */
 function formatearHora(fechaHora) {
-  const date = new Date(fechaHora)
-  return date.toLocaleTimeString("es-ES", {
-    hour: "2-digit",
-    minute: "2-digit",
-  })
+  return fechaLocalClinica(fechaHora, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, "es-ES")
+}
+
+/**
+ * Formatea una fecha para un input datetime-local (hora de la clínica)
+ * @param {string|Date} fechaHora - Fecha y hora
+ * @returns {string} Fecha formateada (yyyy-mm-ddThh:mm)
+ */
+function formatearDatetimeLocal(fechaHora) {
+  return valorFechaHoraClinica(fechaHora)
+}
+
+/**
+ * Clave YYYY-MM-DD de un día del calendario (fecha de navegación, no un instante)
+ * @param {Date} dia - Día con sus campos locales
+ * @returns {string}
+ */
+function claveDeCalendario(dia) {
+  return `${dia.getFullYear()}-${String(dia.getMonth() + 1).padStart(2, "0")}-${String(dia.getDate()).padStart(2, "0")}`
+}
+
+/**
+ * Fecha de navegación del calendario para un día YYYY-MM-DD
+ * @param {string} clave
+ * @returns {Date}
+ */
+function diaDeCalendario(clave) {
+  const [anio, mes, dia] = clave.split("-").map(Number)
+  return new Date(anio, mes - 1, dia)
 }
 
 /**
@@ -180,14 +246,14 @@ function sanitizarTexto(texto) {
 }
 
 /**
- * Agrupa citas por día (clave: YYYY-MM-DD)
+ * Agrupa citas por día de la clínica (clave: YYYY-MM-DD)
  * @param {Array} citas - Array de citas
  * @returns {Object} Objeto con citas agrupadas por día
  */
 function agruparCitasPorDia(citas) {
   return citas.reduce((acc, c) => {
     if (!c || !c.fechaHora) return acc
-    const key = new Date(c.fechaHora).toISOString().slice(0, 10)
+    const key = claveDiaClinica(c.fechaHora)
     if (!acc[key]) acc[key] = []
     acc[key].push(c)
     return acc
@@ -351,6 +417,100 @@ function confirmarEliminacion(citaId, nombrePaciente) {
   })
 }
 
+/**
+ * Modal con varias opciones (alcance de una serie, confirmar conflictos...)
+ * @param {Object} config
+ * @param {string} config.titulo - Título del modal
+ * @param {string} config.mensaje - Texto principal
+ * @param {string[]} [config.detalle] - Lista opcional bajo el mensaje
+ * @param {{valor: string, texto: string, color?: string}[]} config.opciones - Botones
+ * @returns {Promise<string|null>} Valor elegido o null si se cierra sin elegir
+ */
+function elegirOpcion({ titulo, mensaje, detalle = [], opciones }) {
+  return new Promise((resolve) => {
+    const modal = document.createElement("div")
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 9999;
+      display: flex; align-items: center; justify-content: center;
+    `
+
+    const content = document.createElement("div")
+    content.style.cssText = `
+      background: white; padding: 24px; border-radius: 12px;
+      max-width: 460px; width: 90%; max-height: 80vh; overflow-y: auto;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+    `
+
+    const h3 = document.createElement("h3")
+    h3.style.cssText = "margin: 0 0 16px 0; font-size: 18px; color: #1f2937;"
+    h3.textContent = titulo
+    const p = document.createElement("p")
+    p.style.cssText = "margin: 0 0 12px 0; color: #6b7280;"
+    p.textContent = mensaje
+    content.append(h3, p)
+
+    if (detalle.length) {
+      const ul = document.createElement("ul")
+      ul.style.cssText = "margin: 0 0 16px 0; padding-left: 18px; color: #374151; font-size: 0.9rem;"
+      detalle.forEach((linea) => {
+        const li = document.createElement("li")
+        li.textContent = linea
+        ul.appendChild(li)
+      })
+      content.appendChild(ul)
+    }
+
+    const botones = document.createElement("div")
+    botones.style.cssText = "display: flex; gap: 12px; justify-content: flex-end; flex-wrap: wrap;"
+    const cerrar = (valor) => {
+      modal.remove()
+      resolve(valor)
+    }
+
+    const btnCancelar = document.createElement("button")
+    btnCancelar.type = "button"
+    btnCancelar.textContent = "Volver"
+    btnCancelar.style.cssText = "padding: 8px 16px; border: 1px solid #d1d5db; background: white; border-radius: 6px; cursor: pointer;"
+    btnCancelar.onclick = () => cerrar(null)
+    botones.appendChild(btnCancelar)
+
+    opciones.forEach(({ valor, texto, color = "#3b82f6" }) => {
+      const btn = document.createElement("button")
+      btn.type = "button"
+      btn.textContent = texto
+      btn.style.cssText = `padding: 8px 16px; background: ${color}; color: white; border: none; border-radius: 6px; cursor: pointer;`
+      btn.onclick = () => cerrar(valor)
+      botones.appendChild(btn)
+    })
+
+    content.appendChild(botones)
+    modal.appendChild(content)
+    document.body.appendChild(modal)
+
+    modal.onclick = (e) => {
+      if (e.target === modal) cerrar(null)
+    }
+  })
+}
+
+/**
+ * Pregunta a qué citas de la serie aplica un cambio
+ * @param {string} accion - Verbo para el mensaje ("editar", "cancelar")
+ * @returns {Promise<"esta"|"siguientes"|"todas"|null>}
+ */
+function elegirAlcanceSerie(accion) {
+  return elegirOpcion({
+    titulo: "Cita recurrente",
+    mensaje: `Esta cita forma parte de una serie. ¿Qué citas desea ${accion}?`,
+    opciones: [
+      { valor: "esta", texto: "Solo esta" },
+      { valor: "siguientes", texto: "Esta y las siguientes" },
+      { valor: "todas", texto: "Toda la serie" },
+    ],
+  })
+}
+
 // ============================================================================
 // RENDERIZADO DE CALENDARIO
 // ============================================================================
@@ -364,16 +524,39 @@ function renderCalendar() {
   const monthName = currentMonth.toLocaleDateString(undefined, { month: "long", year: "numeric" })
 
   if (domElements.currentMonth_display) {
-    domElements.currentMonth_display.textContent = monthName
+    domElements.currentMonth_display.textContent =
+      currentView === "recursos"
+        ? currentMonth.toLocaleDateString(undefined, { weekday: "long", day: "numeric", month: "long", year: "numeric" })
+        : monthName
   }
 
   if (currentView === "monthly") {
     renderMonthlyCalendar()
+  } else if (currentView === "recursos") {
+    renderResourceCalendar()
   } else {
     renderWeeklyCalendar()
   }
 }
 
+/**
+ * Muestra la vista de calendario elegida y marca su pestaña
+ * @param {"monthly"|"weekly"|"recursos"} vista
+ */
+function mostrarVista(vista) {
+  currentView = vista
+  const vistas = [
+    ["monthly", domElements.btnViewMonthly, domElements.monthlyView],
+    ["weekly", domElements.btnViewWeekly, domElements.weeklyView],
+    ["recursos", domElements.btnViewRecursos, domElements.resourceView],
+  ]
+  for (const [nombre, boton, contenedor] of vistas) {
+    if (boton) boton.classList.toggle("active", nombre === vista)
+    if (contenedor) contenedor.style.display = nombre === vista ? "block" : "none"
+  }
+  renderCalendar()
+}
+
 /**
  * Renderiza la vista mensual del calendario
  */
@@ -403,7 +586,7 @@ function renderMonthlyCalendar() {
   for (let i = 0; i < 42; i++) {
     const dayDate = new Date(startDate)
     dayDate.setDate(startDate.getDate() + i)
-    const key = dayDate.toISOString().slice(0, 10)
+    const key = claveDeCalendario(dayDate)
     const isCurrentMonth = dayDate.getMonth() === month
 
     const dayCell = document.createElement("div")
@@ -443,16 +626,7 @@ function renderMonthlyCalendar() {
       dayCell.style.cursor = "pointer"
       dayCell.addEventListener("click", () => {
         currentMonth = new Date(year, month, dayDate.getDate())
-        currentView = "weekly"
-        if (domElements.btnViewMonthly && domElements.btnViewWeekly) {
-          domElements.btnViewMonthly.classList.remove("active")
-          domElements.btnViewWeekly.classList.add("active")
-        }
-        if (domElements.monthlyView && domElements.weeklyView) {
-          domElements.monthlyView.style.display = "none"
-          domElements.weeklyView.style.display = "block"
-        }
-        renderCalendar()
+        mostrarVista("weekly")
       })
     }
 
@@ -474,10 +648,11 @@ function renderWeeklyCalendar() {
 
   const citasPorDia = agruparCitasPorDia(citasData)
 
-  // Generar horas (8 AM a 5 PM = 10 horas)
+  // Generar horas según las jornadas de la clínica
+  const { horaInicio, horaFin } = rangoHorasClinica()
   if (domElements.hoursGrid) {
     domElements.hoursGrid.innerHTML = ""
-    for (let h = HORARIO_CLINICA.HORA_INICIO; h < HORARIO_CLINICA.HORA_FIN; h++) {
+    for (let h = horaInicio; h < horaFin; h++) {
       const hourCell = document.createElement("div")
       hourCell.className = "hour-cell"
       hourCell.textContent = `${h}:00`
@@ -504,7 +679,7 @@ function renderWeeklyCalendar() {
           domElements.filterEstado.value = ""
           domElements.filterTipo.value = ""
           domElements.filterPaciente.value = ""
-          domElements.filterFecha.value = dayDate.toISOString().slice(0, 10)
+          domElements.filterFecha.value = claveDeCalendario(dayDate)
           aplicarFiltros()
         }
       })
@@ -520,11 +695,11 @@ function renderWeeklyCalendar() {
     // Rastrear qué citas ya fueron renderizadas (para evitar duplicados)
     const citasRenderizadas = new Set()
 
-    for (let h = HORARIO_CLINICA.HORA_INICIO; h < HORARIO_CLINICA.HORA_FIN; h++) {
+    for (let h = horaInicio; h < horaFin; h++) {
       for (let d = 0; d < 7; d++) {
         const dayDate = new Date(startDate)
         dayDate.setDate(startDate.getDate() + d)
-        const key = dayDate.toISOString().slice(0, 10)
+        const key = claveDeCalendario(dayDate)
 
         const cell = document.createElement("div")
         cell.className = "schedule-cell"
@@ -535,20 +710,15 @@ function renderWeeklyCalendar() {
         for (const cita of citasDia) {
           if (citasRenderizadas.has(cita._id)) continue
 
-          const citaInicio = new Date(cita.fechaHora)
           const citaDuracion = cita.duracion || 15
-          const citaHoraInicio = citaInicio.getHours()
-          const citaMinutosInicio = citaInicio.getMinutes()
           const citaFin = calcularHoraFin(cita.fechaHora, citaDuracion)
-          const citaHoraFin = citaFin.getHours()
-          const citaMinutosFin = citaFin.getMinutes()
 
           // Verificar si la cita se solapa con esta celda horaria
           const horaInicioDecimal = h
           const horaFinDecimal = h + 1
 
-          const citaInicioDecimal = citaHoraInicio + citaMinutosInicio / 60
-          const citaFinDecimal = citaHoraFin + citaMinutosFin / 60
+          const citaInicioDecimal = minutosDelDiaClinica(cita.fechaHora) / 60
+          const citaFinDecimal = citaInicioDecimal + citaDuracion / 60
 
           // Si hay solapamiento, renderizar la cita
           if (
@@ -573,7 +743,7 @@ function renderWeeklyCalendar() {
                 <div class="appointment-type">${sanitizarTexto(cita.tipoExamen.substring(0, 12))}</div>
               </div>
             `
-            const fecha = new Date(cita.fechaHora).toLocaleDateString("es-ES")
+            const fecha = fechaLocalClinica(cita.fechaHora, { day: "numeric", month: "numeric", year: "numeric" }, "es-ES")
             cell.title = `${fecha} ${horaInicio} - ${horaFin} • ${cita.pacienteId?.nombres || "N/A"} • ${cita.tipoExamen} • ${cita.estado}`
 
             citasRenderizadas.add(cita._id)
@@ -587,6 +757,100 @@ function renderWeeklyCalendar() {
   }
 }
 
+/** Consulta en curso de la vista por recurso (se ignoran las respuestas de días ya dejados) */
+let consultaRecursos = 0
+
+/**
+ * Renderiza la vista de un día con una columna por recurso; las citas que comparten
+ * un recurso con capacidad mayor a uno se muestran lado a lado
+ */
+async function renderResourceCalendar() {
+  const header = document.getElementById("resourceHeader")
+  const grid = document.getElementById("resourceGrid")
+  const hoursGrid = document.getElementById("resourceHoursGrid")
+  const vacio = document.getElementById("resourceEmpty")
+  if (!header || !grid || !hoursGrid) return
+
+  const consulta = ++consultaRecursos
+  const fecha = claveDeCalendario(currentMonth)
+  let recursos = []
+  let citas = []
+  try {
+    const response = await authFetch(`/api/recursos/agenda?fecha=${fecha}`)
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.message)
+    ;({ recursos, citas } = result.data)
+  } catch (error) {
+    console.error("Error al cargar la agenda de recursos:", error)
+    mostrarError("Error al cargar la agenda de recursos")
+  }
+  if (consulta !== consultaRecursos) return
+
+  const { horaInicio, horaFin } = rangoHorasClinica()
+  const alturaPorHora = 70
+  const columnas = `repeat(${recursos.length}, minmax(140px, 1fr))`
+
+  hoursGrid.innerHTML = ""
+  for (let h = horaInicio; h < horaFin; h++) {
+    const hourCell = document.createElement("div")
+    hourCell.className = "hour-cell"
+    hourCell.textContent = `${h}:00`
+    hoursGrid.appendChild(hourCell)
+  }
+
+  header.innerHTML = ""
+  grid.innerHTML = ""
+  header.style.gridTemplateColumns = columnas
+  grid.style.gridTemplateColumns = columnas
+  if (vacio) vacio.style.display = recursos.length ? "none" : "block"
+
+  for (const recurso of recursos) {
+    const recursoHeader = document.createElement("div")
+    recursoHeader.className = "day-header"
+    recursoHeader.innerHTML = `<strong>${sanitizarTexto(recurso.nombre)}</strong>`
+    if (recurso.capacidad > 1) {
+      recursoHeader.innerHTML += `<span class="resource-capacity">${recurso.capacidad} a la vez</span>`
+    }
+    header.appendChild(recursoHeader)
+
+    const columna = document.createElement("div")
+    columna.className = "resource-column"
+    columna.style.height = `${(horaFin - horaInicio) * alturaPorHora}px`
+
+    // Cada cita va al primer carril libre; hay tantos carriles como capacidad
+    const carriles = []
+    const propias = citas.filter((c) => c.recursos.includes(recurso._id))
+    for (const cita of propias) {
+      const inicio = new Date(cita.fechaHora)
+      const fin = calcularHoraFin(cita.fechaHora, cita.duracion)
+      let carril = carriles.findIndex((finCarril) => finCarril <= inicio)
+      if (carril === -1) carril = carriles.length
+      carriles[carril] = fin
+
+      const ancho = 100 / Math.max(recurso.capacidad, carril + 1)
+      const minutos = minutosDelDiaClinica(inicio) - horaInicio * 60
+      const paciente = `${cita.pacienteId?.nombres || "N/A"} ${cita.pacienteId?.apellidos || ""}`.trim()
+
+      const bloque = document.createElement("div")
+      bloque.className = "appointment-block"
+      bloque.style.background = COLORES_ESTADO[cita.estado] || "#64748b"
+      bloque.style.top = `${(minutos / 60) * alturaPorHora}px`
+      bloque.style.height = `${Math.max(24, ((cita.duracion || 15) / 60) * alturaPorHora - 2)}px`
+      bloque.style.left = `${carril * ancho}%`
+      bloque.style.width = `${ancho}%`
+      bloque.innerHTML = `
+        <div class="appointment-time">${sanitizarTexto(formatearHora(inicio))} - ${sanitizarTexto(formatearHora(fin))}</div>
+        <div class="appointment-patient">${sanitizarTexto(paciente.substring(0, 14))}</div>
+      `
+      bloque.title = `${paciente} • ${cita.tipoExamen} • ${cita.estado}`
+      bloque.addEventListener("click", () => abrirModalAcciones(cita._id))
+      columna.appendChild(bloque)
+    }
+
+    grid.appendChild(columna)
+  }
+}
+
 // ============================================================================
 // GESTIÓN DE MODALES
 // ============================================================================
@@ -600,6 +864,139 @@ function cerrarModalCita() {
   }
 }
 
+/**
+ * Abre el modal de acciones con los cambios de estado permitidos y el historial de la cita
+ * @param {string} citaId - ID de la cita
+ */
+async function abrirModalAcciones(citaId) {
+  const body = document.getElementById("modalAccionesBody")
+  if (!domElements.modalAcciones || !body) return
+
+  let cita
+  try {
+    const response = await authFetch(`/api/citas/${citaId}`)
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.message)
+    cita = result.data
+  } catch (error) {
+    console.error("Error al cargar la cita:", error)
+    mostrarError(error.message || "No se pudo cargar la cita")
+    return
+  }
+
+  body.innerHTML = ""
+
+  const resumen = document.createElement("p")
+  resumen.innerHTML = `<strong>${formatearFechaHora(cita.fechaHora)}</strong> · `
+  const estadoActual = document.createElement("span")
+  estadoActual.textContent = cita.estado
+  estadoActual.style.cssText = `padding:2px 8px; border-radius:6px; font-weight:600; ${ESTILOS_ESTADO[cita.estado] || ""}`
+  resumen.appendChild(estadoActual)
+  body.appendChild(resumen)
+
+  // Botones de transición
+  const acciones = document.createElement("div")
+  acciones.className = "table-actions"
+  const siguientes = TRANSICIONES_ESTADO[cita.estado] || []
+  if (siguientes.length === 0) {
+    acciones.innerHTML = `<p style="color:#666;">Estado final: la cita ya no puede cambiar.</p>`
+  }
+  siguientes.forEach((estado) => {
+    const btn = document.createElement("button")
+    btn.type = "button"
+    btn.className = "btn-action"
+    btn.textContent = estado
+    btn.style.cssText = ESTILOS_ESTADO[estado] || ""
+    btn.addEventListener("click", async () => {
+      // Reprogramar exige un nuevo horario: se hace desde el formulario de edición
+      if (estado === "Reprogramada") {
+        cerrarModalAcciones()
+        editarCita(cita._id)
+        return
+      }
+      if (await cambiarEstadoCita(cita._id, estado)) abrirModalAcciones(cita._id)
+    })
+    acciones.appendChild(btn)
+  })
+  body.appendChild(acciones)
+
+  // Cancelaciones en bloque para citas recurrentes
+  if (cita.serieId && (TRANSICIONES_ESTADO[cita.estado] || []).includes("Cancelada")) {
+    const accionesSerie = document.createElement("div")
+    accionesSerie.className = "table-actions"
+    accionesSerie.style.marginTop = "0.75rem"
+    ;[
+      ["siguientes", "Cancelar esta y las siguientes"],
+      ["todas", "Cancelar toda la serie"],
+    ].forEach(([alcance, texto]) => {
+      const btn = document.createElement("button")
+      btn.type = "button"
+      btn.className = "btn-action cancel"
+      btn.textContent = texto
+      btn.addEventListener("click", async () => {
+        if (await cancelarSerie(cita._id, alcance)) abrirModalAcciones(cita._id)
+      })
+      accionesSerie.appendChild(btn)
+    })
+    body.appendChild(accionesSerie)
+  }
+
+  // Línea de tiempo de estados (la más reciente arriba)
+  const titulo = document.createElement("h3")
+  titulo.textContent = "Historial de estados"
+  titulo.style.marginTop = "1rem"
+  body.appendChild(titulo)
+
+  const lista = document.createElement("ul")
+  lista.className = "historial-estados"
+  const eventos = [
+    ...cita.historial.map((t) => ({
+      fecha: t.fecha,
+      texto: `${t.de} → ${t.a}`,
+      actor: t.actorId ? `${t.actorId.nombres || ""} ${t.actorId.apellidos || ""}`.trim() || t.actorId.email : "Sistema",
+      motivo: t.motivo,
+    })),
+    { fecha: cita.createdAt, texto: "Cita creada", actor: null, motivo: null },
+  ].sort((a, b) => new Date(b.fecha) - new Date(a.fecha))
+
+  eventos.forEach((evento) => {
+    const item = document.createElement("li")
+    const cabecera = document.createElement("strong")
+    cabecera.textContent = evento.texto
+    const detalle = document.createElement("div")
+    detalle.className = "historial-detalle"
+    detalle.textContent = [formatearFechaHora(evento.fecha), evento.actor].filter(Boolean).join(" · ")
+    item.append(cabecera, detalle)
+    if (evento.motivo) {
+      const motivo = document.createElement("div")
+      motivo.textContent = `Motivo: ${evento.motivo}`
+      item.appendChild(motivo)
+    }
+    lista.appendChild(item)
+  })
+  body.appendChild(lista)
+
+  // Avisos enviados al paciente
+  if (cita.notificaciones?.length) {
+    const tituloAvisos = document.createElement("h3")
+    tituloAvisos.textContent = "Avisos al paciente"
+    tituloAvisos.style.marginTop = "1rem"
+    const listaAvisos = document.createElement("ul")
+    listaAvisos.className = "historial-estados"
+    cita.notificaciones
+      .slice()
+      .reverse()
+      .forEach((n) => {
+        const item = document.createElement("li")
+        item.textContent = describirAviso(n)
+        listaAvisos.appendChild(item)
+      })
+    body.append(tituloAvisos, listaAvisos)
+  }
+
+  domElements.modalAcciones.style.display = "flex"
+}
+
 /**
  * Cierra el modal de acciones
  */
@@ -635,8 +1032,7 @@ function aplicarFiltros() {
     if (estado && c.estado !== estado) return false
     if (tipo && c.tipoExamen !== tipo) return false
     if (fecha) {
-      const f = new Date(c.fechaHora).toISOString().slice(0, 10)
-      if (f !== fecha) return false
+      if (claveDiaClinica(c.fechaHora) !== fecha) return false
     }
     if (texto) {
       const nombre = (c.pacienteId?.nombres || c.pacienteId?.nombre || "").toLowerCase()
@@ -679,12 +1075,15 @@ function limpiarFiltros() {
 // ============================================================================
 
 /**
- * Cambia el mes/semana según la vista actual
+ * Cambia el mes/semana/día según la vista actual
  * @param {number} direccion - Dirección de cambio (-1 anterior, 1 siguiente)
  */
 function cambiarMes(direccion) {
   if (currentView === "monthly") {
     currentMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + direccion, 1)
+  } else if (currentView === "recursos") {
+    // La vista por recurso muestra un solo día
+    currentMonth.setDate(currentMonth.getDate() + direccion)
   } else {
     // Para vista semanal, cambiar por semanas (7 días)
     currentMonth.setDate(currentMonth.getDate() + direccion * 7)
@@ -702,7 +1101,7 @@ function cambiarMes(direccion) {
  */
 async function cargarCitas() {
   try {
-    const response = await fetch("/api/citas")
+    const response = await authFetch("/api/citas")
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`)
     }
@@ -740,7 +1139,7 @@ async function cargarCitas() {
  */
 async function cargarPacientes() {
   try {
-    const response = await fetch("/api/pacientes")
+    const response = await authFetch("/api/pacientes")
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`)
     }
@@ -801,6 +1200,157 @@ async function cargarPacientes() {
   }
 }
 
+/**
+ * Carga los médicos activos y popula el selector del formulario
+ */
+async function cargarMedicos() {
+  try {
+    const response = await authFetch("/api/medicos")
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
+
+    const result = await response.json()
+    medicosCargados = result.data || []
+
+    const selectMedico = document.getElementById("inputMedico")
+    if (!selectMedico) return
+
+    selectMedico.length = 1 // conservar "Sin médico asignado"
+    medicosCargados.forEach((medico) => {
+      const option = document.createElement("option")
+      option.value = medico._id
+      option.textContent = `${medico.nombres} ${medico.apellidos}${medico.especialidades.length ? ` — ${medico.especialidades.join(", ")}` : ""}`
+      selectMedico.appendChild(option)
+    })
+  } catch (error) {
+    console.error("Error al cargar médicos:", error)
+    mostrarError("Error al cargar la lista de médicos")
+  }
+}
+
+/**
+ * Carga los recursos activos y los que pide cada tipo de examen, y arma las casillas del formulario
+ */
+async function cargarRecursos() {
+  try {
+    const [resRecursos, resTipos] = await Promise.all([
+      authFetch("/api/recursos?activos=true"),
+      authFetch("/api/configuracion/recursos-por-tipo"),
+    ])
+    if (!resRecursos.ok || !resTipos.ok) {
+      throw new Error(`HTTP error! status: ${resRecursos.ok ? resTipos.status : resRecursos.status}`)
+    }
+
+    recursosCargados = (await resRecursos.json()).data || []
+    recursosPorTipo = (await resTipos.json()).data || []
+
+    const contenedor = document.getElementById("recursosCita")
+    const grupo = document.getElementById("grupoRecursos")
+    if (!contenedor || !grupo) return
+
+    contenedor.innerHTML = ""
+    recursosCargados.forEach((recurso) => {
+      const label = document.createElement("label")
+      label.className = "check-inline"
+      const check = document.createElement("input")
+      check.type = "checkbox"
+      check.name = "recursoCita"
+      check.value = recurso._id
+      check.addEventListener("change", cargarHorariosLibres)
+      label.append(check, ` ${recurso.nombre}`)
+      contenedor.appendChild(label)
+    })
+    grupo.style.display = recursosCargados.length ? "block" : "none"
+  } catch (error) {
+    console.error("Error al cargar recursos:", error)
+    mostrarError("Error al cargar la lista de recursos")
+  }
+}
+
+/**
+ * Marca en el formulario los recursos indicados
+ * @param {string[]} ids - IDs de recursos
+ */
+function marcarRecursos(ids) {
+  document.querySelectorAll('input[name="recursoCita"]').forEach((check) => {
+    check.checked = ids.includes(check.value)
+  })
+}
+
+/**
+ * Recursos marcados en el formulario, o undefined si no hay recursos cargados
+ * (así el servidor aplica los del tipo de examen)
+ * @returns {string[]|undefined}
+ */
+function leerRecursosCita() {
+  if (recursosCargados.length === 0) return undefined
+  return Array.from(document.querySelectorAll('input[name="recursoCita"]:checked')).map((check) => check.value)
+}
+
+/**
+ * Al cambiar el tipo de examen se proponen sus recursos
+ */
+function aplicarRecursosDelTipo(e) {
+  const requisito = recursosPorTipo.find((r) => r.tipoExamen === e.target.value)
+  marcarRecursos(requisito?.recursos || [])
+  cargarHorariosLibres()
+}
+
+/**
+ * Consulta los horarios libres del día elegido y llena el selector.
+ * Usa la duración y, si hay uno elegido, el médico del formulario.
+ */
+async function cargarHorariosLibres() {
+  const selectHorario = document.getElementById("inputHorarioLibre")
+  const inputFechaHora = document.getElementById("inputFechaHora")
+  const inputDuracion = document.getElementById("inputDuracion")
+  const inputMedico = document.getElementById("inputMedico")
+  if (!selectHorario || !inputFechaHora || !inputDuracion || !inputMedico) return
+
+  selectHorario.length = 1
+  const fecha = inputFechaHora.value.slice(0, 10)
+  if (!fecha) {
+    selectHorario.options[0].textContent = "Elija una fecha para ver horarios libres"
+    return
+  }
+
+  const params = new URLSearchParams({ fecha, duracion: inputDuracion.value || 15 })
+  if (inputMedico.value) params.set("medicoId", inputMedico.value)
+  const recursos = leerRecursosCita()
+  if (recursos) params.set("recursos", recursos.join(","))
+
+  try {
+    const response = await authFetch(`/api/disponibilidad?${params}`)
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.message)
+
+    selectHorario.options[0].textContent = result.data.length
+      ? "Seleccionar horario libre..."
+      : "No hay horarios libres ese día"
+
+    result.data.forEach((horario) => {
+      const option = document.createElement("option")
+      option.value = JSON.stringify({ inicio: horario.inicio, medicoId: horario.medicoId })
+      option.textContent = `${formatearHora(horario.inicio)} - ${formatearHora(horario.fin)} · ${horario.medico}`
+      selectHorario.appendChild(option)
+    })
+  } catch (error) {
+    console.error("Error al consultar disponibilidad:", error)
+    selectHorario.options[0].textContent = "No se pudo consultar la disponibilidad"
+  }
+}
+
+/**
+ * Completa la fecha/hora y el médico con el horario libre elegido
+ */
+function aplicarHorarioLibre(e) {
+  if (!e.target.value) return
+  const { inicio, medicoId } = JSON.parse(e.target.value)
+  document.getElementById("inputFechaHora").value = formatearDatetimeLocal(inicio)
+  document.getElementById("inputMedico").value = medicoId
+}
+
 // ============================================================================
 // RENDERIZADO DE TABLA
 // ============================================================================
@@ -844,22 +1394,32 @@ function renderizarCitas() {
     const tdFecha = document.createElement("td")
     const horaInicio = formatearHora(cita.fechaHora)
     const horaFin = formatearHora(calcularHoraFin(cita.fechaHora, cita.duracion || 15))
-    const fecha = new Date(cita.fechaHora).toLocaleDateString("es-ES", {
-      day: "2-digit",
-      month: "2-digit",
-      year: "numeric",
-    })
-    tdFecha.innerHTML = `<div>${fecha}</div><div style="font-size:0.85rem; color:#666;">${horaInicio} - ${horaFin}</div>`
+    const fecha = fechaLocalClinica(cita.fechaHora, { day: "2-digit", month: "2-digit", year: "numeric" }, "es-ES")
+    const iconoSerie = cita.serieId ? ` <i class="fa-solid fa-repeat" title="Cita recurrente"></i>` : ""
+    tdFecha.innerHTML = `<div>${fecha}${iconoSerie}</div><div style="font-size:0.85rem; color:#666;">${horaInicio} - ${horaFin}</div>`
 
     const tdPaciente = document.createElement("td")
     tdPaciente.textContent = cita.pacienteId?.nombres || cita.pacienteId?.nombre || "N/A"
 
+    const tdMedico = document.createElement("td")
+    tdMedico.textContent = cita.medicoId ? `${cita.medicoId.nombres} ${cita.medicoId.apellidos}` : "Sin asignar"
+
     const tdTipo = document.createElement("td")
     tdTipo.textContent = cita.tipoExamen
 
     const tdEstado = document.createElement("td")
     const selectEstado = crearSelectEstado(cita)
     tdEstado.appendChild(selectEstado)
+    // Paciente con inasistencias repetidas: confirmar por teléfono antes de la cita
+    if (cita.confirmacionRequerida) {
+      const aviso = document.createElement("div")
+      aviso.className = "aviso-confirmacion"
+      aviso.textContent = "⚠ Confirmar con el paciente"
+      tdEstado.appendChild(aviso)
+    }
+
+    const tdAvisos = document.createElement("td")
+    tdAvisos.appendChild(crearResumenAvisos(cita.notificaciones || []))
 
     const tdAcciones = document.createElement("td")
     tdAcciones.innerHTML = `
@@ -867,26 +1427,39 @@ function renderizarCitas() {
         <button class="btn-action edit" data-cita-id="${cita._id}" type="button">
           <i class="fa-solid fa-edit"></i> Editar
         </button>
-        <button class="btn-action cancel" data-cita-id="${cita._id}" type="button">
-          <i class="fa-solid fa-trash"></i> Eliminar
+        <button class="btn-action confirm" data-cita-id="${cita._id}" type="button">
+          <i class="fa-solid fa-clock-rotate-left"></i> Historial
         </button>
+        ${
+          esAdmin
+            ? `<button class="btn-action cancel" data-cita-id="${cita._id}" type="button">
+          <i class="fa-solid fa-trash"></i> Eliminar
+        </button>`
+            : ""
+        }
       </div>
     `
 
     // Agregar event listeners a los botones
     const btnEdit = tdAcciones.querySelector(".btn-action.edit")
     const btnDelete = tdAcciones.querySelector(".btn-action.cancel")
+    const btnHistorial = tdAcciones.querySelector(".btn-action.confirm")
     if (btnEdit) {
       btnEdit.addEventListener("click", () => editarCita(cita._id))
     }
+    if (btnHistorial) {
+      btnHistorial.addEventListener("click", () => abrirModalAcciones(cita._id))
+    }
     if (btnDelete) {
       btnDelete.addEventListener("click", () => eliminarCita(cita._id))
     }
 
     row.appendChild(tdFecha)
     row.appendChild(tdPaciente)
+    row.appendChild(tdMedico)
     row.appendChild(tdTipo)
     row.appendChild(tdEstado)
+    row.appendChild(tdAvisos)
     row.appendChild(tdAcciones)
 
     fragment.appendChild(row)
@@ -898,6 +1471,41 @@ function renderizarCitas() {
   actualizarPaginacion()
 }
 
+/**
+ * Resume el estado de entrega de los avisos de una cita (detalle en el tooltip)
+ * @param {Array} notificaciones - Cita.notificaciones
+ * @returns {HTMLSpanElement}
+ */
+function crearResumenAvisos(notificaciones) {
+  const span = document.createElement("span")
+  if (notificaciones.length === 0) {
+    span.textContent = "—"
+    return span
+  }
+
+  const conteo = {}
+  notificaciones.forEach((n) => {
+    conteo[n.estado] = (conteo[n.estado] || 0) + 1
+  })
+  span.textContent = Object.entries(conteo)
+    .map(([estado, total]) => `${ICONOS_ENTREGA[estado] || ""} ${total}`)
+    .join("  ")
+  span.title = notificaciones.map(describirAviso).join("\n")
+  span.style.cursor = "help"
+  return span
+}
+
+/**
+ * Texto de un aviso: tipo, canal, estado de entrega y error si lo hubo
+ * @param {Object} n - Notificación de la cita
+ * @returns {string}
+ */
+function describirAviso(n) {
+  const cuando = n.enviadaEn ? ` (${formatearFechaHora(n.enviadaEn)})` : ""
+  const error = n.error ? ` — ${n.error}` : ""
+  return `${ICONOS_ENTREGA[n.estado] || ""} ${NOMBRES_NOTIFICACION[n.tipo] || n.tipo} · ${NOMBRES_CANAL[n.canal] || n.canal}: ${n.estado}${cuando}${error}`
+}
+
 /**
  * Crea un select de estado con estilos apropiados
  * @param {Object} cita - Objeto de cita
@@ -910,7 +1518,9 @@ function crearSelectEstado(cita) {
   const estiloBase = "padding:6px 10px; border-radius:6px; border:none; font-weight:600; cursor:pointer;"
   select.style.cssText = `${estiloBase} ${ESTILOS_ESTADO[cita.estado] || ESTILOS_ESTADO.Pendiente}`
 
-  const estados = ["Pendiente", "Atendida", "Cancelada"]
+  // Solo el estado actual y los permitidos; la reprogramación se hace desde Editar (pide nuevo horario)
+  const estados = [cita.estado, ...(TRANSICIONES_ESTADO[cita.estado] || []).filter((e) => e !== "Reprogramada")]
+  select.disabled = estados.length === 1
   estados.forEach((estado) => {
     const option = document.createElement("option")
     option.value = estado
@@ -959,20 +1569,27 @@ function actualizarPaginacion() {
 async function cambiarEstadoCita(citaId, nuevoEstado, selectElement) {
   const estadoAnterior = citasData.find((c) => c._id === citaId)?.estado
 
+  const body = { estado: nuevoEstado }
+  if (ESTADOS_CON_MOTIVO.includes(nuevoEstado)) {
+    const motivo = prompt(`Motivo (${nuevoEstado}):`)
+    if (motivo === null) {
+      revertirEstadoSelector(selectElement, estadoAnterior)
+      return false
+    }
+    body.motivoEstado = motivo.trim() || null
+    if (nuevoEstado === "Cancelada") body.motivoCancelacion = body.motivoEstado
+  }
+
   try {
-    const response = await fetch(`/api/citas/${citaId}`, {
+    const response = await authFetch(`/api/citas/${citaId}`, {
       method: "PUT",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ estado: nuevoEstado }),
+      body: JSON.stringify(body),
     })
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`)
-    }
-
     const result = await response.json()
 
-    if (result.success) {
+    if (response.ok && result.success) {
       // Actualizar color del selector inmediatamente
       if (selectElement) {
         selectElement.style.cssText = `padding:6px 10px; border-radius:6px; border:none; font-weight:600; cursor:pointer; ${ESTILOS_ESTADO[nuevoEstado] || ESTILOS_ESTADO.Pendiente}`
@@ -987,6 +1604,7 @@ async function cambiarEstadoCita(citaId, nuevoEstado, selectElement) {
       mostrarExito(`Estado cambiado a ${nuevoEstado}`)
       renderizarCitas()
       renderCalendar()
+      return true
     } else {
       mostrarError(result.message || "Error al cambiar estado")
       revertirEstadoSelector(selectElement, estadoAnterior)
@@ -996,6 +1614,7 @@ async function cambiarEstadoCita(citaId, nuevoEstado, selectElement) {
     mostrarError("Error al cambiar el estado")
     revertirEstadoSelector(selectElement, estadoAnterior)
   }
+  return false
 }
 
 /**
@@ -1018,27 +1637,95 @@ window.cambiarEstadoCita = cambiarEstadoCita
 // ============================================================================
 
 /**
- * Valida que la fecha/hora esté dentro del horario de atención de la clínica
- * @param {string} fechaHoraInput - Fecha y hora a validar (formato ISO)
- * @returns {{valido: boolean, mensaje?: string}} Resultado de la validación
+ * Carga el calendario de atención de la clínica (mismas reglas que aplica el servidor)
  */
-function validarHorarioClinica(fechaHoraInput) {
-  const fecha = new Date(fechaHoraInput)
-  const diaSemana = fecha.getDay()
-  const hora = fecha.getHours()
-  const minutos = fecha.getMinutes()
-  const horaDecimal = hora + minutos / 60
+async function cargarCalendario() {
+  try {
+    const response = await authFetch("/api/configuracion/calendario")
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
 
-  // No se atiende los domingos
-  if (diaSemana === HORARIO_CLINICA.DOMINGO) {
-    return { valido: false, mensaje: "La clínica no atiende los domingos" }
+    const result = await response.json()
+    calendarioClinica = result.data
+    renderCalendar()
+  } catch (error) {
+    console.error("Error al cargar el calendario de la clínica:", error)
+    mostrarError("Error al cargar el horario de atención")
+  }
+}
+
+/** "HH:mm" → minutos desde la medianoche */
+function aMinutos(hora) {
+  const [h, m] = hora.split(":").map(Number)
+  return h * 60 + m
+}
+
+/** Minutos desde la medianoche → "HH:mm" */
+function aHora(minutos) {
+  return `${String(Math.floor(minutos / 60)).padStart(2, "0")}:${String(minutos % 60).padStart(2, "0")}`
+}
+
+/**
+ * Rango de horas de la vista semanal: de la apertura más temprana al cierre más tardío
+ * @returns {{horaInicio: number, horaFin: number}}
+ */
+function rangoHorasClinica() {
+  const abiertos = (calendarioClinica?.semana || []).filter((j) => j.abierto)
+  if (abiertos.length === 0) return RANGO_HORAS_POR_DEFECTO
+
+  return {
+    horaInicio: Math.floor(Math.min(...abiertos.map((j) => aMinutos(j.inicio))) / 60),
+    horaFin: Math.ceil(Math.max(...abiertos.map((j) => aMinutos(j.fin))) / 60),
+  }
+}
+
+/**
+ * Intervalos de atención de un día, en minutos desde la medianoche de la clínica
+ * Considera cierres, feriados, horarios especiales y refrigerio
+ * @param {string} fecha - Día a consultar (YYYY-MM-DD)
+ * @returns {Array<[number, number]>} Lista vacía si la clínica no abre
+ */
+function ventanasDelDia(fecha) {
+  if (calendarioClinica.cierres.some((c) => c.desde <= fecha && fecha <= c.hasta)) return []
+  if (calendarioClinica.feriados.some((f) => f.fecha === fecha.slice(5))) return []
+
+  const especial = calendarioClinica.horariosEspeciales.find((h) => h.fecha === fecha)
+  if (especial) return [[aMinutos(especial.inicio), aMinutos(especial.fin)]]
+
+  const jornada = calendarioClinica.semana.find((j) => j.dia === diaSemanaDeClave(fecha))
+  if (!jornada || !jornada.abierto) return []
+
+  if (!jornada.refrigerioInicio) return [[aMinutos(jornada.inicio), aMinutos(jornada.fin)]]
+  return [
+    [aMinutos(jornada.inicio), aMinutos(jornada.refrigerioInicio)],
+    [aMinutos(jornada.refrigerioFin), aMinutos(jornada.fin)],
+  ]
+}
+
+/**
+ * Valida que la cita completa quede dentro del horario de atención de la clínica
+ * @param {string} fechaHoraInput - Fecha y hora de inicio del input datetime-local (hora de la clínica)
+ * @param {number} duracion - Duración en minutos
+ * @returns {{valido: boolean, mensaje?: string}} Resultado de la validación
+ */
+function validarHorarioClinica(fechaHoraInput, duracion) {
+  // Sin calendario cargado, la validación queda a cargo del servidor
+  if (!calendarioClinica) return { valido: true }
+
+  const fecha = leerFechaHoraClinica(fechaHoraInput)
+  const ventanas = ventanasDelDia(claveDiaClinica(fecha))
+  if (ventanas.length === 0) {
+    return { valido: false, mensaje: "La clínica no atiende ese día" }
   }
 
-  // Validar horario: 8:00 AM a 6:00 PM
-  if (horaDecimal < HORARIO_CLINICA.HORA_INICIO || horaDecimal >= HORARIO_CLINICA.HORA_FIN) {
+  const desde = minutosDelDiaClinica(fecha)
+  const hasta = desde + duracion
+  if (!ventanas.some(([apertura, cierre]) => apertura <= desde && hasta <= cierre)) {
+    const horario = ventanas.map(([apertura, cierre]) => `${aHora(apertura)} a ${aHora(cierre)}`).join(" y de ")
     return {
       valido: false,
-      mensaje: "La clínica atiende de lunes a sábado de 8:00 AM a 6:00 PM",
+      mensaje: `Ese día la clínica atiende de ${horario}. Ajuste la hora de inicio o duración.`,
     }
   }
 
@@ -1057,17 +1744,19 @@ async function guardarCita(e) {
   e.preventDefault()
 
   const inputPaciente = document.getElementById("inputPaciente")
+  const inputMedico = document.getElementById("inputMedico")
   const inputFechaHora = document.getElementById("inputFechaHora")
   const inputDuracion = document.getElementById("inputDuracion")
   const inputTipo = document.getElementById("inputTipo")
   const inputMotivo = document.getElementById("inputMotivo")
 
-  if (!inputPaciente || !inputFechaHora || !inputDuracion || !inputTipo || !inputMotivo) {
+  if (!inputPaciente || !inputMedico || !inputFechaHora || !inputDuracion || !inputTipo || !inputMotivo) {
     mostrarError("Error al acceder a los campos del formulario")
     return
   }
 
   const pacienteId = inputPaciente.value.trim()
+  const medicoId = inputMedico.value || null
   const fechaHoraInput = inputFechaHora.value.trim()
   const duracion = parseInt(inputDuracion.value.trim(), 10)
   const tipoExamen = inputTipo.value.trim()
@@ -1085,41 +1774,44 @@ async function guardarCita(e) {
     return
   }
 
-  // Validar horario de la clínica
-  const validacion = validarHorarioClinica(fechaHoraInput)
+  // Validar horario de la clínica (inicio y fin de la cita)
+  const validacion = validarHorarioClinica(fechaHoraInput, duracion)
   if (!validacion.valido) {
     mostrarError(validacion.mensaje)
     return
   }
 
-  // Validar que la hora de fin no exceda el horario de la clínica
-  const fechaHoraObj = new Date(fechaHoraInput)
-  const horaFinCita = calcularHoraFin(fechaHoraObj, duracion)
-  const horaFinDecimal = horaFinCita.getHours() + horaFinCita.getMinutes() / 60
+  // El input no trae zona: se lee como hora de la clínica, no del navegador
+  const fechaHora = leerFechaHoraClinica(fechaHoraInput).toISOString()
+  const datos = { pacienteId, medicoId, fechaHora, duracion, tipoExamen, motivo, recursos: leerRecursosCita() }
 
-  if (horaFinDecimal > HORARIO_CLINICA.HORA_FIN) {
-    mostrarError(
-      `La cita terminaría a las ${formatearHora(horaFinCita)}, pero la clínica cierra a las ${HORARIO_CLINICA.HORA_FIN}:00. Ajuste la hora de inicio o duración.`,
-    )
+  // Citas recurrentes: creación de la serie o edición con alcance
+  const repetir = !editingCitaId && document.getElementById("inputRepetir")?.checked
+  if (repetir) {
+    const regla = leerReglaSerie()
+    if (!regla) return
+    await guardarSerie({ ...datos, regla })
     return
   }
 
-  const fechaHora = fechaHoraObj.toISOString()
+  const citaEditada = editingCitaId && citasData.find((c) => c._id === editingCitaId)
+  if (citaEditada?.serieId) {
+    const alcance = await elegirAlcanceSerie("modificar")
+    if (!alcance) return
+    if (alcance !== "esta") {
+      await guardarCambiosSerie(editingCitaId, alcance, datos)
+      return
+    }
+  }
 
   try {
     const url = editingCitaId ? `/api/citas/${editingCitaId}` : "/api/citas"
     const method = editingCitaId ? "PUT" : "POST"
 
-    const response = await fetch(url, {
+    const response = await authFetch(url, {
       method,
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        pacienteId,
-        fechaHora,
-        duracion,
-        tipoExamen,
-        motivo,
-      }),
+      body: JSON.stringify(datos),
     })
 
     if (!response.ok) {
@@ -1155,6 +1847,168 @@ async function guardarCita(e) {
   }
 }
 
+/**
+ * Lee la regla de repetición del formulario
+ * @returns {Object|null} Regla para /api/citas/series o null si está incompleta
+ */
+function leerReglaSerie() {
+  const frecuencia = document.getElementById("inputFrecuencia").value
+  const intervalo = parseInt(document.getElementById("inputIntervalo").value, 10) || 1
+  const hasta = document.getElementById("inputSerieHasta").value || null
+  const cantidad = parseInt(document.getElementById("inputSerieCantidad").value, 10) || null
+  const dias =
+    frecuencia === "semanal"
+      ? Array.from(document.querySelectorAll("input[name=diaSerie]:checked")).map((check) => Number(check.value))
+      : []
+
+  if (!hasta && !cantidad) {
+    mostrarError("Indique hasta qué fecha se repite la cita o el número de citas")
+    return null
+  }
+
+  return { frecuencia, intervalo, dias, hasta, cantidad }
+}
+
+/**
+ * Describe los conflictos devueltos por el servidor (409)
+ * @param {{fecha: string, motivo: string}[]} conflictos
+ * @returns {string[]} Una línea por cita en conflicto
+ */
+function describirConflictos(conflictos) {
+  return conflictos.map((c) => `${formatearFechaHora(c.fecha)}: ${c.motivo}`)
+}
+
+/**
+ * Crea una serie de citas; si hay conflictos, pregunta si se crean solo las libres
+ * @param {Object} payload - Datos de la primera cita más la regla
+ */
+async function guardarSerie(payload) {
+  try {
+    let response = await authFetch("/api/citas/series", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    })
+    let result = await response.json()
+
+    if (response.status === 409) {
+      const opcion = await elegirOpcion({
+        titulo: "Conflictos en la serie",
+        mensaje: `${result.message}. ¿Crear solo las citas disponibles?`,
+        detalle: describirConflictos(result.data.conflictos),
+        opciones: [{ valor: "omitir", texto: "Crear las disponibles", color: "#f59e0b" }],
+      })
+      if (!opcion) return
+
+      response = await authFetch("/api/citas/series", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...payload, omitirConflictos: true }),
+      })
+      result = await response.json()
+    }
+
+    if (!response.ok || !result.success) {
+      mostrarError(result.message || "Error al crear la serie")
+      return
+    }
+
+    mostrarExito(result.message || "Serie creada exitosamente")
+    cerrarModalCita()
+    await cargarCitas()
+  } catch (error) {
+    console.error("Error al crear serie:", error)
+    mostrarError("Error al crear la serie de citas")
+  }
+}
+
+/**
+ * Aplica cambios a varias citas de una serie (esta y siguientes, o todas)
+ * @param {string} citaId - Cita desde la que se edita
+ * @param {"siguientes"|"todas"} alcance
+ * @param {Object} datos - Campos del formulario
+ */
+async function guardarCambiosSerie(citaId, alcance, datos) {
+  try {
+    const response = await authFetch(`/api/citas/${citaId}/serie`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...datos, alcance }),
+    })
+    const result = await response.json()
+
+    if (response.status === 409) {
+      await elegirOpcion({
+        titulo: "No se pudo modificar la serie",
+        mensaje: result.message,
+        detalle: describirConflictos(result.data.conflictos),
+        opciones: [],
+      })
+      return
+    }
+    if (!response.ok || !result.success) {
+      mostrarError(result.message || "Error al modificar la serie")
+      return
+    }
+
+    mostrarExito(result.message || "Serie actualizada")
+    cerrarModalCita()
+    await cargarCitas()
+  } catch (error) {
+    console.error("Error al modificar serie:", error)
+    mostrarError("Error al modificar la serie")
+  }
+}
+
+/**
+ * Cancela varias citas de una serie
+ * @param {string} citaId - Cita desde la que se cancela
+ * @param {"siguientes"|"todas"} alcance
+ * @returns {Promise<boolean>} true si se canceló
+ */
+async function cancelarSerie(citaId, alcance) {
+  const motivo = prompt("Motivo de la cancelación:")
+  if (motivo === null) return false
+
+  try {
+    const response = await authFetch(`/api/citas/${citaId}/serie/cancelar`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ alcance, motivo: motivo.trim() || null }),
+    })
+    const result = await response.json()
+
+    if (!response.ok || !result.success) {
+      mostrarError(result.message || "Error al cancelar la serie")
+      return false
+    }
+
+    mostrarExito(result.message)
+    await cargarCitas()
+    return true
+  } catch (error) {
+    console.error("Error al cancelar serie:", error)
+    mostrarError("Error al cancelar la serie")
+    return false
+  }
+}
+
+/**
+ * Muestra u oculta las opciones de repetición según el formulario
+ */
+function actualizarOpcionesSerie() {
+  const repetir = document.getElementById("inputRepetir")
+  const opciones = document.getElementById("opcionesSerie")
+  const grupoDias = document.getElementById("grupoDiasSerie")
+  const frecuencia = document.getElementById("inputFrecuencia")
+  if (!repetir || !opciones) return
+
+  opciones.style.display = repetir.checked ? "block" : "none"
+  if (grupoDias && frecuencia) {
+    grupoDias.style.display = frecuencia.value === "semanal" ? "block" : "none"
+  }
+}
+
 /**
  * Abre el modal para editar una cita
  * @param {string} citaId - ID de la cita a editar
@@ -1198,21 +2052,24 @@ async function editarCita(citaId) {
   }
 
   // Formatear fecha y hora para el input datetime-local
-  const fechaObj = new Date(cita.fechaHora)
-  const year = fechaObj.getFullYear()
-  const month = String(fechaObj.getMonth() + 1).padStart(2, "0")
-  const day = String(fechaObj.getDate()).padStart(2, "0")
-  const hours = String(fechaObj.getHours()).padStart(2, "0")
-  const minutes = String(fechaObj.getMinutes()).padStart(2, "0")
-  const fechaHoraFormato = `${year}-${month}-${day}T${hours}:${minutes}`
+  const fechaHoraFormato = formatearDatetimeLocal(cita.fechaHora)
 
   const pacienteNombre = `${cita.pacienteId?.nombres || cita.pacienteId?.nombre || ""} ${cita.pacienteId?.apellidos || ""}`.trim()
   inputPacienteBuscar.value = pacienteNombre
   inputPaciente.value = cita.pacienteId._id || cita.pacienteId?._id || ""
+  document.getElementById("inputMedico").value = cita.medicoId?._id || ""
   inputFechaHora.value = fechaHoraFormato
   inputDuracion.value = cita.duracion || 15
   inputTipo.value = cita.tipoExamen
   inputMotivo.value = cita.motivo || ""
+  marcarRecursos(cita.recursos || [])
+  cargarHorariosLibres()
+
+  // La repetición solo se elige al crear; una serie se edita con alcance
+  const grupoRepetir = document.getElementById("grupoRepetir")
+  if (grupoRepetir) grupoRepetir.style.display = "none"
+  document.getElementById("inputRepetir").checked = false
+  actualizarOpcionesSerie()
 
   if (domElements.modalCita) {
     domElements.modalCita.style.display = "flex"
@@ -1244,6 +2101,11 @@ function abrirModalAgregarCita() {
   if (inputDuracion) {
     inputDuracion.value = "15"
   }
+  const grupoRepetir = document.getElementById("grupoRepetir")
+  if (grupoRepetir) grupoRepetir.style.display = ""
+  marcarRecursos([])
+  actualizarOpcionesSerie()
+  cargarHorariosLibres()
   const errorMensaje = document.getElementById("errorMensaje")
   if (errorMensaje) {
     errorMensaje.style.display = "none"
@@ -1272,7 +2134,7 @@ async function eliminarCita(citaId) {
   if (!confirmado) return
 
   try {
-    const response = await fetch(`/api/citas/${citaId}`, {
+    const response = await authFetch(`/api/citas/${citaId}`, {
       method: "DELETE",
     })
 
@@ -1294,6 +2156,346 @@ async function eliminarCita(citaId) {
   }
 }
 
+// ============================================================================
+// LISTA DE ESPERA
+// ============================================================================
+
+/**
+ * Abre el modal de lista de espera con las entradas vigentes
+ */
+async function abrirModalListaEspera() {
+  if (pacientesCargados.length === 0) await cargarPacientes()
+  llenarSelectoresEspera()
+  domElements.formListaEspera?.reset()
+  if (domElements.modalListaEspera) {
+    domElements.modalListaEspera.style.display = "flex"
+  }
+  await cargarListaEspera()
+}
+
+function cerrarModalListaEspera() {
+  if (domElements.modalListaEspera) {
+    domElements.modalListaEspera.style.display = "none"
+  }
+}
+
+/**
+ * Llena especialidades y médicos del formulario de lista de espera
+ */
+function llenarSelectoresEspera() {
+  const selectEspecialidad = document.getElementById("esperaEspecialidad")
+  const selectMedico = document.getElementById("esperaMedico")
+  if (!selectEspecialidad || !selectMedico) return
+
+  const especialidades = [...new Set(medicosCargados.flatMap((m) => m.especialidades))].sort()
+  selectEspecialidad.length = 1
+  especialidades.forEach((especialidad) => {
+    selectEspecialidad.add(new Option(especialidad, especialidad))
+  })
+
+  selectMedico.length = 1
+  medicosCargados.forEach((medico) => {
+    selectMedico.add(new Option(`${medico.nombres} ${medico.apellidos}`, medico._id))
+  })
+}
+
+/**
+ * Consulta y dibuja las entradas vigentes de la lista de espera
+ */
+async function cargarListaEspera() {
+  const tbody = document.getElementById("listaEsperaBody")
+  if (!tbody) return
+
+  try {
+    const response = await authFetch("/api/lista-espera")
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.message)
+
+    tbody.innerHTML = ""
+    if (result.data.length === 0) {
+      const tr = tbody.insertRow()
+      const td = tr.insertCell()
+      td.colSpan = 6
+      td.style.textAlign = "center"
+      td.textContent = "No hay pacientes en espera"
+      return
+    }
+    result.data.forEach((entrada) => tbody.appendChild(crearFilaEspera(entrada)))
+  } catch (error) {
+    console.error("Error al cargar lista de espera:", error)
+    mostrarError("Error al cargar la lista de espera")
+  }
+}
+
+/**
+ * Fila de la tabla de lista de espera
+ * @param {Object} entrada - Entrada con paciente, médico y ofertas poblados
+ * @returns {HTMLTableRowElement}
+ */
+function crearFilaEspera(entrada) {
+  const tr = document.createElement("tr")
+  const celda = (texto) => {
+    const td = tr.insertCell()
+    td.textContent = texto
+    return td
+  }
+
+  celda(`${entrada.pacienteId?.nombres || ""} ${entrada.pacienteId?.apellidos || ""}`.trim() || "—")
+  const medico = entrada.medicoId ? `Dr(a). ${entrada.medicoId.nombres} ${entrada.medicoId.apellidos}` : ""
+  celda([entrada.especialidad, medico].filter(Boolean).join(" · "))
+  celda(
+    `${fechaLocalClinica(entrada.desde, { dateStyle: "short" }, "es-ES")} – ${fechaLocalClinica(entrada.hasta, { dateStyle: "short" }, "es-ES")}`,
+  )
+  celda(NOMBRES_PRIORIDAD[entrada.prioridad] || entrada.prioridad)
+
+  const tdEstado = celda(NOMBRES_ESTADO_ESPERA[entrada.estado] || entrada.estado)
+  const oferta = entrada.ofertas.find((o) => o.estado === "pendiente")
+  if (oferta) {
+    const detalle = document.createElement("span")
+    detalle.className = "espera-oferta"
+    detalle.textContent = `${formatearFechaHora(oferta.inicio)} · vence ${formatearHora(oferta.expira)}`
+    tdEstado.appendChild(detalle)
+  }
+
+  const tdAcciones = tr.insertCell()
+  const btnRetirar = document.createElement("button")
+  btnRetirar.type = "button"
+  btnRetirar.className = "btn-action cancel"
+  btnRetirar.textContent = "Retirar"
+  btnRetirar.addEventListener("click", () => retirarDeListaEspera(entrada._id))
+  tdAcciones.appendChild(btnRetirar)
+
+  return tr
+}
+
+/**
+ * Agrega un paciente a la lista de espera desde el formulario del modal
+ * @param {Event} e - Evento submit
+ */
+async function guardarEntradaEspera(e) {
+  e.preventDefault()
+
+  const nombre = document.getElementById("esperaPacienteBuscar").value.trim()
+  const paciente = pacientesCargados.find((p) => `${p.nombres} ${p.apellidos}`.trim() === nombre)
+  if (!paciente) {
+    mostrarError("Seleccione un paciente de la lista")
+    return
+  }
+
+  const datos = {
+    pacienteId: paciente._id,
+    especialidad: document.getElementById("esperaEspecialidad").value || null,
+    medicoId: document.getElementById("esperaMedico").value || null,
+    desde: document.getElementById("esperaDesde").value,
+    hasta: document.getElementById("esperaHasta").value,
+    duracion: parseInt(document.getElementById("esperaDuracion").value, 10),
+    prioridad: document.getElementById("esperaPrioridad").value,
+    motivo: document.getElementById("esperaMotivo").value.trim(),
+  }
+
+  try {
+    const response = await authFetch("/api/lista-espera", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(datos),
+    })
+    const result = await response.json()
+
+    if (!response.ok || !result.success) {
+      mostrarError(result.message || "Error al agregar a la lista de espera")
+      return
+    }
+
+    mostrarExito(result.message)
+    domElements.formListaEspera.reset()
+    await cargarListaEspera()
+  } catch (error) {
+    console.error("Error al agregar a lista de espera:", error)
+    mostrarError("Error al agregar a la lista de espera")
+  }
+}
+
+/**
+ * Saca a un paciente de la lista de espera
+ * @param {string} entradaId - ID de la entrada
+ */
+async function retirarDeListaEspera(entradaId) {
+  if (!confirm("¿Retirar al paciente de la lista de espera?")) return
+
+  try {
+    const response = await authFetch(`/api/lista-espera/${entradaId}/cancelar`, { method: "PATCH" })
+    const result = await response.json()
+
+    if (!response.ok || !result.success) {
+      mostrarError(result.message || "Error al retirar de la lista de espera")
+      return
+    }
+
+    mostrarExito(result.message)
+    await cargarListaEspera()
+  } catch (error) {
+    console.error("Error al retirar de lista de espera:", error)
+    mostrarError("Error al retirar de la lista de espera")
+  }
+}
+
+// ============================================================================
+// AUSENCIA DE MÉDICO (REPROGRAMACIÓN MASIVA)
+// ============================================================================
+
+function abrirModalAusencia() {
+  const selectMedico = document.getElementById("ausenciaMedico")
+  selectMedico.length = 1
+  medicosCargados.forEach((medico) => {
+    selectMedico.add(new Option(`${medico.nombres} ${medico.apellidos}`, medico._id))
+  })
+
+  document.getElementById("formAusencia").reset()
+  // Solo un administrador puede registrar la ausencia en el horario del médico
+  const registrar = document.getElementById("ausenciaRegistrar")
+  registrar.checked = esAdmin
+  registrar.closest(".form-group").style.display = esAdmin ? "" : "none"
+  document.getElementById("ausenciaBody").innerHTML = ""
+  document.getElementById("btnAplicarAusencia").disabled = true
+  document.getElementById("modalAusencia").style.display = "flex"
+}
+
+function cerrarModalAusencia() {
+  document.getElementById("modalAusencia").style.display = "none"
+}
+
+/** Médico, rango, acción y motivo del formulario de ausencia */
+function leerFormularioAusencia() {
+  return {
+    medicoId: document.getElementById("ausenciaMedico").value,
+    desde: document.getElementById("ausenciaDesde").value,
+    hasta: document.getElementById("ausenciaHasta").value,
+    accion: document.getElementById("ausenciaAccion").value,
+    motivo: document.getElementById("ausenciaMotivo").value.trim(),
+  }
+}
+
+/**
+ * Dibuja las citas afectadas con lo que pasará (o pasó) con cada una
+ * @param {Object[]} filas - Respuesta de la vista previa o de la aplicación
+ * @param {boolean} seleccionables - Casillas para elegir qué citas incluir
+ */
+function renderAusencia(filas, seleccionables) {
+  const tbody = document.getElementById("ausenciaBody")
+  tbody.innerHTML = ""
+
+  if (filas.length === 0) {
+    const td = tbody.insertRow().insertCell()
+    td.colSpan = 5
+    td.style.textAlign = "center"
+    td.textContent = "El médico no tiene citas vigentes en esas fechas"
+    return
+  }
+
+  const accion = document.getElementById("ausenciaAccion").value
+  filas.forEach((fila) => {
+    const tr = tbody.insertRow()
+
+    const tdCheck = tr.insertCell()
+    if (seleccionables) {
+      const check = document.createElement("input")
+      check.type = "checkbox"
+      check.value = fila.citaId
+      // Las que no tienen solución no se pueden aplicar
+      check.checked = !fila.error
+      check.disabled = !!fila.error
+      tdCheck.appendChild(check)
+    }
+
+    tr.insertCell().textContent = formatearFechaHora(fila.fechaHora)
+    tr.insertCell().textContent = fila.paciente || "—"
+    tr.insertCell().textContent = fila.tipoExamen
+
+    const tdResultado = tr.insertCell()
+    if (fila.error) {
+      tdResultado.textContent = `⚠ ${fila.error}`
+      tdResultado.style.color = "#e74c3c"
+    } else if (accion === "cancelar") {
+      tdResultado.textContent = "Se cancela"
+    } else {
+      tdResultado.textContent = `${formatearFechaHora(fila.nuevaFechaHora)} · Dr(a). ${fila.nuevoMedico}`
+    }
+  })
+}
+
+/**
+ * Consulta las citas afectadas sin modificarlas
+ * @param {Event} e - Evento submit
+ */
+async function previsualizarAusencia(e) {
+  e.preventDefault()
+  const btnAplicar = document.getElementById("btnAplicarAusencia")
+  btnAplicar.disabled = true
+
+  try {
+    const response = await authFetch("/api/citas/reprogramacion-masiva/vista-previa", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(leerFormularioAusencia()),
+    })
+    const result = await response.json()
+
+    if (!response.ok || !result.success) {
+      mostrarError(result.message || "Error al preparar la reprogramación")
+      return
+    }
+
+    renderAusencia(result.data, true)
+    btnAplicar.disabled = !result.data.some((fila) => !fila.error)
+  } catch (error) {
+    console.error("Error en la vista previa de ausencia:", error)
+    mostrarError("Error al preparar la reprogramación")
+  }
+}
+
+/**
+ * Aplica la acción a las citas marcadas en la vista previa
+ */
+async function aplicarAusencia() {
+  const citaIds = Array.from(document.querySelectorAll("#ausenciaBody input:checked")).map((check) => check.value)
+  if (citaIds.length === 0) {
+    mostrarError("Marque al menos una cita")
+    return
+  }
+  if (!confirm(`¿Aplicar a ${citaIds.length} cita(s)? Se avisará a cada paciente.`)) return
+
+  const btnAplicar = document.getElementById("btnAplicarAusencia")
+  btnAplicar.disabled = true
+
+  try {
+    const response = await authFetch("/api/citas/reprogramacion-masiva", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        ...leerFormularioAusencia(),
+        citaIds,
+        registrarAusencia: document.getElementById("ausenciaRegistrar").checked,
+      }),
+    })
+    const result = await response.json()
+
+    if (!response.ok || !result.success) {
+      mostrarError(result.message || "Error al aplicar la reprogramación")
+      btnAplicar.disabled = false
+      return
+    }
+
+    // Resultado final: las que fallaron al aplicar quedan marcadas con su motivo
+    renderAusencia(result.data, false)
+    mostrarExito(result.message)
+    await cargarCitas()
+  } catch (error) {
+    console.error("Error al aplicar la ausencia:", error)
+    mostrarError("Error al aplicar la reprogramación")
+    btnAplicar.disabled = false
+  }
+}
+
 // Hacer funciones globales para uso desde HTML
 window.editarCita = editarCita
 window.eliminarCita = eliminarCita
@@ -1323,6 +2525,49 @@ function setupEventListeners() {
     domElements.formCita.addEventListener("submit", guardarCita)
   }
 
+  // Lista de espera
+  if (domElements.btnListaEspera) {
+    domElements.btnListaEspera.addEventListener("click", abrirModalListaEspera)
+  }
+  if (domElements.btnCloseListaEspera) {
+    domElements.btnCloseListaEspera.addEventListener("click", cerrarModalListaEspera)
+  }
+  if (domElements.formListaEspera) {
+    domElements.formListaEspera.addEventListener("submit", guardarEntradaEspera)
+  }
+
+  // Ausencia de médico
+  document.getElementById("btnAusenciaMedico")?.addEventListener("click", abrirModalAusencia)
+  document.getElementById("btnCloseAusencia")?.addEventListener("click", cerrarModalAusencia)
+  document.getElementById("formAusencia")?.addEventListener("submit", previsualizarAusencia)
+  // Si cambian el médico, las fechas o la acción, la vista previa ya no vale
+  document.getElementById("formAusencia")?.addEventListener("change", (e) => {
+    if (e.target.id !== "ausenciaRegistrar") document.getElementById("btnAplicarAusencia").disabled = true
+  })
+  document.getElementById("btnAplicarAusencia")?.addEventListener("click", aplicarAusencia)
+
+  // Horarios libres: se recalculan al cambiar fecha, duración, médico o recursos
+  for (const id of ["inputFechaHora", "inputDuracion", "inputMedico"]) {
+    const input = document.getElementById(id)
+    if (input) input.addEventListener("change", cargarHorariosLibres)
+  }
+  const selectHorario = document.getElementById("inputHorarioLibre")
+  if (selectHorario) {
+    selectHorario.addEventListener("change", aplicarHorarioLibre)
+  }
+
+  // Recursos: se proponen los del tipo de examen elegido
+  const inputTipo = document.getElementById("inputTipo")
+  if (inputTipo) {
+    inputTipo.addEventListener("change", aplicarRecursosDelTipo)
+  }
+
+  // Citas recurrentes
+  for (const id of ["inputRepetir", "inputFrecuencia"]) {
+    const input = document.getElementById(id)
+    if (input) input.addEventListener("change", actualizarOpcionesSerie)
+  }
+
   // Filtros
   if (domElements.filterEstado) {
     domElements.filterEstado.addEventListener("change", aplicarFiltros)
@@ -1343,33 +2588,17 @@ function setupEventListeners() {
   // Vistas de calendario
   if (domElements.btnViewMonthly) {
     domElements.btnViewMonthly.addEventListener("click", () => {
-      currentView = "monthly"
-      currentMonth = new Date()
-      if (domElements.btnViewMonthly && domElements.btnViewWeekly) {
-        domElements.btnViewMonthly.classList.add("active")
-        domElements.btnViewWeekly.classList.remove("active")
-      }
-      if (domElements.monthlyView && domElements.weeklyView) {
-        domElements.monthlyView.style.display = "block"
-        domElements.weeklyView.style.display = "none"
-      }
-      renderCalendar()
+      currentMonth = diaDeCalendario(hoyEnClinica())
+      mostrarVista("monthly")
     })
   }
 
   if (domElements.btnViewWeekly) {
-    domElements.btnViewWeekly.addEventListener("click", () => {
-      currentView = "weekly"
-      if (domElements.btnViewMonthly && domElements.btnViewWeekly) {
-        domElements.btnViewMonthly.classList.remove("active")
-        domElements.btnViewWeekly.classList.add("active")
-      }
-      if (domElements.monthlyView && domElements.weeklyView) {
-        domElements.monthlyView.style.display = "none"
-        domElements.weeklyView.style.display = "block"
-      }
-      renderCalendar()
-    })
+    domElements.btnViewWeekly.addEventListener("click", () => mostrarVista("weekly"))
+  }
+
+  if (domElements.btnViewRecursos) {
+    domElements.btnViewRecursos.addEventListener("click", () => mostrarVista("recursos"))
   }
 
   // Navegación de calendario
@@ -1396,6 +2625,14 @@ function setupEventListeners() {
       }
     })
   }
+
+  if (domElements.modalListaEspera) {
+    domElements.modalListaEspera.addEventListener("click", (e) => {
+      if (e.target === domElements.modalListaEspera) {
+        cerrarModalListaEspera()
+      }
+    })
+  }
 }
 
 // ============================================================================
@@ -1405,7 +2642,12 @@ function setupEventListeners() {
 /**
  * Inicializa la aplicación cuando el DOM está listo
  */
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  // Las fechas se muestran y se leen en la zona de la clínica
+  await cargarZonaHoraria()
+  currentMonth = diaDeCalendario(hoyEnClinica())
+  esAdmin = (await obtenerRol()) === "admin"
+
   inicializarReferenciasDOM()
   setupEventListeners()
 
@@ -1434,5 +2676,8 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Cargar datos iniciales
   cargarCitas()
+  cargarMedicos()
+  cargarRecursos()
+  cargarCalendario()
   renderCalendar()
 })
@@ -1,5 +1,8 @@
 // public/admin-layout.js
 document.addEventListener("DOMContentLoaded", () => {
+  // Las páginas del panel requieren sesión iniciada
+  requerirSesion();
+
   const sidebar = document.getElementById("sidebar");
   const toggleBtn = document.getElementById("sidebarToggle");
 
@@ -10,6 +13,14 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // "Salir" cierra la sesión en el servidor antes de volver al login
+  document.querySelectorAll('.sidebar-footer .nav-item[data-tooltip="Salir"]').forEach((link) => {
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      cerrarSesion();
+    });
+  });
+
   // Enlace activo según URL
   const currentPath = window.location.pathname;
   document.querySelectorAll(".nav-item").forEach((link) => {
@@ -0,0 +1,249 @@
+// public/admin-medicos.js
+document.addEventListener("DOMContentLoaded", async () => {
+  await cargarZonaHoraria();
+
+  // Elementos del DOM (coinciden con medicos.html)
+  const tableBody = document.getElementById("medico-tbody");
+  const btnAdd = document.getElementById("btn-add");
+  const modal = document.getElementById("modal-form");
+  const modalTitle = document.getElementById("modal-title");
+  const form = document.getElementById("form-medico");
+  const btnCancel = document.getElementById("btn-cancel");
+  const horarioList = document.getElementById("horario-list");
+  const excepcionesList = document.getElementById("excepciones-list");
+  const btnAddBloque = document.getElementById("btn-add-bloque");
+  const btnAddExcepcion = document.getElementById("btn-add-excepcion");
+
+  const DIAS = ["Domingo", "Lunes", "Martes", "Miércoles", "Jueves", "Viernes", "Sábado"];
+
+  let editandoId = null;
+
+  // Envía una acción sobre un médico y devuelve la respuesta
+  async function accionMedico(url, method, body) {
+    const res = await authFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Error en la operación");
+    return data;
+  }
+
+  function crearInput(type, value) {
+    const input = document.createElement("input");
+    input.type = type;
+    input.value = value || "";
+    input.required = type !== "text";
+    return input;
+  }
+
+  function crearBtnQuitar(fila) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn-secondary";
+    btn.title = "Quitar";
+    btn.textContent = "✕";
+    btn.addEventListener("click", () => fila.remove());
+    return btn;
+  }
+
+  function agregarBloque(bloque = { dia: 1, inicio: "08:00", fin: "13:00" }) {
+    const fila = document.createElement("div");
+    fila.className = "fila-bloque";
+
+    const selectDia = document.createElement("select");
+    DIAS.forEach((nombre, i) => {
+      const option = document.createElement("option");
+      option.value = i;
+      option.textContent = nombre;
+      option.selected = bloque.dia === i;
+      selectDia.appendChild(option);
+    });
+
+    fila.append(selectDia, crearInput("time", bloque.inicio), crearInput("time", bloque.fin), crearBtnQuitar(fila));
+    horarioList.appendChild(fila);
+  }
+
+  function agregarExcepcion(excepcion = {}) {
+    const fila = document.createElement("div");
+    fila.className = "fila-bloque";
+
+    const motivo = crearInput("text", excepcion.motivo);
+    motivo.placeholder = "Motivo";
+
+    fila.append(
+      // "2026-10-19T05:00:00.000Z" → "2026-10-19" en el día de la clínica
+      crearInput("date", excepcion.desde && claveDiaClinica(excepcion.desde)),
+      crearInput("date", excepcion.hasta && claveDiaClinica(excepcion.hasta)),
+      motivo,
+      crearBtnQuitar(fila),
+    );
+    excepcionesList.appendChild(fila);
+  }
+
+  function leerHorario() {
+    return Array.from(horarioList.children).map((fila) => {
+      const [dia, inicio, fin] = fila.querySelectorAll("select, input");
+      return { dia: Number(dia.value), inicio: inicio.value, fin: fin.value };
+    });
+  }
+
+  // Las ausencias cubren días completos de la clínica: del inicio de "desde" al final de "hasta"
+  function leerExcepciones() {
+    return Array.from(excepcionesList.children).map((fila) => {
+      const [desde, hasta, motivo] = fila.querySelectorAll("input");
+      return {
+        desde: fechaEnClinica(desde.value).toISOString(),
+        hasta: new Date(fechaEnClinica(hasta.value, 24 * 60) - 1000).toISOString(),
+        motivo: motivo.value,
+      };
+    });
+  }
+
+  function openModal(medico) {
+    form.reset();
+    horarioList.innerHTML = "";
+    excepcionesList.innerHTML = "";
+    editandoId = medico ? medico._id : null;
+    modalTitle.textContent = medico ? "Editar Médico" : "Nuevo Médico";
+
+    if (medico) {
+      document.getElementById("nombres").value = medico.nombres;
+      document.getElementById("apellidos").value = medico.apellidos;
+      document.getElementById("cmp").value = medico.cmp;
+      document.getElementById("especialidades").value = medico.especialidades.join(", ");
+      document.getElementById("foto").value = medico.foto || "";
+      medico.horario.forEach(agregarBloque);
+      medico.excepciones.forEach(agregarExcepcion);
+    }
+
+    modal.classList.remove("hidden");
+  }
+
+  function closeModal() {
+    modal.classList.add("hidden");
+  }
+
+  function resumenHorario(horario) {
+    return horario.map((b) => `${DIAS[b.dia].slice(0, 3)} ${b.inicio}-${b.fin}`).join(", ") || "Sin horario";
+  }
+
+  async function cargarMedicos() {
+    if (!tableBody) return;
+    tableBody.innerHTML = "";
+    try {
+      const res = await authFetch("/api/medicos/todos");
+      if (!res.ok) throw new Error("No se pudo obtener médicos");
+      const { data } = await res.json();
+
+      data.forEach((m) => {
+        const row = document.createElement("tr");
+
+        const celdas = [
+          `${m.nombres} ${m.apellidos}`,
+          m.cmp,
+          m.especialidades.join(", ") || "—",
+          resumenHorario(m.horario),
+          m.activo ? "Activo" : "Inactivo",
+        ].map((texto) => {
+          const td = document.createElement("td");
+          td.textContent = texto;
+          return td;
+        });
+
+        const tdAcciones = document.createElement("td");
+        tdAcciones.className = "actions";
+
+        const btnEditar = document.createElement("button");
+        btnEditar.type = "button";
+        btnEditar.title = "Editar";
+        btnEditar.textContent = "✏️";
+        btnEditar.addEventListener("click", () => openModal(m));
+
+        const btnEstado = document.createElement("button");
+        btnEstado.type = "button";
+        btnEstado.title = m.activo ? "Desactivar" : "Reactivar";
+        btnEstado.textContent = m.activo ? "🚫" : "✅";
+        btnEstado.addEventListener("click", async () => {
+          try {
+            await accionMedico(`/api/medicos/${m._id}`, "PUT", { activo: !m.activo });
+            cargarMedicos();
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+
+        // Enlace iCalendar para que el médico vea su agenda en su propio calendario
+        const btnCalendario = document.createElement("button");
+        btnCalendario.type = "button";
+        btnCalendario.title = "Enlace de calendario";
+        btnCalendario.textContent = "📅";
+        btnCalendario.addEventListener("click", async () => {
+          const aviso = `¿Generar el enlace de calendario de ${m.nombres} ${m.apellidos}? Si ya tenía uno, dejará de funcionar.`;
+          if (!confirm(aviso)) return;
+          try {
+            const { data } = await accionMedico(`/api/medicos/${m._id}/ical`, "POST");
+            prompt("Enlace de suscripción (compártalo solo con el médico):", data.url);
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+
+        const btnEliminar = document.createElement("button");
+        btnEliminar.type = "button";
+        btnEliminar.title = "Eliminar";
+        btnEliminar.textContent = "🗑️";
+        btnEliminar.addEventListener("click", async () => {
+          if (!confirm(`¿Eliminar a ${m.nombres} ${m.apellidos}?`)) return;
+          try {
+            await accionMedico(`/api/medicos/${m._id}`, "DELETE");
+            cargarMedicos();
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+
+        tdAcciones.append(btnEditar, btnEstado, btnCalendario, btnEliminar);
+        row.append(...celdas, tdAcciones);
+        tableBody.appendChild(row);
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // Eventos UI
+  if (btnAdd) btnAdd.addEventListener("click", () => openModal(null));
+  if (btnCancel) btnCancel.addEventListener("click", closeModal);
+  if (btnAddBloque) btnAddBloque.addEventListener("click", () => agregarBloque());
+  if (btnAddExcepcion) btnAddExcepcion.addEventListener("click", () => agregarExcepcion());
+
+  if (form) {
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const payload = {
+        nombres: document.getElementById("nombres").value,
+        apellidos: document.getElementById("apellidos").value,
+        cmp: document.getElementById("cmp").value,
+        especialidades: document.getElementById("especialidades").value,
+        foto: document.getElementById("foto").value || null,
+        horario: leerHorario(),
+        excepciones: leerExcepciones(),
+      };
+
+      try {
+        if (editandoId) await accionMedico(`/api/medicos/${editandoId}`, "PUT", payload);
+        else await accionMedico("/api/medicos", "POST", payload);
+        closeModal();
+        cargarMedicos();
+      } catch (err) {
+        console.error(err);
+        alert(err.message || "No se pudo guardar el médico");
+      }
+    });
+  }
+
+  // Inicializar
+  cargarMedicos();
+});
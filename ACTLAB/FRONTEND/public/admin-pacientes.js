@@ -14,8 +14,13 @@ document.addEventListener("DOMContentLoaded", () => {
   const inputGender = document.getElementById("gender");
   const inputAddress = document.getElementById("address");
   const inputPhone = document.getElementById("phone");
+  const inputDocType = document.getElementById("doc-type");
+  const inputDocNumber = document.getElementById("doc-number");
+  const filtroInasistencias = document.getElementById("filtro-inasistencias");
 
   let isEditing = false;
+  // Inasistencias seguidas a partir de las que se resalta al paciente (política de citas)
+  let umbralInasistencias = 3;
 
   function openModal(editMode, paciente = null) {
     isEditing = !!editMode;
@@ -29,9 +34,14 @@ document.addEventListener("DOMContentLoaded", () => {
       inputGender.value = paciente.genero || "";
       inputAddress.value = paciente.direccion || "";
       inputPhone.value = paciente.celular || "";
+      inputDocType.value = paciente.tipo_documento || "dni";
+      inputDocNumber.value = paciente.num_documento || "";
+      // El documento de una ficha con cuenta vinculada no se edita
+      inputDocType.disabled = inputDocNumber.disabled = !!paciente.usuarioId;
     } else {
       form.reset();
       inputId.value = "";
+      inputDocType.disabled = inputDocNumber.disabled = false;
     }
 
     modal.classList.remove("hidden");
@@ -41,36 +51,91 @@ document.addEventListener("DOMContentLoaded", () => {
     modal.classList.add("hidden");
   }
 
+  // Atendidas / no asistió, con aviso si llegó al umbral de inasistencias seguidas
+  function celdaAsistencia(asistencia = {}) {
+    const td = document.createElement("td");
+    td.textContent = `${asistencia.atendidas || 0} atendidas · ${asistencia.inasistencias || 0} no asistió`;
+
+    const seguidas = asistencia.inasistenciasSeguidas || 0;
+    if (seguidas >= umbralInasistencias) {
+      const aviso = document.createElement("div");
+      aviso.className = "aviso-inasistencias";
+      aviso.textContent = `⚠ ${seguidas} inasistencias seguidas`;
+      td.appendChild(aviso);
+    }
+    return td;
+  }
+
+  // Una cuenta registrada con el documento de la ficha pide acceso: solo se vincula tras verificar la identidad
+  function botonCuentaPendiente(p) {
+    const boton = document.createElement("button");
+    boton.type = "button";
+    boton.className = "btn-cuenta";
+    boton.title = "Cuenta por vincular";
+    boton.textContent = "🔗";
+    boton.addEventListener("click", async () => {
+      const confirmar = confirm(
+        `Una cuenta registrada con el documento de ${p.nombres} ${p.apellidos} pide acceso a su historia clínica.\n\n` +
+          "¿Verificó la identidad del titular con su documento? Aceptar vincula la cuenta."
+      );
+      if (!confirmar && !confirm("¿Rechazar la solicitud de esa cuenta?")) return;
+
+      try {
+        const res = await authFetch(`/api/pacientes/${p._id}/cuenta`, { method: confirmar ? "PATCH" : "DELETE" });
+        if (!res.ok) throw new Error((await res.json()).message || "No se pudo completar la operación");
+        cargarPacientes();
+      } catch (err) {
+        alert(err.message);
+      }
+    });
+    return boton;
+  }
+
+  async function cargarUmbral() {
+    try {
+      const res = await authFetch("/api/configuracion/politica-citas");
+      if (res.ok) umbralInasistencias = (await res.json()).data.inasistencias.umbral;
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
   async function cargarPacientes() {
     if (!tableBody) return;
     tableBody.innerHTML = "";
     try {
-      const res = await fetch("/api/pacientes");
+      const url = filtroInasistencias?.checked ? "/api/pacientes?inasistencias=repetidas" : "/api/pacientes";
+      const res = await authFetch(url);
       if (!res.ok) throw new Error("No se pudo obtener pacientes");
       const data = await res.json();
+      // Eliminar es solo de administración
+      const esAdmin = (await obtenerRol()) === "admin";
 
       data.forEach((p) => {
         const row = document.createElement("tr");
         row.innerHTML = `
           <td>${p.nombres ?? ""}</td>
           <td>${p.apellidos ?? ""}</td>
+          <td>${p.num_documento ? `${p.tipo_documento.toUpperCase()} ${p.num_documento}` : ""}</td>
           <td>${p.edad ?? ""}</td>
           <td>${p.genero ?? ""}</td>
           <td>${p.direccion ?? ""}</td>
           <td>${p.celular ?? ""}</td>
           <td>
             <button class="btn-edit" type="button">✏️</button>
-            <button class="btn-delete" type="button">🗑️</button>
+            ${esAdmin ? '<button class="btn-delete" type="button">🗑️</button>' : ""}
           </td>
         `;
+        row.insertBefore(celdaAsistencia(p.asistencia), row.lastElementChild);
+        if (p.cuentaPendiente) row.lastElementChild.prepend(botonCuentaPendiente(p));
 
-        const [btnEdit, btnDelete] = row.querySelectorAll("button");
+        const [btnEdit, btnDelete] = row.querySelectorAll(".btn-edit, .btn-delete");
         btnEdit.addEventListener("click", () => openModal(true, p));
-        btnDelete.addEventListener("click", async () => {
+        btnDelete?.addEventListener("click", async () => {
           if (!p._id) return;
           if (!confirm("¿Seguro que deseas eliminar este paciente?")) return;
           try {
-            const del = await fetch(`/api/pacientes/${p._id}`, { method: "DELETE" });
+            const del = await authFetch(`/api/pacientes/${p._id}`, { method: "DELETE" });
             if (!del.ok) throw new Error("No se pudo eliminar");
             cargarPacientes();
           } catch (e) {
@@ -89,6 +154,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // Eventos UI
   if (btnAdd) btnAdd.addEventListener("click", () => openModal(false));
   if (btnCancel) btnCancel.addEventListener("click", closeModal);
+  if (filtroInasistencias) filtroInasistencias.addEventListener("change", cargarPacientes);
 
   if (form) {
     form.addEventListener("submit", async (e) => {
@@ -101,22 +167,26 @@ document.addEventListener("DOMContentLoaded", () => {
         direccion: inputAddress.value,
         celular: inputPhone.value,
       };
+      if (inputDocNumber.value.trim()) {
+        payload.tipo_documento = inputDocType.value;
+        payload.num_documento = inputDocNumber.value.trim();
+      }
 
       try {
         if (isEditing && inputId.value) {
-          const res = await fetch(`/api/pacientes/${inputId.value}`, {
+          const res = await authFetch(`/api/pacientes/${inputId.value}`, {
             method: "PUT",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify(payload),
           });
-          if (!res.ok) throw new Error("Error al actualizar paciente");
+          if (!res.ok) throw new Error((await res.json()).message || "Error al actualizar paciente");
         } else {
-          const res = await fetch("/api/pacientes", {
+          const res = await authFetch("/api/pacientes", {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify(payload),
           });
-          if (!res.ok) throw new Error("Error al crear paciente");
+          if (!res.ok) throw new Error((await res.json()).message || "Error al crear paciente");
         }
 
         closeModal();
@@ -124,11 +194,11 @@ document.addEventListener("DOMContentLoaded", () => {
         cargarPacientes();
       } catch (err) {
         console.error(err);
-        alert("No se pudo guardar el paciente");
+        alert(err.message || "No se pudo guardar el paciente");
       }
     });
   }
 
   // Inicializar
-  cargarPacientes();
+  cargarUmbral().then(cargarPacientes);
 });
@@ -0,0 +1,188 @@
+// public/admin-recepcion.js
+document.addEventListener("DOMContentLoaded", async () => {
+  await cargarZonaHoraria();
+
+  // Elementos del DOM (coinciden con recepcion.html)
+  const tableBody = document.getElementById("recepcion-tbody");
+  const esperaPromedio = document.getElementById("espera-promedio");
+
+  const ESTADOS_ATENCION = {
+    en_espera: "En espera",
+    llamado: "Llamado",
+    en_atencion: "En atención",
+    finalizado: "Finalizado",
+  };
+
+  const hora = (fecha) =>
+    fecha ? fechaLocalClinica(fecha, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, "es-ES") : "";
+
+  const nombreDe = (persona) => (persona ? `${persona.nombres} ${persona.apellidos}` : "—");
+  // Con el documento, recepción confirma que registra la llegada del paciente correcto
+  const pacienteDe = (paciente) =>
+    paciente?.num_documento
+      ? `${nombreDe(paciente)} (${paciente.tipo_documento.toUpperCase()} ${paciente.num_documento})`
+      : nombreDe(paciente);
+
+  // Envía un paso de la atención y devuelve la respuesta
+  async function accionCita(id, paso, body) {
+    const res = await authFetch(`/api/recepcion/citas/${id}/${paso}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Error en la operación");
+    return data;
+  }
+
+  function crearBoton(texto, titulo, alHacerClic) {
+    const boton = document.createElement("button");
+    boton.type = "button";
+    boton.className = "btn-primary";
+    boton.title = titulo;
+    boton.textContent = texto;
+    boton.addEventListener("click", async () => {
+      try {
+        await alHacerClic();
+        cargarCola();
+      } catch (err) {
+        alert(err.message);
+      }
+    });
+    return boton;
+  }
+
+  // Solo se ofrece el siguiente paso posible de cada cita
+  function accionesDe(cita) {
+    const { atencion } = cita;
+    if (!atencion) {
+      if (!["Pendiente", "Confirmada", "Reprogramada"].includes(cita.estado)) return [];
+      return [crearBoton("Registrar llegada", "Entregar ticket", () => accionCita(cita._id, "llegada"))];
+    }
+
+    const llamar = (texto) =>
+      crearBoton(texto, "Llamar al consultorio", () => {
+        const consultorio = prompt("Consultorio (vacío = sala asignada a la cita)", atencion.consultorio || "");
+        if (consultorio === null) return Promise.resolve();
+        return accionCita(cita._id, "llamar", { consultorio });
+      });
+
+    if (atencion.estado === "en_espera") return [llamar("Llamar")];
+    if (atencion.estado === "llamado") {
+      return [llamar("Volver a llamar"), crearBoton("Iniciar", "El paciente entró", () => accionCita(cita._id, "iniciar"))];
+    }
+    if (atencion.estado === "en_atencion") {
+      return [crearBoton("Finalizar", "Terminar la atención", () => accionCita(cita._id, "finalizar"))];
+    }
+    return [];
+  }
+
+  // Estado de la atención con la hora de cada paso
+  function celdaAtencion(atencion) {
+    const td = document.createElement("td");
+    if (!atencion) {
+      td.textContent = "—";
+      return td;
+    }
+
+    const badge = document.createElement("span");
+    badge.className = `atencion-badge ${atencion.estado}`;
+    badge.textContent = ESTADOS_ATENCION[atencion.estado];
+
+    const pasos = [
+      `Llegó ${hora(atencion.llegada)}`,
+      atencion.llamado && `llamado ${hora(atencion.llamado)}${atencion.consultorio ? ` (${atencion.consultorio})` : ""}`,
+      atencion.inicio && `inició ${hora(atencion.inicio)}`,
+      atencion.fin && `terminó ${hora(atencion.fin)}`,
+    ].filter(Boolean);
+
+    const detalle = document.createElement("div");
+    detalle.textContent = pasos.join(" · ");
+    td.append(badge, detalle);
+    return td;
+  }
+
+  function renderTabla(citas) {
+    tableBody.innerHTML = "";
+    if (citas.length === 0) {
+      tableBody.innerHTML = '<tr><td colspan="8">No hay citas para hoy</td></tr>';
+      return;
+    }
+
+    citas.forEach((cita) => {
+      const row = document.createElement("tr");
+
+      const celdas = [
+        hora(cita.fechaHora),
+        pacienteDe(cita.pacienteId),
+        cita.especialidad || cita.tipoExamen,
+        cita.medicoId ? `Dr(a). ${nombreDe(cita.medicoId)}` : "—",
+        cita.confirmacionRequerida ? `${cita.estado} (confirmar con el paciente)` : cita.estado,
+      ].map((texto) => {
+        const td = document.createElement("td");
+        td.textContent = texto;
+        return td;
+      });
+
+      const tdTicket = document.createElement("td");
+      tdTicket.className = "ticket";
+      tdTicket.textContent = cita.atencion?.ticket || "—";
+
+      const tdAcciones = document.createElement("td");
+      tdAcciones.className = "actions";
+      tdAcciones.append(...accionesDe(cita));
+
+      row.append(...celdas, tdTicket, celdaAtencion(cita.atencion), tdAcciones);
+      tableBody.appendChild(row);
+    });
+  }
+
+  function renderEspera(promedios) {
+    esperaPromedio.innerHTML = "";
+    if (promedios.length === 0) {
+      esperaPromedio.textContent = "Aún no se ha llamado a ningún paciente hoy";
+      return;
+    }
+
+    promedios.forEach(({ servicio, minutos, atendidos }) => {
+      const kpi = document.createElement("div");
+      kpi.className = "card kpi";
+
+      const texto = document.createElement("div");
+      const titulo = document.createElement("div");
+      titulo.className = "kpi-title";
+      titulo.textContent = `${servicio} (${atendidos} llamados)`;
+      const valor = document.createElement("div");
+      valor.className = "kpi-value";
+      valor.textContent = `${minutos} min`;
+      texto.append(titulo, valor);
+
+      const icono = document.createElement("i");
+      icono.className = "fa-solid fa-hourglass-half kpi-icon";
+
+      kpi.append(texto, icono);
+      esperaPromedio.appendChild(kpi);
+    });
+  }
+
+  async function cargarCola() {
+    if (!tableBody) return;
+    try {
+      const res = await authFetch("/api/recepcion/hoy");
+      if (!res.ok) throw new Error("No se pudo obtener las citas de hoy");
+      const { data } = await res.json();
+
+      renderTabla(data.citas);
+      renderEspera(data.esperaPromedio);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // Otra recepcionista o un médico pueden mover la cola: se recarga con cada aviso de la sala de espera
+  const eventos = new EventSource("/api/sala-espera/eventos");
+  eventos.onmessage = () => cargarCola();
+
+  // Inicializar
+  cargarCola();
+});
@@ -0,0 +1,208 @@
+// public/admin-recursos.js
+document.addEventListener("DOMContentLoaded", () => {
+  // Elementos del DOM (coinciden con recursos.html)
+  const tableBody = document.getElementById("recurso-tbody");
+  const btnAdd = document.getElementById("btn-add");
+  const modal = document.getElementById("modal-form");
+  const modalTitle = document.getElementById("modal-title");
+  const form = document.getElementById("form-recurso");
+  const btnCancel = document.getElementById("btn-cancel");
+  const formTipos = document.getElementById("form-tipos");
+  const tiposList = document.getElementById("tipos-list");
+
+  const TIPOS_RECURSO = { sala: "Sala", equipo: "Equipo", puesto: "Puesto de toma de muestras" };
+  const TIPOS_EXAMEN = ["Consulta General", "Laboratorio", "Imagenología", "Especialidad"];
+
+  let editandoId = null;
+  let recursos = [];
+
+  // Envía una acción sobre un recurso y devuelve la respuesta
+  async function accionRecurso(url, method, body) {
+    const res = await authFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Error en la operación");
+    return data;
+  }
+
+  function openModal(recurso) {
+    form.reset();
+    editandoId = recurso ? recurso._id : null;
+    modalTitle.textContent = recurso ? "Editar Recurso" : "Nuevo Recurso";
+
+    if (recurso) {
+      document.getElementById("nombre").value = recurso.nombre;
+      document.getElementById("tipo").value = recurso.tipo;
+      document.getElementById("capacidad").value = recurso.capacidad;
+      document.getElementById("descripcion").value = recurso.descripcion || "";
+    }
+
+    modal.classList.remove("hidden");
+  }
+
+  function closeModal() {
+    modal.classList.add("hidden");
+  }
+
+  function renderTabla() {
+    tableBody.innerHTML = "";
+    recursos.forEach((r) => {
+      const row = document.createElement("tr");
+
+      const celdas = [
+        r.nombre,
+        TIPOS_RECURSO[r.tipo] || r.tipo,
+        r.capacidad,
+        r.descripcion || "—",
+        r.activo ? "Activo" : "Inactivo",
+      ].map((texto) => {
+        const td = document.createElement("td");
+        td.textContent = texto;
+        return td;
+      });
+
+      const tdAcciones = document.createElement("td");
+      tdAcciones.className = "actions";
+
+      const btnEditar = document.createElement("button");
+      btnEditar.type = "button";
+      btnEditar.title = "Editar";
+      btnEditar.textContent = "✏️";
+      btnEditar.addEventListener("click", () => openModal(r));
+
+      const btnEstado = document.createElement("button");
+      btnEstado.type = "button";
+      btnEstado.title = r.activo ? "Desactivar" : "Reactivar";
+      btnEstado.textContent = r.activo ? "🚫" : "✅";
+      btnEstado.addEventListener("click", async () => {
+        try {
+          await accionRecurso(`/api/recursos/${r._id}`, "PUT", { activo: !r.activo });
+          cargarRecursos();
+        } catch (err) {
+          alert(err.message);
+        }
+      });
+
+      const btnEliminar = document.createElement("button");
+      btnEliminar.type = "button";
+      btnEliminar.title = "Eliminar";
+      btnEliminar.textContent = "🗑️";
+      btnEliminar.addEventListener("click", async () => {
+        if (!confirm(`¿Eliminar ${r.nombre}?`)) return;
+        try {
+          await accionRecurso(`/api/recursos/${r._id}`, "DELETE");
+          cargarRecursos();
+        } catch (err) {
+          alert(err.message);
+        }
+      });
+
+      tdAcciones.append(btnEditar, btnEstado, btnEliminar);
+      row.append(...celdas, tdAcciones);
+      tableBody.appendChild(row);
+    });
+  }
+
+  // Una fila por tipo de examen con una casilla por recurso activo
+  function renderTipos(recursosPorTipo) {
+    tiposList.innerHTML = "";
+    const activos = recursos.filter((r) => r.activo);
+
+    TIPOS_EXAMEN.forEach((tipoExamen) => {
+      const elegidos = recursosPorTipo.find((r) => r.tipoExamen === tipoExamen)?.recursos || [];
+
+      const grupo = document.createElement("div");
+      grupo.className = "form-group";
+      grupo.dataset.tipo = tipoExamen;
+
+      const titulo = document.createElement("label");
+      titulo.textContent = tipoExamen;
+      grupo.appendChild(titulo);
+
+      if (activos.length === 0) {
+        const vacio = document.createElement("span");
+        vacio.textContent = "Registre recursos para asignarlos";
+        grupo.appendChild(vacio);
+      }
+
+      activos.forEach((r) => {
+        const opcion = document.createElement("label");
+        const check = document.createElement("input");
+        check.type = "checkbox";
+        check.value = r._id;
+        check.checked = elegidos.includes(r._id);
+        opcion.append(check, ` ${r.nombre}`);
+        grupo.appendChild(opcion);
+      });
+
+      tiposList.appendChild(grupo);
+    });
+  }
+
+  async function cargarRecursos() {
+    if (!tableBody) return;
+    try {
+      const [resRecursos, resTipos] = await Promise.all([
+        authFetch("/api/recursos"),
+        authFetch("/api/configuracion/recursos-por-tipo"),
+      ]);
+      if (!resRecursos.ok || !resTipos.ok) throw new Error("No se pudo obtener los recursos");
+      ({ data: recursos } = await resRecursos.json());
+      const { data: recursosPorTipo } = await resTipos.json();
+
+      renderTabla();
+      renderTipos(recursosPorTipo);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // Eventos UI
+  if (btnAdd) btnAdd.addEventListener("click", () => openModal(null));
+  if (btnCancel) btnCancel.addEventListener("click", closeModal);
+
+  if (form) {
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const payload = {
+        nombre: document.getElementById("nombre").value,
+        tipo: document.getElementById("tipo").value,
+        capacidad: parseInt(document.getElementById("capacidad").value, 10),
+        descripcion: document.getElementById("descripcion").value,
+      };
+
+      try {
+        if (editandoId) await accionRecurso(`/api/recursos/${editandoId}`, "PUT", payload);
+        else await accionRecurso("/api/recursos", "POST", payload);
+        closeModal();
+        cargarRecursos();
+      } catch (err) {
+        console.error(err);
+        alert(err.message || "No se pudo guardar el recurso");
+      }
+    });
+  }
+
+  if (formTipos) {
+    formTipos.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const recursosPorTipo = Array.from(tiposList.children).map((grupo) => ({
+        tipoExamen: grupo.dataset.tipo,
+        recursos: Array.from(grupo.querySelectorAll("input:checked")).map((c) => c.value),
+      }));
+
+      try {
+        const { message } = await accionRecurso("/api/configuracion/recursos-por-tipo", "PUT", { recursosPorTipo });
+        alert(message);
+      } catch (err) {
+        alert(err.message);
+      }
+    });
+  }
+
+  // Inicializar
+  cargarRecursos();
+});
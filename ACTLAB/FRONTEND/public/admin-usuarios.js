@@ -0,0 +1,235 @@
+// public/admin-usuarios.js
+document.addEventListener("DOMContentLoaded", async () => {
+  await cargarZonaHoraria();
+
+  // Elementos del DOM (coinciden con usuarios.html)
+  const tableBody = document.getElementById("user-tbody");
+  const btnAdd = document.getElementById("btn-add");
+  const modal = document.getElementById("modal-form");
+  const form = document.getElementById("form-user");
+  const btnCancel = document.getElementById("btn-cancel");
+  const filterRole = document.getElementById("filter-role");
+  const filterEstado = document.getElementById("filter-estado");
+  const form2FA = document.getElementById("form-2fa");
+
+  const NOMBRES_ROL = {
+    admin: "Administrador",
+    recepcion: "Recepción",
+    medico: "Médico",
+    tecnologo: "Tecnólogo de laboratorio",
+    paciente: "Paciente",
+  };
+
+  function openModal() {
+    form.reset();
+    modal.classList.remove("hidden");
+  }
+
+  function closeModal() {
+    modal.classList.add("hidden");
+  }
+
+  // Envía una acción sobre un usuario y recarga la tabla
+  async function accionUsuario(url, method, body) {
+    const res = await authFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Error en la operación");
+    return data;
+  }
+
+  function crearSelectRol(u) {
+    const select = document.createElement("select");
+    Object.entries(NOMBRES_ROL).forEach(([valor, texto]) => {
+      const option = document.createElement("option");
+      option.value = valor;
+      option.textContent = texto;
+      option.selected = u.role === valor;
+      select.appendChild(option);
+    });
+
+    select.addEventListener("change", async () => {
+      try {
+        await accionUsuario(`/api/usuarios/${u._id}/rol`, "PATCH", { role: select.value });
+      } catch (err) {
+        alert(err.message);
+      }
+      cargarUsuarios();
+    });
+
+    return select;
+  }
+
+  async function cargarUsuarios() {
+    if (!tableBody) return;
+    tableBody.innerHTML = "";
+    try {
+      const params = new URLSearchParams();
+      if (filterRole && filterRole.value) params.set("role", filterRole.value);
+      if (filterEstado && filterEstado.value) params.set(filterEstado.value, "true");
+      const res = await authFetch(`/api/usuarios?${params}`);
+      if (!res.ok) throw new Error("No se pudo obtener usuarios");
+      const { data } = await res.json();
+
+      data.forEach((u) => {
+        const row = document.createElement("tr");
+
+        const tdNombre = document.createElement("td");
+        tdNombre.textContent = `${u.nombres ?? ""} ${u.apellidos ?? ""}`.trim() || "—";
+
+        const tdDoc = document.createElement("td");
+        tdDoc.textContent = `${(u.tipo_documento || "").toUpperCase()} ${u.num_documento}`;
+
+        const tdEmail = document.createElement("td");
+        tdEmail.textContent = u.email;
+
+        const tdRol = document.createElement("td");
+        tdRol.appendChild(crearSelectRol(u));
+
+        const bloqueado = u.bloqueadoHasta && new Date(u.bloqueadoHasta) > new Date();
+        const tdEstado = document.createElement("td");
+        tdEstado.textContent = u.activo ? "Activo" : "Desactivado";
+        if (u.totpActivo) tdEstado.textContent += " · 2FA";
+        if (bloqueado) {
+          tdEstado.textContent += ` · Bloqueado hasta ${fechaLocalClinica(u.bloqueadoHasta, { timeStyle: "medium" })}`;
+        }
+
+        const tdAcciones = document.createElement("td");
+        tdAcciones.className = "actions";
+
+        const btnEstado = document.createElement("button");
+        btnEstado.type = "button";
+        btnEstado.title = u.activo ? "Desactivar" : "Reactivar";
+        btnEstado.textContent = u.activo ? "🚫" : "✅";
+        btnEstado.addEventListener("click", async () => {
+          try {
+            await accionUsuario(`/api/usuarios/${u._id}/activo`, "PATCH", { activo: !u.activo });
+            cargarUsuarios();
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+
+        const btnReset = document.createElement("button");
+        btnReset.type = "button";
+        btnReset.title = "Restablecer contraseña";
+        btnReset.textContent = "🔑";
+        btnReset.addEventListener("click", async () => {
+          if (!confirm(`¿Restablecer la contraseña de ${u.email}?`)) return;
+          try {
+            const { data } = await accionUsuario(`/api/usuarios/${u._id}/reset-password`, "POST");
+            alert(`Contraseña temporal: ${data.passwordTemporal}\nComuníquela al usuario por un canal seguro.`);
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+
+        tdAcciones.append(btnEstado, btnReset);
+
+        if (u.totpActivo) {
+          const btn2FA = document.createElement("button");
+          btn2FA.type = "button";
+          btn2FA.title = "Restablecer verificación en dos pasos";
+          btn2FA.textContent = "📵";
+          btn2FA.addEventListener("click", async () => {
+            if (!confirm(`¿Quitar el segundo factor de ${u.email}? Deberá configurarlo de nuevo.`)) return;
+            try {
+              await accionUsuario(`/api/usuarios/${u._id}/reset-2fa`, "POST");
+              cargarUsuarios();
+            } catch (err) {
+              alert(err.message);
+            }
+          });
+          tdAcciones.append(btn2FA);
+        }
+
+        if (bloqueado) {
+          const btnDesbloquear = document.createElement("button");
+          btnDesbloquear.type = "button";
+          btnDesbloquear.title = "Desbloquear";
+          btnDesbloquear.textContent = "🔓";
+          btnDesbloquear.addEventListener("click", async () => {
+            try {
+              await accionUsuario(`/api/usuarios/${u._id}/desbloquear`, "PATCH");
+              cargarUsuarios();
+            } catch (err) {
+              alert(err.message);
+            }
+          });
+          tdAcciones.append(btnDesbloquear);
+        }
+        row.append(tdNombre, tdDoc, tdEmail, tdRol, tdEstado, tdAcciones);
+        tableBody.appendChild(row);
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // Roles con verificación en dos pasos obligatoria
+  async function cargarPolitica2FA() {
+    if (!form2FA) return;
+    try {
+      const res = await authFetch("/api/configuracion/seguridad");
+      const { data } = await res.json();
+      form2FA.querySelectorAll("input[name=rol2fa]").forEach((check) => {
+        check.checked = data.roles2FAObligatorio.includes(check.value);
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // Eventos UI
+  if (btnAdd) btnAdd.addEventListener("click", openModal);
+  if (btnCancel) btnCancel.addEventListener("click", closeModal);
+  if (filterRole) filterRole.addEventListener("change", cargarUsuarios);
+  if (filterEstado) filterEstado.addEventListener("change", cargarUsuarios);
+
+  if (form) {
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const payload = {
+        nombres: document.getElementById("first-name").value,
+        apellidos: document.getElementById("last-name").value,
+        tipo_documento: document.getElementById("doc-type").value,
+        num_documento: document.getElementById("doc-number").value,
+        email: document.getElementById("email").value,
+        password: document.getElementById("password").value,
+        role: document.getElementById("role").value,
+      };
+
+      try {
+        await accionUsuario("/api/usuarios", "POST", payload);
+        closeModal();
+        cargarUsuarios();
+      } catch (err) {
+        console.error(err);
+        alert(err.message || "No se pudo crear el usuario");
+      }
+    });
+  }
+
+  if (form2FA) {
+    form2FA.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const roles2FAObligatorio = Array.from(form2FA.querySelectorAll("input[name=rol2fa]:checked")).map(
+        (check) => check.value,
+      );
+
+      try {
+        await accionUsuario("/api/configuracion/seguridad", "PUT", { roles2FAObligatorio });
+        alert("Política de verificación en dos pasos guardada");
+      } catch (err) {
+        alert(err.message);
+      }
+    });
+  }
+
+  // Inicializar
+  cargarUsuarios();
+  cargarPolitica2FA();
+});
@@ -0,0 +1,108 @@
+// public/auth.js
+// Sesión compartida por las páginas del panel: access token + refresh token guardados por login.js
+
+const LOGIN_URL = "/login";
+
+/**
+ * Borra la sesión local y vuelve al login
+ */
+function redirigirALogin() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+  window.location.href = LOGIN_URL;
+}
+
+/**
+ * Canjea el refresh token por un par nuevo
+ * @returns {Promise<boolean>} true si se pudo renovar la sesión
+ */
+async function refrescarSesion() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) return false;
+
+  try {
+    const res = await fetch("/api/refresh", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    if (!res.ok) return false;
+
+    const { data } = await res.json();
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("refreshToken", data.refreshToken);
+    return true;
+  } catch (err) {
+    console.error("Error al renovar sesión:", err);
+    return false;
+  }
+}
+
+/**
+ * Redirige al login si no hay token guardado
+ */
+function requerirSesion() {
+  if (!localStorage.getItem("token")) redirigirALogin();
+}
+
+/**
+ * fetch() que envía el token Bearer; ante 401 intenta renovar la sesión una vez
+ * y redirige al login si no lo consigue (o ante 403)
+ * @param {string} url - URL de la API
+ * @param {RequestInit} options - Opciones de fetch
+ * @returns {Promise<Response>} Respuesta del servidor
+ */
+async function authFetch(url, options = {}) {
+  const conToken = () => ({
+    ...options,
+    headers: { ...(options.headers || {}), Authorization: `Bearer ${localStorage.getItem("token")}` },
+  });
+
+  let response = await fetch(url, conToken());
+
+  if (response.status === 401 && (await refrescarSesion())) {
+    response = await fetch(url, conToken());
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    redirigirALogin();
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return response;
+}
+
+let rolSesion = null;
+
+/**
+ * Rol del usuario de la sesión ("" si no se pudo obtener); se pide una sola vez por página.
+ * Sirve para ocultar las acciones solo de administración: un 403 cerraría la sesión
+ * @returns {Promise<string>}
+ */
+async function obtenerRol() {
+  if (rolSesion !== null) return rolSesion;
+  try {
+    const res = await authFetch("/api/me");
+    rolSesion = res.ok ? (await res.json()).data.usuario.role : "";
+  } catch (err) {
+    console.error("Error al obtener el rol:", err);
+    rolSesion = "";
+  }
+  return rolSesion;
+}
+
+/**
+ * Cierra la sesión en el servidor y vuelve al login
+ * @param {boolean} todas - Cerrar también las sesiones de otros dispositivos
+ */
+async function cerrarSesion(todas = false) {
+  try {
+    await fetch(todas ? "/api/logout/todas" : "/api/logout", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+    });
+  } catch (err) {
+    console.error("Error al cerrar sesión:", err);
+  }
+  redirigirALogin();
+}
@@ -3,6 +3,87 @@
 const mensajeError = document.getElementsByClassName("error")[0];
 const form = document.getElementById("login_form");
 
+// Paso de verificación en dos pasos
+const form2FA = document.getElementById("dosfa_form");
+const mensaje2FA = document.getElementById("dosfa_mensaje");
+const error2FA = document.getElementById("dosfa_error");
+const enrolamiento = document.getElementById("dosfa_enrolamiento");
+const recuperacion = document.getElementById("dosfa_recuperacion");
+
+// Confirmación de correo
+const aviso = document.getElementById("login_aviso");
+const btnReenviar = document.getElementById("btn_reenviar");
+
+const AVISOS_URL = {
+  registrado: "Cuenta creada. Revise su correo y confirme la dirección para poder ingresar.",
+  "verificado=ok": "Correo confirmado. Ya puede iniciar sesión.",
+};
+
+function mostrarAviso(texto) {
+  aviso.textContent = texto;
+  aviso.classList.remove("escondido");
+}
+
+// Desafío devuelto por /api/login cuando falta el segundo factor
+let desafio = null;
+let enrolar = false;
+
+// Guardar tokens para llamadas autenticadas posteriores y entrar al área correspondiente
+function completarLogin(data) {
+  localStorage.setItem("token", data.token);
+  localStorage.setItem("refreshToken", data.refreshToken);
+  sessionStorage.setItem("userEmail", data.email);
+
+  window.location.href = data.redirect || "/admin";
+}
+
+function mostrarError2FA(texto) {
+  error2FA.textContent = texto;
+  error2FA.classList.remove("escondido");
+}
+
+// Muestra el paso del código; si hay que enrolarse, antes pide el QR al servidor
+async function pedirSegundoFactor(data) {
+  desafio = data.desafio;
+  enrolar = data.enrolar;
+
+  form.classList.add("escondido");
+  form2FA.classList.remove("escondido");
+  mensaje2FA.textContent = data.message;
+
+  if (!enrolar) return;
+
+  const res = await fetch("/api/2fa/enrolar", {
+    method:  "POST",
+    headers: { "Content-Type": "application/json" },
+    body:    JSON.stringify({ desafio })
+  });
+  const enrol = await res.json();
+  if (!res.ok) {
+    mostrarError2FA(enrol.message || "No se pudo iniciar la configuración.");
+    return;
+  }
+
+  document.getElementById("dosfa_qr").src = enrol.data.qr;
+  document.getElementById("dosfa_secreto").textContent = enrol.data.secreto;
+  enrolamiento.classList.remove("escondido");
+}
+
+// Tras activar 2FA se muestran una sola vez los códigos de recuperación
+function mostrarCodigosRecuperacion(data) {
+  form2FA.classList.add("escondido");
+  recuperacion.classList.remove("escondido");
+
+  const lista = document.getElementById("dosfa_codigos");
+  data.codigosRecuperacion.forEach((codigo) => {
+    const li = document.createElement("li");
+    li.textContent = codigo;
+    lista.appendChild(li);
+  });
+
+  document.getElementById("dosfa_continuar").addEventListener("click", () => completarLogin(data));
+}
+
 // Cargar datos guardados al iniciar la página
 window.addEventListener("DOMContentLoaded", () => {
   const recordar = localStorage.getItem("recordar");
@@ -19,6 +100,32 @@ window.addEventListener("DOMContentLoaded", () => {
     }
     form.elements["remember"].checked = true;
   }
+
+  // Mensajes al volver del registro o del enlace de confirmación
+  const params = new URLSearchParams(window.location.search);
+  if (params.has("registrado")) mostrarAviso(AVISOS_URL.registrado);
+  if (params.get("verificado") === "ok") mostrarAviso(AVISOS_URL["verificado=ok"]);
+  if (params.get("verificado") === "error") {
+    mensajeError.textContent = "El enlace de confirmación no es válido o expiró. Solicite uno nuevo.";
+    mensajeError.classList.remove("escondido");
+  }
+});
+
+btnReenviar.addEventListener("click", async () => {
+  try {
+    const res = await fetch("/api/email/reenviar", {
+      method:  "POST",
+      headers: { "Content-Type": "application/json" },
+      body:    JSON.stringify({ identificador: form.elements["num-documento"].value })
+    });
+    const data = await res.json();
+
+    mensajeError.classList.add("escondido");
+    btnReenviar.classList.add("escondido");
+    mostrarAviso(data.message);
+  } catch (err) {
+    console.error("Error en fetch:", err);
+  }
 });
 
 form.addEventListener("submit", async (e) => {
@@ -55,19 +162,46 @@ form.addEventListener("submit", async (e) => {
     if (!res.ok) {
       mensajeError.textContent = data.message || "Error al iniciar sesión.";
       mensajeError.classList.remove("escondido");
+      btnReenviar.classList.toggle("escondido", !data.verificacionPendiente);
       return;
     }
 
-    // Guardar token para llamadas autenticadas posteriores
-    localStorage.setItem("token", data.token);
-    sessionStorage.setItem("userEmail", data.email); 
-
+    if (data.requiere2FA) {
+      await pedirSegundoFactor(data);
+      return;
+    }
 
-    // Redirigir al área admin
-    window.location.href = data.redirect || "/admin";
+    completarLogin(data);
   } catch (err) {
     console.error("Error en fetch:", err);
     mensajeError.textContent = "No se pudo conectar al servidor.";
     mensajeError.classList.remove("escondido");
   }
+});
+
+form2FA.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  error2FA.classList.add("escondido");
+
+  const codigo = form2FA.elements["codigo"].value.trim();
+
+  try {
+    const res = await fetch(enrolar ? "/api/2fa/activar" : "/api/login/2fa", {
+      method:  "POST",
+      headers: { "Content-Type": "application/json" },
+      body:    JSON.stringify({ desafio, codigo })
+    });
+    const data = await res.json();
+
+    if (!res.ok) {
+      mostrarError2FA(data.message || "Código incorrecto.");
+      return;
+    }
+
+    if (enrolar) mostrarCodigosRecuperacion(data.data);
+    else completarLogin(data);
+  } catch (err) {
+    console.error("Error en fetch:", err);
+    mostrarError2FA("No se pudo conectar al servidor.");
+  }
 });
\ No newline at end of file
@@ -0,0 +1,88 @@
+// public/oferta-cita.js
+
+const token = new URLSearchParams(window.location.search).get("token");
+const detalle = document.getElementById("detalle_oferta");
+const acciones = document.getElementById("acciones_oferta");
+const mensaje = document.querySelector("#oferta .mensaje");
+
+// Textos para ofertas que ya no se pueden responder
+const ESTADOS_CERRADOS = {
+  aceptada: "Ya reservó este horario. Le esperamos.",
+  rechazada: "Rechazó este horario; sigue en la lista de espera.",
+  vencida: "La oferta venció y el horario se ofreció a otro paciente. Sigue en la lista de espera.",
+  anulada: "Este horario ya no está disponible.",
+};
+
+// Muestra un mensaje de éxito o error bajo la oferta
+const mostrarMensaje = (texto, esError) => {
+  mensaje.textContent = texto;
+  mensaje.classList.toggle("error", esError);
+  mensaje.classList.toggle("exito", !esError);
+  mensaje.classList.remove("escondido");
+};
+
+const formatearFecha = (fecha) =>
+  fechaLocalClinica(fecha, {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+
+async function cargarOferta() {
+  if (!token) {
+    detalle.textContent = "El enlace es inválido.";
+    return;
+  }
+
+  try {
+    const res = await fetch(`/api/lista-espera/ofertas/${encodeURIComponent(token)}`);
+    const { data, message } = await res.json();
+    if (!res.ok) {
+      detalle.textContent = message || "El enlace es inválido.";
+      return;
+    }
+
+    const servicio = data.especialidad ? ` de ${data.especialidad.toLowerCase()}` : "";
+    const medico = data.medico ? ` con Dr(a). ${data.medico}` : "";
+    detalle.textContent =
+      `Hola ${data.paciente || ""}, hay un horario${servicio}${medico} ` +
+      `el ${formatearFecha(data.inicio)} (${data.duracion} min).`;
+
+    if (data.estado === "pendiente") {
+      acciones.classList.remove("escondido");
+      mostrarMensaje(`Puede reservarlo hasta el ${formatearFecha(data.expira)}.`, false);
+    } else {
+      mostrarMensaje(ESTADOS_CERRADOS[data.estado] || "La oferta ya no está vigente.", data.estado !== "aceptada");
+    }
+  } catch (err) {
+    console.error("Error en fetch:", err);
+    detalle.textContent = "No se pudo conectar al servidor.";
+  }
+}
+
+// Responde la oferta (aceptar o rechazar) y oculta los botones
+async function responder(accion) {
+  acciones.querySelectorAll("button").forEach((btn) => (btn.disabled = true));
+
+  try {
+    const res = await fetch(`/api/lista-espera/ofertas/${encodeURIComponent(token)}/${accion}`, { method: "POST" });
+    const data = await res.json();
+
+    mostrarMensaje(data.message || "No se pudo registrar su respuesta.", !res.ok);
+    acciones.classList.add("escondido");
+  } catch (err) {
+    console.error("Error en fetch:", err);
+    mostrarMensaje("No se pudo conectar al servidor.", true);
+    acciones.querySelectorAll("button").forEach((btn) => (btn.disabled = false));
+  }
+}
+
+document.getElementById("btn_aceptar").addEventListener("click", () => responder("aceptar"));
+document.getElementById("btn_rechazar").addEventListener("click", () => {
+  if (confirm("¿Rechazar este horario? Seguirá en la lista de espera.")) responder("rechazar");
+});
+
+cargarZonaHoraria().then(cargarOferta);
@@ -31,7 +31,9 @@ form.addEventListener("submit", async (e) => {
       return;
     }
 
-    // Redirigir al login
+    // El servidor cerró todas las sesiones: descartar tokens y volver al login
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
     window.location.href = data.redirect || "/login";
   } catch (err) {
     console.error("Error en fetch:", err);
@@ -9,6 +9,8 @@ form.addEventListener('submit', async e => {
 const payload = {
   tipo_documento: elems['tipo_documento'].value,
   num_documento: elems['num_documento'].value,
+  nombres: elems['nombres'].value,
+  apellidos: elems['apellidos'].value,
   fecha_emision: elems['fecha_emision'].value,
   email: elems['email'].value,
   password: elems['password'].value,
@@ -28,6 +30,7 @@ const payload = {
 
     if (!res.ok) {
       console.warn('Error del servidor:', resJson.message);
+      if (resJson.message) mensajeError.textContent = resJson.message;
       return mensajeError.classList.toggle("escondido", false);
     }
 
@@ -0,0 +1,74 @@
+// public/reset-password.js
+
+const token = new URLSearchParams(window.location.search).get("token");
+const olvidoForm = document.getElementById("olvido_form");
+const resetForm = document.getElementById("reset_form");
+
+// Muestra un mensaje de éxito o error bajo el formulario
+const mostrarMensaje = (elemento, texto, esError) => {
+  elemento.textContent = texto;
+  elemento.classList.toggle("error", esError);
+  elemento.classList.toggle("exito", !esError);
+  elemento.classList.remove("escondido");
+};
+
+// Con token en la URL se muestra directamente el paso 2
+if (token) {
+  olvidoForm.classList.add("escondido");
+  resetForm.classList.remove("escondido");
+}
+
+olvidoForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const mensaje = olvidoForm.querySelector(".mensaje");
+
+  try {
+    const res = await fetch("/api/password/olvido", {
+      method:  "POST",
+      headers: { "Content-Type": "application/json" },
+      body:    JSON.stringify({ identificador: olvidoForm.elements["identificador"].value })
+    });
+    const data = await res.json();
+
+    mostrarMensaje(mensaje, data.message || "No se pudo enviar el enlace.", !res.ok);
+    if (res.ok) olvidoForm.reset();
+  } catch (err) {
+    console.error("Error en fetch:", err);
+    mostrarMensaje(mensaje, "No se pudo conectar al servidor.", true);
+  }
+});
+
+resetForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const mensajeError = resetForm.querySelector(".error");
+  const elems = resetForm.elements;
+  const payload = {
+    token,
+    new_password:    elems["new_password"].value,
+    repeat_password: elems["repeat_password"].value
+  };
+
+  try {
+    const res = await fetch("/api/password/reset", {
+      method:  "POST",
+      headers: { "Content-Type": "application/json" },
+      body:    JSON.stringify(payload)
+    });
+    const data = await res.json();
+
+    if (!res.ok) {
+      mensajeError.textContent = data.message || "Error al restablecer contraseña.";
+      mensajeError.classList.remove("escondido");
+      return;
+    }
+
+    // Redirigir al login
+    window.location.href = data.redirect || "/login";
+  } catch (err) {
+    console.error("Error en fetch:", err);
+    mensajeError.textContent = "No se pudo conectar al servidor.";
+    mensajeError.classList.remove("escondido");
+  }
+});
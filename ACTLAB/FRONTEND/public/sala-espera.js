@@ -0,0 +1,78 @@
+// public/sala-espera.js
+// Pantalla pública: el servidor envía el tablero completo con cada cambio de la cola
+
+const llamadoActual = document.getElementById("llamado_actual");
+const llamadosAnteriores = document.getElementById("llamados_anteriores");
+const enEspera = document.getElementById("en_espera");
+const esperaPromedio = document.getElementById("espera_promedio");
+const sinConexion = document.getElementById("sin_conexion");
+const reloj = document.getElementById("reloj");
+
+// Último llamado mostrado, para resaltar solo los nuevos
+let ultimoLlamado = null;
+
+const itemLista = (izquierda, derecha) => {
+  const li = document.createElement("li");
+  const a = document.createElement("span");
+  a.textContent = izquierda;
+  const b = document.createElement("span");
+  b.textContent = derecha;
+  li.append(a, b);
+  return li;
+};
+
+function mostrarLlamadoActual(llamado) {
+  llamadoActual.querySelector(".llamado-ticket").textContent = llamado?.ticket || "—";
+  llamadoActual.querySelector(".llamado-consultorio").textContent = llamado?.consultorio || "—";
+
+  const clave = llamado ? `${llamado.ticket}|${llamado.llamado}` : null;
+  if (clave && clave !== ultimoLlamado) {
+    // Reinicia la animación aunque el elemento ya la tuviera
+    llamadoActual.classList.remove("nuevo");
+    void llamadoActual.offsetWidth;
+    llamadoActual.classList.add("nuevo");
+  }
+  ultimoLlamado = clave;
+}
+
+function mostrarTablero({ llamados, enEspera: tickets, esperaPromedio: promedios }) {
+  const [actual, ...anteriores] = llamados;
+  mostrarLlamadoActual(actual);
+
+  llamadosAnteriores.innerHTML = "";
+  anteriores.forEach((l) => llamadosAnteriores.appendChild(itemLista(l.ticket, l.consultorio)));
+
+  enEspera.innerHTML = "";
+  tickets.forEach((t) => {
+    const li = document.createElement("li");
+    li.textContent = t.ticket;
+    enEspera.appendChild(li);
+  });
+
+  esperaPromedio.innerHTML = "";
+  promedios.forEach((p) => esperaPromedio.appendChild(itemLista(p.servicio, `${p.minutos} min`)));
+}
+
+function conectar() {
+  const eventos = new EventSource("/api/sala-espera/eventos");
+  eventos.onopen = () => sinConexion.classList.add("escondido");
+  eventos.onmessage = (e) => mostrarTablero(JSON.parse(e.data));
+  // EventSource reintenta solo; mientras tanto se avisa en pantalla
+  eventos.onerror = () => sinConexion.classList.remove("escondido");
+}
+
+const actualizarReloj = () => {
+  reloj.textContent = fechaLocalClinica(new Date(), { hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+};
+
+// Los navegadores solo permiten pantalla completa tras una acción del usuario
+document.body.addEventListener("click", () => {
+  if (!document.fullscreenElement) document.documentElement.requestFullscreen?.().catch(() => {});
+});
+
+// El reloj marca la hora de la clínica aunque el equipo de la pantalla tenga otra zona
+cargarZonaHoraria().then(() => {
+  actualizarReloj();
+  setInterval(actualizarReloj, 30000);
+  conectar();
+});
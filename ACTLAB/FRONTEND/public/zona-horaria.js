@@ -0,0 +1,109 @@
+// public/zona-horaria.js
+// Fechas y horas en la zona horaria de la clínica, no en la del navegador: quien abre el panel
+// desde otra zona ve y escribe las mismas horas que la clínica. Las páginas esperan
+// cargarZonaHoraria() antes de mostrar fechas.
+
+let zonaClinica = "America/Lima";
+
+/** Pide al servidor la zona de la clínica (si falla se queda la de por defecto) */
+async function cargarZonaHoraria() {
+  try {
+    const res = await fetch("/api/configuracion/zona-horaria");
+    if (res.ok) zonaClinica = (await res.json()).data.zona;
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+const DIAS_SEMANA_ZONA = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formateadoresZona = new Map();
+
+/** Fecha y hora que marca el reloj de la clínica → { anio, mes (1-12), dia, hora, minuto, diaSemana (0 = domingo) } */
+function partesEnZona(fecha) {
+  if (!formateadoresZona.has(zonaClinica)) {
+    formateadoresZona.set(
+      zonaClinica,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: zonaClinica,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  const partes = {};
+  for (const { type, value } of formateadoresZona.get(zonaClinica).formatToParts(new Date(fecha))) partes[type] = value;
+  return {
+    anio: Number(partes.year),
+    mes: Number(partes.month),
+    dia: Number(partes.day),
+    hora: Number(partes.hour),
+    minuto: Number(partes.minute),
+    segundo: Number(partes.second),
+    diaSemana: DIAS_SEMANA_ZONA[partes.weekday],
+  };
+}
+
+const dosDigitosZona = (n) => String(n).padStart(2, "0");
+
+/** Día AAAA-MM-DD de la clínica en ese instante */
+function claveDiaClinica(fecha) {
+  const { anio, mes, dia } = partesEnZona(fecha);
+  return `${anio}-${dosDigitosZona(mes)}-${dosDigitosZona(dia)}`;
+}
+
+/** Minutos desde la medianoche de la clínica */
+function minutosDelDiaClinica(fecha) {
+  const { hora, minuto } = partesEnZona(fecha);
+  return hora * 60 + minuto;
+}
+
+/** Día de la semana de una fecha AAAA-MM-DD (0 = domingo) */
+const diaSemanaDeClave = (clave) => new Date(`${clave}T00:00:00Z`).getUTCDay();
+
+/** Hoy en la clínica (AAAA-MM-DD) */
+const hoyEnClinica = () => claveDiaClinica(new Date());
+
+// Minutos que la clínica va adelantada respecto de UTC en ese instante (Lima: -300)
+function desfaseClinica(instante) {
+  const p = partesEnZona(instante);
+  return Math.round((Date.UTC(p.anio, p.mes - 1, p.dia, p.hora, p.minuto, p.segundo) - Math.floor(instante / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instante en que el reloj de la clínica marca ese día y esa hora (misma regla que el servidor
+ * en los cambios de hora)
+ * @param {string} clave - Día AAAA-MM-DD
+ * @param {number} [minutos] - Minutos desde la medianoche
+ * @returns {Date}
+ */
+function fechaEnClinica(clave, minutos = 0) {
+  const [anio, mes, dia] = clave.split("-").map(Number);
+  const reloj = Date.UTC(anio, mes - 1, dia) + minutos * 60000;
+  const antes = reloj - desfaseClinica(reloj - 12 * 3600000) * 60000;
+  const despues = reloj - desfaseClinica(reloj + 12 * 3600000) * 60000;
+  const candidatos = [antes, despues].filter((t) => reloj - desfaseClinica(t) * 60000 === t).sort((a, b) => a - b);
+  return new Date(candidatos.length ? candidatos[0] : antes);
+}
+
+/** Valor de un <input type="datetime-local"> con la hora de la clínica */
+function valorFechaHoraClinica(fecha) {
+  const p = partesEnZona(fecha);
+  return `${claveDiaClinica(fecha)}T${dosDigitosZona(p.hora)}:${dosDigitosZona(p.minuto)}`;
+}
+
+/** Lee un <input type="datetime-local"> como hora de la clínica (Invalid Date si está vacío o mal formado) */
+function leerFechaHoraClinica(valor) {
+  const partes = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/.exec(valor || "");
+  if (!partes) return new Date(NaN);
+  return fechaEnClinica(partes[1], Number(partes[2]) * 60 + Number(partes[3]));
+}
+
+/** toLocaleString en la zona de la clínica */
+const fechaLocalClinica = (fecha, opciones = {}, idioma = "es-PE") =>
+  new Date(fecha).toLocaleString(idioma, { ...opciones, timeZone: zonaClinica });